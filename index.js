@@ -101,7 +101,19 @@ app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/businesses', require('./routes/businesses'));
 app.use('/api/employees', require('./routes/employees'));
 app.use('/api/transactions', require('./routes/transactions'));
+app.use('/api/ledger', require('./routes/ledger'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/periods', require('./routes/periods'));
+app.use('/api/bank-statements', require('./routes/bankStatements'));
+app.use('/api/reconciliation', require('./routes/reconciliation'));
+app.use('/api/contacts', require('./routes/contacts'));
+app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/bills', require('./routes/bills'));
 app.use('/api/payroll', require('./routes/payroll'));
+app.use('/api/payroll-runs', require('./routes/payrollRuns'));
+app.use('/api/timesheets', require('./routes/timesheets'));
+app.use('/api/holidays', require('./routes/holidays'));
+app.use('/api/leave', require('./routes/leave'));
 app.use('/api/tax', require('./routes/tax'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 
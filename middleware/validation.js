@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { GCT_TAX_CODES } = require('../services/taxRates');
 
 // Payroll validation rules
 const payrollRules = () => {
@@ -38,7 +39,11 @@ const payrollRules = () => {
         body('allowances.*.amount')
             .optional()
             .isNumeric()
-            .withMessage('Allowance amount must be a number')
+            .withMessage('Allowance amount must be a number'),
+        body('payeMethod')
+            .optional()
+            .isIn(['non_cumulative', 'cumulative'])
+            .withMessage('PAYE method must be non_cumulative or cumulative')
     ];
 };
 
@@ -54,8 +59,13 @@ const transactionRules = () => {
             .isIn(['income', 'expense', 'asset_purchase', 'asset_sale', 'liability', 'equity', 'transfer', 'adjustment'])
             .withMessage('Transaction type must be a valid type'),
         body('category')
+            .if(body('contact').not().exists())
             .notEmpty()
             .withMessage('Category is required'),
+        body('contact')
+            .optional()
+            .isMongoId()
+            .withMessage('Contact must be a valid contact ID'),
         body('description')
             .notEmpty()
             .withMessage('Description is required'),
@@ -82,7 +92,572 @@ const transactionRules = () => {
         body('status')
             .optional()
             .isIn(['pending', 'completed', 'cancelled'])
-            .withMessage('Status must be pending, completed, or cancelled')
+            .withMessage('Status must be pending, completed, or cancelled'),
+        body('taxInfo.taxCode')
+            .optional()
+            .isIn(GCT_TAX_CODES)
+            .withMessage(`GCT tax code must be one of ${GCT_TAX_CODES.join(', ')}`),
+        body('taxInfo.gctRate')
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('GCT rate must be between 0 and 1'),
+        body('taxInfo.amountsIncludeGct')
+            .optional()
+            .isBoolean()
+            .withMessage('amountsIncludeGct must be true or false')
+    ];
+};
+
+// Account validation rules
+const accountRules = () => {
+    return [
+        body('code')
+            .notEmpty()
+            .matches(/^\d{3,8}$/)
+            .withMessage('Account code must be 3 to 8 digits'),
+        body('name')
+            .notEmpty()
+            .withMessage('Account name is required'),
+        body('class')
+            .isIn(['asset', 'liability', 'equity', 'revenue', 'expense'])
+            .withMessage('Account class must be asset, liability, equity, revenue or expense'),
+        body('parent')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Parent must be a valid account ID')
+    ];
+};
+
+// Journal entry validation rules
+const journalEntryRules = () => {
+    return [
+        body('date')
+            .optional()
+            .isISO8601()
+            .withMessage('Date must be in ISO format'),
+        body('description')
+            .notEmpty()
+            .withMessage('Description is required'),
+        body('lines')
+            .isArray({ min: 2 })
+            .withMessage('At least two journal lines are required'),
+        body('lines.*.account')
+            .isMongoId()
+            .withMessage('Each line needs a valid account ID'),
+        body('lines.*.debit')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Debit must be a positive number'),
+        body('lines.*.credit')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Credit must be a positive number')
+    ];
+};
+
+// Bank statement CSV column-mapping profile validation rules
+const bankImportProfileRules = () => {
+    return [
+        body('name')
+            .notEmpty()
+            .withMessage('Profile name is required'),
+        body('delimiter')
+            .optional()
+            .isLength({ min: 1, max: 1 })
+            .withMessage('Delimiter must be a single character'),
+        body('dateFormat')
+            .optional()
+            .isIn(['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'YYYYMMDD'])
+            .withMessage('Unsupported date format'),
+        body('columns.date')
+            .notEmpty()
+            .withMessage('Date column is required'),
+        body('columns.description')
+            .notEmpty()
+            .withMessage('Description column is required'),
+        body('amountSign')
+            .optional()
+            .isIn(['credit_positive', 'debit_positive'])
+            .withMessage('Amount sign must be credit_positive or debit_positive')
+    ];
+};
+
+// Bank reconciliation rule validation rules
+const reconciliationRuleRules = () => {
+    return [
+        body('name')
+            .notEmpty()
+            .withMessage('Rule name is required'),
+        body('match.contains')
+            .notEmpty()
+            .withMessage('Match text is required'),
+        body('match.field')
+            .optional()
+            .isIn(['any', 'description', 'counterparty', 'reference'])
+            .withMessage('Match field must be any, description, counterparty or reference'),
+        body('match.direction')
+            .optional()
+            .isIn(['any', 'deposit', 'withdrawal'])
+            .withMessage('Direction must be any, deposit or withdrawal'),
+        body('action.category')
+            .notEmpty()
+            .withMessage('Category is required'),
+        body('action.ledgerAccount')
+            .optional()
+            .isMongoId()
+            .withMessage('Ledger account must be a valid account ID')
+    ];
+};
+
+// Invoice validation rules
+const invoiceRules = () => {
+    return [
+        body('contact')
+            .optional()
+            .isMongoId()
+            .withMessage('Contact must be a valid contact ID'),
+        body('customer.name')
+            .if(body('contact').not().exists())
+            .notEmpty()
+            .withMessage('Customer name is required'),
+        body('issueDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Issue date must be in ISO format'),
+        body('dueDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Due date must be in ISO format'),
+        body('paymentTerms')
+            .optional()
+            .isIn(['due_on_receipt', 'net_7', 'net_15', 'net_30', 'net_45', 'net_60', 'custom'])
+            .withMessage('Invalid payment terms'),
+        body('currency')
+            .optional()
+            .isIn(['JMD', 'USD', 'EUR', 'GBP', 'CAD'])
+            .withMessage('Invalid currency'),
+        body('lineItems')
+            .isArray({ min: 1 })
+            .withMessage('At least one line item is required'),
+        body('lineItems.*.description')
+            .notEmpty()
+            .withMessage('Each line item needs a description'),
+        body('lineItems.*.unitPrice')
+            .isFloat({ min: 0 })
+            .withMessage('Unit price must be a positive number'),
+        body('lineItems.*.quantity')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Quantity must be a positive number'),
+        body('lineItems.*.discount')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Discount must be a positive number'),
+        body('lineItems.*.taxCode')
+            .optional()
+            .isIn(GCT_TAX_CODES)
+            .withMessage(`GCT tax code must be one of ${GCT_TAX_CODES.join(', ')}`),
+        body('amountsIncludeGct')
+            .optional()
+            .isBoolean()
+            .withMessage('amountsIncludeGct must be true or false'),
+        body('lineItems.*.account')
+            .optional()
+            .isMongoId()
+            .withMessage('Line account must be a valid account ID')
+    ];
+};
+
+// Bill validation rules
+const billRules = () => {
+    return [
+        body('contact')
+            .optional()
+            .isMongoId()
+            .withMessage('Contact must be a valid contact ID'),
+        body('vendor.name')
+            .if(body('contact').not().exists())
+            .notEmpty()
+            .withMessage('Vendor name is required'),
+        body('billDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Bill date must be in ISO format'),
+        body('dueDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Due date must be in ISO format'),
+        body('paymentTerms')
+            .optional()
+            .isIn(['due_on_receipt', 'net_7', 'net_15', 'net_30', 'net_45', 'net_60', 'custom'])
+            .withMessage('Invalid payment terms'),
+        body('currency')
+            .optional()
+            .isIn(['JMD', 'USD', 'EUR', 'GBP', 'CAD'])
+            .withMessage('Invalid currency'),
+        body('lineItems')
+            .isArray({ min: 1 })
+            .withMessage('At least one line item is required'),
+        body('lineItems.*.description')
+            .notEmpty()
+            .withMessage('Each line item needs a description'),
+        body('lineItems.*.unitPrice')
+            .isFloat({ min: 0 })
+            .withMessage('Unit price must be a positive number'),
+        body('lineItems.*.quantity')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Quantity must be a positive number'),
+        body('lineItems.*.gctRate')
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('GCT rate must be between 0 and 1'),
+        body('lineItems.*.taxCode')
+            .optional()
+            .isIn(GCT_TAX_CODES)
+            .withMessage(`GCT tax code must be one of ${GCT_TAX_CODES.join(', ')}`),
+        body('amountsIncludeGct')
+            .optional()
+            .isBoolean()
+            .withMessage('amountsIncludeGct must be true or false'),
+        body('lineItems.*.account')
+            .optional()
+            .isMongoId()
+            .withMessage('Line account must be a valid account ID'),
+        body('withholdingTax.rate')
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('Withholding tax rate must be between 0 and 1')
+    ];
+};
+
+// Contact validation rules
+const contactRules = () => {
+    return [
+        body('type')
+            .isIn(['customer', 'vendor', 'both'])
+            .withMessage('Contact type must be customer, vendor or both'),
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Contact name is required'),
+        body('trn')
+            .optional({ values: 'falsy' })
+            .customSanitizer(value => String(value).replace(/[\s-]/g, ''))
+            .matches(/^\d{9}$/)
+            .withMessage('TRN must be exactly 9 digits'),
+        body('email')
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Please provide a valid email'),
+        body('defaultPaymentTerms')
+            .optional()
+            .isIn(['due_on_receipt', 'net_7', 'net_15', 'net_30', 'net_45', 'net_60', 'custom'])
+            .withMessage('Invalid payment terms'),
+        body('defaultExpenseAccount')
+            .optional({ values: 'falsy' })
+            .isMongoId()
+            .withMessage('Default expense account must be a valid account ID')
+    ];
+};
+
+// Tax rate set validation rules; all fields optional on update
+const taxRateSetRules = (isUpdate = false) => {
+    const field = (path) => isUpdate ? body(path).optional() : body(path);
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Rate set name is required'),
+        field('effectiveFrom')
+            .isISO8601()
+            .withMessage('Effective from date must be in ISO format'),
+        body('effectiveTo')
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('Effective to date must be in ISO format'),
+        field('paye.personalAllowance')
+            .isFloat({ min: 0 })
+            .withMessage('PAYE personal allowance must be a positive number'),
+        field('paye.brackets')
+            .isArray({ min: 1 })
+            .withMessage('At least one PAYE bracket is required'),
+        body('paye.brackets.*.min')
+            .isFloat({ min: 0 })
+            .withMessage('Bracket minimum must be a positive number'),
+        body('paye.brackets.*.max')
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('Bracket maximum must be a positive number'),
+        body('paye.brackets.*.rate')
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('Bracket rate must be between 0 and 1'),
+        field('nis.maxAnnualIncome')
+            .isFloat({ min: 0 })
+            .withMessage('NIS income ceiling must be a positive number'),
+        body('educationTax.threshold')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Education Tax threshold must be a positive number'),
+        body(['nis.employeeRate', 'nis.employerRate', 'educationTax.employeeRate',
+            'educationTax.employerRate', 'nht.employeeRate', 'nht.employerRate', 'heartTrust.employerRate'])
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('Contribution rates must be between 0 and 1')
+    ];
+};
+
+// Invoice and bill payment validation rules
+const paymentRules = () => {
+    return [
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('Payment amount must be greater than zero'),
+        body('date')
+            .optional()
+            .isISO8601()
+            .withMessage('Payment date must be in ISO format'),
+        body('paymentMethod')
+            .optional()
+            .isIn(['cash', 'cheque', 'bank_transfer', 'credit_card', 'debit_card', 'mobile_money', 'other'])
+            .withMessage('Invalid payment method'),
+        body('account')
+            .optional()
+            .isMongoId()
+            .withMessage('Payment account must be a valid account ID')
+    ];
+};
+
+// Reconciliation session validation rules
+const reconciliationSessionRules = () => {
+    return [
+        body('bankAccount')
+            .isMongoId()
+            .withMessage('Valid bank account ID is required'),
+        body('statementDate')
+            .isISO8601()
+            .withMessage('Statement date must be in ISO format'),
+        body('statementEndingBalance')
+            .isFloat()
+            .withMessage('Statement ending balance must be a number'),
+        body('openingBalance')
+            .optional()
+            .isFloat()
+            .withMessage('Opening balance must be a number'),
+        body('statement')
+            .optional()
+            .isMongoId()
+            .withMessage('Statement must be a valid statement ID')
+    ];
+};
+
+// Timesheet validation rules
+const timesheetRules = (isUpdate = false) => {
+    const field = (path) => isUpdate ? body(path).optional() : body(path);
+    return [
+        body('employee')
+            .optional()
+            .isMongoId()
+            .withMessage('Employee must be a valid employee ID'),
+        field('weekStart')
+            .isISO8601()
+            .withMessage('Week start date must be in ISO format'),
+        body('entries')
+            .optional()
+            .isArray()
+            .withMessage('Entries must be an array'),
+        body('entries.*.date')
+            .isISO8601()
+            .withMessage('Entry date must be in ISO format'),
+        body('entries.*.type')
+            .optional()
+            .isIn(['work', 'sick', 'vacation', 'unpaid_leave'])
+            .withMessage('Entry type must be work, sick, vacation or unpaid_leave'),
+        body(['entries.*.clockIn', 'entries.*.clockOut'])
+            .optional({ values: 'falsy' })
+            .isISO8601()
+            .withMessage('Clock times must be in ISO format'),
+        body('entries.*.breakMinutes')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Break minutes must be a whole number of at least zero'),
+        body('entries.*.hours')
+            .optional()
+            .isFloat({ min: 0, max: 24 })
+            .withMessage('Hours must be between 0 and 24')
+    ];
+};
+
+// Leave request validation rules
+const leaveRequestRules = () => {
+    return [
+        body('type')
+            .isIn(['vacation', 'sick', 'personal', 'maternity', 'paternity', 'bereavement', 'unpaid', 'other'])
+            .withMessage('Invalid leave type'),
+        body(['startDate', 'endDate'])
+            .isISO8601()
+            .withMessage('Start and end dates must be in ISO format'),
+        body('reason')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Reason must be at most 500 characters'),
+        body('payInAdvance')
+            .optional()
+            .isBoolean()
+            .withMessage('Pay in advance must be true or false')
+    ];
+};
+
+// Leave policy validation rules
+const leavePolicyRules = () => {
+    return [
+        body('accrualMethod')
+            .optional()
+            .isIn(['annual', 'per_pay_period', 'anniversary'])
+            .withMessage('Accrual method must be annual, per_pay_period or anniversary'),
+        body(['vacationDays', 'sickDays', 'carryOverCap', 'paternityDays'])
+            .optional()
+            .isFloat({ min: 0, max: 366 })
+            .withMessage('Leave days must be between 0 and 366'),
+        body('excludeProbation')
+            .optional()
+            .isBoolean()
+            .withMessage('Exclude probation must be true or false'),
+        body(['maternity.weeks', 'maternity.paidWeeks', 'maternity.qualifyingWeeks', 'maternity.maxPaidLeaves'])
+            .optional()
+            .isInt({ min: 0, max: 104 })
+            .withMessage('Maternity settings must be whole numbers between 0 and 104')
+    ];
+};
+
+// Employee update validation rules; salary and position changes may carry an effective date
+const employeeUpdateRules = () => {
+    return [
+        body('personalInfo.dateOfBirth')
+            .optional()
+            .isISO8601()
+            .withMessage('Date of birth must be in ISO format'),
+        body('employment.startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Start date must be in ISO format'),
+        body(['employment.position', 'employment.department'])
+            .optional()
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Position and department cannot be empty'),
+        body('employment.employmentType')
+            .optional()
+            .isIn(['full_time', 'part_time', 'contract', 'temporary', 'intern'])
+            .withMessage('Invalid employment type'),
+        body('employment.supervisor')
+            .optional()
+            .isMongoId()
+            .withMessage('Supervisor must be a valid employee ID'),
+        body('employment.workSchedule.hoursPerWeek')
+            .optional()
+            .isFloat({ min: 0, max: 168 })
+            .withMessage('Hours per week must be between 0 and 168'),
+        body('compensation.baseSalary.amount')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Salary amount must be zero or more'),
+        body('compensation.baseSalary.frequency')
+            .optional()
+            .isIn(['hourly', 'weekly', 'bi-weekly', 'monthly', 'annually'])
+            .withMessage('Invalid salary frequency'),
+        body(['taxInfo.trn', 'taxInfo.nis'])
+            .optional()
+            .matches(/^\d{9}$/)
+            .withMessage('TRN and NIS must be exactly 9 digits'),
+        body('effectiveDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Effective date must be in ISO format'),
+        body('reason')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Reason must be at most 500 characters')
+    ];
+};
+
+// Employee transfer validation rules
+const employeeTransferRules = () => {
+    return [
+        body(['position', 'department'])
+            .optional()
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Position and department cannot be empty'),
+        body('employmentType')
+            .optional()
+            .isIn(['full_time', 'part_time', 'contract', 'temporary', 'intern'])
+            .withMessage('Invalid employment type'),
+        body('supervisor')
+            .optional()
+            .isMongoId()
+            .withMessage('Supervisor must be a valid employee ID'),
+        body('effectiveDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Effective date must be in ISO format'),
+        body('reason')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Reason must be at most 500 characters')
+    ];
+};
+
+// Salary change validation rules
+const salaryChangeRules = () => {
+    return [
+        body('baseSalary.amount')
+            .isFloat({ min: 0 })
+            .withMessage('Salary amount must be zero or more'),
+        body('baseSalary.frequency')
+            .optional()
+            .isIn(['hourly', 'weekly', 'bi-weekly', 'monthly', 'annually'])
+            .withMessage('Invalid salary frequency'),
+        body('effectiveDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Effective date must be in ISO format'),
+        body('reason')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Reason must be at most 500 characters')
+    ];
+};
+
+// Termination validation rules
+const terminationRules = () => {
+    return [
+        body('type')
+            .isIn(['voluntary', 'involuntary', 'retirement', 'end_of_contract'])
+            .withMessage('Termination type must be voluntary, involuntary, retirement or end_of_contract'),
+        body(['date', 'finalPayDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Dates must be in ISO format'),
+        body('noticePeriod')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Notice period must be a whole number of days'),
+        body('exitInterviewCompleted')
+            .optional()
+            .isBoolean()
+            .withMessage('Exit interview completed must be true or false'),
+        body('reason')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Reason must be at most 500 characters')
     ];
 };
 
@@ -201,5 +776,22 @@ module.exports = {
     ...validation,
     transactionRules,
     payrollRules,
+    accountRules,
+    journalEntryRules,
+    bankImportProfileRules,
+    reconciliationRuleRules,
+    reconciliationSessionRules,
+    invoiceRules,
+    billRules,
+    contactRules,
+    taxRateSetRules,
+    paymentRules,
+    timesheetRules,
+    leaveRequestRules,
+    leavePolicyRules,
+    employeeUpdateRules,
+    employeeTransferRules,
+    salaryChangeRules,
+    terminationRules,
     validateInput
 };
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const accountSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true,
+    match: [/^\d{3,8}$/, 'Account code must be 3 to 8 digits']
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  class: {
+    type: String,
+    required: [true, 'Account class is required'],
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense']
+  },
+  subtype: {
+    type: String,
+    enum: [
+      'cash',
+      'bank',
+      'receivable',
+      'current_asset',
+      'fixed_asset',
+      'payable',
+      'current_liability',
+      'long_term_liability',
+      'equity',
+      'operating_revenue',
+      'other_revenue',
+      'cost_of_sales',
+      'operating_expense',
+      'other_expense'
+    ]
+  },
+  // Accounts the ledger posts to automatically (cash, GCT, receivables...)
+  systemRole: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  currency: {
+    type: String,
+    default: 'JMD'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+accountSchema.index({ business: 1, code: 1 }, { unique: true });
+accountSchema.index(
+  { business: 1, systemRole: 1 },
+  { unique: true, partialFilterExpression: { systemRole: { $type: 'string' } } }
+);
+accountSchema.index({ business: 1, class: 1 });
+
+// Virtual for the side that increases the account balance
+accountSchema.virtual('normalBalance').get(function() {
+  return ['asset', 'expense'].includes(this.class) ? 'debit' : 'credit';
+});
+
+// Static method to find an account by its code within a business
+accountSchema.statics.findByCode = function(businessId, code) {
+  return this.findOne({ business: businessId, code: String(code) });
+};
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const accountingPeriodSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  fiscalYear: {
+    type: Number,
+    required: [true, 'Fiscal year is required']
+  },
+  periodNumber: {
+    type: Number,
+    required: [true, 'Period number is required'],
+    min: 1,
+    max: 12
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Period start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Period end date is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedDate: Date,
+  // Set on the final period of the year once net income has been rolled into retained earnings
+  yearEndClosed: {
+    type: Boolean,
+    default: false
+  },
+  closingEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['closed', 'reopened', 'year_end_closed', 'year_end_reopened']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+accountingPeriodSchema.index({ business: 1, fiscalYear: 1, periodNumber: 1 }, { unique: true });
+accountingPeriodSchema.index({ business: 1, status: 1, startDate: 1, endDate: 1 });
+
+// Method to close the period
+accountingPeriodSchema.methods.close = function(userId, reason) {
+  this.status = 'closed';
+  this.closedBy = userId;
+  this.closedDate = new Date();
+  this.history.push({ action: 'closed', user: userId, reason });
+  return this.save();
+};
+
+// Method to reopen the period
+accountingPeriodSchema.methods.reopen = function(userId, reason) {
+  this.status = 'open';
+  this.history.push({ action: 'reopened', user: userId, reason });
+  return this.save();
+};
+
+// Static method to find a closed period covering any of the given dates
+accountingPeriodSchema.statics.findClosedPeriod = function(businessId, dates) {
+  const validDates = dates.filter(Boolean).map(date => new Date(date));
+  if (validDates.length === 0) return Promise.resolve(null);
+
+  return this.findOne({
+    business: businessId,
+    status: 'closed',
+    $or: validDates.map(date => ({
+      startDate: { $lte: date },
+      endDate: { $gte: date }
+    }))
+  });
+};
+
+module.exports = mongoose.model('AccountingPeriod', accountingPeriodSchema);
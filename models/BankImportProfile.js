@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Column references are either a header name (matched case-insensitively) or a zero-based column index
+const bankImportProfileSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [100, 'Profile name cannot exceed 100 characters']
+  },
+  bankName: {
+    type: String,
+    trim: true
+  },
+  delimiter: {
+    type: String,
+    default: ',',
+    maxlength: [1, 'Delimiter must be a single character']
+  },
+  hasHeaderRow: {
+    type: Boolean,
+    default: true
+  },
+  skipRows: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'YYYYMMDD'],
+    default: 'DD/MM/YYYY'
+  },
+  columns: {
+    date: {
+      type: String,
+      required: [true, 'Date column is required']
+    },
+    description: {
+      type: String,
+      required: [true, 'Description column is required']
+    },
+    reference: String,
+    counterparty: String,
+    amount: String,
+    debit: String,
+    credit: String,
+    balance: String
+  },
+  // Whether a positive value in a single amount column is money in or money out
+  amountSign: {
+    type: String,
+    enum: ['credit_positive', 'debit_positive'],
+    default: 'credit_positive'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bankImportProfileSchema.index({ business: 1, name: 1 }, { unique: true });
+
+// Pre-validate middleware to require an amount column or debit/credit columns
+bankImportProfileSchema.pre('validate', function(next) {
+  const { amount, debit, credit } = this.columns || {};
+  if (!amount && !debit && !credit) {
+    this.invalidate('columns', 'Map either an amount column or debit/credit columns');
+  }
+  next();
+});
+
+module.exports = mongoose.model('BankImportProfile', bankImportProfileSchema);
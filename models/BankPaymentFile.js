@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A bulk salary payment file generated for a payroll run. The run is marked paid only when
+// a file is confirmed as accepted by the bank; generating another file supersedes any
+// earlier unconfirmed one.
+const bankPaymentFileSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun',
+    required: [true, 'Payroll run is required']
+  },
+  layout: {
+    type: String,
+    required: [true, 'Layout is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  contentType: String,
+  content: {
+    type: String,
+    required: [true, 'File content is required'],
+    select: false
+  },
+  checksum: String,
+  valueDate: Date,
+  controlTotals: {
+    recordCount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    hashTotal: String
+  },
+  // Who is paid by the file, with the account details used
+  records: [{
+    payroll: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payroll'
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    employeeId: String,
+    name: String,
+    bankName: String,
+    transit: String,
+    accountNumber: String,
+    amount: Number,
+    _id: false
+  }],
+  // Payslips paid some other way
+  excluded: [{
+    payroll: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payroll'
+    },
+    employeeId: String,
+    reason: String,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['generated', 'confirmed', 'superseded'],
+    default: 'generated'
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Generated by user is required']
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: Date,
+  bankReference: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bankPaymentFileSchema.index({ payrollRun: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BankPaymentFile', bankPaymentFileSchema);
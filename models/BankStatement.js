@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const bankStatementSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Bank account is required']
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx', 'camt053']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // Name of the CSV column-mapping profile used for the import
+  profile: String,
+  accountNumber: String,
+  currency: {
+    type: String,
+    default: 'JMD'
+  },
+  startDate: Date,
+  endDate: Date,
+  openingBalance: Number,
+  closingBalance: Number,
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Imported by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bankStatementSchema.index({ business: 1, bankAccount: 1, endDate: -1 });
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
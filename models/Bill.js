@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const { GCT_TAX_CODES, splitGct } = require('../services/taxRates');
+
+const PAYMENT_TERMS = {
+  due_on_receipt: 0,
+  net_7: 7,
+  net_15: 15,
+  net_30: 30,
+  net_45: 45,
+  net_60: 60
+};
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const billLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line description is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity must be positive']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price must be positive']
+  },
+  // Expense or asset account the line is posted to; defaults to general expenses
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  isTaxable: {
+    type: Boolean,
+    default: true
+  },
+  // GCT tax code the rate was taken from, at the rate in force on the document date
+  taxCode: {
+    type: String,
+    enum: GCT_TAX_CODES
+  },
+  gctRate: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  gctAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+const billPaymentSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Payment date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'cheque', 'bank_transfer', 'credit_card', 'debit_card', 'mobile_money', 'other']
+  },
+  reference: String,
+  paymentAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const billSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  billNumber: {
+    type: String
+    // Assigned when the bill is submitted for approval
+  },
+  // The supplier's own invoice number
+  vendorInvoiceNumber: {
+    type: String,
+    trim: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  // Supplier details as they were when the bill was recorded
+  vendor: {
+    name: {
+      type: String,
+      required: [true, 'Vendor name is required'],
+      trim: true
+    },
+    trn: String,
+    address: String,
+    phone: String,
+    email: String
+  },
+  billDate: {
+    type: Date,
+    required: [true, 'Bill date is required'],
+    default: Date.now
+  },
+  paymentTerms: {
+    type: String,
+    enum: [...Object.keys(PAYMENT_TERMS), 'custom'],
+    default: 'net_30'
+  },
+  dueDate: Date,
+  currency: {
+    type: String,
+    default: 'JMD',
+    enum: ['JMD', 'USD', 'EUR', 'GBP', 'CAD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  // When set, line prices include GCT and the tax is worked out of them
+  amountsIncludeGct: {
+    type: Boolean,
+    default: false
+  },
+  lineItems: {
+    type: [billLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A bill needs at least one line item'
+    }
+  },
+  // Same shape as Transaction.taxInfo.withholdingTax; withheld from the supplier and paid to TAJ
+  withholdingTax: {
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  gctTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // What is owed to the supplier: total less withholding tax
+  amountPayable: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  payments: [billPaymentSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'awaiting_approval', 'approved', 'partially_paid', 'paid', 'void'],
+    default: 'draft'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedDate: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedDate: Date,
+  rejectionReason: String,
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  notes: String,
+  attachments: [{
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    path: String,
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  voidedDate: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+billSchema.index({ business: 1, billNumber: 1 }, { unique: true, sparse: true });
+billSchema.index({ business: 1, status: 1, dueDate: 1 });
+billSchema.index({ business: 1, billDate: -1 });
+billSchema.index({ 'vendor.name': 1 });
+billSchema.index({ contact: 1, status: 1 });
+
+// Pre-validate middleware to total the lines, apply withholding, set the due date and track payment status
+billSchema.pre('validate', function(next) {
+  let subtotal = 0;
+  let gctTotal = 0;
+
+  this.lineItems.forEach(line => {
+    const split = splitGct(line.quantity * line.unitPrice, line.isTaxable ? line.gctRate || 0 : 0, this.amountsIncludeGct);
+    line.amount = split.net;
+    line.gctAmount = split.gct;
+    line.total = split.gross;
+    subtotal += line.amount;
+    gctTotal += line.gctAmount;
+  });
+
+  this.subtotal = roundCurrency(subtotal);
+  this.gctTotal = roundCurrency(gctTotal);
+  this.total = roundCurrency(subtotal + gctTotal);
+
+  // Withholding is calculated on the amount before GCT
+  this.withholdingTax.amount = roundCurrency(this.subtotal * (this.withholdingTax.rate || 0));
+  this.amountPayable = roundCurrency(this.total - this.withholdingTax.amount);
+  this.amountPaid = roundCurrency(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.balanceDue = roundCurrency(this.amountPayable - this.amountPaid);
+
+  if (this.paymentTerms !== 'custom' || !this.dueDate) {
+    const days = PAYMENT_TERMS[this.paymentTerms] || 0;
+    this.dueDate = new Date(new Date(this.billDate).getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (['approved', 'partially_paid', 'paid'].includes(this.status)) {
+    if (this.amountPaid <= 0) this.status = 'approved';
+    else if (this.balanceDue > 0) this.status = 'partially_paid';
+    else this.status = 'paid';
+  }
+
+  next();
+});
+
+// Keep the supplier's outstanding balance in step with the bill
+billSchema.post('save', async function() {
+  if (this.contact) await mongoose.model('Contact').refreshBalance(this.contact);
+});
+
+// Virtual for overdue bills
+billSchema.virtual('isOverdue').get(function() {
+  return ['approved', 'partially_paid'].includes(this.status) && this.dueDate < new Date();
+});
+
+// Method to assign the next bill number
+billSchema.methods.assignNumber = async function() {
+  if (this.billNumber) return this.billNumber;
+
+  const count = await this.constructor.countDocuments({
+    business: this.business,
+    billNumber: { $exists: true }
+  });
+  const year = new Date().getFullYear();
+  this.billNumber = `BILL-${year}-${String(count + 1).padStart(6, '0')}`;
+  return this.billNumber;
+};
+
+billSchema.statics.PAYMENT_TERMS = PAYMENT_TERMS;
+
+module.exports = mongoose.model('Bill', billSchema);
@@ -189,6 +189,22 @@ const businessSchema = new mongoose.Schema({
     publicHolidayRate: {
       type: Number,
       default: 2.0
+    },
+    // Cumulative trues up PAYE each period against the liability for the year to date
+    payeMethod: {
+      type: String,
+      enum: ['non_cumulative', 'cumulative'],
+      default: 'non_cumulative'
+    },
+    // Defaults for salary payment files sent to the bank
+    bankFile: {
+      layout: {
+        type: String,
+        default: 'generic_csv'
+      },
+      companyId: String,
+      transit: String,
+      accountNumber: String
     }
   },
   taxSettings: {
@@ -204,6 +220,10 @@ const businessSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    nhtRegistered: {
+      type: Boolean,
+      default: false
+    },
     heartTrustRegistered: {
       type: Boolean,
       default: false
@@ -217,6 +237,70 @@ const businessSchema = new mongoose.Schema({
       default: () => new Date().getFullYear()
     }
   },
+  // How leave is earned. Vacation and sick days are working days per leave year.
+  leavePolicy: {
+    // annual: the year's entitlement up front (pro rata in the first year)
+    // per_pay_period: earned a pay period at a time
+    // anniversary: the full entitlement on each anniversary of the start date
+    accrualMethod: {
+      type: String,
+      enum: ['annual', 'per_pay_period', 'anniversary'],
+      default: 'annual'
+    },
+    vacationDays: {
+      type: Number,
+      default: 14,
+      min: 0
+    },
+    sickDays: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    // Unused vacation days that move into the next leave year
+    carryOverCap: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    // Vacation is not earned while an employee is on probation
+    excludeProbation: {
+      type: Boolean,
+      default: true
+    },
+    // Maternity Leave Act: 12 weeks' leave, 8 of them paid, after 52 weeks' continuous
+    // service, paid no more than three times by the same employer
+    maternity: {
+      weeks: { type: Number, default: 12, min: 0 },
+      paidWeeks: { type: Number, default: 8, min: 0 },
+      qualifyingWeeks: { type: Number, default: 52, min: 0 },
+      maxPaidLeaves: { type: Number, default: 3, min: 0 }
+    },
+    // Working days. No statute sets paternity leave for the private sector, so this is
+    // company policy.
+    paternityDays: {
+      type: Number,
+      default: 10,
+      min: 0
+    }
+  },
+  // Days the business is closed on top of the public holidays
+  holidayClosures: [{
+    date: {
+      type: Date,
+      required: [true, 'Closure date is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Closure name is required'],
+      trim: true
+    },
+    // Whether hours worked that day earn the public holiday rate
+    holidayPay: {
+      type: Boolean,
+      default: false
+    }
+  }],
   fiscalYearEnd: {
     type: Date,
     default: () => new Date(new Date().getFullYear(), 2, 31) // March 31st
@@ -269,11 +353,11 @@ businessSchema.methods.addEmployee = function(employeeData) {
 };
 
 // Method to deactivate employee
-businessSchema.methods.deactivateEmployee = function(userId) {
-  const employee = this.employees.find(emp => emp.user.toString() === userId.toString());
+businessSchema.methods.deactivateEmployee = function(userId, endDate = new Date()) {
+  const employee = this.employees.find(emp => emp.user?.toString() === userId.toString());
   if (employee) {
     employee.isActive = false;
-    employee.endDate = new Date();
+    employee.endDate = endDate;
   }
   return this.save();
 }
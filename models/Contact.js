@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_TERMS = ['due_on_receipt', 'net_7', 'net_15', 'net_30', 'net_45', 'net_60', 'custom'];
+
+// Lower-case a name and drop punctuation and repeated spaces so "A.B.C. Ltd" and "abc  ltd" compare equal
+const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+// Customer or supplier master record; invoices, bills and transactions link to it
+// and keep a copy of the name and TRN as they were at the time
+const contactSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Contact type is required'],
+    enum: ['customer', 'vendor', 'both']
+  },
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  normalizedName: {
+    type: String,
+    index: true
+  },
+  trn: {
+    type: String,
+    // Accept the printed 123-456-789 form
+    set: value => (value ? String(value).replace(/[\s-]/g, '') : value),
+    match: [/^\d{9}$/, 'TRN must be exactly 9 digits']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: String,
+  address: String,
+  defaultPaymentTerms: {
+    type: String,
+    enum: PAYMENT_TERMS,
+    default: 'net_30'
+  },
+  // Category used for supplier bills and expenses when none is given
+  defaultExpenseCategory: {
+    type: String,
+    trim: true
+  },
+  defaultExpenseAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Outstanding amounts in JMD, kept up to date as invoices and bills change
+  balance: {
+    receivable: {
+      type: Number,
+      default: 0
+    },
+    payable: {
+      type: Number,
+      default: 0
+    }
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+contactSchema.index({ business: 1, type: 1, isActive: 1 });
+contactSchema.index({ business: 1, trn: 1 });
+
+contactSchema.pre('validate', function(next) {
+  this.normalizedName = normalizeName(this.name);
+  next();
+});
+
+// Virtual for the net balance: positive when the contact owes the business
+contactSchema.virtual('netBalance').get(function() {
+  return roundCurrency(this.balance.receivable - this.balance.payable);
+});
+
+// Copy of the contact stored on invoices, bills and transactions
+contactSchema.methods.toSnapshot = function() {
+  return {
+    name: this.name,
+    trn: this.trn,
+    address: this.address,
+    phone: this.phone,
+    email: this.email
+  };
+};
+
+// Static method to recalculate what a contact owes and is owed from open invoices and bills
+contactSchema.statics.refreshBalance = async function(contactId) {
+  if (!contactId) return null;
+
+  const contact = new mongoose.Types.ObjectId(contactId);
+  const outstanding = (model, statuses) => model.aggregate([
+    { $match: { contact, status: { $in: statuses } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $multiply: ['$balanceDue', { $ifNull: ['$exchangeRate', 1] }] } }
+      }
+    }
+  ]);
+
+  const [receivable, payable] = await Promise.all([
+    outstanding(mongoose.model('Invoice'), ['sent', 'partially_paid']),
+    outstanding(mongoose.model('Bill'), ['approved', 'partially_paid'])
+  ]);
+
+  return this.findByIdAndUpdate(contactId, {
+    'balance.receivable': roundCurrency(receivable[0]?.total),
+    'balance.payable': roundCurrency(payable[0]?.total)
+  }, { new: true });
+};
+
+contactSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Per-business running sequences for document numbers, advanced atomically so concurrent
+// saves never hand out the same number.
+const counterSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ business: 1, name: 1 }, { unique: true });
+
+// Static method to take the next number in a sequence. A new counter starts from what
+// seed() returns, so numbering carries on from documents created before it existed.
+counterSchema.statics.next = async function(business, name, seed) {
+  if (!(await this.exists({ business, name }))) {
+    const initial = seed ? await seed() : 0;
+    try {
+      await this.updateOne({ business, name }, { $setOnInsert: { seq: initial } }, { upsert: true });
+    } catch (error) {
+      // Another save created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { business, name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -255,21 +255,46 @@ const employeeSchema = new mongoose.Schema({
     requests: [{
       type: {
         type: String,
-        enum: ['vacation', 'sick', 'personal', 'maternity', 'paternity', 'bereavement', 'other']
+        enum: ['vacation', 'sick', 'personal', 'maternity', 'paternity', 'bereavement', 'unpaid', 'other']
       },
       startDate: Date,
       endDate: Date,
+      // Working days, or calendar days for maternity leave
       days: Number,
+      // Days paid at the normal rate; the rest of the request is unpaid
+      paidDays: Number,
+      // Vacation only: pay the days falling after the pay period the leave starts in on that
+      // period's payslip instead of the later ones
+      payInAdvance: {
+        type: Boolean,
+        default: false
+      },
+      advancePay: {
+        payroll: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Payroll'
+        },
+        days: Number,
+        dailyRate: Number,
+        amount: Number
+      },
       reason: String,
       status: {
         type: String,
-        enum: ['pending', 'approved', 'denied'],
+        enum: ['pending', 'approved', 'denied', 'cancelled'],
         default: 'pending'
       },
       approvedBy: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Employee'
+        ref: 'User'
       },
+      processedDate: Date,
+      decisionReason: String,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      cancelledDate: Date,
       requestDate: {
         type: Date,
         default: Date.now
@@ -292,8 +317,106 @@ const employeeSchema = new mongoose.Schema({
     exitInterviewCompleted: {
       type: Boolean,
       default: false
+    },
+    terminatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
-  }
+  },
+  // Effective-dated salary changes. Changes made by anyone but the business owner wait for the
+  // owner's approval; approved changes go onto compensation once their effective date arrives.
+  compensationHistory: [{
+    effectiveDate: {
+      type: Date,
+      required: [true, 'Effective date is required']
+    },
+    baseSalary: {
+      amount: {
+        type: Number,
+        required: [true, 'Salary amount is required'],
+        min: [0, 'Salary must be positive']
+      },
+      currency: {
+        type: String,
+        default: 'JMD'
+      },
+      frequency: {
+        type: String,
+        enum: ['hourly', 'weekly', 'bi-weekly', 'monthly', 'annually'],
+        default: 'monthly'
+      }
+    },
+    // Salary the change replaced, recorded when it is applied
+    previousSalary: {
+      amount: Number,
+      currency: String,
+      frequency: String
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    applied: {
+      type: Boolean,
+      default: false
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    decisionReason: String
+  }],
+  // Effective-dated changes of position, department, employment type and supervisor
+  positionHistory: [{
+    effectiveDate: {
+      type: Date,
+      required: [true, 'Effective date is required']
+    },
+    position: String,
+    department: String,
+    employmentType: {
+      type: String,
+      enum: ['full_time', 'part_time', 'contract', 'temporary', 'intern']
+    },
+    supervisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    // What the change replaced, recorded when it is applied
+    previous: {
+      position: String,
+      department: String,
+      employmentType: String,
+      supervisor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+      }
+    },
+    reason: String,
+    applied: {
+      type: Boolean,
+      default: false
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -378,33 +501,98 @@ employeeSchema.methods.requestLeave = function(leaveData) {
   return this.save();
 };
 
-// Method to approve/deny leave
-employeeSchema.methods.processLeaveRequest = function(requestId, status, approverId) {
+// Method to approve/deny/cancel leave. Days used are worked out from the approved requests
+// by the leave service, which refreshes the balances above.
+employeeSchema.methods.processLeaveRequest = function(requestId, status, userId, reason) {
   const request = this.leave.requests.id(requestId);
   if (request) {
     request.status = status;
-    request.approvedBy = approverId;
-    
-    // If approved, update used days
-    if (status === 'approved') {
-      if (request.type === 'vacation') {
-        this.leave.vacationDays.used += request.days;
-      } else if (request.type === 'sick') {
-        this.leave.sickDays.used += request.days;
-      }
+
+    if (status === 'cancelled') {
+      request.cancelledBy = userId;
+      request.cancelledDate = new Date();
+    } else {
+      request.approvedBy = userId;
+      request.processedDate = new Date();
+      request.decisionReason = reason;
     }
   }
   return this.save();
 };
 
-// Method to terminate employee
+// Method to approve or reject a pending salary change
+employeeSchema.methods.reviewSalaryChange = function(changeId, approved, userId, reason) {
+  const change = this.compensationHistory.id(changeId);
+  if (change) {
+    change.status = approved ? 'approved' : 'rejected';
+    change.reviewedBy = userId;
+    change.reviewedAt = new Date();
+    change.decisionReason = reason;
+  }
+  return change;
+};
+
+// Method to put approved salary changes and position changes whose effective date has come
+// onto the employee. Returns whether anything changed; the caller saves.
+employeeSchema.methods.applyDueChanges = function(asOf = new Date()) {
+  const due = (record) => !record.applied && record.effectiveDate <= asOf;
+  const byDate = (a, b) => a.effectiveDate - b.effectiveDate;
+  let changed = false;
+
+  this.compensationHistory
+    .filter(record => record.status === 'approved' && due(record))
+    .sort(byDate)
+    .forEach(record => {
+      const { amount, currency, frequency } = this.compensation.baseSalary;
+      record.previousSalary = { amount, currency, frequency };
+      this.compensation.baseSalary = {
+        amount: record.baseSalary.amount,
+        currency: record.baseSalary.currency,
+        frequency: record.baseSalary.frequency
+      };
+      record.applied = true;
+      changed = true;
+    });
+
+  this.positionHistory
+    .filter(due)
+    .sort(byDate)
+    .forEach(record => {
+      const { position, department, employmentType, supervisor } = this.employment;
+      record.previous = { position, department, employmentType, supervisor };
+      ['position', 'department', 'employmentType', 'supervisor'].forEach(field => {
+        if (record[field]) this.employment[field] = record[field];
+      });
+      record.applied = true;
+      changed = true;
+    });
+
+  return changed;
+};
+
+// Method to terminate employee. Salary changes awaiting approval lapse, and leave that is
+// pending or falls after the last day is cancelled.
 employeeSchema.methods.terminate = function(terminationData) {
+  const date = terminationData.date || new Date();
   this.isActive = false;
-  this.employment.endDate = terminationData.date || new Date();
+  this.employment.endDate = date;
   this.terminationInfo = {
     ...terminationData,
-    date: terminationData.date || new Date()
+    date
   };
+
+  this.compensationHistory
+    .filter(change => change.status === 'pending')
+    .forEach(change => { change.status = 'cancelled'; });
+
+  this.leave.requests
+    .filter(request => request.status === 'pending' || (request.status === 'approved' && request.startDate > date))
+    .forEach(request => {
+      request.status = 'cancelled';
+      request.cancelledBy = terminationData.terminatedBy;
+      request.cancelledDate = new Date();
+    });
+
   return this.save();
 };
 
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const { GCT_TAX_CODES, splitGct } = require('../services/taxRates');
+
+const PAYMENT_TERMS = {
+  due_on_receipt: 0,
+  net_7: 7,
+  net_15: 15,
+  net_30: 30,
+  net_45: 45,
+  net_60: 60
+};
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line description is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity must be positive']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price must be positive']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount must be positive']
+  },
+  // Revenue account the line is posted to; defaults to the sales revenue account
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  isTaxable: {
+    type: Boolean,
+    default: true
+  },
+  // GCT category of the goods or services, used to spot exempt supplies
+  gctCategory: {
+    type: String,
+    trim: true
+  },
+  // GCT tax code the rate was taken from, at the rate in force on the document date
+  taxCode: {
+    type: String,
+    enum: GCT_TAX_CODES
+  },
+  gctRate: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  gctAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+const invoicePaymentSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Payment date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'cheque', 'bank_transfer', 'credit_card', 'debit_card', 'mobile_money', 'other']
+  },
+  reference: String,
+  depositAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const invoiceSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  invoiceNumber: {
+    type: String
+    // Assigned when the invoice is issued so drafts do not use up numbers
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  // Customer details as they were when the invoice was raised
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    trn: String,
+    address: String,
+    phone: String,
+    email: String
+  },
+  issueDate: {
+    type: Date,
+    required: [true, 'Issue date is required'],
+    default: Date.now
+  },
+  paymentTerms: {
+    type: String,
+    enum: [...Object.keys(PAYMENT_TERMS), 'custom'],
+    default: 'net_30'
+  },
+  dueDate: Date,
+  currency: {
+    type: String,
+    default: 'JMD',
+    enum: ['JMD', 'USD', 'EUR', 'GBP', 'CAD']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  // When set, line prices include GCT and the tax is worked out of them
+  amountsIncludeGct: {
+    type: Boolean,
+    default: false
+  },
+  lineItems: {
+    type: [invoiceLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'An invoice needs at least one line item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  gctTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  payments: [invoicePaymentSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_paid', 'paid', 'void'],
+    default: 'draft'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: String,
+  terms: String,
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  sentDate: Date,
+  voidedDate: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+invoiceSchema.index({ business: 1, invoiceNumber: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ business: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ business: 1, issueDate: -1 });
+invoiceSchema.index({ 'customer.name': 1 });
+invoiceSchema.index({ contact: 1, status: 1 });
+
+// Pre-validate middleware to total the lines, set the due date and track payment status
+invoiceSchema.pre('validate', function(next) {
+  let subtotal = 0;
+  let gctTotal = 0;
+
+  this.lineItems.forEach(line => {
+    const split = splitGct(
+      line.quantity * line.unitPrice - (line.discount || 0),
+      line.isTaxable ? line.gctRate || 0 : 0,
+      this.amountsIncludeGct
+    );
+    line.amount = split.net;
+    line.gctAmount = split.gct;
+    line.total = split.gross;
+    subtotal += line.amount;
+    gctTotal += line.gctAmount;
+  });
+
+  this.subtotal = roundCurrency(subtotal);
+  this.gctTotal = roundCurrency(gctTotal);
+  this.total = roundCurrency(subtotal + gctTotal);
+  this.amountPaid = roundCurrency(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.balanceDue = roundCurrency(this.total - this.amountPaid);
+
+  if (this.paymentTerms !== 'custom' || !this.dueDate) {
+    const days = PAYMENT_TERMS[this.paymentTerms] || 0;
+    this.dueDate = new Date(new Date(this.issueDate).getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (['sent', 'partially_paid', 'paid'].includes(this.status)) {
+    if (this.amountPaid <= 0) this.status = 'sent';
+    else if (this.balanceDue > 0) this.status = 'partially_paid';
+    else this.status = 'paid';
+  }
+
+  next();
+});
+
+// Keep the customer's outstanding balance in step with the invoice
+invoiceSchema.post('save', async function() {
+  if (this.contact) await mongoose.model('Contact').refreshBalance(this.contact);
+});
+
+// Virtual for overdue invoices
+invoiceSchema.virtual('isOverdue').get(function() {
+  return ['sent', 'partially_paid'].includes(this.status) && this.dueDate < new Date();
+});
+
+// Method to assign the next invoice number when the invoice is issued
+invoiceSchema.methods.assignNumber = async function() {
+  if (this.invoiceNumber) return this.invoiceNumber;
+
+  const count = await this.constructor.countDocuments({
+    business: this.business,
+    invoiceNumber: { $exists: true }
+  });
+  const year = new Date().getFullYear();
+  this.invoiceNumber = `INV-${year}-${String(count + 1).padStart(6, '0')}`;
+  return this.invoiceNumber;
+};
+
+invoiceSchema.statics.PAYMENT_TERMS = PAYMENT_TERMS;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
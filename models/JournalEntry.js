@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit must be positive']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit must be positive']
+  }
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  entryNumber: {
+    type: String
+    // Generated in pre-save hook; not required at input time
+  },
+  date: {
+    type: Date,
+    required: [true, 'Entry date is required'],
+    default: Date.now
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: {
+      type: String,
+      enum: [
+        'manual',
+        'transaction',
+        'opening_balance',
+        'period_close',
+        'invoice',
+        'invoice_payment',
+        'bill',
+        'bill_payment',
+        'payroll_run'
+      ],
+      default: 'manual'
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'JMD'
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'void'],
+    default: 'posted'
+  },
+  voidedDate: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+journalEntrySchema.index({ business: 1, date: -1 });
+journalEntrySchema.index({ business: 1, entryNumber: 1 }, { unique: true, sparse: true });
+journalEntrySchema.index({ 'lines.account': 1 });
+journalEntrySchema.index({ 'source.type': 1, 'source.document': 1 });
+journalEntrySchema.index({ status: 1 });
+
+// Pre-validate middleware to total the lines and enforce double entry
+journalEntrySchema.pre('validate', function(next) {
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  this.lines.forEach((line, index) => {
+    line.debit = Math.round((line.debit || 0) * 100) / 100;
+    line.credit = Math.round((line.credit || 0) * 100) / 100;
+
+    if ((line.debit > 0) === (line.credit > 0)) {
+      this.invalidate(`lines.${index}`, 'Each line must have either a debit or a credit amount');
+    }
+
+    totalDebit += line.debit;
+    totalCredit += line.credit;
+  });
+
+  this.totalDebit = Math.round(totalDebit * 100) / 100;
+  this.totalCredit = Math.round(totalCredit * 100) / 100;
+
+  if (this.totalDebit !== this.totalCredit) {
+    this.invalidate('lines', `Journal entry does not balance (debits ${this.totalDebit}, credits ${this.totalCredit})`);
+  }
+
+  next();
+});
+
+// Pre-save middleware to generate entry number: one running sequence per business,
+// prefixed with the year of the entry date
+journalEntrySchema.pre('save', async function(next) {
+  if (this.isNew && !this.entryNumber) {
+    const sequence = await Counter.next(this.business, 'journal_entry',
+      () => this.constructor.countDocuments({ business: this.business }));
+    const year = new Date(this.date).getFullYear();
+    this.entryNumber = `JE-${year}-${String(sequence).padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Method to void a posted entry
+journalEntrySchema.methods.void = function(userId, reason) {
+  this.status = 'void';
+  this.voidedDate = new Date();
+  this.voidedBy = userId;
+  this.voidReason = reason;
+  return this.save();
+};
+
+// Static method to get debit/credit totals per account
+journalEntrySchema.statics.getAccountBalances = async function(businessId, { startDate, endDate, excludeSourceTypes } = {}) {
+  const match = {
+    business: new mongoose.Types.ObjectId(businessId),
+    status: 'posted'
+  };
+
+  if (excludeSourceTypes && excludeSourceTypes.length > 0) {
+    match['source.type'] = { $nin: excludeSourceTypes };
+  }
+
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
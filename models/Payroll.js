@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const PayrollYtd = require('./PayrollYtd');
+const { getPayrollTaxRates } = require('../services/taxRates');
+const {
+  calculateStatutoryDeductions,
+  taxPeriodNumber,
+  calculateCumulativePaye
+} = require('../services/payrollDeductions');
 
 const payrollSchema = new mongoose.Schema({
   business: {
@@ -11,10 +18,17 @@ const payrollSchema = new mongoose.Schema({
     ref: 'Employee',
     required: [true, 'Employee is required']
   },
+  // Pay run the payslip belongs to; empty for payslips entered one at a time
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun'
+  },
   payrollNumber: {
     type: String,
     // Generated in pre-save hook; not required at input time
   },
+  // Calendar year of the pay date, for year-to-date totals
+  taxYear: Number,
   payPeriod: {
     startDate: {
       type: Date,
@@ -53,6 +67,24 @@ const payrollSchema = new mongoose.Schema({
         min: 0
       }
     },
+    // Hours worked on public holidays, paid at the business's public holiday rate
+    holidayPay: {
+      hours: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      rate: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
     allowances: [{
       type: {
         type: String,
@@ -83,6 +115,12 @@ const payrollSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Vacation days in later pay periods paid ahead on this payslip
+    vacationAdvance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     grossEarnings: {
       type: Number,
       required: true,
@@ -91,10 +129,21 @@ const payrollSchema = new mongoose.Schema({
   },
   deductions: {
     paye: {
+      // Gross pay less NIS and approved pension contributions
+      statutoryIncome: {
+        type: Number,
+        default: 0
+      },
       taxableIncome: {
         type: Number,
         default: 0
       },
+      // PAYE for this period on its own; differs from amount under the cumulative method
+      nonCumulativeAmount: {
+        type: Number,
+        default: 0
+      },
+      // Highest bracket rate reached this period
       rate: {
         type: Number,
         default: 0
@@ -127,15 +176,16 @@ const payrollSchema = new mongoose.Schema({
         min: 0
       }
     },
-    heartTrust: {
-      rate: {
-        type: Number,
-        default: 0.03 // 3%
-      },
-      amount: {
+    // National Housing Trust
+    nht: {
+      contribution: {
         type: Number,
         default: 0,
         min: 0
+      },
+      rate: {
+        type: Number,
+        default: 0.02 // 2% for employee
       }
     },
     pension: {
@@ -184,6 +234,29 @@ const payrollSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Paid by the employer on top of gross pay; HEART Trust/NTA is employer only
+  employerContributions: {
+    nis: { type: Number, default: 0, min: 0 },
+    educationTax: { type: Number, default: 0, min: 0 },
+    nht: { type: Number, default: 0, min: 0 },
+    heartTrust: { type: Number, default: 0, min: 0 },
+    pension: { type: Number, default: 0, min: 0 },
+    total: { type: Number, default: 0, min: 0 }
+  },
+  // One line per statutory deduction with its base, rates and employee and employer amounts
+  statutoryBreakdown: [{
+    code: {
+      type: String,
+      enum: ['paye', 'nis', 'education_tax', 'nht', 'heart_trust', 'pension']
+    },
+    description: String,
+    base: Number,
+    rate: Number,
+    employerRate: Number,
+    employeeAmount: Number,
+    employerAmount: Number,
+    _id: false
+  }],
   paymentInfo: {
     payDate: {
       type: Date,
@@ -238,7 +311,39 @@ const payrollSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // Approved leave in the pay period and what it did to basic pay (set by run calculation)
+  leave: {
+    vacationDays: { type: Number, default: 0 },
+    sickDays: { type: Number, default: 0 },
+    otherPaidDays: { type: Number, default: 0 },
+    unpaidDays: { type: Number, default: 0 },
+    dailyRate: { type: Number, default: 0 },
+    unpaidDeduction: { type: Number, default: 0 },
+    advanceDays: { type: Number, default: 0 },
+    // Vacation in this period already paid on an earlier payslip
+    advanceRecoveredDays: { type: Number, default: 0 },
+    advanceRecovered: { type: Number, default: 0 },
+    flags: [String]
+  },
   jamaicaTaxCalculation: {
+    // Rate set in force on the pay date (empty when the built-in rates applied)
+    rateSet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRateSet'
+    },
+    rateSetName: String,
+    payeMethod: {
+      type: String,
+      enum: ['non_cumulative', 'cumulative'],
+      default: 'non_cumulative'
+    },
+    periodsPerYear: Number,
+    periodNumber: Number,
+    nisMaxAnnualIncome: Number,
+    nisEmployerRate: Number,
+    educationTaxEmployerRate: Number,
+    nhtEmployerRate: Number,
+    heartTrustEmployerRate: Number,
     payeThreshold: {
       type: Number,
       default: 1000000 // JMD 1M annually threshold for 2024
@@ -290,7 +395,9 @@ payrollSchema.index({ business: 1, 'payPeriod.startDate': -1 });
 payrollSchema.index({ employee: 1, 'payPeriod.startDate': -1 });
 payrollSchema.index({ payrollNumber: 1 });
 payrollSchema.index({ status: 1 });
+payrollSchema.index({ payrollRun: 1 });
 payrollSchema.index({ 'paymentInfo.payDate': 1 });
+payrollSchema.index({ employee: 1, 'paymentInfo.payDate': 1 });
 
 // Pre-save middleware to generate payroll number and calculate amounts
 payrollSchema.pre('save', async function(next) {
@@ -301,9 +408,16 @@ payrollSchema.pre('save', async function(next) {
       const month = String(new Date().getMonth() + 1).padStart(2, '0');
       this.payrollNumber = `PAY-${year}${month}-${String(count + 1).padStart(5, '0')}`;
     }
+
+    const taxYear = new Date(this.paymentInfo.payDate).getFullYear();
+    if (this.taxYear && this.taxYear !== taxYear) this.$locals.previousTaxYear = this.taxYear;
+    this.taxYear = taxYear;
+
+    // Approved and paid figures are locked: approving or paying must not recalculate them
+    if (!this.isNew && ['approved', 'paid'].includes(this.status)) return next();
     
     // Calculate gross earnings
-    let grossEarnings = this.earnings.basicSalary + this.earnings.overtime.amount + this.earnings.bonus + this.earnings.commission + this.earnings.backPay;
+    let grossEarnings = this.earnings.basicSalary + this.earnings.overtime.amount + this.earnings.holidayPay.amount + this.earnings.bonus + this.earnings.commission + this.earnings.backPay + this.earnings.vacationAdvance;
     
     // Add taxable allowances
     this.earnings.allowances.forEach(allowance => {
@@ -321,7 +435,7 @@ payrollSchema.pre('save', async function(next) {
     let totalDeductions = this.deductions.paye.amount + 
                          this.deductions.nis.contribution + 
                          this.deductions.educationTax.amount + 
-                         this.deductions.heartTrust.amount + 
+                         this.deductions.nht.contribution +
                          this.deductions.pension.employeeContribution;
     
     // Add other deductions
@@ -340,52 +454,176 @@ payrollSchema.pre('save', async function(next) {
   }
 });
 
-// Method to calculate Jamaica taxes (PAYE, NIS, Education Tax, HEART Trust)
+// Method to record the tax rates in force on the pay date. Rates are re-read each time the
+// payroll is calculated, which stops once it is approved, so it keeps the rates it was paid at.
+payrollSchema.methods.applyTaxRates = async function() {
+  if (this.paymentInfo.isPaid && this.jamaicaTaxCalculation.rateSetName) return;
+
+  const rates = await getPayrollTaxRates(this.paymentInfo.payDate);
+  const calculation = this.jamaicaTaxCalculation;
+
+  calculation.rateSet = rates.rateSet || undefined;
+  calculation.rateSetName = rates.name;
+  calculation.personalAllowance = rates.paye.personalAllowance;
+  calculation.taxBrackets = rates.paye.brackets.map(({ min, max, rate }) => ({
+    min,
+    max: max === Infinity ? null : max,
+    rate
+  }));
+  calculation.nisMaxAnnualIncome = rates.nis.maxAnnualIncome;
+  calculation.nisEmployerRate = rates.nis.employerRate;
+  calculation.educationTaxThreshold = rates.educationTax.threshold;
+  calculation.educationTaxEmployerRate = rates.educationTax.employerRate;
+  calculation.nhtEmployerRate = rates.nht.employerRate;
+  calculation.heartTrustEmployerRate = rates.heartTrust.employerRate;
+
+  this.deductions.nis.rate = rates.nis.employeeRate;
+  this.deductions.educationTax.rate = rates.educationTax.employeeRate;
+  this.deductions.nht.rate = rates.nht.employeeRate;
+};
+
+// Method to calculate Jamaica statutory deductions (PAYE, NIS, Education Tax, NHT, HEART Trust)
+// for the payroll's pay period, at the rates recorded by applyTaxRates
 payrollSchema.methods.calculateJamaicaTaxes = async function() {
-  const annualGross = this.earnings.grossEarnings * 12; // Assuming monthly payroll
-  
-  // PAYE Calculation (Jamaica Income Tax)
-  const personalAllowance = this.jamaicaTaxCalculation.personalAllowance;
-  const taxableIncome = Math.max(0, annualGross - personalAllowance);
-  
-  let payeAmount = 0;
-  if (taxableIncome > 0) {
-    // Jamaica tax brackets for 2024
-    const taxBrackets = [
-      { min: 0, max: 1500000, rate: 0 },
-      { min: 1500001, max: 6000000, rate: 0.25 },
-      { min: 6000001, max: Infinity, rate: 0.30 }
-    ];
-    
-    for (const bracket of taxBrackets) {
-      if (taxableIncome > bracket.min) {
-        const taxableAtBracket = Math.min(taxableIncome, bracket.max) - bracket.min;
-        payeAmount += taxableAtBracket * bracket.rate;
-      }
+  await this.applyTaxRates();
+
+  const rates = this.recordedTaxRates();
+  const result = calculateStatutoryDeductions({
+    grossEarnings: this.earnings.grossEarnings,
+    periodType: this.payPeriod.type,
+    rates,
+    pension: {
+      employeeRate: this.deductions.pension.employeeRate,
+      employerRate: this.deductions.pension.employerRate
     }
+  });
+
+  const line = (code) => result.lines.find(item => item.code === code);
+
+  const calculation = this.jamaicaTaxCalculation;
+  calculation.periodsPerYear = result.periodsPerYear;
+  calculation.periodNumber = taxPeriodNumber(this.paymentInfo.payDate, this.payPeriod.type);
+  this.deductions.paye.statutoryIncome = result.statutoryIncome;
+  this.deductions.paye.taxableIncome = result.chargeableIncome;
+  this.deductions.paye.rate = line('paye').rate;
+  this.deductions.paye.nonCumulativeAmount = line('paye').employeeAmount;
+  this.deductions.paye.amount = line('paye').employeeAmount;
+  this.deductions.nis.contribution = line('nis').employeeAmount;
+  this.deductions.educationTax.amount = line('education_tax').employeeAmount;
+  this.deductions.nht.contribution = line('nht').employeeAmount;
+  this.deductions.pension.employeeContribution = line('pension').employeeAmount;
+  this.deductions.pension.employerContribution = line('pension').employerAmount;
+
+  this.employerContributions = {
+    nis: line('nis').employerAmount,
+    educationTax: line('education_tax').employerAmount,
+    nht: line('nht').employerAmount,
+    heartTrust: line('heart_trust').employerAmount,
+    pension: line('pension').employerAmount,
+    total: result.employerTotal
+  };
+  this.statutoryBreakdown = result.lines;
+
+  // Cumulative method: true up this period's PAYE against the liability for the year so far
+  if (calculation.payeMethod === 'cumulative') {
+    const prior = await this.priorYtd();
+    const cumulative = calculateCumulativePaye({
+      ytdTaxableIncome: prior.taxableIncome + result.statutoryIncome,
+      ytdPayeDeducted: prior.paye,
+      periodNumber: calculation.periodNumber,
+      periodsPerYear: result.periodsPerYear,
+      rates
+    });
+
+    this.deductions.paye.taxableIncome = cumulative.chargeableIncome;
+    this.deductions.paye.amount = cumulative.amount;
+    const payeLine = this.statutoryBreakdown.find(item => item.code === 'paye');
+    payeLine.base = cumulative.chargeableIncome;
+    payeLine.employeeAmount = cumulative.amount;
   }
-  
-  this.deductions.paye.taxableIncome = taxableIncome;
-  this.deductions.paye.amount = payeAmount / 12; // Monthly amount
-  
-  // NIS Contribution (3% on income up to JMD 1M annually)
-  const nisableIncome = Math.min(annualGross, 1000000);
-  this.deductions.nis.contribution = (nisableIncome * this.deductions.nis.rate) / 12;
-  
-  // Education Tax (2.5% on income above JMD 500k annually)
-  const educationTaxableIncome = Math.max(0, annualGross - this.jamaicaTaxCalculation.educationTaxThreshold);
-  this.deductions.educationTax.amount = (educationTaxableIncome * this.deductions.educationTax.rate) / 12;
-  
-  // HEART Trust/NTA (3% on income)
-  this.deductions.heartTrust.amount = (annualGross * this.deductions.heartTrust.rate) / 12;
-  
-  // Pension contribution (if applicable)
-  if (this.deductions.pension.employeeRate > 0) {
-    this.deductions.pension.employeeContribution = (this.earnings.grossEarnings * this.deductions.pension.employeeRate);
-    this.deductions.pension.employerContribution = (this.earnings.grossEarnings * this.deductions.pension.employerRate);
-  }
 };
 
+// Method to rebuild the rates recorded by applyTaxRates in the shape getPayrollTaxRates returns
+payrollSchema.methods.recordedTaxRates = function() {
+  const calculation = this.jamaicaTaxCalculation;
+  return {
+    paye: {
+      personalAllowance: calculation.personalAllowance,
+      brackets: calculation.taxBrackets.map(({ min, max, rate }) => ({
+        min,
+        max: max === null || max === undefined ? Infinity : max,
+        rate
+      }))
+    },
+    nis: {
+      employeeRate: this.deductions.nis.rate,
+      employerRate: calculation.nisEmployerRate,
+      maxAnnualIncome: calculation.nisMaxAnnualIncome
+    },
+    educationTax: {
+      employeeRate: this.deductions.educationTax.rate,
+      employerRate: calculation.educationTaxEmployerRate,
+      threshold: calculation.educationTaxThreshold
+    },
+    // Payrolls whose rates were recorded before NHT was deducted keep none
+    nht: calculation.nhtEmployerRate === undefined || calculation.nhtEmployerRate === null
+      ? { employeeRate: 0, employerRate: 0 }
+      : { employeeRate: this.deductions.nht.rate, employerRate: calculation.nhtEmployerRate },
+    heartTrust: {
+      employerRate: calculation.heartTrustEmployerRate
+    }
+  };
+};
+
+// Method to get the employee's totals for the tax year from the approved and paid payrolls
+// dated before this one
+payrollSchema.methods.priorYtd = function() {
+  const payDate = new Date(this.paymentInfo.payDate);
+  const yearStart = new Date(payDate.getFullYear(), 0, 1);
+  return this.constructor.sumYtd({
+    employee: this.populated('employee') || this.employee,
+    _id: { $ne: this._id },
+    $or: [
+      { 'paymentInfo.payDate': { $gte: yearStart, $lt: payDate } },
+      { 'paymentInfo.payDate': payDate, _id: { $lt: this._id } }
+    ]
+  });
+};
+
+// Method to get the employee's totals for the tax year up to and including this payroll
+payrollSchema.methods.getYtdTotals = async function() {
+  const prior = await this.priorYtd();
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    taxYear: new Date(this.paymentInfo.payDate).getFullYear(),
+    grossEarnings: round(prior.grossEarnings + this.earnings.grossEarnings),
+    taxableIncome: round(prior.taxableIncome + this.deductions.paye.statutoryIncome),
+    paye: round(prior.paye + this.deductions.paye.amount),
+    nis: round(prior.nis + this.deductions.nis.contribution),
+    educationTax: round(prior.educationTax + this.deductions.educationTax.amount),
+    nht: round(prior.nht + this.deductions.nht.contribution),
+    pension: round(prior.pension + this.deductions.pension.employeeContribution),
+    payrollCount: prior.payrollCount + 1
+  };
+};
+
+// Keep the employee's year-to-date totals in step with their payrolls
+payrollSchema.post('save', async function() {
+  const business = this.populated('business') || this.business;
+  const employee = this.populated('employee') || this.employee;
+
+  await PayrollYtd.refresh(business, employee, this.taxYear);
+  if (this.$locals.previousTaxYear) {
+    await PayrollYtd.refresh(business, employee, this.$locals.previousTaxYear);
+    delete this.$locals.previousTaxYear;
+  }
+});
+
+payrollSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) await PayrollYtd.refresh(doc.business, doc.employee, doc.taxYear);
+});
+
 // Method to approve payroll
 payrollSchema.methods.approve = function(approverId, comments) {
   this.approvals.push({
@@ -407,6 +645,42 @@ payrollSchema.methods.markAsPaid = function(userId) {
   return this.save();
 };
 
+// Static method to total payrolls for year-to-date figures. Only approved and paid payrolls
+// count: drafts and calculated payrolls can still change or be deleted.
+payrollSchema.statics.sumYtd = async function(match) {
+  const result = await this.aggregate([
+    { $match: { ...match, status: { $in: ['approved', 'paid'] } } },
+    {
+      $group: {
+        _id: null,
+        grossEarnings: { $sum: '$earnings.grossEarnings' },
+        taxableIncome: { $sum: { $ifNull: ['$deductions.paye.statutoryIncome', '$earnings.grossEarnings'] } },
+        paye: { $sum: '$deductions.paye.amount' },
+        nis: { $sum: '$deductions.nis.contribution' },
+        educationTax: { $sum: '$deductions.educationTax.amount' },
+        nht: { $sum: '$deductions.nht.contribution' },
+        pension: { $sum: '$deductions.pension.employeeContribution' },
+        payrollCount: { $sum: 1 },
+        lastPayDate: { $max: '$paymentInfo.payDate' }
+      }
+    }
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  const totals = result[0] || {};
+  return {
+    grossEarnings: round(totals.grossEarnings),
+    taxableIncome: round(totals.taxableIncome),
+    paye: round(totals.paye),
+    nis: round(totals.nis),
+    educationTax: round(totals.educationTax),
+    nht: round(totals.nht),
+    pension: round(totals.pension),
+    payrollCount: totals.payrollCount || 0,
+    lastPayDate: totals.lastPayDate || null
+  };
+};
+
 // Static method to get payroll summary for a business
 payrollSchema.statics.getPayrollSummary = async function(businessId, startDate, endDate) {
   const result = await this.aggregate([
@@ -427,7 +701,11 @@ payrollSchema.statics.getPayrollSummary = async function(businessId, startDate,
         totalPAYE: { $sum: '$deductions.paye.amount' },
         totalNIS: { $sum: '$deductions.nis.contribution' },
         totalEducationTax: { $sum: '$deductions.educationTax.amount' },
-        totalHeartTrust: { $sum: '$deductions.heartTrust.amount' },
+        totalEmployerNIS: { $sum: '$employerContributions.nis' },
+        totalEmployerEducationTax: { $sum: '$employerContributions.educationTax' },
+        totalNHT: { $sum: '$deductions.nht.contribution' },
+        totalEmployerNHT: { $sum: '$employerContributions.nht' },
+        totalHeartTrust: { $sum: '$employerContributions.heartTrust' },
         employeeCount: { $sum: 1 }
       }
     }
@@ -457,7 +735,11 @@ payrollSchema.statics.generateTaxReport = async function(businessId, taxYear) {
         totalPAYE: { $sum: '$deductions.paye.amount' },
         totalNIS: { $sum: '$deductions.nis.contribution' },
         totalEducationTax: { $sum: '$deductions.educationTax.amount' },
-        totalHeartTrust: { $sum: '$deductions.heartTrust.amount' },
+        totalEmployerNIS: { $sum: '$employerContributions.nis' },
+        totalEmployerEducationTax: { $sum: '$employerContributions.educationTax' },
+        totalNHT: { $sum: '$deductions.nht.contribution' },
+        totalEmployerNHT: { $sum: '$employerContributions.nht' },
+        totalHeartTrust: { $sum: '$employerContributions.heartTrust' },
         totalPension: { $sum: '$deductions.pension.employeeContribution' },
         payrollCount: { $sum: 1 }
       }
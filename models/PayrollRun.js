@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const totalsDefinition = {
+  employeeCount: { type: Number, default: 0 },
+  grossEarnings: { type: Number, default: 0 },
+  paye: { type: Number, default: 0 },
+  nis: { type: Number, default: 0 },
+  educationTax: { type: Number, default: 0 },
+  nht: { type: Number, default: 0 },
+  pension: { type: Number, default: 0 },
+  otherDeductions: { type: Number, default: 0 },
+  totalDeductions: { type: Number, default: 0 },
+  netPay: { type: Number, default: 0 },
+  employerNis: { type: Number, default: 0 },
+  employerEducationTax: { type: Number, default: 0 },
+  employerNht: { type: Number, default: 0 },
+  heartTrust: { type: Number, default: 0 },
+  employerPension: { type: Number, default: 0 },
+  employerTotal: { type: Number, default: 0 }
+};
+
+// One pay run for a business: the period, the pay date and the payslips (Payroll
+// documents) it owns. The run moves through its statuses as a whole.
+const payrollRunSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  runNumber: {
+    type: String
+    // Generated in pre-save hook
+  },
+  payPeriod: {
+    startDate: {
+      type: Date,
+      required: [true, 'Pay period start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Pay period end date is required']
+    },
+    type: {
+      type: String,
+      enum: ['weekly', 'bi-weekly', 'monthly'],
+      required: [true, 'Pay period type is required']
+    }
+  },
+  payDate: {
+    type: Date,
+    required: [true, 'Pay date is required']
+  },
+  payeMethod: {
+    type: String,
+    enum: ['non_cumulative', 'cumulative']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'calculated', 'approved', 'paid', 'posted'],
+    default: 'draft'
+  },
+  totals: totalsDefinition,
+  // Figures as approved; later changes to employees or rates do not touch them
+  snapshot: {
+    lockedAt: Date,
+    totals: totalsDefinition,
+    payslips: [{
+      payroll: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payroll'
+      },
+      employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+      },
+      employeeId: String,
+      grossEarnings: Number,
+      paye: Number,
+      nis: Number,
+      educationTax: Number,
+      nht: Number,
+      pension: Number,
+      otherDeductions: Number,
+      totalDeductions: Number,
+      netPay: Number,
+      employerTotal: Number,
+      _id: false
+    }]
+  },
+  // Employees skipped when the run was calculated, with the reason
+  exceptions: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    employeeId: String,
+    error: String,
+    _id: false
+  }],
+  // Payslips calculated with something for the approver to look at, such as sick leave
+  // beyond the entitlement
+  reviewFlags: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    employeeId: String,
+    message: String,
+    _id: false
+  }],
+  approvals: [{
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedDate: Date,
+    comments: String
+  }],
+  calculatedAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidDate: Date,
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedDate: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+payrollRunSchema.index({ business: 1, 'payPeriod.startDate': -1 });
+payrollRunSchema.index({ business: 1, status: 1 });
+
+// Pre-save middleware to generate the run number
+payrollRunSchema.pre('save', async function(next) {
+  try {
+    if (this.isNew) {
+      const count = await this.constructor.countDocuments({ business: this.business });
+      const date = new Date(this.payDate);
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      this.runNumber = `RUN-${date.getFullYear()}${month}-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Whether the run's payslips may still be recalculated, edited or removed
+payrollRunSchema.virtual('isEditable').get(function() {
+  return ['draft', 'calculated'].includes(this.status);
+});
+
+// Method to total the run's payslips
+payrollRunSchema.methods.summarize = function(payslips) {
+  const totals = Object.keys(totalsDefinition).reduce((sum, key) => {
+    sum[key] = 0;
+    return sum;
+  }, {});
+
+  payslips.forEach(payslip => {
+    const other = payslip.deductions.otherDeductions.reduce((sum, item) => sum + (item.amount || 0), 0);
+    totals.employeeCount += 1;
+    totals.grossEarnings += payslip.earnings.grossEarnings;
+    totals.paye += payslip.deductions.paye.amount;
+    totals.nis += payslip.deductions.nis.contribution;
+    totals.educationTax += payslip.deductions.educationTax.amount;
+    totals.nht += payslip.deductions.nht?.contribution || 0;
+    totals.pension += payslip.deductions.pension.employeeContribution;
+    totals.otherDeductions += other;
+    totals.totalDeductions += payslip.deductions.totalDeductions;
+    totals.netPay += payslip.netPay;
+    totals.employerNis += payslip.employerContributions?.nis || 0;
+    totals.employerEducationTax += payslip.employerContributions?.educationTax || 0;
+    totals.employerNht += payslip.employerContributions?.nht || 0;
+    totals.heartTrust += payslip.employerContributions?.heartTrust || 0;
+    totals.employerPension += payslip.employerContributions?.pension || 0;
+    totals.employerTotal += payslip.employerContributions?.total || 0;
+  });
+
+  Object.keys(totals).forEach(key => {
+    if (key !== 'employeeCount') totals[key] = roundCurrency(totals[key]);
+  });
+
+  this.totals = totals;
+  return totals;
+};
+
+// Method to lock the approved figures
+payrollRunSchema.methods.lockSnapshot = function(payslips) {
+  this.snapshot = {
+    lockedAt: new Date(),
+    totals: this.summarize(payslips),
+    payslips: payslips.map(payslip => ({
+      payroll: payslip._id,
+      employee: payslip.populated('employee') || payslip.employee,
+      employeeId: payslip.employee?.employeeId,
+      grossEarnings: payslip.earnings.grossEarnings,
+      paye: payslip.deductions.paye.amount,
+      nis: payslip.deductions.nis.contribution,
+      educationTax: payslip.deductions.educationTax.amount,
+      nht: payslip.deductions.nht?.contribution || 0,
+      pension: payslip.deductions.pension.employeeContribution,
+      otherDeductions: roundCurrency(payslip.deductions.otherDeductions.reduce((sum, item) => sum + (item.amount || 0), 0)),
+      totalDeductions: payslip.deductions.totalDeductions,
+      netPay: payslip.netPay,
+      employerTotal: payslip.employerContributions?.total || 0
+    }))
+  };
+};
+
+payrollRunSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PayrollRun', payrollRunSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Year-to-date payroll totals per employee and tax year (the calendar year of the pay date).
+// Rebuilt from the employee's payrolls whenever one is saved or deleted.
+const payrollYtdSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  taxYear: {
+    type: Number,
+    required: [true, 'Tax year is required']
+  },
+  grossEarnings: {
+    type: Number,
+    default: 0
+  },
+  // Income liable to PAYE: gross pay less NIS and approved pension contributions
+  taxableIncome: {
+    type: Number,
+    default: 0
+  },
+  paye: {
+    type: Number,
+    default: 0
+  },
+  nis: {
+    type: Number,
+    default: 0
+  },
+  educationTax: {
+    type: Number,
+    default: 0
+  },
+  nht: {
+    type: Number,
+    default: 0
+  },
+  pension: {
+    type: Number,
+    default: 0
+  },
+  payrollCount: {
+    type: Number,
+    default: 0
+  },
+  lastPayDate: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+payrollYtdSchema.index({ employee: 1, taxYear: 1 }, { unique: true });
+payrollYtdSchema.index({ business: 1, taxYear: 1 });
+
+// Static method to rebuild an employee's totals for a tax year from their payrolls
+payrollYtdSchema.statics.refresh = async function(businessId, employeeId, taxYear) {
+  if (!employeeId || !taxYear) return null;
+
+  const totals = await mongoose.model('Payroll').sumYtd({
+    employee: new mongoose.Types.ObjectId(employeeId),
+    'paymentInfo.payDate': { $gte: new Date(taxYear, 0, 1), $lt: new Date(taxYear + 1, 0, 1) }
+  });
+
+  return this.findOneAndUpdate(
+    { employee: employeeId, taxYear },
+    { business: businessId, ...totals },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('PayrollYtd', payrollYtdSchema);
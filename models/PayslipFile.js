@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// The rendered PDF payslip for a payroll. One file per payroll; generating it again replaces
+// it. The password, when one is set, is never stored.
+const payslipFileSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  payroll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payroll',
+    required: [true, 'Payroll is required']
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  contentType: {
+    type: String,
+    default: 'application/pdf'
+  },
+  size: Number,
+  data: {
+    type: Buffer,
+    required: [true, 'File data is required'],
+    select: false
+  },
+  passwordProtected: {
+    type: Boolean,
+    default: false
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+payslipFileSchema.index({ payroll: 1 }, { unique: true });
+payslipFileSchema.index({ employee: 1, generatedAt: -1 });
+
+module.exports = mongoose.model('PayslipFile', payslipFileSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Saved rule that categorizes statement lines with no matching transaction,
+// e.g. anything from "JPS" becomes a Utilities expense
+const reconciliationRuleSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  match: {
+    field: {
+      type: String,
+      enum: ['any', 'description', 'counterparty', 'reference'],
+      default: 'any'
+    },
+    contains: {
+      type: String,
+      required: [true, 'Match text is required'],
+      trim: true
+    },
+    direction: {
+      type: String,
+      enum: ['any', 'deposit', 'withdrawal'],
+      default: 'any'
+    },
+    minAmount: Number,
+    maxAmount: Number
+  },
+  action: {
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      trim: true
+    },
+    ledgerAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    description: {
+      type: String,
+      trim: true
+    }
+  },
+  // Higher priority rules are tried first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  timesApplied: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reconciliationRuleSchema.index({ business: 1, isActive: 1, priority: -1 });
+
+// Method to check whether a statement line satisfies the rule
+reconciliationRuleSchema.methods.matchesEntry = function(entry) {
+  const { field, contains, direction, minAmount, maxAmount } = this.match;
+
+  if (direction === 'deposit' && entry.amount <= 0) return false;
+  if (direction === 'withdrawal' && entry.amount >= 0) return false;
+
+  const amount = Math.abs(entry.amount);
+  if (minAmount !== undefined && minAmount !== null && amount < minAmount) return false;
+  if (maxAmount !== undefined && maxAmount !== null && amount > maxAmount) return false;
+
+  const text = field === 'any'
+    ? [entry.description, entry.counterparty, entry.reference].join(' ')
+    : entry[field] || '';
+
+  return text.toLowerCase().includes(contains.toLowerCase());
+};
+
+module.exports = mongoose.model('ReconciliationRule', reconciliationRuleSchema);
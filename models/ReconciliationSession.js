@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const reconciliationMatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['one_to_one', 'one_to_many', 'many_to_one', 'rule'],
+    required: true
+  },
+  entries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatementEntry'
+  }],
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRule'
+  },
+  amount: Number,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const reconciliationSessionSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Bank account is required']
+  },
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement'
+  },
+  statementDate: {
+    type: Date,
+    required: [true, 'Statement date is required']
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  statementEndingBalance: {
+    type: Number,
+    required: [true, 'Statement ending balance is required']
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'cancelled'],
+    default: 'in_progress'
+  },
+  matches: [reconciliationMatchSchema],
+  clearedBalance: Number,
+  difference: Number,
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Started by user is required']
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedDate: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reconciliationSessionSchema.index({ business: 1, bankAccount: 1, statementDate: -1 });
+reconciliationSessionSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ReconciliationSession', reconciliationSessionSchema);
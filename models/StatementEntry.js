@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A single line of an imported bank statement. Amounts are signed from the
+// business's point of view: deposits are positive, withdrawals negative.
+const statementEntrySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Bank account is required']
+  },
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: [true, 'Statement is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Entry date is required']
+  },
+  valueDate: Date,
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  counterparty: {
+    type: String,
+    trim: true
+  },
+  balance: Number,
+  // Bank-assigned id (OFX FITID, CAMT AcctSvcrRef) when the format provides one
+  externalId: String,
+  // Stable hash used to skip lines already imported from an overlapping statement
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched', 'reconciled', 'ignored'],
+    default: 'unmatched'
+  },
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  reconciliationSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationSession'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+statementEntrySchema.index({ bankAccount: 1, fingerprint: 1 }, { unique: true });
+statementEntrySchema.index({ business: 1, bankAccount: 1, date: 1 });
+statementEntrySchema.index({ statement: 1 });
+statementEntrySchema.index({ status: 1 });
+
+module.exports = mongoose.model('StatementEntry', statementEntrySchema);
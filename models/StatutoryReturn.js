@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const amountsDefinition = {
+  grossEmoluments: { type: Number, default: 0 },
+  taxableEmoluments: { type: Number, default: 0 },
+  paye: { type: Number, default: 0 },
+  nisEmployee: { type: Number, default: 0 },
+  nisEmployer: { type: Number, default: 0 },
+  nhtEmployee: { type: Number, default: 0 },
+  nhtEmployer: { type: Number, default: 0 },
+  educationTaxEmployee: { type: Number, default: 0 },
+  educationTaxEmployer: { type: Number, default: 0 },
+  heartTrust: { type: Number, default: 0 },
+  pension: { type: Number, default: 0 }
+};
+
+// An SO1 (monthly remittance) or SO2 (annual reconciliation) employer return as filed with
+// TAJ. The figures are a snapshot taken when the return was filed; filing the same period
+// again records an amendment and supersedes the earlier filing.
+const statutoryReturnSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  form: {
+    type: String,
+    enum: ['SO1', 'SO2'],
+    required: [true, 'Form is required']
+  },
+  period: {
+    year: {
+      type: Number,
+      required: [true, 'Year is required']
+    },
+    // SO1 only
+    month: {
+      type: Number,
+      min: 1,
+      max: 12
+    },
+    startDate: Date,
+    endDate: Date
+  },
+  dueDate: Date,
+  employer: {
+    name: String,
+    trn: String,
+    nis: String
+  },
+  totals: amountsDefinition,
+  employeeCount: {
+    type: Number,
+    default: 0
+  },
+  employees: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    employeeId: String,
+    trn: String,
+    nis: String,
+    firstName: String,
+    lastName: String,
+    startDate: Date,
+    endDate: Date,
+    ...amountsDefinition,
+    _id: false
+  }],
+  // SO2 only: the year's SO1 filings compared with the annual figures
+  reconciliation: [{
+    field: String,
+    annual: Number,
+    filedMonthly: Number,
+    difference: Number,
+    _id: false
+  }],
+  warnings: [String],
+  status: {
+    type: String,
+    enum: ['filed', 'superseded'],
+    default: 'filed'
+  },
+  isAmendment: {
+    type: Boolean,
+    default: false
+  },
+  submittedAt: {
+    type: Date,
+    required: [true, 'Submission date is required']
+  },
+  submissionReference: String,
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Filed by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+statutoryReturnSchema.index({ business: 1, form: 1, 'period.year': -1, 'period.month': -1 });
+
+module.exports = mongoose.model('StatutoryReturn', statutoryReturnSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const payeBracketSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    required: [true, 'Bracket minimum is required'],
+    min: 0
+  },
+  // Empty for the top bracket
+  max: {
+    type: Number,
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Bracket rate is required'],
+    min: 0,
+    max: 1
+  }
+}, { _id: false });
+
+const rateField = (defaultValue) => ({
+  type: Number,
+  default: defaultValue,
+  min: 0,
+  max: 1
+});
+
+// Payroll tax rates in force between two dates, maintained by super admins so
+// budget changes do not need a deploy
+const taxRateSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate set name is required'],
+    trim: true,
+    maxlength: [100, 'Rate set name cannot exceed 100 characters']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  // Open-ended when empty
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  paye: {
+    // Annual income free of PAYE
+    personalAllowance: {
+      type: Number,
+      required: [true, 'PAYE personal allowance is required'],
+      min: 0
+    },
+    // Applied to income above the personal allowance
+    brackets: {
+      type: [payeBracketSchema],
+      validate: {
+        validator: brackets => brackets.length > 0,
+        message: 'At least one PAYE bracket is required'
+      }
+    }
+  },
+  nis: {
+    employeeRate: rateField(0.03),
+    employerRate: rateField(0.03),
+    // Annual insurable earnings ceiling
+    maxAnnualIncome: {
+      type: Number,
+      required: [true, 'NIS income ceiling is required'],
+      min: 0
+    }
+  },
+  educationTax: {
+    employeeRate: rateField(0.025),
+    employerRate: rateField(0.035),
+    // Annual income below which no Education Tax is due
+    threshold: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // National Housing Trust, on gross pay with no ceiling
+  nht: {
+    employeeRate: rateField(0.02),
+    employerRate: rateField(0.03)
+  },
+  // Paid by the employer only
+  heartTrust: {
+    employerRate: rateField(0.03)
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+taxRateSetSchema.index({ effectiveFrom: -1 });
+
+// Pre-validate middleware to check the date range and keep brackets in order
+taxRateSetSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be on or after the effective from date');
+  }
+
+  if (this.paye && this.paye.brackets) {
+    this.paye.brackets.sort((a, b) => a.min - b.min);
+  }
+
+  next();
+});
+
+// Static method to find the rate set in force on a date; a set applies for the whole
+// of its effective to date
+taxRateSetSchema.statics.findForDate = function(date = new Date()) {
+  const when = new Date(date);
+  const dayStart = new Date(when);
+  dayStart.setHours(0, 0, 0, 0);
+  return this.findOne({
+    effectiveFrom: { $lte: when },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: dayStart } }]
+  }).sort({ effectiveFrom: -1 });
+};
+
+// Static method to find sets whose dates overlap a range, excluding one set
+taxRateSetSchema.statics.findOverlapping = function(effectiveFrom, effectiveTo, excludeId) {
+  const query = {
+    _id: { $ne: excludeId },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: new Date(effectiveFrom) } }]
+  };
+  if (effectiveTo) query.effectiveFrom = { $lte: new Date(effectiveTo) };
+  return this.find(query);
+};
+
+module.exports = mongoose.model('TaxRateSet', taxRateSetSchema);
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const { businessHolidays, holidayOn } = require('../services/holidays');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundHours = (value) => Math.round((value || 0) * 100) / 100;
+
+// Monday 00:00 of the week containing a date
+const weekStarting = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setDate(result.getDate() - ((result.getDay() + 6) % 7));
+  return result;
+};
+
+const totalsDefinition = {
+  workedHours: { type: Number, default: 0 },
+  regularHours: { type: Number, default: 0 },
+  overtimeHours: { type: Number, default: 0 },
+  holidayHours: { type: Number, default: 0 },
+  sickHours: { type: Number, default: 0 },
+  vacationHours: { type: Number, default: 0 },
+  unpaidLeaveHours: { type: Number, default: 0 }
+};
+
+// One employee's hours for a week (Monday to Sunday), entered day by day as clock-in and
+// clock-out times or as hours. Hours worked beyond the weekly threshold are overtime; hours
+// worked on a public holiday are kept apart and paid at the holiday rate. Once approved by
+// the employee's supervisor the hours feed the payslip of the run whose period the week ends in.
+const timesheetSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: [true, 'Business is required']
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  weekStart: {
+    type: Date,
+    required: [true, 'Week start date is required']
+  },
+  weekEnd: Date,
+  // Weekly hours before overtime, taken from the employee's work schedule
+  overtimeThreshold: {
+    type: Number,
+    default: 40,
+    min: 0
+  },
+  entries: [{
+    date: {
+      type: Date,
+      required: [true, 'Entry date is required']
+    },
+    type: {
+      type: String,
+      enum: ['work', 'sick', 'vacation', 'unpaid_leave'],
+      default: 'work'
+    },
+    clockIn: Date,
+    clockOut: Date,
+    breakMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Worked out from the clock times when both are given
+    hours: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 24
+    },
+    publicHoliday: {
+      type: Boolean,
+      default: false
+    },
+    notes: String
+  }],
+  totals: totalsDefinition,
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    default: 'draft'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  // Payslip the approved hours were paid on
+  payroll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payroll'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+timesheetSchema.index({ employee: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ business: 1, status: 1, weekEnd: 1 });
+
+// Pre-validate middleware to align the week, work out entry hours, mark holiday work from the
+// business's holiday calendar and apply the overtime rule
+timesheetSchema.pre('validate', async function(next) {
+  if (this.weekStart) {
+    this.weekStart = weekStarting(this.weekStart);
+    this.weekEnd = new Date(this.weekStart.getTime() + 7 * DAY_MS - 1);
+  }
+
+  let holidays = [];
+  if (this.weekStart && this.entries.length > 0) {
+    try {
+      const business = await mongoose.model('Business').findById(this.business).select('holidayClosures');
+      holidays = businessHolidays(business, this.weekStart, this.weekEnd);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const totals = {
+    workedHours: 0,
+    holidayHours: 0,
+    sickHours: 0,
+    vacationHours: 0,
+    unpaidLeaveHours: 0
+  };
+
+  this.entries.forEach((entry, index) => {
+    if (this.weekStart && (entry.date < this.weekStart || entry.date > this.weekEnd)) {
+      this.invalidate(`entries.${index}.date`, 'Entry date must fall in the timesheet week');
+    }
+
+    if (entry.clockIn && entry.clockOut) {
+      const minutes = (entry.clockOut - entry.clockIn) / 60000 - (entry.breakMinutes || 0);
+      if (minutes <= 0) {
+        this.invalidate(`entries.${index}.clockOut`, 'Clock-out must be after clock-in and the break');
+      }
+      entry.hours = roundHours(Math.max(minutes, 0) / 60);
+    }
+
+    const holiday = holidayOn(holidays, entry.date);
+    if (holiday && entry.type === 'work') {
+      if (holiday.holidayPay) entry.publicHoliday = true;
+    } else if (holiday) {
+      this.invalidate(`entries.${index}.type`, `${holiday.name} is a holiday; leave is not taken on holidays`);
+    }
+
+    switch (entry.type) {
+      case 'sick':
+        totals.sickHours += entry.hours;
+        break;
+      case 'vacation':
+        totals.vacationHours += entry.hours;
+        break;
+      case 'unpaid_leave':
+        totals.unpaidLeaveHours += entry.hours;
+        break;
+      default:
+        if (entry.publicHoliday) totals.holidayHours += entry.hours;
+        else totals.workedHours += entry.hours;
+    }
+  });
+
+  // Overtime is weekly: ordinary hours worked beyond the threshold, leave and holiday hours aside
+  const threshold = this.overtimeThreshold ?? 40;
+  this.totals = {
+    workedHours: roundHours(totals.workedHours + totals.holidayHours),
+    regularHours: roundHours(Math.min(totals.workedHours, threshold)),
+    overtimeHours: roundHours(Math.max(totals.workedHours - threshold, 0)),
+    holidayHours: roundHours(totals.holidayHours),
+    sickHours: roundHours(totals.sickHours),
+    vacationHours: roundHours(totals.vacationHours),
+    unpaidLeaveHours: roundHours(totals.unpaidLeaveHours)
+  };
+
+  next();
+});
+
+// Virtual for whether the hours can still be changed
+timesheetSchema.virtual('isEditable').get(function() {
+  return ['draft', 'rejected'].includes(this.status);
+});
+
+// Method to submit the week for approval
+timesheetSchema.methods.submit = function(userId) {
+  this.status = 'submitted';
+  this.submittedBy = userId;
+  this.submittedAt = new Date();
+  this.rejectionReason = undefined;
+  return this.save();
+};
+
+// Method to approve or reject a submitted week
+timesheetSchema.methods.review = function(approved, userId, reason) {
+  this.status = approved ? 'approved' : 'rejected';
+  this.approvedBy = approved ? userId : undefined;
+  this.approvedAt = approved ? new Date() : undefined;
+  this.rejectionReason = approved ? undefined : reason;
+  return this.save();
+};
+
+// Approved hours for an employee over the weeks ending in a pay period
+timesheetSchema.statics.approvedHours = async function(employeeId, startDate, endDate) {
+  const timesheets = await this.find({
+    employee: employeeId,
+    status: 'approved',
+    weekEnd: { $gte: startDate, $lte: endDate }
+  }).select('totals');
+
+  const totals = Object.keys(totalsDefinition).reduce((sum, key) => {
+    sum[key] = roundHours(timesheets.reduce((total, timesheet) => total + (timesheet.totals[key] || 0), 0));
+    return sum;
+  }, {});
+
+  return { timesheets: timesheets.map(timesheet => timesheet._id), totals };
+};
+
+timesheetSchema.statics.weekStarting = weekStarting;
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
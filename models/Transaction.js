@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GCT_TAX_CODES, gctRateFor, splitGct } = require('../services/taxRates');
 
 const transactionSchema = new mongoose.Schema({
   business: {
@@ -70,6 +71,11 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Customer or supplier master record; vendor and customer below keep a copy of its details
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
   vendor: {
     name: String,
     trn: String,
@@ -89,6 +95,12 @@ const transactionSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Rate is looked up from the tax code for the transaction date; transactions without
+    // a code keep whatever rate was entered
+    taxCode: {
+      type: String,
+      enum: GCT_TAX_CODES
+    },
     gctRate: {
       type: Number,
       default: 0.15 // 15% GCT in Jamaica
@@ -97,6 +109,13 @@ const transactionSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // When set, the amount entered includes GCT and is split into net and tax on save
+    amountsIncludeGct: {
+      type: Boolean,
+      default: false
+    },
+    // Amount including GCT; amount itself is always net of GCT
+    grossAmount: Number,
     withholdingTax: {
       rate: Number,
       amount: Number
@@ -118,6 +137,19 @@ const transactionSchema = new mongoose.Schema({
     enum: ['pending', 'completed', 'cancelled', 'on_hold'],
     default: 'completed'
   },
+  // Optional overrides for the accounts the ledger posts this transaction to
+  ledgerAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  contraAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
   reconciled: {
     type: Boolean,
     default: false
@@ -150,6 +182,8 @@ transactionSchema.index({ type: 1, category: 1 });
 transactionSchema.index({ createdBy: 1 });
 transactionSchema.index({ date: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ journalEntry: 1 });
+transactionSchema.index({ business: 1, contact: 1 });
 
 // Pre-save middleware to generate transaction number
 transactionSchema.pre('save', async function(next) {
@@ -159,11 +193,32 @@ transactionSchema.pre('save', async function(next) {
     this.transactionNumber = `TXN-${year}-${String(count + 1).padStart(6, '0')}`;
   }
   
-  // Calculate GCT amount if taxable
-  if (this.taxInfo.isTaxable && this.taxInfo.gctRate > 0) {
-    this.taxInfo.gctAmount = this.amount * this.taxInfo.gctRate;
+  const taxInfo = this.taxInfo;
+
+  // Look the rate up again only when the code or date changes, so past transactions
+  // keep the rate that applied when they were recorded
+  if (taxInfo.taxCode && (this.isNew || this.isModified('taxInfo.taxCode') || this.isModified('date'))) {
+    taxInfo.gctRate = gctRateFor(taxInfo.taxCode, this.date);
   }
-  
+
+  const taxChanged = this.isNew ||
+    ['amount', 'taxInfo.isTaxable', 'taxInfo.taxCode', 'taxInfo.gctRate', 'taxInfo.amountsIncludeGct', 'date']
+      .some(path => this.isModified(path));
+
+  if (taxChanged) {
+    const rate = taxInfo.isTaxable && taxInfo.taxCode !== 'exempt' ? taxInfo.gctRate || 0 : 0;
+
+    // A newly entered inclusive amount is the gross; otherwise rebuild the gross from what was stored
+    const entered = taxInfo.amountsIncludeGct && !this.isModified('amount') && taxInfo.grossAmount !== undefined
+      ? taxInfo.grossAmount
+      : this.amount;
+    const split = splitGct(entered, rate, taxInfo.amountsIncludeGct);
+
+    this.amount = split.net;
+    taxInfo.gctAmount = split.gct;
+    taxInfo.grossAmount = split.gross;
+  }
+
   next();
 });
 
@@ -180,6 +235,14 @@ transactionSchema.methods.markReconciled = function(userId) {
   return this.save();
 };
 
+// Method to undo a reconciliation
+transactionSchema.methods.markUnreconciled = function() {
+  this.reconciled = false;
+  this.reconciledDate = undefined;
+  this.reconciledBy = undefined;
+  return this.save();
+};
+
 // Static method to get transactions by date range
 transactionSchema.statics.getByDateRange = function(businessId, startDate, endDate) {
   return this.find({
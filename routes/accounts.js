@@ -0,0 +1,418 @@
+const express = require('express');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const { getTemplateAccounts, seedChartOfAccounts, INDUSTRY_ACCOUNTS, EQUITY_ACCOUNTS } = require('../services/chartTemplates');
+const { roundCurrency } = require('../services/ledger');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, accountRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may change the chart of accounts
+const canManageAccounts = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to validate a parent account; returns an error message or null
+const validateParent = async (businessId, parentId, accountClass, accountId) => {
+  if (!parentId) return null;
+
+  const parent = await Account.findOne({ _id: parentId, business: businessId });
+  if (!parent) return 'Parent account not found in this business';
+  if (parent.class !== accountClass) return 'Parent account must be in the same class';
+
+  // Walk up the tree so an account never becomes its own ancestor
+  let current = parent;
+  while (current) {
+    if (accountId && current._id.toString() === accountId.toString()) {
+      return 'An account cannot be nested under itself or its sub-accounts';
+    }
+    current = current.parent ? await Account.findById(current.parent) : null;
+  }
+
+  return null;
+};
+
+// Helper function to load an account and check the user can manage its business
+const loadManagedAccount = async (req, res) => {
+  const account = await Account.findById(req.params.accountId);
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: 'Account not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: account.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManageAccounts(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can manage the chart of accounts'
+    });
+    return null;
+  }
+
+  return account;
+};
+
+// @route   GET /api/accounts/templates
+// @desc    List chart of accounts templates, or preview one for an industry and business type
+// @access  Private
+router.get('/templates', auth, (req, res) => {
+  try {
+    const { industry, businessType } = req.query;
+
+    res.json({
+      success: true,
+      data: {
+        industries: Object.keys(INDUSTRY_ACCOUNTS),
+        businessTypes: Object.keys(EQUITY_ACCOUNTS),
+        accounts: industry || businessType ? getTemplateAccounts(industry, businessType) : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get account templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving account templates'
+    });
+  }
+});
+
+// @route   GET /api/accounts/business/:businessId
+// @desc    Get the chart of accounts for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const { class: accountClass, active, includeBalances } = req.query;
+    const query = { business: req.params.businessId };
+
+    if (accountClass) query.class = accountClass;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const accounts = await Account.find(query)
+      .populate('parent', 'code name')
+      .sort({ code: 1 });
+
+    let balances = {};
+    if (includeBalances === 'true') {
+      const totals = await JournalEntry.getAccountBalances(req.params.businessId);
+      balances = totals.reduce((map, item) => {
+        map[item._id.toString()] = item;
+        return map;
+      }, {});
+    }
+
+    res.json({
+      success: true,
+      data: {
+        accounts: accounts.map(account => {
+          const result = account.toJSON();
+          const totals = balances[account._id.toString()];
+          if (includeBalances === 'true') {
+            const net = totals ? totals.debit - totals.credit : 0;
+            result.balance = roundCurrency(account.normalBalance === 'debit' ? net : -net);
+          }
+          return result;
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving accounts'
+    });
+  }
+});
+
+// @route   POST /api/accounts/business/:businessId
+// @desc    Create an account
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId', auth, businessAccess, accountRules(), validateInput, async (req, res) => {
+  try {
+    const { code, name, class: accountClass, subtype, parent, description, currency } = req.body;
+    const businessId = req.params.businessId;
+
+    if (!canManageAccounts(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can manage the chart of accounts'
+      });
+    }
+
+    const parentError = await validateParent(businessId, parent, accountClass);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+
+    const account = new Account({
+      business: businessId,
+      code,
+      name,
+      class: accountClass,
+      subtype,
+      parent: parent || undefined,
+      description,
+      currency,
+      createdBy: req.user.id
+    });
+
+    await account.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: { account }
+    });
+  } catch (error) {
+    console.error('Account creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/accounts/business/:businessId/seed
+// @desc    Add the template accounts for the business's industry and type
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/seed', auth, businessAccess, async (req, res) => {
+  try {
+    if (!canManageAccounts(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can manage the chart of accounts'
+      });
+    }
+
+    const industry = req.body.industry || req.business.industry;
+    const businessType = req.body.businessType || req.business.businessType;
+
+    const created = await seedChartOfAccounts(req.business._id, { industry, businessType }, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Added ${created} accounts from the ${industry} template`,
+      data: { created, industry, businessType }
+    });
+  } catch (error) {
+    console.error('Account seeding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error seeding chart of accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/accounts/:accountId
+// @desc    Get a specific account
+// @access  Private
+router.get('/:accountId', auth, async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.accountId)
+      .populate('parent', 'code name');
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Check business access
+    const business = await Business.findOne({
+      _id: account.business,
+      $or: [
+        { owner: req.user.id },
+        { 'employees.user': req.user.id }
+      ]
+    });
+
+    if (!business) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const children = await Account.find({ parent: account._id }).select('code name isActive').sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: { account, children }
+    });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving account'
+    });
+  }
+});
+
+// @route   PUT /api/accounts/:accountId
+// @desc    Update an account
+// @access  Private (Owner or Accountant)
+router.put('/:accountId', auth, async (req, res) => {
+  try {
+    const account = await loadManagedAccount(req, res);
+    if (!account) return;
+
+    const { code, name, class: accountClass, subtype, parent, description, isActive } = req.body;
+
+    if (accountClass && accountClass !== account.class) {
+      const hasPostings = await JournalEntry.exists({ 'lines.account': account._id });
+      if (account.systemRole || hasPostings) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the class of a system account or an account with postings'
+        });
+      }
+    }
+
+    if (isActive === false && account.systemRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'System accounts are used for automatic posting and cannot be deactivated'
+      });
+    }
+
+    if (parent !== undefined) {
+      const parentError = await validateParent(account.business, parent, accountClass || account.class, account._id);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    // Update fields
+    if (code) account.code = code;
+    if (name) account.name = name;
+    if (accountClass) account.class = accountClass;
+    if (subtype !== undefined) account.subtype = subtype || undefined;
+    if (parent !== undefined) account.parent = parent || undefined;
+    if (description !== undefined) account.description = description;
+    if (isActive !== undefined) account.isActive = isActive;
+
+    await account.save();
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: { account }
+    });
+  } catch (error) {
+    console.error('Account update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/accounts/:accountId
+// @desc    Delete an account that has never been posted to
+// @access  Private (Owner or Accountant)
+router.delete('/:accountId', auth, async (req, res) => {
+  try {
+    const account = await loadManagedAccount(req, res);
+    if (!account) return;
+
+    if (account.systemRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'System accounts are used for automatic posting and cannot be deleted'
+      });
+    }
+
+    // Postings keep the audit trail, so used accounts can only be deactivated
+    const hasPostings = await JournalEntry.exists({ 'lines.account': account._id });
+    const hasTransactions = await Transaction.exists({
+      $or: [{ ledgerAccount: account._id }, { contraAccount: account._id }]
+    });
+
+    if (hasPostings || hasTransactions) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account has postings and cannot be deleted; deactivate it instead'
+      });
+    }
+
+    const hasChildren = await Account.exists({ parent: account._id });
+    if (hasChildren) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account has sub-accounts; move or delete them first'
+      });
+    }
+
+    await Account.findByIdAndDelete(account._id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,44 @@ const User = require('../models/User');
 const Business = require('../models/Business');
 const Employee = require('../models/Employee');
 const Transaction = require('../models/Transaction');
+const Payroll = require('../models/Payroll');
+const TaxRateSet = require('../models/TaxRateSet');
+const { getPayrollTaxRates } = require('../services/taxRates');
 const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { validateInput, taxRateSetRules } = require('../middleware/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to turn a rate set save error into a response
+const rateSetSaveError = (res, error, message) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Helper function to reject a date range that overlaps other rate sets
+const rejectOverlap = async (res, effectiveFrom, effectiveTo, excludeId) => {
+  const overlapping = await TaxRateSet.findOverlapping(effectiveFrom, effectiveTo, excludeId);
+  if (overlapping.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Dates overlap tax rate set(s): ${overlapping.map(set => set.name).join(', ')}`
+  });
+  return true;
+};
 
 // Get admin statistics
 router.get('/stats', authenticateToken, requireSuperAdmin, async (req, res) => {
@@ -217,4 +254,203 @@ router.delete('/users/:userId', authenticateToken, requireSuperAdmin, async (req
   }
 });
 
+// Get tax rate sets, latest first
+router.get('/tax-rates', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const rateSets = await TaxRateSet.find()
+      .populate('createdBy updatedBy', 'firstName lastName')
+      .sort({ effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      data: { rateSets }
+    });
+  } catch (error) {
+    console.error('Error fetching tax rate sets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax rate sets'
+    });
+  }
+});
+
+// Get the rates in force on a date (defaults to today), built-in rates included
+router.get('/tax-rates/effective', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { date, rates: await getPayrollTaxRates(date) }
+    });
+  } catch (error) {
+    console.error('Error fetching effective tax rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch effective tax rates'
+    });
+  }
+});
+
+// Get a tax rate set
+router.get('/tax-rates/:rateSetId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const rateSet = await TaxRateSet.findById(req.params.rateSetId)
+      .populate('createdBy updatedBy', 'firstName lastName');
+
+    if (!rateSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rateSet }
+    });
+  } catch (error) {
+    console.error('Error fetching tax rate set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax rate set'
+    });
+  }
+});
+
+// Create a tax rate set. An open-ended set that starts earlier is closed the day
+// before the new set takes effect, so a budget change is a single request.
+router.post('/tax-rates', authenticateToken, requireSuperAdmin, taxRateSetRules(), validateInput, async (req, res) => {
+  try {
+    const { name, effectiveFrom, effectiveTo, paye, nis, educationTax, nht, heartTrust, notes } = req.body;
+
+    const rateSet = new TaxRateSet({
+      name,
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      paye,
+      nis,
+      educationTax,
+      nht,
+      heartTrust,
+      notes,
+      createdBy: req.user.id
+    });
+    await rateSet.validate();
+
+    const previous = await TaxRateSet.findOne({
+      effectiveTo: null,
+      effectiveFrom: { $lt: rateSet.effectiveFrom }
+    }).sort({ effectiveFrom: -1 });
+    const previousEnd = previous && new Date(rateSet.effectiveFrom.getTime() - DAY_MS);
+
+    const overlapping = await TaxRateSet.findOverlapping(rateSet.effectiveFrom, rateSet.effectiveTo);
+    const conflicts = overlapping.filter(set => !previous || !set._id.equals(previous._id));
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Dates overlap tax rate set(s): ${conflicts.map(set => set.name).join(', ')}`
+      });
+    }
+
+    if (previous) {
+      previous.effectiveTo = previousEnd;
+      previous.updatedBy = req.user.id;
+      await previous.save();
+    }
+
+    await rateSet.save();
+
+    res.status(201).json({
+      success: true,
+      message: previous
+        ? `Tax rate set created; ${previous.name} now ends ${previousEnd.toISOString().slice(0, 10)}`
+        : 'Tax rate set created successfully',
+      data: { rateSet }
+    });
+  } catch (error) {
+    rateSetSaveError(res, error, 'Failed to create tax rate set');
+  }
+});
+
+// Update a tax rate set. Paid payrolls keep the rates they were paid at.
+router.put('/tax-rates/:rateSetId', authenticateToken, requireSuperAdmin, taxRateSetRules(true), validateInput, async (req, res) => {
+  try {
+    const rateSet = await TaxRateSet.findById(req.params.rateSetId);
+
+    if (!rateSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate set not found'
+      });
+    }
+
+    const { name, effectiveFrom, effectiveTo, paye, nis, educationTax, nht, heartTrust, notes } = req.body;
+
+    if (name) rateSet.name = name;
+    if (effectiveFrom) rateSet.effectiveFrom = effectiveFrom;
+    if (effectiveTo !== undefined) rateSet.effectiveTo = effectiveTo || null;
+    if (paye) rateSet.paye = { ...rateSet.toObject().paye, ...paye };
+    if (nis) rateSet.nis = { ...rateSet.toObject().nis, ...nis };
+    if (educationTax) rateSet.educationTax = { ...rateSet.toObject().educationTax, ...educationTax };
+    if (nht) rateSet.nht = { ...rateSet.toObject().nht, ...nht };
+    if (heartTrust) rateSet.heartTrust = { ...rateSet.toObject().heartTrust, ...heartTrust };
+    if (notes !== undefined) rateSet.notes = notes;
+    rateSet.updatedBy = req.user.id;
+
+    await rateSet.validate();
+    if (await rejectOverlap(res, rateSet.effectiveFrom, rateSet.effectiveTo, rateSet._id)) return;
+
+    await rateSet.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rate set updated successfully',
+      data: { rateSet }
+    });
+  } catch (error) {
+    rateSetSaveError(res, error, 'Failed to update tax rate set');
+  }
+});
+
+// Delete a tax rate set that no payroll has used
+router.delete('/tax-rates/:rateSetId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const rateSet = await TaxRateSet.findById(req.params.rateSetId);
+
+    if (!rateSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate set not found'
+      });
+    }
+
+    if (await Payroll.exists({ 'jamaicaTaxCalculation.rateSet': rateSet._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax rate set has been used by payrolls; set an effective to date instead'
+      });
+    }
+
+    await rateSet.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Tax rate set deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tax rate set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tax rate set'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
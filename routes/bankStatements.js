@@ -0,0 +1,515 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Account = require('../models/Account');
+const BankImportProfile = require('../models/BankImportProfile');
+const BankStatement = require('../models/BankStatement');
+const StatementEntry = require('../models/StatementEntry');
+const Business = require('../models/Business');
+const { BANK_PROFILES, parseStatement } = require('../services/statementParsers');
+const { importStatement } = require('../services/bankStatements');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, bankImportProfileRules } = require('../middleware/validation');
+const router = express.Router();
+
+const MAX_STATEMENT_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_SIZE, files: 1 }
+});
+
+// Helper middleware to accept a single statement file, reporting upload errors as bad requests
+const uploadStatement = (req, res, next) => {
+  upload.single('statement')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? 'Statement file cannot exceed 5MB'
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+// Helper function to check whether a user may import and manage bank statements
+const canManageBanking = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a document and check the user can manage its business
+const loadManaged = async (Model, id, req, res, label) => {
+  const document = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: document.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManageBanking(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can manage bank statements'
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Helper function to resolve a built-in profile key or a saved profile id
+const resolveProfile = async (businessId, profile) => {
+  if (!profile) return null;
+  if (BANK_PROFILES[profile]) return BANK_PROFILES[profile];
+  if (!mongoose.isValidObjectId(profile)) return null;
+  return BankImportProfile.findOne({ _id: profile, business: businessId });
+};
+
+// @route   GET /api/bank-statements/business/:businessId/profiles
+// @desc    Get built-in and saved CSV column-mapping profiles
+// @access  Private
+router.get('/business/:businessId/profiles', auth, businessAccess, async (req, res) => {
+  try {
+    const profiles = await BankImportProfile.find({ business: req.params.businessId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        builtIn: BANK_PROFILES,
+        profiles
+      }
+    });
+  } catch (error) {
+    console.error('Get import profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving import profiles'
+    });
+  }
+});
+
+// @route   POST /api/bank-statements/business/:businessId/profiles
+// @desc    Save a CSV column-mapping profile for a bank
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/profiles', auth, businessAccess, bankImportProfileRules(), validateInput, async (req, res) => {
+  try {
+    if (!canManageBanking(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can manage import profiles'
+      });
+    }
+
+    const { name, bankName, delimiter, hasHeaderRow, skipRows, dateFormat, columns, amountSign } = req.body;
+
+    const existing = await BankImportProfile.findOne({ business: req.params.businessId, name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `An import profile named ${name} already exists`
+      });
+    }
+
+    const profile = new BankImportProfile({
+      business: req.params.businessId,
+      name,
+      bankName,
+      delimiter,
+      hasHeaderRow,
+      skipRows,
+      dateFormat,
+      columns,
+      amountSign,
+      createdBy: req.user.id
+    });
+
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile saved successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Import profile creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving import profile'
+    });
+  }
+});
+
+// @route   PUT /api/bank-statements/profiles/:profileId
+// @desc    Update a saved column-mapping profile
+// @access  Private (Owner or Accountant)
+router.put('/profiles/:profileId', auth, async (req, res) => {
+  try {
+    const profile = await loadManaged(BankImportProfile, req.params.profileId, req, res, 'Import profile');
+    if (!profile) return;
+
+    const allowedUpdates = ['name', 'bankName', 'delimiter', 'hasHeaderRow', 'skipRows', 'dateFormat', 'columns', 'amountSign'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) profile[field] = req.body[field];
+    });
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Import profile updated successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Import profile update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating import profile'
+    });
+  }
+});
+
+// @route   DELETE /api/bank-statements/profiles/:profileId
+// @desc    Delete a saved column-mapping profile
+// @access  Private (Owner or Accountant)
+router.delete('/profiles/:profileId', auth, async (req, res) => {
+  try {
+    const profile = await loadManaged(BankImportProfile, req.params.profileId, req, res, 'Import profile');
+    if (!profile) return;
+
+    await profile.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Import profile delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting import profile'
+    });
+  }
+});
+
+// @route   POST /api/bank-statements/business/:businessId/import
+// @desc    Import a CSV, OFX/QFX or CAMT.053 bank statement into a bank account
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/import', auth, businessAccess, uploadStatement, async (req, res) => {
+  try {
+    const { bankAccount: bankAccountId, format, profile: profileKey } = req.body;
+    const businessId = req.params.businessId;
+
+    if (!canManageBanking(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can import bank statements'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the statement file in the "statement" field'
+      });
+    }
+
+    if (format && !['csv', 'ofx', 'camt053'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv, ofx or camt053'
+      });
+    }
+
+    const bankAccount = mongoose.isValidObjectId(bankAccountId)
+      ? await Account.findOne({ _id: bankAccountId, business: businessId, subtype: 'bank', isActive: true })
+      : null;
+
+    if (!bankAccount) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid active bank account of this business is required'
+      });
+    }
+
+    const profile = await resolveProfile(businessId, profileKey);
+    if (profileKey && !profile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import profile not found'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseStatement(req.file.buffer, {
+        fileName: req.file.originalname,
+        format,
+        profile
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read statement: ${error.message}`
+      });
+    }
+
+    if (parsed.currency && bankAccount.currency && parsed.currency !== bankAccount.currency) {
+      return res.status(400).json({
+        success: false,
+        message: `Statement currency ${parsed.currency} does not match the ${bankAccount.currency} bank account`
+      });
+    }
+
+    if (parsed.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The statement contains no transactions'
+      });
+    }
+
+    const result = await importStatement(bankAccount, parsed, {
+      fileName: req.file.originalname,
+      profileName: profile ? profile.name : undefined
+    }, req.user.id);
+
+    if (!result.statement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every line in this statement has already been imported'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.entries.length} statement lines`,
+      data: {
+        statement: result.statement,
+        entries: result.entries,
+        summary: {
+          imported: result.entries.length,
+          duplicates: result.duplicates
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing bank statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/bank-statements/business/:businessId
+// @desc    Get imported statements for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const { bankAccount, page = 1, limit = 20 } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (bankAccount) query.bankAccount = bankAccount;
+
+    const statements = await BankStatement.find(query)
+      .populate('bankAccount', 'code name currency')
+      .populate('importedBy', 'firstName lastName email')
+      .sort({ endDate: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BankStatement.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        statements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bank statements'
+    });
+  }
+});
+
+// @route   GET /api/bank-statements/business/:businessId/entries
+// @desc    Get statement lines for a business
+// @access  Private
+router.get('/business/:businessId/entries', auth, businessAccess, async (req, res) => {
+  try {
+    const {
+      bankAccount,
+      status,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (bankAccount) query.bankAccount = bankAccount;
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const entries = await StatementEntry.find(query)
+      .sort({ date: 1, createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StatementEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get statement entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving statement entries'
+    });
+  }
+});
+
+// @route   GET /api/bank-statements/:statementId
+// @desc    Get an imported statement with its lines
+// @access  Private
+router.get('/:statementId', auth, async (req, res) => {
+  try {
+    const statement = await BankStatement.findById(req.params.statementId)
+      .populate('bankAccount', 'code name currency')
+      .populate('importedBy', 'firstName lastName email');
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank statement not found'
+      });
+    }
+
+    // Check business access
+    const business = await Business.findOne({
+      _id: statement.business,
+      $or: [
+        { owner: req.user.id },
+        { 'employees.user': req.user.id }
+      ]
+    });
+
+    if (!business) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const entries = await StatementEntry.find({ statement: statement._id }).sort({ date: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { statement, entries }
+    });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bank statement'
+    });
+  }
+});
+
+// @route   DELETE /api/bank-statements/:statementId
+// @desc    Delete an imported statement and its lines
+// @access  Private (Owner or Accountant)
+router.delete('/:statementId', auth, async (req, res) => {
+  try {
+    const statement = await loadManaged(BankStatement, req.params.statementId, req, res, 'Bank statement');
+    if (!statement) return;
+
+    const inUse = await StatementEntry.exists({
+      statement: statement._id,
+      status: { $in: ['matched', 'reconciled'] }
+    });
+
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a statement with matched or reconciled lines'
+      });
+    }
+
+    await StatementEntry.deleteMany({ statement: statement._id });
+    await statement.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Bank statement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Statement delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting bank statement'
+    });
+  }
+});
+
+module.exports = router;
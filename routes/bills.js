@@ -0,0 +1,743 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Bill = require('../models/Bill');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const {
+  applyInputGctRates,
+  postBill,
+  postBillPayment,
+  voidBillPostings,
+  billFromTransaction
+} = require('../services/bills');
+const { findContact } = require('../services/contacts');
+const { rejectClosedPeriod, sourceEntryDates } = require('../services/accountingPeriods');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, billRules, paymentRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may approve, pay and void bills
+const canApproveBills = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a bill the user can see; approvers only when requireApprover is set
+const loadBill = async (req, res, requireApprover) => {
+  const bill = mongoose.isValidObjectId(req.params.billId)
+    ? await Bill.findById(req.params.billId)
+    : null;
+
+  if (!bill) {
+    res.status(404).json({
+      success: false,
+      message: 'Bill not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: bill.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  if (requireApprover && !canApproveBills(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can approve, pay or void bills'
+    });
+    return null;
+  }
+
+  req.business = business;
+  return bill;
+};
+
+// Helper function to check that drafts are changed only by their creator or an approver
+const canEditDraft = (bill, business, user) => {
+  return bill.createdBy.toString() === user.id || canApproveBills(business, user);
+};
+
+// Helper function to check that line accounts are active expense or asset accounts of the business
+const lineAccountsValid = async (businessId, lineItems) => {
+  const ids = [...new Set((lineItems || []).filter(line => line.account).map(line => String(line.account)))];
+  if (ids.length === 0) return true;
+
+  const count = await Account.countDocuments({
+    _id: { $in: ids },
+    business: businessId,
+    class: { $in: ['expense', 'asset'] },
+    isActive: true
+  });
+  return count === ids.length;
+};
+
+// Helper function to fill blank line categories and accounts from the supplier's defaults
+const withContactDefaults = (lineItems, contact) => {
+  if (!contact || !Array.isArray(lineItems)) return lineItems;
+
+  return lineItems.map(line => ({
+    ...line,
+    category: line.category || contact.defaultExpenseCategory,
+    account: line.account || contact.defaultExpenseAccount
+  }));
+};
+
+// Helper function to send a draft bill for approval
+const submitBill = async (bill, userId) => {
+  await bill.assignNumber();
+  bill.status = 'awaiting_approval';
+  bill.submittedBy = userId;
+  bill.submittedDate = new Date();
+  bill.rejectionReason = undefined;
+  await bill.save();
+};
+
+// @route   GET /api/bills/business/:businessId
+// @desc    Get bills for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      vendor,
+      contact,
+      startDate,
+      endDate,
+      overdue,
+      sortBy = 'billDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = { business: req.params.businessId };
+
+    if (status) query.status = status;
+    if (vendor) query['vendor.name'] = { $regex: vendor, $options: 'i' };
+    if (contact) query.contact = contact;
+
+    if (startDate || endDate) {
+      query.billDate = {};
+      if (startDate) query.billDate.$gte = new Date(startDate);
+      if (endDate) query.billDate.$lte = new Date(endDate);
+    }
+
+    if (overdue === 'true') {
+      query.status = { $in: ['approved', 'partially_paid'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const bills = await Bill.find(query)
+      .select('-payments')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Bill.countDocuments(query);
+
+    const summary = await Bill.aggregate([
+      { $match: { ...query, business: new mongoose.Types.ObjectId(req.params.businessId) } },
+      {
+        $group: {
+          _id: '$status',
+          total: { $sum: '$total' },
+          balanceDue: { $sum: '$balanceDue' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        bills,
+        summary: summary.reduce((acc, item) => {
+          acc[item._id] = {
+            total: item.total,
+            balanceDue: item.balanceDue,
+            count: item.count
+          };
+          return acc;
+        }, {}),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get bills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bills'
+    });
+  }
+});
+
+// @route   POST /api/bills/business/:businessId
+// @desc    Record a supplier bill as a draft, optionally submitting it for approval
+// @access  Private
+router.post('/business/:businessId', auth, businessAccess, billRules(), validateInput, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const {
+      contact: contactId,
+      vendor,
+      vendorInvoiceNumber,
+      billDate,
+      paymentTerms,
+      dueDate,
+      currency,
+      exchangeRate,
+      amountsIncludeGct,
+      lineItems,
+      withholdingTax,
+      notes,
+      attachments,
+      submit
+    } = req.body;
+
+    const contact = contactId ? await findContact(businessId, contactId, 'vendor') : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact must be an active supplier of this business'
+      });
+    }
+
+    const lines = withContactDefaults(lineItems, contact);
+    if (!(await lineAccountsValid(businessId, lines))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Line accounts must be active expense or asset accounts of this business'
+      });
+    }
+
+    const date = billDate ? new Date(billDate) : new Date();
+    const bill = new Bill({
+      business: businessId,
+      contact: contact?._id,
+      vendor: contact ? { ...contact.toSnapshot(), ...vendor } : vendor,
+      vendorInvoiceNumber,
+      billDate: date,
+      paymentTerms: paymentTerms || contact?.defaultPaymentTerms,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      currency,
+      exchangeRate,
+      amountsIncludeGct: Boolean(amountsIncludeGct),
+      lineItems: applyInputGctRates(lines, date),
+      withholdingTax: { rate: withholdingTax?.rate || 0 },
+      notes,
+      attachments: attachments || [],
+      createdBy: req.user.id
+    });
+
+    await bill.save();
+    if (submit) await submitBill(bill, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: submit ? `Bill ${bill.billNumber} submitted for approval` : 'Draft bill created successfully',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bill creation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/bills/business/:businessId/from-transaction/:transactionId
+// @desc    Convert an unpaid supplier transaction into a draft bill
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/from-transaction/:transactionId', auth, businessAccess, async (req, res) => {
+  try {
+    if (!canApproveBills(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can convert transactions to bills'
+      });
+    }
+
+    const transaction = mongoose.isValidObjectId(req.params.transactionId)
+      ? await Transaction.findOne({ _id: req.params.transactionId, business: req.params.businessId })
+      : null;
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (!['expense', 'asset_purchase'].includes(transaction.type) ||
+        !['pending', 'on_hold'].includes(transaction.status) ||
+        !transaction.vendor?.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only unpaid expense or asset purchase transactions with a vendor can be converted to bills'
+      });
+    }
+
+    const bill = new Bill({
+      ...billFromTransaction(transaction),
+      createdBy: req.user.id
+    });
+    await bill.save();
+
+    // The transaction was never posted, so cancelling it leaves the bill as the only record
+    transaction.status = 'cancelled';
+    transaction.notes = [transaction.notes, 'Converted to a supplier bill'].filter(Boolean).join('\n');
+    await transaction.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Transaction converted to a draft bill',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill conversion error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error converting transaction to bill'
+    });
+  }
+});
+
+// @route   GET /api/bills/:billId
+// @desc    Get a specific bill
+// @access  Private
+router.get('/:billId', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, false);
+    if (!bill) return;
+
+    await bill.populate('lineItems.account', 'code name');
+    await bill.populate('createdBy submittedBy approvedBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Get bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bill'
+    });
+  }
+});
+
+// @route   PUT /api/bills/:billId
+// @desc    Update a draft bill
+// @access  Private (Creator or Approver)
+router.put('/:billId', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, false);
+    if (!bill) return;
+
+    if (bill.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft bills can be edited'
+      });
+    }
+
+    if (!canEditDraft(bill, req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit bills you created'
+      });
+    }
+
+    const {
+      contact: contactId,
+      vendor,
+      vendorInvoiceNumber,
+      billDate,
+      paymentTerms,
+      dueDate,
+      currency,
+      exchangeRate,
+      amountsIncludeGct,
+      lineItems,
+      withholdingTax,
+      notes
+    } = req.body;
+
+    const contact = contactId ? await findContact(bill.business, contactId, 'vendor') : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact must be an active supplier of this business'
+      });
+    }
+
+    const lines = withContactDefaults(lineItems, contact);
+    if (lines && !(await lineAccountsValid(bill.business, lines))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Line accounts must be active expense or asset accounts of this business'
+      });
+    }
+
+    if (contact) {
+      bill.contact = contact._id;
+      bill.vendor = { ...contact.toSnapshot(), ...vendor };
+    } else if (vendor) {
+      bill.vendor = { ...bill.vendor.toObject(), ...vendor };
+    }
+    if (vendorInvoiceNumber !== undefined) bill.vendorInvoiceNumber = vendorInvoiceNumber;
+    if (billDate) bill.billDate = new Date(billDate);
+    if (paymentTerms) bill.paymentTerms = paymentTerms;
+    if (dueDate) bill.dueDate = new Date(dueDate);
+    if (currency) bill.currency = currency;
+    if (exchangeRate !== undefined) bill.exchangeRate = exchangeRate;
+    if (amountsIncludeGct !== undefined) bill.amountsIncludeGct = Boolean(amountsIncludeGct);
+    // Rates follow the bill date, so a new date re-rates the existing lines
+    if (lines || billDate) {
+      bill.lineItems = applyInputGctRates(lines || bill.lineItems.map(line => line.toObject()), bill.billDate);
+    }
+    if (withholdingTax) bill.withholdingTax.rate = withholdingTax.rate || 0;
+    if (notes !== undefined) bill.notes = notes;
+
+    await bill.save();
+
+    res.json({
+      success: true,
+      message: 'Bill updated successfully',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bill update'
+    });
+  }
+});
+
+// @route   DELETE /api/bills/:billId
+// @desc    Delete a draft bill
+// @access  Private (Creator or Approver)
+router.delete('/:billId', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, false);
+    if (!bill) return;
+
+    if (bill.status !== 'draft' || bill.billNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts that were never submitted can be deleted; void the bill instead'
+      });
+    }
+
+    if (!canEditDraft(bill, req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete bills you created'
+      });
+    }
+
+    await bill.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Draft bill deleted successfully'
+    });
+  } catch (error) {
+    console.error('Bill delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bill deletion'
+    });
+  }
+});
+
+// @route   POST /api/bills/:billId/submit
+// @desc    Submit a draft bill for approval
+// @access  Private (Creator or Approver)
+router.post('/:billId/submit', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, false);
+    if (!bill) return;
+
+    if (bill.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft bills can be submitted for approval'
+      });
+    }
+
+    if (!canEditDraft(bill, req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only submit bills you created'
+      });
+    }
+
+    await submitBill(bill, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Bill ${bill.billNumber} submitted for approval`,
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill submit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting bill'
+    });
+  }
+});
+
+// @route   POST /api/bills/:billId/approve
+// @desc    Approve a bill, posting the expense and payable to the ledger
+// @access  Private (Owner or Accountant)
+router.post('/:billId/approve', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, true);
+    if (!bill) return;
+
+    if (bill.status !== 'awaiting_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only bills awaiting approval can be approved'
+      });
+    }
+
+    if (await rejectClosedPeriod(res, bill.business, [bill.billDate])) return;
+
+    await postBill(bill, req.business, req.user.id);
+
+    bill.status = 'approved';
+    bill.approvedBy = req.user.id;
+    bill.approvedDate = new Date();
+    await bill.save();
+
+    res.json({
+      success: true,
+      message: `Bill ${bill.billNumber} approved`,
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/bills/:billId/reject
+// @desc    Send a bill back to draft with a reason
+// @access  Private (Owner or Accountant)
+router.post('/:billId/reject', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, true);
+    if (!bill) return;
+
+    if (bill.status !== 'awaiting_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only bills awaiting approval can be rejected'
+      });
+    }
+
+    bill.status = 'draft';
+    bill.rejectionReason = req.body.reason;
+    await bill.save();
+
+    res.json({
+      success: true,
+      message: `Bill ${bill.billNumber} returned to draft`,
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill rejection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting bill'
+    });
+  }
+});
+
+// @route   POST /api/bills/:billId/payments
+// @desc    Record a full or partial payment to the supplier
+// @access  Private (Owner or Accountant)
+router.post('/:billId/payments', auth, paymentRules(), validateInput, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, true);
+    if (!bill) return;
+
+    const { amount, date, paymentMethod = 'bank_transfer', reference, account } = req.body;
+
+    if (!['approved', 'partially_paid'].includes(bill.status)) {
+      return res.status(400).json({
+        success: false,
+        message: bill.status === 'awaiting_approval' || bill.status === 'draft'
+          ? 'Bills must be approved before they are paid'
+          : `Cannot record a payment on a ${bill.status} bill`
+      });
+    }
+
+    const paymentAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (paymentAmount > bill.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance due of ${bill.balanceDue}`
+      });
+    }
+
+    if (account) {
+      const paymentAccount = await Account.exists({
+        _id: account,
+        business: bill.business,
+        class: { $in: ['asset', 'liability'] },
+        isActive: true
+      });
+      if (!paymentAccount) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment account must be an active asset or liability account of this business'
+        });
+      }
+    }
+
+    const paymentDate = date ? new Date(date) : new Date();
+    if (await rejectClosedPeriod(res, bill.business, [paymentDate])) return;
+
+    bill.payments.push({
+      date: paymentDate,
+      amount: paymentAmount,
+      paymentMethod,
+      reference,
+      paymentAccount: account,
+      recordedBy: req.user.id
+    });
+    const payment = bill.payments[bill.payments.length - 1];
+
+    await postBillPayment(bill, payment, req.user.id);
+    await bill.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: { bill, payment }
+    });
+  } catch (error) {
+    console.error('Bill payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/bills/:billId/void
+// @desc    Void a bill with no payments, reversing its ledger posting
+// @access  Private (Owner or Accountant)
+router.post('/:billId/void', auth, async (req, res) => {
+  try {
+    const bill = await loadBill(req, res, true);
+    if (!bill) return;
+
+    const { reason } = req.body;
+
+    if (bill.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Bill is already void'
+      });
+    }
+
+    if (bill.payments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot void a bill with payments recorded against it'
+      });
+    }
+
+    if (bill.journalEntry) {
+      const entryDates = await sourceEntryDates('bill', bill._id);
+      if (await rejectClosedPeriod(res, bill.business, [bill.billDate, ...entryDates])) return;
+      await voidBillPostings(bill, req.user.id, reason);
+    }
+
+    bill.status = 'void';
+    bill.voidedDate = new Date();
+    bill.voidedBy = req.user.id;
+    bill.voidReason = reason;
+    await bill.save();
+
+    res.json({
+      success: true,
+      message: 'Bill voided successfully',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Bill void error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voiding bill'
+    });
+  }
+});
+
+module.exports = router;
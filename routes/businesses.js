@@ -1,6 +1,7 @@
 const express = require('express');
 const Business = require('../models/Business');
 const User = require('../models/User');
+const { seedChartOfAccounts } = require('../services/chartTemplates');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -23,7 +24,9 @@ const createBusinessHandler = async (req, res) => {
             payrollSettings,
             taxSettings,
             fiscalYearEnd,
-            settings
+            settings,
+            seedChartOfAccounts: seedAccounts = true,
+            chartTemplate
         } = req.body;
 
         // Check if business with same TRN or registration number exists
@@ -68,10 +71,26 @@ const createBusinessHandler = async (req, res) => {
         }
         await user.save();
 
+        // Seed the default chart of accounts; the business is usable even if this fails
+        let chartOfAccounts = { seeded: 0 };
+        if (seedAccounts) {
+            try {
+                const seeded = await seedChartOfAccounts(business._id, {
+                    industry: chartTemplate?.industry || industry,
+                    businessType: chartTemplate?.businessType || businessType
+                }, req.user.id);
+                chartOfAccounts = { seeded };
+            } catch (seedError) {
+                console.error('Chart of accounts seeding error:', seedError);
+                chartOfAccounts = { seeded: 0, error: 'Chart of accounts could not be seeded' };
+            }
+        }
+
         res.status(201).json({
             success: true,
             message: 'Business created successfully',
-            business
+            business,
+            chartOfAccounts
         });
     } catch (error) {
         console.error('Business creation error:', error);
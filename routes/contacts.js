@@ -0,0 +1,424 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Contact = require('../models/Contact');
+const Business = require('../models/Business');
+const { mergeContacts } = require('../services/contacts');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, contactRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may merge and deactivate contacts
+const canManageContacts = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a contact and check the user belongs to its business
+const loadContact = async (req, res) => {
+  const contact = mongoose.isValidObjectId(req.params.contactId)
+    ? await Contact.findById(req.params.contactId)
+    : null;
+
+  if (!contact) {
+    res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: contact.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  req.business = business;
+  return contact;
+};
+
+// Helper function to find another active contact with the same TRN or name
+const findDuplicate = (businessId, { name, trn }, excludeId) => {
+  const conditions = [{ normalizedName: Contact.normalizeName(name) }];
+  if (trn) conditions.push({ trn: String(trn).replace(/[\s-]/g, '') });
+
+  return Contact.findOne({
+    business: businessId,
+    isActive: true,
+    _id: { $ne: excludeId },
+    $or: conditions
+  });
+};
+
+// Helper function to check that the default expense account is an active expense account of the business
+const expenseAccountValid = async (businessId, accountId) => {
+  if (!accountId) return true;
+  return Boolean(await Account.exists({
+    _id: accountId,
+    business: businessId,
+    class: 'expense',
+    isActive: true
+  }));
+};
+
+// @route   GET /api/contacts/business/:businessId
+// @desc    Get customers and suppliers for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      type,
+      search,
+      includeInactive,
+      sortBy = 'name',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const query = { business: req.params.businessId };
+
+    if (type) query.type = { $in: [type, 'both'] };
+    if (includeInactive !== 'true') query.isActive = true;
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { trn: { $regex: search.replace(/[\s-]/g, ''), $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const contacts = await Contact.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        contacts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving contacts'
+    });
+  }
+});
+
+// @route   POST /api/contacts/business/:businessId
+// @desc    Create a customer or supplier
+// @access  Private
+router.post('/business/:businessId', auth, businessAccess, contactRules(), validateInput, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const {
+      type,
+      name,
+      trn,
+      email,
+      phone,
+      address,
+      defaultPaymentTerms,
+      defaultExpenseCategory,
+      defaultExpenseAccount,
+      notes
+    } = req.body;
+
+    const duplicate = await findDuplicate(businessId, { name, trn });
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: `Contact ${duplicate.name} already has this name or TRN`,
+        data: { contact: duplicate }
+      });
+    }
+
+    if (!(await expenseAccountValid(businessId, defaultExpenseAccount))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Default expense account must be an active expense account of this business'
+      });
+    }
+
+    const contact = new Contact({
+      business: businessId,
+      type,
+      name,
+      trn,
+      email,
+      phone,
+      address,
+      defaultPaymentTerms,
+      defaultExpenseCategory,
+      defaultExpenseAccount,
+      notes,
+      createdBy: req.user.id
+    });
+
+    await contact.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact created successfully',
+      data: { contact }
+    });
+  } catch (error) {
+    console.error('Contact creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during contact creation'
+    });
+  }
+});
+
+// @route   GET /api/contacts/:contactId
+// @desc    Get a specific contact with its current balance
+// @access  Private
+router.get('/:contactId', auth, async (req, res) => {
+  try {
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    await contact.populate('defaultExpenseAccount', 'code name');
+    await contact.populate('mergedInto', 'name');
+
+    res.json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    console.error('Get contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving contact'
+    });
+  }
+});
+
+// @route   PUT /api/contacts/:contactId
+// @desc    Update a contact; existing documents keep the details printed on them
+// @access  Private
+router.put('/:contactId', auth, async (req, res) => {
+  try {
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    if (contact.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact has been merged and can no longer be edited'
+      });
+    }
+
+    const {
+      type,
+      name,
+      trn,
+      email,
+      phone,
+      address,
+      defaultPaymentTerms,
+      defaultExpenseCategory,
+      defaultExpenseAccount,
+      notes,
+      isActive
+    } = req.body;
+
+    if (name || trn) {
+      const duplicate = await findDuplicate(contact.business, {
+        name: name || contact.name,
+        trn: trn || contact.trn
+      }, contact._id);
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: `Contact ${duplicate.name} already has this name or TRN`
+        });
+      }
+    }
+
+    if (!(await expenseAccountValid(contact.business, defaultExpenseAccount))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Default expense account must be an active expense account of this business'
+      });
+    }
+
+    if (type) contact.type = type;
+    if (name) contact.name = name;
+    if (trn !== undefined) contact.trn = trn || undefined;
+    if (email !== undefined) contact.email = email || undefined;
+    if (phone !== undefined) contact.phone = phone;
+    if (address !== undefined) contact.address = address;
+    if (defaultPaymentTerms) contact.defaultPaymentTerms = defaultPaymentTerms;
+    if (defaultExpenseCategory !== undefined) contact.defaultExpenseCategory = defaultExpenseCategory;
+    if (defaultExpenseAccount !== undefined) contact.defaultExpenseAccount = defaultExpenseAccount || undefined;
+    if (notes !== undefined) contact.notes = notes;
+    if (isActive !== undefined) contact.isActive = isActive;
+
+    await contact.save();
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: { contact }
+    });
+  } catch (error) {
+    console.error('Contact update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during contact update'
+    });
+  }
+});
+
+// @route   DELETE /api/contacts/:contactId
+// @desc    Deactivate a contact; its history is kept
+// @access  Private (Owner or Accountant)
+router.delete('/:contactId', auth, async (req, res) => {
+  try {
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    if (!canManageContacts(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can deactivate contacts'
+      });
+    }
+
+    if (contact.balance.receivable !== 0 || contact.balance.payable !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate a contact with an outstanding balance'
+      });
+    }
+
+    contact.isActive = false;
+    await contact.save();
+
+    res.json({
+      success: true,
+      message: 'Contact deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Contact delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during contact deactivation'
+    });
+  }
+});
+
+// @route   POST /api/contacts/:contactId/merge
+// @desc    Merge duplicate contacts and free-form names into this contact
+// @access  Private (Owner or Accountant)
+router.post('/:contactId/merge', auth, async (req, res) => {
+  try {
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    if (!canManageContacts(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can merge contacts'
+      });
+    }
+
+    if (!contact.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contacts can only be merged into an active contact'
+      });
+    }
+
+    const { contactIds = [], names = [] } = req.body;
+
+    if (!Array.isArray(contactIds) || !Array.isArray(names) || (contactIds.length === 0 && names.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide contactIds and/or names to merge into this contact'
+      });
+    }
+
+    const ids = contactIds.filter(id => String(id) !== contact._id.toString());
+    const sources = ids.every(id => mongoose.isValidObjectId(id))
+      ? await Contact.find({ _id: { $in: ids }, business: contact.business, mergedInto: null })
+      : [];
+
+    if (sources.length !== new Set(ids.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contacts to merge must be unmerged contacts of this business'
+      });
+    }
+
+    const result = await mergeContacts(contact, sources, names);
+    const merged = await Contact.findById(contact._id);
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} contact(s) into ${merged.name}`,
+      data: {
+        contact: merged,
+        rewritten: result
+      }
+    });
+  } catch (error) {
+    console.error('Contact merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging contacts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,169 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Employee = require('../models/Employee');
 const Business = require('../models/Business');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const {
+    validateInput,
+    employeeUpdateRules,
+    employeeTransferRules,
+    salaryChangeRules,
+    terminationRules
+} = require('../middleware/validation');
+const { endOfDay } = require('../services/fiscalCalendar');
 
 const router = express.Router();
 
+// Fields edited in place. Position, department, employment type, supervisor and salary are
+// effective-dated and go through the change history instead.
+const EDITABLE_FIELDS = {
+    personalInfo: ['dateOfBirth', 'gender', 'maritalStatus', 'nationality', 'emergencyContact'],
+    employment: ['startDate', 'workSchedule', 'probationPeriod'],
+    compensation: ['allowances', 'benefits', 'overtimeEligible', 'overtimeRate'],
+    taxInfo: ['trn', 'nis', 'taxStatus', 'dependents', 'educationCredit', 'pensionContribution'],
+    bankDetails: ['bankName', 'accountNumber', 'routingNumber', 'accountType']
+};
+
+const POSITION_FIELDS = ['position', 'department', 'employmentType', 'supervisor'];
+
+// Helper function to check whether a user may edit a business's employees
+const canManageStaff = (business, user) => {
+    return business.owner.toString() === user.id ||
+           ['hr_manager', 'super_admin'].includes(user.role);
+};
+
+// Helper function to check whether a user may approve salary changes
+const canApproveSalary = (business, user) => {
+    return business.owner.toString() === user.id || user.role === 'super_admin';
+};
+
+// Helper function to load an employee the user may manage (or, with allowSelf, their own record)
+const loadEmployee = async (req, res, { allowSelf = false } = {}) => {
+    const employee = mongoose.isValidObjectId(req.params.employeeId)
+        ? await Employee.findById(req.params.employeeId)
+        : null;
+
+    if (!employee) {
+        res.status(404).json({
+            success: false,
+            message: 'Employee not found'
+        });
+        return null;
+    }
+
+    const business = await Business.findOne({
+        _id: employee.business,
+        $or: [
+            { owner: req.user.id },
+            { 'employees.user': req.user.id }
+        ]
+    });
+    const isSelf = employee.user.toString() === req.user.id;
+
+    if (!business || !(canManageStaff(business, req.user) || (allowSelf && isSelf))) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+        return null;
+    }
+
+    req.business = business;
+    return employee;
+};
+
+// Helper function to send an error when the employee has been terminated
+const rejectTerminated = (res, employee) => {
+    if (employee.isActive) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Employee has been terminated'
+    });
+    return true;
+};
+
+// Helper function to send an error unless a new supervisor is another active employee of the business
+const rejectSupervisor = async (res, employee, supervisorId) => {
+    if (!supervisorId) return false;
+
+    const valid = supervisorId.toString() !== employee._id.toString() &&
+        await Employee.exists({ _id: supervisorId, business: employee.business, isActive: true });
+    if (valid) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Supervisor must be another active employee of the business'
+    });
+    return true;
+};
+
+// Helper function to send a mongoose validation error
+const sendValidationError = (res, error) => {
+    res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+    });
+};
+
+// Helper function to read the effective date and reason of a change; changes take effect today by default
+const changeDetails = (req) => ({
+    effectiveDate: req.body.effectiveDate ? new Date(req.body.effectiveDate) : new Date(),
+    reason: req.body.reason
+});
+
+// Helper function to record a change of position, department, employment type or supervisor.
+// Returns the record, or null when nothing differs from the employee's current details.
+const recordPositionChange = (req, employee, values) => {
+    const changes = {};
+    POSITION_FIELDS.forEach(field => {
+        if (values[field] !== undefined && String(values[field]) !== String(employee.employment[field] ?? '')) {
+            changes[field] = values[field];
+        }
+    });
+    if (Object.keys(changes).length === 0) return null;
+
+    employee.positionHistory.push({
+        ...changes,
+        ...changeDetails(req),
+        changedBy: req.user.id
+    });
+    return employee.positionHistory[employee.positionHistory.length - 1];
+};
+
+// Helper function to record a salary change, approved at once when the user may approve salaries.
+// Returns the record, or null when the salary is unchanged.
+const recordSalaryChange = (req, employee, baseSalary) => {
+    const current = employee.compensation.baseSalary;
+    const salary = {
+        amount: baseSalary.amount !== undefined ? Number(baseSalary.amount) : current.amount,
+        currency: baseSalary.currency || current.currency,
+        frequency: baseSalary.frequency || current.frequency
+    };
+    if (salary.amount === current.amount && salary.currency === current.currency && salary.frequency === current.frequency) {
+        return null;
+    }
+
+    const approved = canApproveSalary(req.business, req.user);
+    employee.compensationHistory.push({
+        ...changeDetails(req),
+        baseSalary: salary,
+        status: approved ? 'approved' : 'pending',
+        requestedBy: req.user.id,
+        ...(approved && { reviewedBy: req.user.id, reviewedAt: new Date() })
+    });
+    return employee.compensationHistory[employee.compensationHistory.length - 1];
+};
+
+// Helper function to describe where a change stands
+const changeStatusMessage = (change, what) => {
+    if (change.status === 'pending') return `${what} is awaiting the owner's approval`;
+    if (!change.applied) return `${what} takes effect on ${change.effectiveDate.toISOString().slice(0, 10)}`;
+    return `${what} applied`;
+};
+
 // Employee route handlers
 const createEmployeeHandler = async (req, res) => {
     try {
@@ -355,12 +513,335 @@ const getEmployeeHandler = async (req, res) => {
     }
 };
 
+// Update an employee's details. Position and salary changes are recorded in the change
+// history with an optional `effectiveDate` and `reason`; salary changes by anyone but the
+// owner wait for approval.
+const updateEmployeeHandler = async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res);
+        if (!employee) return;
+        if (rejectTerminated(res, employee)) return;
+
+        const { employment = {}, compensation = {} } = req.body;
+        if (await rejectSupervisor(res, employee, employment.supervisor)) return;
+
+        Object.entries(EDITABLE_FIELDS).forEach(([section, fields]) => {
+            const values = req.body[section] || {};
+            fields.forEach(field => {
+                if (values[field] !== undefined) employee.set(`${section}.${field}`, values[field]);
+            });
+        });
+
+        const positionChange = recordPositionChange(req, employee, employment);
+        const salaryChange = compensation.baseSalary ? recordSalaryChange(req, employee, compensation.baseSalary) : null;
+
+        employee.applyDueChanges();
+        await employee.save();
+        await employee.populate('user', 'firstName lastName email');
+
+        res.json({
+            success: true,
+            message: salaryChange
+                ? `Employee updated; ${changeStatusMessage(salaryChange, 'the salary change')}`
+                : 'Employee updated successfully',
+            data: { employee, positionChange, salaryChange }
+        });
+    } catch (error) {
+        console.error('Employee update error:', error);
+
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating employee'
+        });
+    }
+};
+
+// Move an employee to a new position, department, employment type or supervisor from an
+// effective date
+const transferEmployeeHandler = async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res);
+        if (!employee) return;
+        if (rejectTerminated(res, employee)) return;
+        if (await rejectSupervisor(res, employee, req.body.supervisor)) return;
+
+        const change = recordPositionChange(req, employee, req.body);
+        if (!change) {
+            return res.status(400).json({
+                success: false,
+                message: 'Give a new position, department, employment type or supervisor'
+            });
+        }
+
+        employee.applyDueChanges();
+        await employee.save();
+
+        res.status(201).json({
+            success: true,
+            message: changeStatusMessage(change, 'Transfer'),
+            data: { change, employment: employee.employment }
+        });
+    } catch (error) {
+        console.error('Employee transfer error:', error);
+
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error transferring employee'
+        });
+    }
+};
+
+// Propose a new base salary from an effective date
+const createSalaryChangeHandler = async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res);
+        if (!employee) return;
+        if (rejectTerminated(res, employee)) return;
+
+        const change = recordSalaryChange(req, employee, req.body.baseSalary);
+        if (!change) {
+            return res.status(400).json({
+                success: false,
+                message: 'The salary is unchanged'
+            });
+        }
+
+        employee.applyDueChanges();
+        await employee.save();
+
+        res.status(201).json({
+            success: true,
+            message: changeStatusMessage(change, 'Salary change'),
+            data: { change, baseSalary: employee.compensation.baseSalary }
+        });
+    } catch (error) {
+        console.error('Salary change error:', error);
+
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording salary change'
+        });
+    }
+};
+
+// Approve or reject a pending salary change (business owner); rejecting needs a `reason`
+const reviewSalaryChangeHandler = (approved) => async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res);
+        if (!employee) return;
+
+        if (!canApproveSalary(req.business, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the business owner can review salary changes'
+            });
+        }
+
+        const change = employee.compensationHistory.id(req.params.changeId);
+        if (!change) {
+            return res.status(404).json({
+                success: false,
+                message: 'Salary change not found'
+            });
+        }
+
+        if (change.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot review a salary change that is ${change.status}`
+            });
+        }
+
+        if (!approved && !req.body.reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to reject a salary change'
+            });
+        }
+
+        employee.reviewSalaryChange(change._id, approved, req.user.id, req.body.reason);
+        employee.applyDueChanges();
+        await employee.save();
+
+        res.json({
+            success: true,
+            message: approved ? changeStatusMessage(change, 'Salary change') : 'Salary change rejected',
+            data: { change, baseSalary: employee.compensation.baseSalary }
+        });
+    } catch (error) {
+        console.error('Salary change review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error reviewing salary change'
+        });
+    }
+};
+
+// Salary changes across a business by status (`status`, pending by default)
+const getSalaryChangesHandler = async (req, res) => {
+    try {
+        const { businessId } = req.params;
+        const status = req.query.status || 'pending';
+
+        const business = mongoose.isValidObjectId(businessId)
+            ? await Business.findOne({
+                _id: businessId,
+                $or: [
+                    { owner: req.user.id },
+                    { 'employees.user': req.user.id }
+                ]
+            })
+            : null;
+
+        if (!business || !canManageStaff(business, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const employees = await Employee.find({ business: businessId, 'compensationHistory.status': status })
+            .populate('user', 'firstName lastName email')
+            .select('employeeId user compensation.baseSalary compensationHistory');
+
+        const changes = employees
+            .flatMap(employee => employee.compensationHistory
+                .filter(change => change.status === status)
+                .map(change => ({
+                    employee: {
+                        _id: employee._id,
+                        employeeId: employee.employeeId,
+                        user: employee.user
+                    },
+                    currentSalary: employee.compensation.baseSalary,
+                    change
+                })))
+            .sort((a, b) => a.change.requestedAt - b.change.requestedAt);
+
+        res.json({
+            success: true,
+            data: { changes }
+        });
+    } catch (error) {
+        console.error('Get salary changes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving salary changes'
+        });
+    }
+};
+
+// Salary and position history, newest first; employees may see their own
+const getEmployeeHistoryHandler = async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res, { allowSelf: true });
+        if (!employee) return;
+
+        await employee.populate(
+            'compensationHistory.requestedBy compensationHistory.reviewedBy positionHistory.changedBy',
+            'firstName lastName email'
+        );
+
+        const newestFirst = (a, b) => b.effectiveDate - a.effectiveDate;
+
+        res.json({
+            success: true,
+            data: {
+                employeeId: employee.employeeId,
+                compensation: [...employee.compensationHistory].sort(newestFirst),
+                positions: [...employee.positionHistory].sort(newestFirst),
+                terminationInfo: employee.isActive ? null : employee.terminationInfo
+            }
+        });
+    } catch (error) {
+        console.error('Get employee history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving employee history'
+        });
+    }
+};
+
+// Terminate an employee: record the termination and end their place on the business. Payroll
+// runs pay them up to the termination date and leave them out of later periods.
+const terminateEmployeeHandler = async (req, res) => {
+    try {
+        const employee = await loadEmployee(req, res);
+        if (!employee) return;
+
+        if (!employee.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Employee has already been terminated'
+            });
+        }
+
+        const { type, reason, noticePeriod, finalPayDate, exitInterviewCompleted } = req.body;
+        const date = req.body.date ? new Date(req.body.date) : new Date();
+
+        if (date > endOfDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Termination date cannot be in the future'
+            });
+        }
+
+        if (date < employee.employment.startDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Termination date cannot be before the employee\'s start date'
+            });
+        }
+
+        await employee.terminate({
+            date,
+            type,
+            reason,
+            noticePeriod,
+            finalPayDate: finalPayDate ? new Date(finalPayDate) : undefined,
+            exitInterviewCompleted: Boolean(exitInterviewCompleted),
+            terminatedBy: req.user.id
+        });
+        await req.business.deactivateEmployee(employee.user, date);
+
+        res.json({
+            success: true,
+            message: 'Employee terminated',
+            data: { employee }
+        });
+    } catch (error) {
+        console.error('Employee termination error:', error);
+
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error terminating employee'
+        });
+    }
+};
+
 // Routes
 router.use(auth); // Apply auth middleware to all employee routes
 
 // Protected routes
 router.post('/', createEmployeeHandler);
 router.get('/business/:businessId', getEmployeesHandler);
+router.get('/business/:businessId/salary-changes', getSalaryChangesHandler);
 router.get('/:employeeId', getEmployeeHandler);
+router.put('/:employeeId', employeeUpdateRules(), validateInput, updateEmployeeHandler);
+router.patch('/:employeeId', employeeUpdateRules(), validateInput, updateEmployeeHandler);
+router.get('/:employeeId/history', getEmployeeHistoryHandler);
+router.post('/:employeeId/transfer', employeeTransferRules(), validateInput, transferEmployeeHandler);
+router.post('/:employeeId/salary-changes', salaryChangeRules(), validateInput, createSalaryChangeHandler);
+router.post('/:employeeId/salary-changes/:changeId/approve', reviewSalaryChangeHandler(true));
+router.post('/:employeeId/salary-changes/:changeId/reject', reviewSalaryChangeHandler(false));
+router.post('/:employeeId/terminate', terminationRules(), validateInput, terminateEmployeeHandler);
 
 module.exports = router;
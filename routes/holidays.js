@@ -0,0 +1,194 @@
+const express = require('express');
+const Employee = require('../models/Employee');
+const { auth, businessAccess } = require('../middleware/auth');
+const {
+  jamaicaPublicHolidays,
+  businessHolidays,
+  countWorkingDays,
+  dayKey
+} = require('../services/holidays');
+const router = express.Router();
+
+// Helper function to check whether a user may change a business's holiday calendar
+const canManageCalendar = (business, user) => {
+  return business.owner.toString() === user.id ||
+         ['hr_manager', 'super_admin'].includes(user.role);
+};
+
+// Helper function to read a calendar year from the request, sending an error when invalid
+const readYear = (res, value) => {
+  const year = parseInt(value || new Date().getFullYear());
+  if (year >= 2000 && year <= 2100) return year;
+
+  res.status(400).json({
+    success: false,
+    message: 'Year must be between 2000 and 2100'
+  });
+  return null;
+};
+
+// @route   GET /api/holidays/jamaica/:year
+// @desc    Get Jamaica's public holidays for a year, on the days they are observed
+// @access  Private
+router.get('/jamaica/:year', auth, (req, res) => {
+  const year = readYear(res, req.params.year);
+  if (!year) return;
+
+  res.json({
+    success: true,
+    data: {
+      year,
+      holidays: jamaicaPublicHolidays(year)
+    }
+  });
+});
+
+// @route   GET /api/holidays/business/:businessId
+// @desc    Get a business's holiday calendar: public holidays and its own closures (`year`)
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, (req, res) => {
+  const year = readYear(res, req.query.year);
+  if (!year) return;
+
+  res.json({
+    success: true,
+    data: {
+      year,
+      holidays: businessHolidays(req.business, new Date(year, 0, 1), new Date(year, 11, 31))
+    }
+  });
+});
+
+// @route   GET /api/holidays/business/:businessId/working-days
+// @desc    Count working days between two dates, skipping weekends and holidays (`startDate`,
+//          `endDate`, optional `employee` to use their work days)
+// @access  Private
+router.get('/business/:businessId/working-days', auth, businessAccess, async (req, res) => {
+  try {
+    const { startDate, endDate, employee: employeeId } = req.query;
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (!startDate || !endDate || isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end dates are required'
+      });
+    }
+
+    let workDays;
+    if (employeeId) {
+      const employee = await Employee.findOne({ _id: employeeId, business: req.params.businessId })
+        .select('employment.workSchedule.workDays');
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee not found'
+        });
+      }
+      workDays = employee.employment.workSchedule?.workDays;
+    }
+
+    const holidays = businessHolidays(req.business, start, end);
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start,
+        endDate: end,
+        workingDays: countWorkingDays(start, end, { holidays, workDays }),
+        holidays
+      }
+    });
+  } catch (error) {
+    console.error('Working days error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error counting working days'
+    });
+  }
+});
+
+// @route   POST /api/holidays/business/:businessId/closures
+// @desc    Add a day the business is closed (`date`, `name`, `holidayPay`)
+// @access  Private (Owner or HR Manager)
+router.post('/business/:businessId/closures', auth, businessAccess, async (req, res) => {
+  try {
+    const { date, name, holidayPay } = req.body;
+
+    if (!canManageCalendar(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change the holiday calendar'
+      });
+    }
+
+    if (!date || isNaN(new Date(date)) || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date and a name are required'
+      });
+    }
+
+    const duplicate = req.business.holidayClosures.some(closure => dayKey(closure.date) === dayKey(date));
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The business already has a closure on this date'
+      });
+    }
+
+    req.business.holidayClosures.push({ date: new Date(date), name, holidayPay: Boolean(holidayPay) });
+    await req.business.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Closure added to the holiday calendar',
+      data: { closure: req.business.holidayClosures[req.business.holidayClosures.length - 1] }
+    });
+  } catch (error) {
+    console.error('Add closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding closure'
+    });
+  }
+});
+
+// @route   DELETE /api/holidays/business/:businessId/closures/:closureId
+// @desc    Remove a business closure
+// @access  Private (Owner or HR Manager)
+router.delete('/business/:businessId/closures/:closureId', auth, businessAccess, async (req, res) => {
+  try {
+    if (!canManageCalendar(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change the holiday calendar'
+      });
+    }
+
+    const closure = req.business.holidayClosures.id(req.params.closureId);
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found'
+      });
+    }
+
+    closure.deleteOne();
+    await req.business.save();
+
+    res.json({
+      success: true,
+      message: 'Closure removed from the holiday calendar'
+    });
+  } catch (error) {
+    console.error('Remove closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing closure'
+    });
+  }
+});
+
+module.exports = router;
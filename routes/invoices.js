@@ -0,0 +1,596 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const { applyGctRates, postInvoice, postInvoicePayment, voidInvoicePostings } = require('../services/invoicing');
+const { findContact } = require('../services/contacts');
+const { rejectClosedPeriod, sourceEntryDates } = require('../services/accountingPeriods');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, invoiceRules, paymentRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may raise and change invoices
+const canManageInvoices = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load an invoice and check the user can manage its business
+const loadManagedInvoice = async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.invoiceId)
+    ? await Invoice.findById(req.params.invoiceId)
+    : null;
+
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: invoice.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManageInvoices(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can manage invoices'
+    });
+    return null;
+  }
+
+  req.business = business;
+  return invoice;
+};
+
+// Helper function to check that line accounts are active revenue accounts of the business
+const lineAccountsValid = async (businessId, lineItems) => {
+  const ids = [...new Set((lineItems || []).filter(line => line.account).map(line => String(line.account)))];
+  if (ids.length === 0) return true;
+
+  const count = await Account.countDocuments({
+    _id: { $in: ids },
+    business: businessId,
+    class: 'revenue',
+    isActive: true
+  });
+  return count === ids.length;
+};
+
+// Helper function to issue a draft invoice: number it, post it and mark it sent
+const issueInvoice = async (invoice, userId) => {
+  await invoice.assignNumber();
+  invoice.status = 'sent';
+  invoice.sentDate = new Date();
+  await invoice.save();
+
+  try {
+    await postInvoice(invoice, userId);
+  } catch (postingError) {
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { status: 'draft', $unset: { invoiceNumber: 1, sentDate: 1 } }
+    );
+    throw postingError;
+  }
+
+  await invoice.save();
+};
+
+// @route   GET /api/invoices/business/:businessId
+// @desc    Get invoices for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      customer,
+      contact,
+      startDate,
+      endDate,
+      overdue,
+      sortBy = 'issueDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = { business: req.params.businessId };
+
+    if (status) query.status = status;
+    if (customer) query['customer.name'] = { $regex: customer, $options: 'i' };
+    if (contact) query.contact = contact;
+
+    if (startDate || endDate) {
+      query.issueDate = {};
+      if (startDate) query.issueDate.$gte = new Date(startDate);
+      if (endDate) query.issueDate.$lte = new Date(endDate);
+    }
+
+    if (overdue === 'true') {
+      query.status = { $in: ['sent', 'partially_paid'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const invoices = await Invoice.find(query)
+      .select('-payments')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    const summary = await Invoice.aggregate([
+      { $match: { ...query, business: new mongoose.Types.ObjectId(req.params.businessId) } },
+      {
+        $group: {
+          _id: '$status',
+          total: { $sum: '$total' },
+          balanceDue: { $sum: '$balanceDue' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        summary: summary.reduce((acc, item) => {
+          acc[item._id] = {
+            total: item.total,
+            balanceDue: item.balanceDue,
+            count: item.count
+          };
+          return acc;
+        }, {}),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving invoices'
+    });
+  }
+});
+
+// @route   POST /api/invoices/business/:businessId
+// @desc    Create a draft invoice, optionally issuing it straight away
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId', auth, businessAccess, invoiceRules(), validateInput, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const {
+      contact: contactId,
+      customer,
+      issueDate,
+      paymentTerms,
+      dueDate,
+      currency,
+      exchangeRate,
+      amountsIncludeGct,
+      lineItems,
+      reference,
+      notes,
+      terms,
+      issue
+    } = req.body;
+
+    if (!canManageInvoices(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can create invoices'
+      });
+    }
+
+    if (!(await lineAccountsValid(businessId, lineItems))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Line accounts must be active revenue accounts of this business'
+      });
+    }
+
+    const contact = contactId ? await findContact(businessId, contactId, 'customer') : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact must be an active customer of this business'
+      });
+    }
+
+    const invoiceDate = issueDate ? new Date(issueDate) : new Date();
+    const invoice = new Invoice({
+      business: businessId,
+      contact: contact?._id,
+      customer: contact ? { ...contact.toSnapshot(), ...customer } : customer,
+      issueDate: invoiceDate,
+      paymentTerms: paymentTerms || contact?.defaultPaymentTerms,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      currency,
+      exchangeRate,
+      amountsIncludeGct: Boolean(amountsIncludeGct),
+      lineItems: applyGctRates(lineItems, req.business, invoiceDate),
+      reference,
+      notes,
+      terms,
+      createdBy: req.user.id
+    });
+
+    if (issue && await rejectClosedPeriod(res, businessId, [invoice.issueDate])) return;
+
+    await invoice.save();
+    if (issue) await issueInvoice(invoice, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: issue ? `Invoice ${invoice.invoiceNumber} issued successfully` : 'Draft invoice created successfully',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Invoice creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during invoice creation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/invoices/:invoiceId
+// @desc    Get a specific invoice
+// @access  Private
+router.get('/:invoiceId', auth, async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.params.invoiceId)
+      ? await Invoice.findById(req.params.invoiceId)
+        .populate('business', 'name trn address phone email')
+        .populate('lineItems.account', 'code name')
+        .populate('createdBy', 'firstName lastName email')
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // Check business access
+    const business = await Business.findOne({
+      _id: invoice.business._id,
+      $or: [
+        { owner: req.user.id },
+        { 'employees.user': req.user.id }
+      ]
+    });
+
+    if (!business) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving invoice'
+    });
+  }
+});
+
+// @route   PUT /api/invoices/:invoiceId
+// @desc    Update a draft invoice
+// @access  Private (Owner or Accountant)
+router.put('/:invoiceId', auth, async (req, res) => {
+  try {
+    const invoice = await loadManagedInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be edited; void and reissue instead'
+      });
+    }
+
+    const {
+      contact: contactId,
+      customer,
+      issueDate,
+      paymentTerms,
+      dueDate,
+      currency,
+      exchangeRate,
+      amountsIncludeGct,
+      lineItems,
+      reference,
+      notes,
+      terms
+    } = req.body;
+
+    const contact = contactId ? await findContact(invoice.business, contactId, 'customer') : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact must be an active customer of this business'
+      });
+    }
+
+    if (lineItems && !(await lineAccountsValid(invoice.business, lineItems))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Line accounts must be active revenue accounts of this business'
+      });
+    }
+
+    if (contact) {
+      invoice.contact = contact._id;
+      invoice.customer = { ...contact.toSnapshot(), ...customer };
+    } else if (customer) {
+      invoice.customer = { ...invoice.customer.toObject(), ...customer };
+    }
+    if (issueDate) invoice.issueDate = new Date(issueDate);
+    if (paymentTerms) invoice.paymentTerms = paymentTerms;
+    if (dueDate) invoice.dueDate = new Date(dueDate);
+    if (currency) invoice.currency = currency;
+    if (exchangeRate !== undefined) invoice.exchangeRate = exchangeRate;
+    if (amountsIncludeGct !== undefined) invoice.amountsIncludeGct = Boolean(amountsIncludeGct);
+    // Rates follow the issue date, so a new date re-rates the existing lines
+    if (lineItems || issueDate) {
+      invoice.lineItems = applyGctRates(
+        lineItems || invoice.lineItems.map(line => line.toObject()),
+        req.business,
+        invoice.issueDate
+      );
+    }
+    if (reference !== undefined) invoice.reference = reference;
+    if (notes !== undefined) invoice.notes = notes;
+    if (terms !== undefined) invoice.terms = terms;
+
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Invoice update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during invoice update'
+    });
+  }
+});
+
+// @route   DELETE /api/invoices/:invoiceId
+// @desc    Delete a draft invoice
+// @access  Private (Owner or Accountant)
+router.delete('/:invoiceId', auth, async (req, res) => {
+  try {
+    const invoice = await loadManagedInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Issued invoices cannot be deleted; void them instead'
+      });
+    }
+
+    await invoice.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Draft invoice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Invoice delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during invoice deletion'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:invoiceId/issue
+// @desc    Issue a draft invoice, posting revenue and the receivable to the ledger
+// @access  Private (Owner or Accountant)
+router.post('/:invoiceId/issue', auth, async (req, res) => {
+  try {
+    const invoice = await loadManagedInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be issued'
+      });
+    }
+
+    if (await rejectClosedPeriod(res, invoice.business, [invoice.issueDate])) return;
+
+    await issueInvoice(invoice, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued successfully`,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Invoice issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/invoices/:invoiceId/payments
+// @desc    Record a customer payment against an invoice
+// @access  Private (Owner or Accountant)
+router.post('/:invoiceId/payments', auth, paymentRules(), validateInput, async (req, res) => {
+  try {
+    const invoice = await loadManagedInvoice(req, res);
+    if (!invoice) return;
+
+    const { amount, date, paymentMethod = 'bank_transfer', reference, account } = req.body;
+
+    if (!['sent', 'partially_paid'].includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a payment on a ${invoice.status} invoice`
+      });
+    }
+
+    const paymentAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (paymentAmount > invoice.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance due of ${invoice.balanceDue}`
+      });
+    }
+
+    if (account) {
+      const depositAccount = await Account.exists({
+        _id: account,
+        business: invoice.business,
+        class: 'asset',
+        isActive: true
+      });
+      if (!depositAccount) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment account must be an active asset account of this business'
+        });
+      }
+    }
+
+    const paymentDate = date ? new Date(date) : new Date();
+    if (await rejectClosedPeriod(res, invoice.business, [paymentDate])) return;
+
+    invoice.payments.push({
+      date: paymentDate,
+      amount: paymentAmount,
+      paymentMethod,
+      reference,
+      depositAccount: account,
+      recordedBy: req.user.id
+    });
+    const payment = invoice.payments[invoice.payments.length - 1];
+
+    await postInvoicePayment(invoice, payment, req.user.id);
+    await invoice.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: { invoice, payment }
+    });
+  } catch (error) {
+    console.error('Invoice payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/invoices/:invoiceId/void
+// @desc    Void an issued invoice, reversing its ledger posting
+// @access  Private (Owner or Accountant)
+router.post('/:invoiceId/void', auth, async (req, res) => {
+  try {
+    const invoice = await loadManagedInvoice(req, res);
+    if (!invoice) return;
+
+    const { reason } = req.body;
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    if (invoice.payments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot void an invoice with payments recorded against it'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      const entryDates = await sourceEntryDates('invoice', invoice._id);
+      if (await rejectClosedPeriod(res, invoice.business, [invoice.issueDate, ...entryDates])) return;
+      await voidInvoicePostings(invoice, req.user.id, reason);
+    }
+
+    invoice.status = 'void';
+    invoice.voidedDate = new Date();
+    invoice.voidedBy = req.user.id;
+    invoice.voidReason = reason;
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice voided successfully',
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Invoice void error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voiding invoice'
+    });
+  }
+});
+
+module.exports = router;
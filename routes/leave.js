@@ -0,0 +1,458 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Employee = require('../models/Employee');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, leaveRequestRules, leavePolicyRules } = require('../middleware/validation');
+const {
+  leavePolicy,
+  leaveBalances,
+  syncLeaveBalances,
+  assessLeaveRequest
+} = require('../services/leave');
+const router = express.Router();
+
+// Helper function to check whether a user may manage a business's staff leave
+const canManageLeave = (business, user) => {
+  return business.owner.toString() === user.id ||
+         ['hr_manager', 'super_admin'].includes(user.role);
+};
+
+// Helper function to load an employee and work out how the user relates to them
+const loadEmployee = async (req, res) => {
+  const employee = mongoose.isValidObjectId(req.params.employeeId)
+    ? await Employee.findById(req.params.employeeId)
+    : null;
+
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      message: 'Employee not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: employee.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  const access = {
+    isManager: Boolean(business) && canManageLeave(business, req.user),
+    isEmployee: employee.user.toString() === req.user.id,
+    isSupervisor: Boolean(employee.employment.supervisor) &&
+      Boolean(await Employee.exists({ _id: employee.employment.supervisor, user: req.user.id }))
+  };
+
+  if (!business || !(access.isManager || access.isEmployee || access.isSupervisor)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  req.business = business;
+  req.leaveAccess = access;
+  return employee;
+};
+
+// Helper function to find a leave request on an employee, sending an error when missing
+const findRequest = (res, employee, requestId) => {
+  const request = employee.leave.requests.id(requestId);
+  if (request) return request;
+
+  res.status(404).json({
+    success: false,
+    message: 'Leave request not found'
+  });
+  return null;
+};
+
+// Helper function to send an error unless the user may approve or deny the employee's leave
+const rejectReviewer = (req, res) => {
+  const { isManager, isEmployee, isSupervisor } = req.leaveAccess;
+
+  if (isEmployee) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot review your own leave'
+    });
+    return true;
+  }
+
+  if (!isSupervisor && !isManager) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the employee\'s supervisor or an HR manager can review this leave'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Helper function to send an error unless the request is pending
+const rejectNotPending = (res, request, action) => {
+  if (request.status === 'pending') return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Cannot ${action} a leave request that is ${request.status}`
+  });
+  return true;
+};
+
+// Helper function to refresh the stored balances after leave changes
+const saveBalances = (employee, business) => {
+  syncLeaveBalances(employee, leaveBalances(employee, business));
+  return employee.save();
+};
+
+// @route   GET /api/leave/business/:businessId/policy
+// @desc    Get the business's leave policy
+// @access  Private
+router.get('/business/:businessId/policy', auth, businessAccess, (req, res) => {
+  res.json({
+    success: true,
+    data: { policy: leavePolicy(req.business) }
+  });
+});
+
+// @route   PUT /api/leave/business/:businessId/policy
+// @desc    Update the business's leave policy
+// @access  Private (Owner or HR Manager)
+router.put('/business/:businessId/policy', auth, businessAccess, leavePolicyRules(), validateInput, async (req, res) => {
+  try {
+    if (!canManageLeave(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change the leave policy'
+      });
+    }
+
+    const { accrualMethod, vacationDays, sickDays, carryOverCap, excludeProbation, maternity, paternityDays } = req.body;
+    const policy = req.business.leavePolicy;
+
+    if (accrualMethod !== undefined) policy.accrualMethod = accrualMethod;
+    if (vacationDays !== undefined) policy.vacationDays = vacationDays;
+    if (sickDays !== undefined) policy.sickDays = sickDays;
+    if (carryOverCap !== undefined) policy.carryOverCap = carryOverCap;
+    if (excludeProbation !== undefined) policy.excludeProbation = excludeProbation;
+    if (paternityDays !== undefined) policy.paternityDays = paternityDays;
+    if (maternity) policy.maternity = { ...policy.toObject().maternity, ...maternity };
+
+    await req.business.save();
+
+    res.json({
+      success: true,
+      message: 'Leave policy updated successfully',
+      data: { policy: leavePolicy(req.business) }
+    });
+  } catch (error) {
+    console.error('Leave policy update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating leave policy'
+    });
+  }
+});
+
+// @route   GET /api/leave/business/:businessId/requests
+// @desc    Get leave requests: all for HR managers, otherwise the user's own and their reports'
+//          (`status`, `type`, `from`, `to`)
+// @access  Private
+router.get('/business/:businessId/requests', auth, businessAccess, async (req, res) => {
+  try {
+    const { status, type, from, to } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (!canManageLeave(req.business, req.user)) {
+      const ownRecords = await Employee.find({ business: req.params.businessId, user: req.user.id }).select('_id');
+      const ids = ownRecords.map(record => record._id);
+      query.$or = [{ _id: { $in: ids } }, { 'employment.supervisor': { $in: ids } }];
+    }
+
+    const employees = await Employee.find(query)
+      .select('employeeId user employment.department leave.requests')
+      .populate('user', 'firstName lastName');
+
+    const requests = employees
+      .flatMap(employee => employee.leave.requests.map(request => ({
+        ...request.toObject(),
+        employee: {
+          _id: employee._id,
+          employeeId: employee.employeeId,
+          name: `${employee.user?.firstName || ''} ${employee.user?.lastName || ''}`.trim(),
+          department: employee.employment.department
+        }
+      })))
+      .filter(request => (!status || request.status === status) &&
+        (!type || request.type === type) &&
+        (!from || request.endDate >= new Date(from)) &&
+        (!to || request.startDate <= new Date(to)))
+      .sort((a, b) => b.startDate - a.startDate);
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving leave requests'
+    });
+  }
+});
+
+// @route   GET /api/leave/employees/:employeeId/balance
+// @desc    Get an employee's leave balances for the leave year containing `asOf`
+// @access  Private (Employee, supervisor or HR manager)
+router.get('/employees/:employeeId/balance', auth, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req, res);
+    if (!employee) return;
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be a valid date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        employeeId: employee.employeeId,
+        asOf,
+        balances: leaveBalances(employee, req.business, asOf)
+      }
+    });
+  } catch (error) {
+    console.error('Leave balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error calculating leave balance'
+    });
+  }
+});
+
+// @route   POST /api/leave/employees/:employeeId/requests
+// @desc    Submit a leave request; the days are counted from the employee's working days.
+//          Vacation may be paid in advance (`payInAdvance`) on the payslip for the period it starts in.
+// @access  Private (Employee or HR manager)
+router.post('/employees/:employeeId/requests', auth, leaveRequestRules(), validateInput, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req, res);
+    if (!employee) return;
+
+    if (!req.leaveAccess.isEmployee && !req.leaveAccess.isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee or an HR manager can request leave'
+      });
+    }
+
+    if (!employee.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot request leave for an inactive employee'
+      });
+    }
+
+    const { type, reason, payInAdvance } = req.body;
+    const startDate = new Date(req.body.startDate);
+    const endDate = new Date(req.body.endDate);
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    if (payInAdvance && type !== 'vacation') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only vacation leave can be paid in advance'
+      });
+    }
+
+    const assessment = assessLeaveRequest(employee, req.business, { type, startDate, endDate });
+    if (assessment.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: assessment.errors[0],
+        errors: assessment.errors
+      });
+    }
+
+    syncLeaveBalances(employee, leaveBalances(employee, req.business));
+    await employee.requestLeave({
+      type,
+      startDate,
+      endDate,
+      days: assessment.days,
+      paidDays: assessment.paidDays,
+      payInAdvance: Boolean(payInAdvance),
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave request submitted',
+      data: {
+        request: employee.leave.requests[employee.leave.requests.length - 1],
+        warnings: assessment.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting leave request'
+    });
+  }
+});
+
+// @route   POST /api/leave/employees/:employeeId/requests/:requestId/approve
+// @desc    Approve a pending leave request
+// @access  Private (Supervisor or HR manager)
+router.post('/employees/:employeeId/requests/:requestId/approve', auth, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req, res);
+    if (!employee) return;
+
+    if (rejectReviewer(req, res)) return;
+
+    const request = findRequest(res, employee, req.params.requestId);
+    if (!request) return;
+    if (rejectNotPending(res, request, 'approve')) return;
+
+    // Balances may have moved since the request was made
+    const assessment = assessLeaveRequest(employee, req.business, {
+      type: request.type,
+      startDate: request.startDate,
+      endDate: request.endDate,
+      requestId: request._id,
+      approving: true
+    });
+    if (assessment.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: assessment.errors[0],
+        errors: assessment.errors
+      });
+    }
+
+    request.days = assessment.days;
+    request.paidDays = assessment.paidDays;
+    await employee.processLeaveRequest(request._id, 'approved', req.user.id, req.body.comments);
+    await saveBalances(employee, req.business);
+
+    res.json({
+      success: true,
+      message: 'Leave request approved',
+      data: {
+        request,
+        warnings: assessment.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Leave approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving leave request'
+    });
+  }
+});
+
+// @route   POST /api/leave/employees/:employeeId/requests/:requestId/deny
+// @desc    Deny a pending leave request with a reason
+// @access  Private (Supervisor or HR manager)
+router.post('/employees/:employeeId/requests/:requestId/deny', auth, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req, res);
+    if (!employee) return;
+
+    if (rejectReviewer(req, res)) return;
+
+    const request = findRequest(res, employee, req.params.requestId);
+    if (!request) return;
+    if (rejectNotPending(res, request, 'deny')) return;
+
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to deny leave'
+      });
+    }
+
+    await employee.processLeaveRequest(request._id, 'denied', req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Leave request denied',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Leave denial error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error denying leave request'
+    });
+  }
+});
+
+// @route   POST /api/leave/employees/:employeeId/requests/:requestId/cancel
+// @desc    Cancel leave: the employee while it is pending or has not started, HR managers at any time
+// @access  Private (Employee or HR manager)
+router.post('/employees/:employeeId/requests/:requestId/cancel', auth, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req, res);
+    if (!employee) return;
+
+    const request = findRequest(res, employee, req.params.requestId);
+    if (!request) return;
+
+    if (!['pending', 'approved'].includes(request.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a leave request that is ${request.status}`
+      });
+    }
+
+    const { isManager, isEmployee } = req.leaveAccess;
+    const started = request.startDate <= new Date();
+    if (!isManager && !(isEmployee && (request.status === 'pending' || !started))) {
+      return res.status(403).json({
+        success: false,
+        message: started
+          ? 'Leave that has started can only be cancelled by an HR manager'
+          : 'Only the employee or an HR manager can cancel this leave'
+      });
+    }
+
+    await employee.processLeaveRequest(request._id, 'cancelled', req.user.id);
+    await saveBalances(employee, req.business);
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Leave cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling leave request'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const ledger = require('../services/ledger');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, journalEntryRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may post to the books of a business
+const canManageLedger = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// @route   GET /api/ledger/business/:businessId/journal-entries
+// @desc    Get journal entries for a business
+// @access  Private
+router.get('/business/:businessId/journal-entries', auth, businessAccess, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      startDate,
+      endDate,
+      account,
+      sourceType,
+      status = 'posted'
+    } = req.query;
+
+    const query = { business: req.params.businessId };
+
+    if (status !== 'all') query.status = status;
+    if (account) query['lines.account'] = account;
+    if (sourceType) query['source.type'] = sourceType;
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const entries = await JournalEntry.find(query)
+      .populate('lines.account', 'code name class')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await JournalEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving journal entries'
+    });
+  }
+});
+
+// @route   POST /api/ledger/business/:businessId/journal-entries
+// @desc    Post a manual journal entry
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/journal-entries', auth, businessAccess, journalEntryRules(), validateInput, async (req, res) => {
+  try {
+    const { date, description, reference, lines } = req.body;
+    const businessId = req.params.businessId;
+
+    if (!canManageLedger(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can post journal entries'
+      });
+    }
+
+    const accountIds = [...new Set(lines.map(line => String(line.account)))];
+    const accountCount = await Account.countDocuments({
+      _id: { $in: accountIds },
+      business: businessId,
+      isActive: true
+    });
+
+    if (accountCount !== accountIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every line must use an active account of this business'
+      });
+    }
+
+    const entryDate = date ? new Date(date) : new Date();
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(businessId, [entryDate]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
+    const entry = new JournalEntry({
+      business: businessId,
+      date: entryDate,
+      description,
+      reference,
+      source: { type: 'manual' },
+      lines: lines.map(line => ({
+        account: line.account,
+        description: line.description,
+        debit: Number(line.debit) || 0,
+        credit: Number(line.credit) || 0
+      })),
+      createdBy: req.user.id
+    });
+
+    await entry.save();
+    await entry.populate('lines.account', 'code name class');
+
+    res.status(201).json({
+      success: true,
+      message: 'Journal entry posted successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Journal entry creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error posting journal entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/ledger/journal-entries/:entryId
+// @desc    Get a specific journal entry
+// @access  Private
+router.get('/journal-entries/:entryId', auth, async (req, res) => {
+  try {
+    const entry = await JournalEntry.findById(req.params.entryId)
+      .populate('lines.account', 'code name class')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('voidedBy', 'firstName lastName email');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journal entry not found'
+      });
+    }
+
+    // Check business access
+    const business = await Business.findOne({
+      _id: entry.business,
+      $or: [
+        { owner: req.user.id },
+        { 'employees.user': req.user.id }
+      ]
+    });
+
+    if (!business) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Get journal entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving journal entry'
+    });
+  }
+});
+
+// @route   POST /api/ledger/journal-entries/:entryId/void
+// @desc    Void a manual journal entry
+// @access  Private (Owner or Accountant)
+router.post('/journal-entries/:entryId/void', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const entry = await JournalEntry.findById(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journal entry not found'
+      });
+    }
+
+    const business = await Business.findOne({
+      _id: entry.business,
+      $or: [
+        { owner: req.user.id },
+        { 'employees.user': req.user.id }
+      ]
+    });
+
+    if (!business || !canManageLedger(business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can void journal entries'
+      });
+    }
+
+    // Entries generated from source documents follow their document
+    if (entry.source.type !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        message: `This entry was posted from a ${entry.source.type}; edit or delete the source document instead`
+      });
+    }
+
+    if (entry.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Journal entry is already void'
+      });
+    }
+
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(entry.business, [entry.date]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
+    await entry.void(req.user.id, reason);
+
+    res.json({
+      success: true,
+      message: 'Journal entry voided successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Journal entry void error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voiding journal entry'
+    });
+  }
+});
+
+// @route   GET /api/ledger/business/:businessId/accounts/:accountId/ledger
+// @desc    Get the posting history and running balance of an account
+// @access  Private
+router.get('/business/:businessId/accounts/:accountId/ledger', auth, businessAccess, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const { businessId, accountId } = req.params;
+
+    const account = await Account.findOne({ _id: accountId, business: businessId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : new Date();
+    const sign = account.normalBalance === 'debit' ? 1 : -1;
+
+    // Opening balance is everything posted before the start date
+    let openingBalance = 0;
+    if (start) {
+      const [opening] = await JournalEntry.aggregate([
+        {
+          $match: {
+            business: new mongoose.Types.ObjectId(businessId),
+            status: 'posted',
+            date: { $lt: start }
+          }
+        },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account._id } },
+        {
+          $group: {
+            _id: null,
+            debit: { $sum: '$lines.debit' },
+            credit: { $sum: '$lines.credit' }
+          }
+        }
+      ]);
+      openingBalance = opening ? ledger.roundCurrency(sign * (opening.debit - opening.credit)) : 0;
+    }
+
+    const dateFilter = { $lte: end };
+    if (start) dateFilter.$gte = start;
+
+    const entries = await JournalEntry.find({
+      business: businessId,
+      status: 'posted',
+      'lines.account': account._id,
+      date: dateFilter
+    }).sort({ date: 1, createdAt: 1 });
+
+    let balance = openingBalance;
+    const postings = [];
+    entries.forEach(entry => {
+      entry.lines
+        .filter(line => line.account.toString() === account._id.toString())
+        .forEach(line => {
+          balance = ledger.roundCurrency(balance + sign * (line.debit - line.credit));
+          postings.push({
+            entry: entry._id,
+            entryNumber: entry.entryNumber,
+            date: entry.date,
+            description: line.description || entry.description,
+            reference: entry.reference,
+            source: entry.source,
+            debit: line.debit,
+            credit: line.credit,
+            balance
+          });
+        });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        period: { startDate: start, endDate: end },
+        openingBalance,
+        postings,
+        closingBalance: balance
+      }
+    });
+  } catch (error) {
+    console.error('Account ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving account ledger'
+    });
+  }
+});
+
+// @route   POST /api/ledger/business/:businessId/post-transactions
+// @desc    Post journal entries for completed transactions recorded before the ledger existed
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/post-transactions', auth, businessAccess, async (req, res) => {
+  try {
+    if (!canManageLedger(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can post transactions to the ledger'
+      });
+    }
+
+    const transactions = await Transaction.find({
+      business: req.params.businessId,
+      status: 'completed',
+      journalEntry: { $exists: false }
+    }).sort({ date: 1 });
+
+    const posted = [];
+    const errors = [];
+
+    for (const transaction of transactions) {
+      try {
+        const closedPeriod = await AccountingPeriod.findClosedPeriod(transaction.business, [transaction.date]);
+        if (closedPeriod) {
+          errors.push({
+            transaction: transaction.transactionNumber,
+            error: `Accounting period ${closedPeriod.name} is closed`
+          });
+          continue;
+        }
+
+        const entry = await ledger.postTransaction(transaction, req.user.id);
+        if (entry) {
+          posted.push({ transaction: transaction.transactionNumber, entry: entry.entryNumber });
+        }
+      } catch (error) {
+        errors.push({
+          transaction: transaction.transactionNumber,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Posted ${posted.length} transactions to the ledger`,
+      data: {
+        posted,
+        errors,
+        summary: {
+          totalTransactions: transactions.length,
+          successful: posted.length,
+          failed: errors.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Transaction posting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error posting transactions to the ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,64 @@
 const express = require('express');
 const Payroll = require('../models/Payroll');
+const PayrollYtd = require('../models/PayrollYtd');
+const PayrollRun = require('../models/PayrollRun');
+const PayslipFile = require('../models/PayslipFile');
 const Employee = require('../models/Employee');
 const Business = require('../models/Business');
+const AccountingPeriod = require('../models/AccountingPeriod');
 const { auth, businessAccess, ownerOrAdminAccess } = require('../middleware/auth');
 const { validateInput, payrollRules } = require('../middleware/validation');
+const { calculateRun, refreshRunTotals } = require('../services/payrollRuns');
+const { PAYSLIP_STATUSES, generatePayslip, downloadPayslip } = require('../services/payslips');
+const { linkTimesheets } = require('../services/timesheets');
 const router = express.Router();
 
+// Helper function to send an error when a payslip belongs to a run that can no longer change
+const rejectLockedRun = async (res, payroll) => {
+  if (!payroll.payrollRun) return false;
+
+  const run = await PayrollRun.findById(payroll.payrollRun).select('runNumber status');
+  if (!run || run.isEditable) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Payroll run ${run.runNumber} is ${run.status}; its payslips can no longer be changed`
+  });
+  return true;
+};
+
+// Helper function to check whether a user may manage a business's payroll
+const canManagePayroll = async (businessId, user) => {
+  const business = await Business.findOne({
+    _id: businessId,
+    $or: [
+      { owner: user.id },
+      { 'employees.user': user.id }
+    ]
+  });
+
+  return Boolean(business) && (
+    business.owner.toString() === user.id ||
+    ['hr_manager', 'accountant', 'super_admin'].includes(user.role)
+  );
+};
+
+// Helper function to check whether a payroll was paid to the user
+const isOwnPayroll = async (payroll, user) => {
+  return Boolean(await Employee.exists({ _id: payroll.employee, user: user.id }));
+};
+
+// Helper function to send an error when a payslip must go through its run instead
+const rejectRunPayslip = (res, payroll, action) => {
+  if (!payroll.payrollRun) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `This payslip belongs to a payroll run; ${action} the run instead`
+  });
+  return true;
+};
+
 // @route   POST /api/payroll
 // @desc    Create a new payroll entry
 // @access  Private (Owner or HR Manager)
@@ -18,6 +71,7 @@ router.post('/', auth, payrollRules(), validateInput, async (req, res) => {
       earnings,
       workRecord,
       paymentInfo,
+      payeMethod,
       notes
     } = req.body;
 
@@ -64,6 +118,14 @@ router.post('/', auth, payrollRules(), validateInput, async (req, res) => {
       });
     }
 
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(businessId, [payPeriod.endDate, paymentInfo.payDate]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
     // Check if payroll already exists for this employee and pay period
     const existingPayroll = await Payroll.findOne({
       business: businessId,
@@ -91,6 +153,7 @@ router.post('/', auth, payrollRules(), validateInput, async (req, res) => {
       earnings: {
         basicSalary: earnings.basicSalary,
         overtime: earnings.overtime || {},
+        holidayPay: earnings.holidayPay || {},
         allowances: earnings.allowances || [],
         bonus: earnings.bonus || 0,
         commission: earnings.commission || 0,
@@ -103,6 +166,9 @@ router.post('/', auth, payrollRules(), validateInput, async (req, res) => {
         bankDetails: paymentInfo.bankDetails || {},
         checkNumber: paymentInfo.checkNumber
       },
+      jamaicaTaxCalculation: {
+        payeMethod: payeMethod || business.payrollSettings?.payeMethod
+      },
       notes,
       createdBy: req.user.id
     });
@@ -241,6 +307,46 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/payroll/my-payslips
+// @desc    Get the current user's own payslips
+// @access  Private
+router.get('/my-payslips', auth, async (req, res) => {
+  try {
+    const { year } = req.query;
+    const employees = await Employee.find({ user: req.user.id }).select('_id');
+
+    const query = {
+      employee: { $in: employees.map(employee => employee._id) },
+      status: { $in: PAYSLIP_STATUSES }
+    };
+    if (year) query.taxYear = parseInt(year);
+
+    const payrolls = await Payroll.find(query)
+      .select('payrollNumber business payPeriod paymentInfo.payDate earnings.grossEarnings deductions.totalDeductions netPay status')
+      .populate('business', 'name')
+      .sort({ 'paymentInfo.payDate': -1 });
+
+    const files = await PayslipFile.find({ payroll: { $in: payrolls.map(payroll => payroll._id) } });
+    const fileByPayroll = new Map(files.map(file => [file.payroll.toString(), file]));
+
+    res.json({
+      success: true,
+      data: {
+        payslips: payrolls.map(payroll => ({
+          payroll,
+          file: fileByPayroll.get(payroll._id.toString()) || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get own payslips error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving payslips'
+    });
+  }
+});
+
 // @route   GET /api/payroll/:payrollId
 // @desc    Get a specific payroll entry
 // @access  Private
@@ -276,9 +382,11 @@ router.get('/:payrollId', auth, async (req, res) => {
       });
     }
 
+    const ytd = await payroll.getYtdTotals();
+
     res.json({
       success: true,
-      data: { payroll }
+      data: { payroll, ytd }
     });
   } catch (error) {
     console.error('Get payroll entry error:', error);
@@ -338,6 +446,8 @@ router.put('/:payrollId', auth, validateInput, async (req, res) => {
       });
     }
 
+    if (await rejectLockedRun(res, payroll)) return;
+
     const {
       earnings,
       workRecord,
@@ -346,6 +456,18 @@ router.put('/:payrollId', auth, validateInput, async (req, res) => {
       status
     } = req.body;
 
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(payroll.business, [
+      payroll.payPeriod.endDate,
+      payroll.paymentInfo.payDate,
+      paymentInfo?.payDate
+    ]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
     // Update fields
     if (earnings) {
       payroll.earnings = { ...payroll.earnings, ...earnings };
@@ -363,11 +485,15 @@ router.put('/:payrollId', auth, validateInput, async (req, res) => {
     }
 
     if (notes !== undefined) payroll.notes = notes;
-    if (status && ['draft', 'calculated', 'approved'].includes(status)) {
+    // Payslips in a run take their status from the run
+    if (status && !payroll.payrollRun && ['draft', 'calculated', 'approved'].includes(status)) {
       payroll.status = status;
     }
 
     await payroll.save();
+    if (payroll.payrollRun) await refreshRunTotals(payroll.payrollRun);
+    // Any payslip already issued no longer matches the payroll
+    await PayslipFile.deleteOne({ payroll: payroll._id });
 
     await payroll.populate('employee business createdBy', 'firstName lastName email name');
 
@@ -401,6 +527,8 @@ router.post('/:payrollId/approve', auth, ownerOrAdminAccess, async (req, res) =>
       });
     }
 
+    if (rejectRunPayslip(res, payroll, 'approve')) return;
+
     if (payroll.status !== 'calculated') {
       return res.status(400).json({
         success: false,
@@ -437,6 +565,8 @@ router.post('/:payrollId/pay', auth, ownerOrAdminAccess, async (req, res) => {
       });
     }
 
+    if (rejectRunPayslip(res, payroll, 'pay')) return;
+
     if (payroll.status !== 'approved') {
       return res.status(400).json({
         success: false,
@@ -460,6 +590,106 @@ router.post('/:payrollId/pay', auth, ownerOrAdminAccess, async (req, res) => {
   }
 });
 
+// @route   POST /api/payroll/:payrollId/payslip
+// @desc    Generate the PDF payslip for an approved or paid payroll
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:payrollId/payslip', auth, async (req, res) => {
+  try {
+    const { password, protectWithTrn } = req.body;
+
+    const payroll = await Payroll.findById(req.params.payrollId);
+    if (!payroll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll entry not found'
+      });
+    }
+
+    if (!(await canManagePayroll(payroll.business, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to issue payslips'
+      });
+    }
+
+    if (!PAYSLIP_STATUSES.includes(payroll.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll must be approved before a payslip can be issued'
+      });
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payslip password must be at least 6 characters'
+      });
+    }
+
+    const file = await generatePayslip(payroll, req.user.id, { password, protectWithTrn });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payslip generated successfully',
+      data: { payslip: file }
+    });
+  } catch (error) {
+    console.error('Payslip generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating payslip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/payroll/:payrollId/payslip
+// @desc    Download the PDF payslip for a payroll, generating it if it has not been issued
+// @access  Private (Owner, HR Manager, Accountant or the employee paid)
+router.get('/:payrollId/payslip', auth, async (req, res) => {
+  try {
+    const payroll = await Payroll.findById(req.params.payrollId);
+    if (!payroll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll entry not found'
+      });
+    }
+
+    const allowed = await isOwnPayroll(payroll, req.user) ||
+                    await canManagePayroll(payroll.business, req.user);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!PAYSLIP_STATUSES.includes(payroll.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payslip is not available until the payroll is approved'
+      });
+    }
+
+    if (!(await PayslipFile.exists({ payroll: payroll._id }))) {
+      await generatePayslip(payroll, req.user.id);
+    }
+    const file = await downloadPayslip(payroll._id);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(file.fileName);
+    res.send(file.data);
+  } catch (error) {
+    console.error('Payslip download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading payslip'
+    });
+  }
+});
+
 // @route   DELETE /api/payroll/:payrollId
 // @desc    Delete a payroll entry
 // @access  Private (Owner only)
@@ -490,7 +720,23 @@ router.delete('/:payrollId', auth, async (req, res) => {
       });
     }
 
+    if (await rejectLockedRun(res, payroll)) return;
+
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(payroll.business, [
+      payroll.payPeriod.endDate,
+      payroll.paymentInfo.payDate
+    ]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
     await Payroll.findByIdAndDelete(req.params.payrollId);
+    if (payroll.payrollRun) await refreshRunTotals(payroll.payrollRun);
+    await PayslipFile.deleteOne({ payroll: payroll._id });
+    await linkTimesheets(payroll._id, []);
 
     res.json({
       success: true,
@@ -565,7 +811,11 @@ router.get('/business/:businessId/summary', auth, businessAccess, async (req, re
           totalPAYE: { $sum: '$deductions.paye.amount' },
           totalNIS: { $sum: '$deductions.nis.contribution' },
           totalEducationTax: { $sum: '$deductions.educationTax.amount' },
-          totalHeartTrust: { $sum: '$deductions.heartTrust.amount' },
+          totalNHT: { $sum: '$deductions.nht.contribution' },
+          totalEmployerNIS: { $sum: '$employerContributions.nis' },
+          totalEmployerEducationTax: { $sum: '$employerContributions.educationTax' },
+          totalEmployerNHT: { $sum: '$employerContributions.nht' },
+          totalHeartTrust: { $sum: '$employerContributions.heartTrust' },
           totalPension: { $sum: '$deductions.pension.employeeContribution' }
         }
       }
@@ -589,12 +839,45 @@ router.get('/business/:businessId/summary', auth, businessAccess, async (req, re
   }
 });
 
+// @route   GET /api/payroll/business/:businessId/ytd
+// @desc    Get year-to-date payroll totals per employee for a tax year
+// @access  Private
+router.get('/business/:businessId/ytd', auth, businessAccess, async (req, res) => {
+  try {
+    const { taxYear = new Date().getFullYear(), employee } = req.query;
+
+    const query = {
+      business: req.params.businessId,
+      taxYear: parseInt(taxYear)
+    };
+    if (employee) query.employee = employee;
+
+    const totals = await PayrollYtd.find(query)
+      .populate('employee', 'employeeId personalInfo')
+      .sort({ grossEarnings: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        taxYear: parseInt(taxYear),
+        employees: totals
+      }
+    });
+  } catch (error) {
+    console.error('Payroll YTD error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving year-to-date payroll totals'
+    });
+  }
+});
+
 // @route   POST /api/payroll/business/:businessId/bulk-create
 // @desc    Create payroll entries for all active employees
 // @access  Private (Owner or HR Manager)
 router.post('/business/:businessId/bulk-create', auth, ownerOrAdminAccess, async (req, res) => {
   try {
-    const { payPeriod, payDate } = req.body;
+    const { payPeriod, payDate, payeMethod } = req.body;
     const businessId = req.params.businessId;
 
     if (!payPeriod || !payPeriod.startDate || !payPeriod.endDate || !payPeriod.type) {
@@ -611,13 +894,36 @@ router.post('/business/:businessId/bulk-create', auth, ownerOrAdminAccess, async
       });
     }
 
-    // Get all active employees for this business
-    const employees = await Employee.find({
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(businessId, [payPeriod.endDate, payDate]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
+    const existingRun = await PayrollRun.findOne({
       business: businessId,
-      isActive: true
-    }).populate('user', 'firstName lastName email');
+      'payPeriod.startDate': new Date(payPeriod.startDate),
+      'payPeriod.endDate': new Date(payPeriod.endDate)
+    });
+    if (existingRun) {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll run ${existingRun.runNumber} already covers this pay period`
+      });
+    }
+
+    // Employees to pay: active ones, and leavers whose last day falls in or after the period
+    const employeeCount = await Employee.countDocuments({
+      business: businessId,
+      $or: [
+        { isActive: true },
+        { 'employment.endDate': { $gte: new Date(payPeriod.startDate) } }
+      ]
+    });
 
-    if (employees.length === 0) {
+    if (employeeCount === 0) {
       return res.status(400).json({
         success: false,
         message: 'No active employees found for this business'
@@ -625,84 +931,40 @@ router.post('/business/:businessId/bulk-create', auth, ownerOrAdminAccess, async
     }
 
     const business = await Business.findById(businessId);
-    const createdPayrolls = [];
-    const errors = [];
-
-    // Create payroll for each employee
-    for (const employee of employees) {
-      try {
-        // Check if payroll already exists
-        const existingPayroll = await Payroll.findOne({
-          business: businessId,
-          employee: employee._id,
-          'payPeriod.startDate': new Date(payPeriod.startDate),
-          'payPeriod.endDate': new Date(payPeriod.endDate)
-        });
-
-        if (existingPayroll) {
-          errors.push({
-            employee: employee.employeeId,
-            error: 'Payroll already exists for this period'
-          });
-          continue;
-        }
 
-        // Calculate basic salary based on employment type
-        let basicSalary = employee.compensation.baseSalary.amount;
-        
-        // Adjust salary based on frequency and pay period type
-        if (employee.compensation.baseSalary.frequency === 'annually') {
-          if (payPeriod.type === 'monthly') {
-            basicSalary = basicSalary / 12;
-          } else if (payPeriod.type === 'bi-weekly') {
-            basicSalary = basicSalary / 26;
-          } else if (payPeriod.type === 'weekly') {
-            basicSalary = basicSalary / 52;
-          }
-        }
-
-        const payroll = new Payroll({
-          business: businessId,
-          employee: employee._id,
-          payPeriod: {
-            startDate: new Date(payPeriod.startDate),
-            endDate: new Date(payPeriod.endDate),
-            type: payPeriod.type
-          },
-          earnings: {
-            basicSalary,
-            allowances: employee.compensation.allowances || []
-          },
-          paymentInfo: {
-            payDate: new Date(payDate),
-            paymentMethod: 'bank_transfer',
-            bankDetails: employee.bankDetails || {}
-          },
-          createdBy: req.user.id,
-          status: 'calculated'
-        });
-
-        await payroll.save();
-        createdPayrolls.push({
-          employee: employee.employeeId,
-          payrollId: payroll._id
-        });
-      } catch (error) {
-        errors.push({
-          employee: employee.employeeId,
-          error: error.message
-        });
-      }
-    }
+    // Payslips are created through a payroll run so they can be approved and paid together
+    const run = new PayrollRun({
+      business: businessId,
+      payPeriod: {
+        startDate: new Date(payPeriod.startDate),
+        endDate: new Date(payPeriod.endDate),
+        type: payPeriod.type
+      },
+      payDate: new Date(payDate),
+      payeMethod: payeMethod || business.payrollSettings?.payeMethod,
+      createdBy: req.user.id
+    });
+    await run.save();
+
+    const { payslips, exceptions } = await calculateRun(run, req.user.id);
+    const createdPayrolls = payslips.map(payslip => ({
+      employee: payslip.employee.employeeId,
+      payrollId: payslip._id
+    }));
+    const errors = exceptions.map(exception => ({
+      employee: exception.employeeId,
+      error: exception.error
+    }));
 
     res.status(201).json({
       success: true,
       message: `Bulk payroll creation completed. Created ${createdPayrolls.length} entries.`,
       data: {
+        payrollRun: run,
         created: createdPayrolls,
         errors: errors,
         summary: {
-          totalEmployees: employees.length,
+          totalEmployees: employeeCount,
           successful: createdPayrolls.length,
           failed: errors.length
         }
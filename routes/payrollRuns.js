@@ -0,0 +1,648 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Payroll = require('../models/Payroll');
+const PayrollRun = require('../models/PayrollRun');
+const BankPaymentFile = require('../models/BankPaymentFile');
+const {
+  findRunPayslips,
+  calculateRun,
+  approveRun,
+  payRun,
+  previewPaymentFile,
+  createPaymentFile,
+  confirmPaymentFile,
+  postRun
+} = require('../services/payrollRuns');
+const { LAYOUTS, listLayouts } = require('../services/bankPaymentFiles');
+const { generatePayslip } = require('../services/payslips');
+const { linkTimesheets } = require('../services/timesheets');
+const { rejectClosedPeriod } = require('../services/accountingPeriods');
+const { auth, businessAccess } = require('../middleware/auth');
+const router = express.Router();
+
+// Helper function to check whether a user may run, approve and pay payroll
+const canManagePayroll = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'hr_manager' ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a run and check the user may manage its business's payroll
+const loadRun = async (req, res) => {
+  const run = mongoose.isValidObjectId(req.params.runId)
+    ? await PayrollRun.findById(req.params.runId)
+    : null;
+
+  if (!run) {
+    res.status(404).json({
+      success: false,
+      message: 'Payroll run not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: run.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManagePayroll(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  req.business = business;
+  return run;
+};
+
+// Helper function to send an error unless the run is in the expected status
+const rejectStatus = (res, run, statuses, action) => {
+  if (statuses.includes(run.status)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Cannot ${action} a payroll run that is ${run.status}`
+  });
+  return true;
+};
+
+// Helper function to read the payment file layout and originator details, falling back to
+// the business's payroll settings
+const paymentFileOptions = (business, source) => {
+  const settings = business.payrollSettings?.bankFile || {};
+  return {
+    layout: source.layout || settings.layout || 'generic_csv',
+    valueDate: source.valueDate ? new Date(source.valueDate) : undefined,
+    originator: {
+      companyId: source.companyId || settings.companyId,
+      transit: source.transit || settings.transit,
+      accountNumber: source.accountNumber || settings.accountNumber
+    }
+  };
+};
+
+// Helper function to send an error for an unknown payment file layout
+const rejectLayout = (res, layout) => {
+  if (LAYOUTS[layout]) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Unknown payment file layout ${layout}`
+  });
+  return true;
+};
+
+// @route   GET /api/payroll-runs/payment-file-layouts
+// @desc    Get the available bank payment file layouts
+// @access  Private
+router.get('/payment-file-layouts', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: { layouts: listLayouts() }
+  });
+});
+
+// @route   GET /api/payroll-runs/business/:businessId
+// @desc    Get payroll runs for a business
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, year } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (status) query.status = status;
+    if (year) {
+      query.payDate = {
+        $gte: new Date(parseInt(year), 0, 1),
+        $lt: new Date(parseInt(year) + 1, 0, 1)
+      };
+    }
+
+    const runs = await PayrollRun.find(query)
+      .select('-snapshot')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ payDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PayrollRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payroll runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving payroll runs'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/business/:businessId
+// @desc    Start a payroll run and calculate payslips for all active employees
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const { payPeriod, payDate, payeMethod, notes } = req.body;
+
+    if (!canManagePayroll(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to run payroll'
+      });
+    }
+
+    if (!payPeriod || !payPeriod.startDate || !payPeriod.endDate || !payPeriod.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pay period information is required'
+      });
+    }
+
+    if (!payDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pay date is required'
+      });
+    }
+
+    if (await rejectClosedPeriod(res, businessId, [payPeriod.endDate, payDate])) return;
+
+    const existing = await PayrollRun.findOne({
+      business: businessId,
+      'payPeriod.startDate': new Date(payPeriod.startDate),
+      'payPeriod.endDate': new Date(payPeriod.endDate)
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll run ${existing.runNumber} already covers this pay period`,
+        data: { run: existing }
+      });
+    }
+
+    const run = new PayrollRun({
+      business: businessId,
+      payPeriod: {
+        startDate: new Date(payPeriod.startDate),
+        endDate: new Date(payPeriod.endDate),
+        type: payPeriod.type
+      },
+      payDate: new Date(payDate),
+      payeMethod: payeMethod || req.business.payrollSettings?.payeMethod,
+      notes,
+      createdBy: req.user.id
+    });
+    await run.save();
+
+    const { payslips, exceptions } = await calculateRun(run, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Payroll run ${run.runNumber} calculated for ${payslips.length} employee(s)`,
+      data: { run, payslips, exceptions }
+    });
+  } catch (error) {
+    console.error('Payroll run creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating payroll run',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/payroll-runs/:runId
+// @desc    Get a payroll run with its payslips
+// @access  Private (Owner, HR Manager or Accountant)
+router.get('/:runId', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    await run.populate('approvals.approver paidBy postedBy createdBy', 'firstName lastName email');
+    const payslips = await findRunPayslips(run);
+
+    res.json({
+      success: true,
+      data: { run, payslips }
+    });
+  } catch (error) {
+    console.error('Get payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving payroll run'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/calculate
+// @desc    Re-run the calculation for a run that has not been approved
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/calculate', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['draft', 'calculated'], 'recalculate')) return;
+    if (await rejectClosedPeriod(res, run.business, [run.payPeriod.endDate, run.payDate])) return;
+
+    const { payDate, payeMethod } = req.body;
+    if (payDate) run.payDate = new Date(payDate);
+    if (payeMethod) run.payeMethod = payeMethod;
+
+    const { payslips, exceptions } = await calculateRun(run, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Payroll run recalculated successfully',
+      data: { run, payslips, exceptions }
+    });
+  } catch (error) {
+    console.error('Payroll run calculation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error calculating payroll run',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/approve
+// @desc    Approve every payslip in the run and lock the approved figures
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/approve', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['calculated'], 'approve')) return;
+
+    if (run.totals.employeeCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll run has no payslips to approve'
+      });
+    }
+
+    const payslips = await approveRun(run, req.user.id, req.body.comments);
+
+    res.json({
+      success: true,
+      message: 'Payroll run approved successfully',
+      data: { run, payslips }
+    });
+  } catch (error) {
+    console.error('Payroll run approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving payroll run'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/pay
+// @desc    Mark every payslip in an approved run paid by cash or cheque as paid
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/pay', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['approved'], 'pay')) return;
+
+    // Bank transfers are paid by confirming a payment file
+    if (await Payroll.exists({ payrollRun: run._id, 'paymentInfo.paymentMethod': 'bank_transfer' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This run pays employees by bank transfer; confirm its bank payment file to mark it paid'
+      });
+    }
+
+    const payslips = await payRun(run, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Payroll run marked as paid successfully',
+      data: { run, payslips }
+    });
+  } catch (error) {
+    console.error('Payroll run payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during payroll run payment'
+    });
+  }
+});
+
+// @route   GET /api/payroll-runs/:runId/payment-files/preview
+// @desc    Validate the run's bank transfers and show the control totals for a layout
+// @access  Private (Owner, HR Manager or Accountant)
+router.get('/:runId/payment-files/preview', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    const { layout, ...options } = paymentFileOptions(req.business, req.query);
+    if (rejectLayout(res, layout)) return;
+
+    const { content, checksum, ...preview } = await previewPaymentFile(run, layout, options);
+
+    res.json({
+      success: true,
+      data: { preview, valid: preview.errors.length === 0 && preview.items.length > 0 }
+    });
+  } catch (error) {
+    console.error('Payment file preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing payment file'
+    });
+  }
+});
+
+// @route   GET /api/payroll-runs/:runId/payment-files
+// @desc    Get the bank payment files generated for a run
+// @access  Private (Owner, HR Manager or Accountant)
+router.get('/:runId/payment-files', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    const files = await BankPaymentFile.find({ payrollRun: run._id })
+      .select('-records')
+      .populate('generatedBy confirmedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { files }
+    });
+  } catch (error) {
+    console.error('Get payment files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving payment files'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/payment-files
+// @desc    Generate a bank payment file for an approved run
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/payment-files', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['approved'], 'generate a payment file for')) return;
+
+    const { layout, ...options } = paymentFileOptions(req.business, req.body);
+    if (rejectLayout(res, layout)) return;
+
+    const { result, file } = await createPaymentFile(run, req.user.id, layout, options);
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: result.errors.length > 0
+          ? 'Payment file has validation errors'
+          : 'No payslips in this run are paid by bank transfer',
+        errors: result.errors,
+        data: { controlTotals: result.controlTotals, excluded: result.excluded }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Payment file ${file.fileName} generated for ${file.controlTotals.recordCount} employee(s)`,
+      data: { file }
+    });
+  } catch (error) {
+    console.error('Payment file generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating payment file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/payroll-runs/:runId/payment-files/:fileId/download
+// @desc    Download a bank payment file
+// @access  Private (Owner, HR Manager or Accountant)
+router.get('/:runId/payment-files/:fileId/download', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    const file = mongoose.isValidObjectId(req.params.fileId)
+      ? await BankPaymentFile.findOne({ _id: req.params.fileId, payrollRun: run._id }).select('+content')
+      : null;
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment file not found'
+      });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(file.fileName);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Payment file download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading payment file'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/payment-files/:fileId/confirm
+// @desc    Confirm the bank accepted a payment file and mark the run paid
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/payment-files/:fileId/confirm', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['approved'], 'confirm a payment file for')) return;
+
+    const file = mongoose.isValidObjectId(req.params.fileId)
+      ? await BankPaymentFile.findOne({ _id: req.params.fileId, payrollRun: run._id })
+      : null;
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment file not found'
+      });
+    }
+
+    if (file.status !== 'generated') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot confirm a payment file that is ${file.status}`
+      });
+    }
+
+    // Totals read back from the bank's acknowledgement must match the file
+    const { recordCount, totalAmount, bankReference } = req.body;
+    if ((recordCount !== undefined && Number(recordCount) !== file.controlTotals.recordCount) ||
+        (totalAmount !== undefined && Math.abs(Number(totalAmount) - file.controlTotals.totalAmount) >= 0.005)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Control totals do not match the payment file',
+        data: { controlTotals: file.controlTotals }
+      });
+    }
+
+    const payslips = await confirmPaymentFile(run, file, req.user.id, bankReference);
+
+    res.json({
+      success: true,
+      message: 'Payment file confirmed and payroll run marked as paid',
+      data: { run, file, payslips }
+    });
+  } catch (error) {
+    console.error('Payment file confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming payment file'
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/post
+// @desc    Post a paid run to the general ledger
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/post', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['paid'], 'post')) return;
+    if (await rejectClosedPeriod(res, run.business, [run.payDate])) return;
+
+    const entry = await postRun(run, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Payroll run posted to the ledger',
+      data: { run, journalEntry: entry }
+    });
+  } catch (error) {
+    console.error('Payroll run posting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error posting payroll run',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/payroll-runs/:runId/payslips
+// @desc    Generate the PDF payslips for every employee in an approved run
+// @access  Private (Owner, HR Manager or Accountant)
+router.post('/:runId/payslips', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['approved', 'paid', 'posted'], 'issue payslips for')) return;
+
+    const { password, protectWithTrn } = req.body;
+    if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payslip password must be at least 6 characters'
+      });
+    }
+
+    const payslips = await Payroll.find({ payrollRun: run._id });
+    const generated = [];
+    const errors = [];
+
+    for (const payslip of payslips) {
+      try {
+        const file = await generatePayslip(payslip, req.user.id, { password, protectWithTrn });
+        generated.push({ payrollId: payslip._id, fileName: file.fileName });
+      } catch (error) {
+        errors.push({ payrollId: payslip._id, error: error.message });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${generated.length} payslip(s)`,
+      data: { generated, errors }
+    });
+  } catch (error) {
+    console.error('Payroll run payslip generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating payslips'
+    });
+  }
+});
+
+// @route   DELETE /api/payroll-runs/:runId
+// @desc    Delete a run that has not been approved, with its payslips
+// @access  Private (Owner, HR Manager or Accountant)
+router.delete('/:runId', auth, async (req, res) => {
+  try {
+    const run = await loadRun(req, res);
+    if (!run) return;
+
+    if (rejectStatus(res, run, ['draft', 'calculated'], 'delete')) return;
+
+    const payslips = await Payroll.find({ payrollRun: run._id }).select('_id');
+    for (const payslip of payslips) {
+      await Payroll.findByIdAndDelete(payslip._id);
+      await linkTimesheets(payslip._id, []);
+    }
+    await run.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Payroll run deleted with ${payslips.length} payslip(s)`
+    });
+  } catch (error) {
+    console.error('Payroll run deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting payroll run'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Business = require('../models/Business');
+const { ensureFiscalYearPeriods, closeFiscalYear, reopenFiscalYear } = require('../services/accountingPeriods');
+const { getFiscalYearForDate } = require('../services/fiscalCalendar');
+const { auth, businessAccess } = require('../middleware/auth');
+const router = express.Router();
+
+// Helper function to check whether a user may close or reopen periods
+const canManagePeriods = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a period and check the user can manage its business
+const loadManagedPeriod = async (req, res) => {
+  const period = await AccountingPeriod.findById(req.params.periodId);
+  if (!period) {
+    res.status(404).json({
+      success: false,
+      message: 'Accounting period not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: period.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManagePeriods(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can close or reopen periods'
+    });
+    return null;
+  }
+
+  return period;
+};
+
+// @route   GET /api/periods/business/:businessId
+// @desc    Get the accounting periods of a fiscal year
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const fiscalYear = req.query.fiscalYear
+      ? parseInt(req.query.fiscalYear)
+      : getFiscalYearForDate(req.business).fiscalYear;
+
+    if (!fiscalYear || fiscalYear < 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fiscal year'
+      });
+    }
+
+    const periods = await ensureFiscalYearPeriods(req.business, fiscalYear);
+
+    res.json({
+      success: true,
+      data: {
+        fiscalYear,
+        yearEndClosed: periods[periods.length - 1].yearEndClosed,
+        periods
+      }
+    });
+  } catch (error) {
+    console.error('Get accounting periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving accounting periods'
+    });
+  }
+});
+
+// @route   POST /api/periods/:periodId/close
+// @desc    Close an accounting period to further postings
+// @access  Private (Owner or Accountant)
+router.post('/:periodId/close', auth, async (req, res) => {
+  try {
+    const period = await loadManagedPeriod(req, res);
+    if (!period) return;
+
+    if (period.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Accounting period is already closed'
+      });
+    }
+
+    await period.close(req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Accounting period ${period.name} closed successfully`,
+      data: { period }
+    });
+  } catch (error) {
+    console.error('Period close error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing accounting period'
+    });
+  }
+});
+
+// @route   POST /api/periods/:periodId/reopen
+// @desc    Reopen a closed accounting period
+// @access  Private (Owner or Accountant)
+router.post('/:periodId/reopen', auth, async (req, res) => {
+  try {
+    const period = await loadManagedPeriod(req, res);
+    if (!period) return;
+
+    if (period.status === 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Accounting period is already open'
+      });
+    }
+
+    // Periods of a closed year stay locked until the year-end close is undone
+    const yearEnd = await AccountingPeriod.findOne({
+      business: period.business,
+      fiscalYear: period.fiscalYear,
+      yearEndClosed: true
+    });
+
+    if (yearEnd) {
+      return res.status(400).json({
+        success: false,
+        message: `Fiscal year ${period.fiscalYear} has been closed; reopen the year before reopening its periods`
+      });
+    }
+
+    await period.reopen(req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Accounting period ${period.name} reopened successfully`,
+      data: { period }
+    });
+  } catch (error) {
+    console.error('Period reopen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reopening accounting period'
+    });
+  }
+});
+
+// @route   POST /api/periods/business/:businessId/year-end/:fiscalYear/close
+// @desc    Close a fiscal year and roll net income into retained earnings
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/year-end/:fiscalYear/close', auth, businessAccess, async (req, res) => {
+  try {
+    const fiscalYear = parseInt(req.params.fiscalYear);
+
+    if (!canManagePeriods(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can close a fiscal year'
+      });
+    }
+
+    const current = getFiscalYearForDate(req.business);
+    if (!fiscalYear || fiscalYear > current.fiscalYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fiscal year'
+      });
+    }
+
+    const alreadyClosed = await AccountingPeriod.exists({
+      business: req.business._id,
+      fiscalYear,
+      yearEndClosed: true
+    });
+
+    if (alreadyClosed) {
+      return res.status(400).json({
+        success: false,
+        message: `Fiscal year ${fiscalYear} has already been closed`
+      });
+    }
+
+    const result = await closeFiscalYear(req.business, fiscalYear, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Fiscal year ${fiscalYear} closed successfully`,
+      data: {
+        fiscalYear,
+        netIncome: result.netIncome,
+        closingEntry: result.closingEntry,
+        periods: result.periods
+      }
+    });
+  } catch (error) {
+    console.error('Year-end close error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing fiscal year',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/periods/business/:businessId/year-end/:fiscalYear/reopen
+// @desc    Undo a year-end close, voiding the closing entry
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/year-end/:fiscalYear/reopen', auth, businessAccess, async (req, res) => {
+  try {
+    const fiscalYear = parseInt(req.params.fiscalYear);
+
+    if (!canManagePeriods(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can reopen a fiscal year'
+      });
+    }
+
+    const closed = await AccountingPeriod.exists({
+      business: req.business._id,
+      fiscalYear,
+      yearEndClosed: true
+    });
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: `Fiscal year ${fiscalYear} has not been closed`
+      });
+    }
+
+    const period = await reopenFiscalYear(req.business, fiscalYear, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Fiscal year ${fiscalYear} reopened successfully`,
+      data: { period }
+    });
+  } catch (error) {
+    console.error('Year-end reopen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reopening fiscal year',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,798 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const BankStatement = require('../models/BankStatement');
+const JournalEntry = require('../models/JournalEntry');
+const ReconciliationRule = require('../models/ReconciliationRule');
+const ReconciliationSession = require('../models/ReconciliationSession');
+const StatementEntry = require('../models/StatementEntry');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const ledger = require('../services/ledger');
+const {
+  DEFAULT_DATE_WINDOW,
+  getBankAmounts,
+  findCandidateTransactions,
+  proposeMatches,
+  matchType,
+  summarizeSession
+} = require('../services/bankReconciliation');
+const { endOfDay } = require('../services/fiscalCalendar');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, reconciliationRuleRules, reconciliationSessionRules } = require('../middleware/validation');
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to check whether a user may reconcile bank accounts
+const canManageBanking = (business, user) => {
+  return business.owner.toString() === user.id ||
+         user.role === 'accountant' ||
+         user.role === 'super_admin';
+};
+
+// Helper function to load a document and check the user can manage its business
+const loadManaged = async (Model, id, req, res, label) => {
+  const document = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: document.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+
+  if (!business || !canManageBanking(business, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only business owners or accountants can reconcile bank accounts'
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Helper function to load a session that can still be changed
+const loadOpenSession = async (req, res) => {
+  const session = await loadManaged(ReconciliationSession, req.params.sessionId, req, res, 'Reconciliation session');
+  if (!session) return null;
+
+  if (session.status !== 'in_progress') {
+    res.status(400).json({
+      success: false,
+      message: `Reconciliation session is ${session.status}`
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Helper function to undo a confirmed match
+const releaseMatch = async (match) => {
+  const transactions = await Transaction.find({ _id: { $in: match.transactions } });
+  for (const transaction of transactions) {
+    await transaction.markUnreconciled();
+  }
+
+  await StatementEntry.updateMany(
+    { _id: { $in: match.entries } },
+    { status: 'unmatched', transactions: [], $unset: { reconciliationSession: 1 } }
+  );
+};
+
+// Helper function to validate a rule's ledger account override
+const ruleAccountValid = async (businessId, action) => {
+  if (!action || !action.ledgerAccount) return true;
+  return Account.exists({ _id: action.ledgerAccount, business: businessId, isActive: true });
+};
+
+// @route   GET /api/reconciliation/business/:businessId/rules
+// @desc    Get saved reconciliation rules
+// @access  Private
+router.get('/business/:businessId/rules', auth, businessAccess, async (req, res) => {
+  try {
+    const rules = await ReconciliationRule.find({ business: req.params.businessId })
+      .populate('action.ledgerAccount', 'code name')
+      .sort({ priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get reconciliation rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reconciliation rules'
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/business/:businessId/rules
+// @desc    Save a reconciliation rule, e.g. anything from JPS is Utilities
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/rules', auth, businessAccess, reconciliationRuleRules(), validateInput, async (req, res) => {
+  try {
+    if (!canManageBanking(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can manage reconciliation rules'
+      });
+    }
+
+    const { name, match, action, priority, isActive } = req.body;
+
+    if (!(await ruleAccountValid(req.params.businessId, action))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger account must be an active account of this business'
+      });
+    }
+
+    const rule = new ReconciliationRule({
+      business: req.params.businessId,
+      name,
+      match,
+      action,
+      priority,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation rule saved successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Reconciliation rule creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving reconciliation rule'
+    });
+  }
+});
+
+// @route   PUT /api/reconciliation/rules/:ruleId
+// @desc    Update a reconciliation rule
+// @access  Private (Owner or Accountant)
+router.put('/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const rule = await loadManaged(ReconciliationRule, req.params.ruleId, req, res, 'Reconciliation rule');
+    if (!rule) return;
+
+    const { name, match, action, priority, isActive } = req.body;
+
+    if (!(await ruleAccountValid(rule.business, action))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger account must be an active account of this business'
+      });
+    }
+
+    if (name) rule.name = name;
+    if (match) rule.match = { ...rule.match.toObject(), ...match };
+    if (action) rule.action = { ...rule.action.toObject(), ...action };
+    if (priority !== undefined) rule.priority = priority;
+    if (isActive !== undefined) rule.isActive = isActive;
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Reconciliation rule update error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating reconciliation rule'
+    });
+  }
+});
+
+// @route   DELETE /api/reconciliation/rules/:ruleId
+// @desc    Delete a reconciliation rule
+// @access  Private (Owner or Accountant)
+router.delete('/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const rule = await loadManaged(ReconciliationRule, req.params.ruleId, req, res, 'Reconciliation rule');
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Reconciliation rule delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting reconciliation rule'
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/business/:businessId/sessions
+// @desc    Start reconciling a bank account against a statement ending balance
+// @access  Private (Owner or Accountant)
+router.post('/business/:businessId/sessions', auth, businessAccess, reconciliationSessionRules(), validateInput, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const { bankAccount: bankAccountId, statement: statementId, statementDate, statementEndingBalance, openingBalance } = req.body;
+
+    if (!canManageBanking(req.business, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can reconcile bank accounts'
+      });
+    }
+
+    const bankAccount = await Account.findOne({ _id: bankAccountId, business: businessId, subtype: 'bank' });
+    if (!bankAccount) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid bank account of this business is required'
+      });
+    }
+
+    const inProgress = await ReconciliationSession.exists({ bankAccount: bankAccount._id, status: 'in_progress' });
+    if (inProgress) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reconciliation is already in progress for this bank account'
+      });
+    }
+
+    let statement = null;
+    if (statementId) {
+      statement = await BankStatement.findOne({ _id: statementId, bankAccount: bankAccount._id });
+      if (!statement) {
+        return res.status(400).json({
+          success: false,
+          message: 'Statement not found for this bank account'
+        });
+      }
+    }
+
+    // Carry the balance forward from the last completed reconciliation
+    let startingBalance = openingBalance !== undefined ? parseFloat(openingBalance) : undefined;
+    if (startingBalance === undefined) {
+      const previous = await ReconciliationSession.findOne({
+        bankAccount: bankAccount._id,
+        status: 'completed'
+      }).sort({ statementDate: -1 });
+
+      startingBalance = previous
+        ? previous.statementEndingBalance
+        : (statement && statement.openingBalance) || 0;
+    }
+
+    const session = new ReconciliationSession({
+      business: businessId,
+      bankAccount: bankAccount._id,
+      statement: statement ? statement._id : undefined,
+      statementDate: endOfDay(new Date(statementDate)),
+      openingBalance: startingBalance,
+      statementEndingBalance: parseFloat(statementEndingBalance),
+      startedBy: req.user.id
+    });
+
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation session started',
+      data: {
+        session,
+        summary: await summarizeSession(session)
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation session creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting reconciliation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/reconciliation/business/:businessId/sessions
+// @desc    Get reconciliation sessions for a business
+// @access  Private
+router.get('/business/:businessId/sessions', auth, businessAccess, async (req, res) => {
+  try {
+    const { bankAccount, status } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (bankAccount) query.bankAccount = bankAccount;
+    if (status) query.status = status;
+
+    const sessions = await ReconciliationSession.find(query)
+      .select('-matches')
+      .populate('bankAccount', 'code name')
+      .populate('startedBy completedBy', 'firstName lastName email')
+      .sort({ statementDate: -1 });
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get reconciliation sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reconciliation sessions'
+    });
+  }
+});
+
+// @route   GET /api/reconciliation/sessions/:sessionId
+// @desc    Get a reconciliation session with its running balance check
+// @access  Private (Owner or Accountant)
+router.get('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await loadManaged(ReconciliationSession, req.params.sessionId, req, res, 'Reconciliation session');
+    if (!session) return;
+
+    await session.populate('bankAccount', 'code name currency');
+    await session.populate('matches.entries', 'date amount description reference counterparty');
+    await session.populate('matches.transactions', 'transactionNumber date type category description amount reference');
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        summary: await summarizeSession(session)
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reconciliation session'
+    });
+  }
+});
+
+// @route   GET /api/reconciliation/sessions/:sessionId/proposals
+// @desc    Propose matches between unmatched statement lines and unreconciled transactions
+// @access  Private (Owner or Accountant)
+router.get('/sessions/:sessionId/proposals', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const dateWindow = req.query.dateWindow !== undefined
+      ? Math.max(0, parseInt(req.query.dateWindow) || 0)
+      : DEFAULT_DATE_WINDOW;
+
+    const entries = await StatementEntry.find({
+      bankAccount: session.bankAccount,
+      status: 'unmatched',
+      date: { $lte: session.statementDate }
+    }).sort({ date: 1 });
+
+    if (entries.length === 0) {
+      return res.json({
+        success: true,
+        data: { proposals: [], ruleSuggestions: [], entries: [], transactions: [] }
+      });
+    }
+
+    const bankAccount = await Account.findById(session.bankAccount);
+    const earliest = entries[0].date;
+    const candidates = await findCandidateTransactions(bankAccount, {
+      startDate: new Date(earliest.getTime() - dateWindow * DAY_MS),
+      endDate: new Date(session.statementDate.getTime() + dateWindow * DAY_MS)
+    });
+    const rules = await ReconciliationRule.find({ business: session.business, isActive: true });
+
+    const result = proposeMatches(entries, candidates, { dateWindow, rules });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        entries,
+        transactions: candidates.map(candidate => ({
+          transaction: candidate.transaction,
+          bankAmount: candidate.amount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error proposing matches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/sessions/:sessionId/matches
+// @desc    Confirm a match between statement lines and transactions
+// @access  Private (Owner or Accountant)
+router.post('/sessions/:sessionId/matches', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const entryIds = [...new Set((req.body.entries || []).map(String))];
+    const transactionIds = [...new Set((req.body.transactions || []).map(String))];
+    const type = matchType(entryIds.length, transactionIds.length);
+
+    if (!type || entryIds.length === 0 || transactionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Match one statement line to one or more transactions, or several lines to one transaction'
+      });
+    }
+
+    if (![...entryIds, ...transactionIds].every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement line or transaction ID'
+      });
+    }
+
+    const entries = await StatementEntry.find({
+      _id: { $in: entryIds },
+      bankAccount: session.bankAccount,
+      status: 'unmatched',
+      date: { $lte: session.statementDate }
+    });
+
+    if (entries.length !== entryIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement lines must be unmatched lines of this bank account dated on or before the statement date'
+      });
+    }
+
+    const transactions = await Transaction.find({
+      _id: { $in: transactionIds },
+      business: session.business,
+      reconciled: false
+    });
+
+    if (transactions.length !== transactionIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transactions must be unreconciled transactions of this business'
+      });
+    }
+
+    const bankAmounts = await getBankAmounts(session.bankAccount, transactionIds);
+    const unposted = transactions.find(transaction => !bankAmounts.get(transaction._id.toString()));
+    if (unposted) {
+      return res.status(400).json({
+        success: false,
+        message: `Transaction ${unposted.transactionNumber} was not posted to this bank account`
+      });
+    }
+
+    const statementTotal = ledger.roundCurrency(entries.reduce((sum, entry) => sum + entry.amount, 0));
+    const transactionTotal = ledger.roundCurrency([...bankAmounts.values()].reduce((sum, amount) => sum + amount, 0));
+
+    if (statementTotal !== transactionTotal) {
+      return res.status(400).json({
+        success: false,
+        message: `Statement lines total ${statementTotal} but transactions total ${transactionTotal}`
+      });
+    }
+
+    for (const transaction of transactions) {
+      await transaction.markReconciled(req.user.id);
+    }
+
+    await StatementEntry.updateMany(
+      { _id: { $in: entryIds } },
+      { status: 'matched', transactions: transactionIds, reconciliationSession: session._id }
+    );
+
+    session.matches.push({
+      type,
+      entries: entryIds,
+      transactions: transactionIds,
+      amount: statementTotal,
+      confirmedBy: req.user.id
+    });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Match confirmed',
+      data: {
+        match: session.matches[session.matches.length - 1],
+        summary: await summarizeSession(session)
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming match',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/sessions/:sessionId/rule-matches
+// @desc    Record a statement line with no transaction using a saved rule
+// @access  Private (Owner or Accountant)
+router.post('/sessions/:sessionId/rule-matches', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const { entry: entryId, rule: ruleId } = req.body;
+
+    if (!mongoose.isValidObjectId(entryId) || !mongoose.isValidObjectId(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement line and rule are required'
+      });
+    }
+
+    const entry = await StatementEntry.findOne({
+      _id: entryId,
+      bankAccount: session.bankAccount,
+      status: 'unmatched',
+      date: { $lte: session.statementDate }
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement line must be an unmatched line of this bank account dated on or before the statement date'
+      });
+    }
+
+    const rule = await ReconciliationRule.findOne({ _id: ruleId, business: session.business, isActive: true });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation rule not found'
+      });
+    }
+
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(session.business, [entry.date]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
+    // The bank figure is what was actually paid, so it is recorded without GCT on top
+    const deposit = entry.amount > 0;
+    const transaction = new Transaction({
+      business: session.business,
+      type: deposit ? 'income' : 'expense',
+      category: rule.action.category,
+      description: rule.action.description || entry.description || rule.name,
+      amount: Math.abs(entry.amount),
+      date: entry.date,
+      paymentMethod: 'bank_transfer',
+      reference: entry.reference,
+      [deposit ? 'customer' : 'vendor']: { name: entry.counterparty },
+      taxInfo: { isTaxable: false, gctRate: 0 },
+      ledgerAccount: rule.action.ledgerAccount,
+      contraAccount: session.bankAccount,
+      notes: `Recorded from bank statement by rule ${rule.name}`,
+      createdBy: req.user.id
+    });
+
+    await transaction.save();
+
+    try {
+      await ledger.postTransaction(transaction, req.user.id);
+    } catch (postingError) {
+      await Transaction.findByIdAndDelete(transaction._id);
+      throw postingError;
+    }
+
+    await transaction.markReconciled(req.user.id);
+
+    entry.status = 'matched';
+    entry.transactions = [transaction._id];
+    entry.reconciliationSession = session._id;
+    await entry.save();
+
+    rule.timesApplied += 1;
+    await rule.save();
+
+    session.matches.push({
+      type: 'rule',
+      entries: [entry._id],
+      transactions: [transaction._id],
+      rule: rule._id,
+      amount: entry.amount,
+      confirmedBy: req.user.id
+    });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Transaction ${transaction.transactionNumber} recorded and matched`,
+      data: {
+        transaction,
+        match: session.matches[session.matches.length - 1],
+        summary: await summarizeSession(session)
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation rule match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying reconciliation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/reconciliation/sessions/:sessionId/matches/:matchId
+// @desc    Undo a confirmed match
+// @access  Private (Owner or Accountant)
+router.delete('/sessions/:sessionId/matches/:matchId', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const match = session.matches.id(req.params.matchId);
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    await releaseMatch(match);
+    match.deleteOne();
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Match removed',
+      data: { summary: await summarizeSession(session) }
+    });
+  } catch (error) {
+    console.error('Reconciliation unmatch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing match'
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/sessions/:sessionId/complete
+// @desc    Finish a reconciliation once the cleared balance agrees with the statement
+// @access  Private (Owner or Accountant)
+router.post('/sessions/:sessionId/complete', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    const summary = await summarizeSession(session);
+    if (summary.difference !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cleared balance ${summary.clearedBalance} does not agree with the statement balance ${summary.statementEndingBalance}`,
+        data: { summary }
+      });
+    }
+
+    await StatementEntry.updateMany(
+      { reconciliationSession: session._id, status: 'matched' },
+      { status: 'reconciled' }
+    );
+
+    session.status = 'completed';
+    session.clearedBalance = summary.clearedBalance;
+    session.difference = summary.difference;
+    session.completedBy = req.user.id;
+    session.completedDate = new Date();
+    await session.save();
+
+    // Book balance and the transactions still outstanding at the statement date
+    const bankAccount = await Account.findById(session.bankAccount);
+    const accountBalances = await JournalEntry.getAccountBalances(session.business, { endDate: session.statementDate });
+    const bookTotals = accountBalances.find(item => item._id.toString() === bankAccount._id.toString());
+    const outstanding = await findCandidateTransactions(bankAccount, {
+      startDate: new Date(0),
+      endDate: session.statementDate
+    });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation completed',
+      data: {
+        session,
+        summary,
+        outstandingTransactions: outstanding.map(candidate => ({
+          transaction: candidate.transaction._id,
+          transactionNumber: candidate.transaction.transactionNumber,
+          date: candidate.date,
+          description: candidate.transaction.description,
+          bankAmount: candidate.amount
+        })),
+        bookBalance: bookTotals ? ledger.roundCurrency(bookTotals.debit - bookTotals.credit) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation complete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error completing reconciliation'
+    });
+  }
+});
+
+// @route   POST /api/reconciliation/sessions/:sessionId/cancel
+// @desc    Abandon a reconciliation, releasing its matches
+// @access  Private (Owner or Accountant)
+router.post('/sessions/:sessionId/cancel', auth, async (req, res) => {
+  try {
+    const session = await loadOpenSession(req, res);
+    if (!session) return;
+
+    for (const match of session.matches) {
+      await releaseMatch(match);
+    }
+
+    session.status = 'cancelled';
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Reconciliation cancelled',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Reconciliation cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling reconciliation'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,20 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Payroll = require('../models/Payroll');
 const Employee = require('../models/Employee');
 const Business = require('../models/Business');
 const Transaction = require('../models/Transaction');
+const { JAMAICA_TAX_RATES, getPayrollTaxRates, calculateAnnualPaye } = require('../services/taxRates');
+const { generateGctReturn, gctReturnToCsv } = require('../services/gctReturn');
+const {
+  generateSO1,
+  generateSO2,
+  fileReturn,
+  statutoryReturnToCsv,
+  csvFileName
+} = require('../services/statutoryReturns');
+const StatutoryReturn = require('../models/StatutoryReturn');
+const { endOfDay } = require('../services/fiscalCalendar');
 const { auth, businessAccess, ownerOrAdminAccess } = require('../middleware/auth');
 const router = express.Router();
 
@@ -43,44 +55,44 @@ const calculateTaxSummary = async (business, period) => {
     return summary;
 };
 
-// Jamaica Tax Constants for 2024
-const JAMAICA_TAX_RATES = {
-  PAYE: {
-    PERSONAL_ALLOWANCE: 1500000, // JMD 1.5M
-    BRACKETS: [
-      { min: 0, max: 1500000, rate: 0 },
-      { min: 1500001, max: 6000000, rate: 0.25 },
-      { min: 6000001, max: Infinity, rate: 0.30 }
-    ]
-  },
-  NIS: {
-    RATE: 0.03, // 3%
-    MAX_ANNUAL_INCOME: 1000000 // JMD 1M
-  },
-  EDUCATION_TAX: {
-    RATE: 0.025, // 2.5%
-    THRESHOLD: 500000 // JMD 500k
-  },
-  HEART_TRUST: {
-    RATE: 0.03 // 3%
-  },
-  GCT: {
-    STANDARD_RATE: 0.15, // 15%
-    EXEMPT_CATEGORIES: ['education', 'healthcare', 'agriculture']
-  }
+// Helper function to read an optional date from the query or body, defaulting to today
+const rateDate = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
 };
 
 // @route   GET /api/tax/rates
-// @desc    Get current Jamaica tax rates
+// @desc    Get Jamaica tax rates in force on a date (defaults to today)
 // @access  Private
-router.get('/rates', auth, (req, res) => {
+router.get('/rates', auth, async (req, res) => {
   try {
+    const date = rateDate(req.query.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const payroll = await getPayrollTaxRates(date);
+
     res.json({
       success: true,
       data: {
-        taxYear: new Date().getFullYear(),
-        rates: JAMAICA_TAX_RATES,
-        lastUpdated: '2024-01-01'
+        date,
+        taxYear: date.getFullYear(),
+        rateSet: payroll.rateSet,
+        rateSetName: payroll.name,
+        effectiveFrom: payroll.effectiveFrom,
+        effectiveTo: payroll.effectiveTo,
+        rates: {
+          paye: payroll.paye,
+          nis: payroll.nis,
+          educationTax: payroll.educationTax,
+          heartTrust: payroll.heartTrust,
+          gct: JAMAICA_TAX_RATES.GCT
+        }
       }
     });
   } catch (error) {
@@ -93,9 +105,9 @@ router.get('/rates', auth, (req, res) => {
 });
 
 // @route   POST /api/tax/calculate-paye
-// @desc    Calculate PAYE tax for given income
+// @desc    Calculate PAYE tax for given income at the rates in force on a date
 // @access  Private
-router.post('/calculate-paye', auth, (req, res) => {
+router.post('/calculate-paye', auth, async (req, res) => {
   try {
     const { annualIncome, personalAllowance, dependents = 0 } = req.body;
 
@@ -106,34 +118,36 @@ router.post('/calculate-paye', auth, (req, res) => {
       });
     }
 
+    const date = rateDate(req.body.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const rates = await getPayrollTaxRates(date);
+
     // Calculate personal allowance (with dependent adjustments if any)
-    const allowance = personalAllowance || JAMAICA_TAX_RATES.PAYE.PERSONAL_ALLOWANCE;
+    const allowance = personalAllowance || rates.paye.personalAllowance;
     const adjustedAllowance = allowance + (dependents * 100000); // JMD 100k per dependent
 
     // Calculate taxable income
     const taxableIncome = Math.max(0, annualIncome - adjustedAllowance);
 
-    let payeAmount = 0;
-    let breakdown = [];
-
     // Apply tax brackets
-    for (const bracket of JAMAICA_TAX_RATES.PAYE.BRACKETS) {
-      if (taxableIncome > bracket.min) {
-        const taxableAtBracket = Math.min(taxableIncome, bracket.max) - bracket.min;
-        const taxAtBracket = taxableAtBracket * bracket.rate;
-        payeAmount += taxAtBracket;
-        
-        breakdown.push({
-          bracket: `${bracket.min.toLocaleString()} - ${bracket.max === Infinity ? 'Above' : bracket.max.toLocaleString()}`,
-          rate: `${(bracket.rate * 100).toFixed(1)}%`,
-          taxableAmount: taxableAtBracket,
-          tax: taxAtBracket
-        });
-      }
-    }
+    const paye = calculateAnnualPaye(taxableIncome, rates.paye.brackets);
+    const payeAmount = paye.tax;
+    const breakdown = paye.breakdown.map(({ bracket, taxableAmount, tax }) => ({
+      bracket: `${bracket.min.toLocaleString()} - ${bracket.max === Infinity ? 'Above' : bracket.max.toLocaleString()}`,
+      rate: `${(bracket.rate * 100).toFixed(1)}%`,
+      taxableAmount,
+      tax
+    }));
 
     const effectiveRate = annualIncome > 0 ? (payeAmount / annualIncome) * 100 : 0;
-    const marginalRate = taxableIncome > 6000000 ? 30 : taxableIncome > 1500000 ? 25 : 0;
+    const marginalBracket = paye.breakdown[paye.breakdown.length - 1];
+    const marginalRate = marginalBracket ? marginalBracket.bracket.rate * 100 : 0;
 
     res.json({
       success: true,
@@ -141,8 +155,11 @@ router.post('/calculate-paye', auth, (req, res) => {
         input: {
           annualIncome,
           personalAllowance: adjustedAllowance,
-          dependents
+          dependents,
+          date
         },
+        rateSet: rates.rateSet,
+        rateSetName: rates.name,
         calculation: {
           taxableIncome,
           payeAmount: Math.round(payeAmount),
@@ -197,7 +214,7 @@ router.get('/business/:businessId/annual-report/:year', auth, ownerOrAdminAccess
     const financialSummary = await Transaction.aggregate([
       {
         $match: {
-          business: mongoose.Types.ObjectId(businessId),
+          business: new mongoose.Types.ObjectId(businessId),
           date: { $gte: startOfYear, $lte: endOfYear },
           status: 'completed'
         }
@@ -231,6 +248,10 @@ router.get('/business/:businessId/annual-report/:year', auth, ownerOrAdminAccess
       acc.totalPAYE += emp.totalPAYE;
       acc.totalNIS += emp.totalNIS;
       acc.totalEducationTax += emp.totalEducationTax;
+      acc.totalEmployerNIS += emp.totalEmployerNIS;
+      acc.totalEmployerEducationTax += emp.totalEmployerEducationTax;
+      acc.totalNHT += emp.totalNHT;
+      acc.totalEmployerNHT += emp.totalEmployerNHT;
       acc.totalHeartTrust += emp.totalHeartTrust;
       acc.totalPension += emp.totalPension;
       return acc;
@@ -239,6 +260,10 @@ router.get('/business/:businessId/annual-report/:year', auth, ownerOrAdminAccess
       totalPAYE: 0,
       totalNIS: 0,
       totalEducationTax: 0,
+      totalEmployerNIS: 0,
+      totalEmployerEducationTax: 0,
+      totalNHT: 0,
+      totalEmployerNHT: 0,
       totalHeartTrust: 0,
       totalPension: 0
     });
@@ -257,6 +282,7 @@ router.get('/business/:businessId/annual-report/:year', auth, ownerOrAdminAccess
       payeReturns: payrollTotals.totalPAYE > 0,
       nisReturns: payrollTotals.totalNIS > 0,
       educationTaxReturn: payrollTotals.totalEducationTax > 0,
+      nhtReturn: payrollTotals.totalNHT + payrollTotals.totalEmployerNHT > 0,
       heartTrustReturn: payrollTotals.totalHeartTrust > 0
     };
 
@@ -299,6 +325,7 @@ router.get('/business/:businessId/annual-report/:year', auth, ownerOrAdminAccess
           nisRegistered: business.taxSettings.nisRegistered,
           gctRegistered: business.taxSettings.gctRegistered,
           educationTaxRegistered: business.taxSettings.educationTaxRegistered,
+          nhtRegistered: business.taxSettings.nhtRegistered,
           heartTrustRegistered: business.taxSettings.heartTrustRegistered
         }
       }
@@ -353,7 +380,11 @@ router.get('/business/:businessId/monthly-returns/:year/:month', auth, ownerOrAd
       acc.totalPAYE += payroll.deductions.paye.amount;
       acc.totalNIS += payroll.deductions.nis.contribution;
       acc.totalEducationTax += payroll.deductions.educationTax.amount;
-      acc.totalHeartTrust += payroll.deductions.heartTrust.amount;
+      acc.totalEmployerNIS += payroll.employerContributions?.nis || 0;
+      acc.totalEmployerEducationTax += payroll.employerContributions?.educationTax || 0;
+      acc.totalNHT += payroll.deductions.nht?.contribution || 0;
+      acc.totalEmployerNHT += payroll.employerContributions?.nht || 0;
+      acc.totalHeartTrust += payroll.employerContributions?.heartTrust || 0;
       acc.totalEmployeePension += payroll.deductions.pension.employeeContribution;
       acc.totalEmployerPension += payroll.deductions.pension.employerContribution;
       acc.employeeCount++;
@@ -363,47 +394,57 @@ router.get('/business/:businessId/monthly-returns/:year/:month', auth, ownerOrAd
       totalPAYE: 0,
       totalNIS: 0,
       totalEducationTax: 0,
+      totalEmployerNIS: 0,
+      totalEmployerEducationTax: 0,
+      totalNHT: 0,
+      totalEmployerNHT: 0,
       totalHeartTrust: 0,
       totalEmployeePension: 0,
       totalEmployerPension: 0,
       employeeCount: 0
     });
 
-    // Calculate employer contributions
-    const employerNIS = monthlyTotals.totalNIS; // Employer pays same as employee
-    const employerHeartTrust = monthlyTotals.totalHeartTrust; // Employer pays same as employee
-
-    // Generate return forms data
+    // Generate return forms data; all are remitted together on the SO1
     const returns = {
       paye: {
-        form: 'IT03',
+        form: 'SO1',
         dueDate: new Date(taxYear, taxMonth, 14), // 14th of following month
         totalPAYE: monthlyTotals.totalPAYE,
         employeeCount: monthlyTotals.employeeCount,
         status: monthlyTotals.totalPAYE > 0 ? 'required' : 'nil_return'
       },
       nis: {
-        form: 'NIS Return',
-        dueDate: new Date(taxYear, taxMonth, 15), // 15th of following month
+        form: 'SO1',
+        dueDate: new Date(taxYear, taxMonth, 14), // 14th of following month
         employeeContributions: monthlyTotals.totalNIS,
-        employerContributions: employerNIS,
-        totalContributions: monthlyTotals.totalNIS + employerNIS,
+        employerContributions: monthlyTotals.totalEmployerNIS,
+        totalContributions: monthlyTotals.totalNIS + monthlyTotals.totalEmployerNIS,
         employeeCount: monthlyTotals.employeeCount,
         status: monthlyTotals.totalNIS > 0 ? 'required' : 'nil_return'
       },
       educationTax: {
-        form: 'Education Tax Return',
+        form: 'SO1',
+        dueDate: new Date(taxYear, taxMonth, 14), // 14th of following month
+        employeeContributions: monthlyTotals.totalEducationTax,
+        employerContributions: monthlyTotals.totalEmployerEducationTax,
+        totalTax: monthlyTotals.totalEducationTax + monthlyTotals.totalEmployerEducationTax,
+        employeeCount: monthlyTotals.employeeCount,
+        status: monthlyTotals.totalEducationTax + monthlyTotals.totalEmployerEducationTax > 0 ? 'required' : 'nil_return'
+      },
+      nht: {
+        form: 'SO1',
         dueDate: new Date(taxYear, taxMonth, 14), // 14th of following month
-        totalTax: monthlyTotals.totalEducationTax,
+        employeeContributions: monthlyTotals.totalNHT,
+        employerContributions: monthlyTotals.totalEmployerNHT,
+        totalContributions: monthlyTotals.totalNHT + monthlyTotals.totalEmployerNHT,
         employeeCount: monthlyTotals.employeeCount,
-        status: monthlyTotals.totalEducationTax > 0 ? 'required' : 'nil_return'
+        status: monthlyTotals.totalNHT + monthlyTotals.totalEmployerNHT > 0 ? 'required' : 'nil_return'
       },
       heartTrust: {
-        form: 'HEART Trust/NTA Return',
+        form: 'SO1',
         dueDate: new Date(taxYear, taxMonth, 14), // 14th of following month
-        employeeContributions: monthlyTotals.totalHeartTrust,
-        employerContributions: employerHeartTrust,
-        totalContributions: monthlyTotals.totalHeartTrust + employerHeartTrust,
+        employerContributions: monthlyTotals.totalHeartTrust,
+        totalContributions: monthlyTotals.totalHeartTrust,
         employeeCount: monthlyTotals.employeeCount,
         status: monthlyTotals.totalHeartTrust > 0 ? 'required' : 'nil_return'
       }
@@ -418,7 +459,11 @@ router.get('/business/:businessId/monthly-returns/:year/:month', auth, ownerOrAd
       paye: payroll.deductions.paye.amount,
       nisContribution: payroll.deductions.nis.contribution,
       educationTax: payroll.deductions.educationTax.amount,
-      heartTrust: payroll.deductions.heartTrust.amount,
+      employerNis: payroll.employerContributions?.nis || 0,
+      employerEducationTax: payroll.employerContributions?.educationTax || 0,
+      nhtContribution: payroll.deductions.nht?.contribution || 0,
+      employerNht: payroll.employerContributions?.nht || 0,
+      heartTrust: payroll.employerContributions?.heartTrust || 0,
       pensionContribution: payroll.deductions.pension.employeeContribution
     }));
 
@@ -451,6 +496,292 @@ router.get('/business/:businessId/monthly-returns/:year/:month', auth, ownerOrAd
   }
 });
 
+// @route   GET /api/tax/business/:businessId/gct-return/:year/:month
+// @desc    Generate the GCT return (Form 4A) for a filing period; ?format=csv to export
+// @access  Private (Owner or Accountant)
+router.get('/business/:businessId/gct-return/:year/:month', auth, businessAccess, async (req, res) => {
+  try {
+    const taxYear = parseInt(req.params.year);
+    const taxMonth = parseInt(req.params.month);
+    const months = parseInt(req.query.months) || 1;
+
+    if (!taxYear || !taxMonth || taxMonth < 1 || taxMonth > 12 || months < 1 || months > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid year, month or number of months'
+      });
+    }
+
+    const business = req.business;
+    if (business.owner.toString() !== req.user.id && !['accountant', 'super_admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only business owners or accountants can prepare GCT returns'
+      });
+    }
+
+    // The filing period starts on the given month and runs for the requested number of months
+    const period = {
+      startDate: new Date(taxYear, taxMonth - 1, 1),
+      endDate: endOfDay(new Date(taxYear, taxMonth - 1 + months, 0))
+    };
+
+    const gctReturn = await generateGctReturn(business, period);
+
+    if (req.query.format === 'csv') {
+      const fileName = `gct-return-${business.trn}-${taxYear}-${String(taxMonth).padStart(2, '0')}.csv`;
+      res.set('Content-Type', 'text/csv');
+      res.attachment(fileName);
+      return res.send(gctReturnToCsv(gctReturn));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...gctReturn,
+        reportGeneratedDate: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('GCT return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating GCT return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper function to send an error unless the user may prepare payroll returns for the business
+const rejectReturnPreparer = (req, res) => {
+  const business = req.business;
+  if (business.owner.toString() === req.user.id || ['accountant', 'hr_manager', 'super_admin'].includes(req.user.role)) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Only business owners, accountants or HR managers can prepare statutory returns'
+  });
+  return true;
+};
+
+// Helper function to read the return year (and month) from the route, or send an error
+const returnPeriod = (req, res, withMonth) => {
+  const year = parseInt(req.params.year);
+  const month = withMonth ? parseInt(req.params.month) : undefined;
+
+  if (!year || year < 2000 || year > new Date().getFullYear() + 1 || (withMonth && (!month || month < 1 || month > 12))) {
+    res.status(400).json({
+      success: false,
+      message: withMonth ? 'Invalid year or month' : 'Invalid year'
+    });
+    return null;
+  }
+
+  return { year, month };
+};
+
+// Helper function to send a return as JSON or, with ?format=csv, as the TAJ upload file
+const sendStatutoryReturn = (req, res, statutoryReturn, extra = {}) => {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.attachment(csvFileName(statutoryReturn));
+    return res.send(statutoryReturnToCsv(statutoryReturn));
+  }
+
+  res.json({
+    success: true,
+    data: { ...statutoryReturn, ...extra }
+  });
+};
+
+// Helper function to read the submission date and reference for a filing, or send an error
+const submissionDetails = (req, res) => {
+  const { submittedAt, submissionReference } = req.body;
+  const date = submittedAt ? new Date(submittedAt) : new Date();
+
+  if (isNaN(date.getTime()) || date > new Date()) {
+    res.status(400).json({
+      success: false,
+      message: 'Submission date must be a valid date that is not in the future'
+    });
+    return null;
+  }
+
+  return { submittedAt: date, submissionReference };
+};
+
+// Helper function to find the return currently filed for a period
+const findFiledReturn = (businessId, form, { year, month }) => {
+  const query = { business: businessId, form, 'period.year': year, status: 'filed' };
+  if (month) query['period.month'] = month;
+  return StatutoryReturn.findOne(query).select('submittedAt submissionReference isAmendment filedBy');
+};
+
+// @route   GET /api/tax/business/:businessId/so1/:year/:month
+// @desc    Generate the SO1 monthly remittance return; ?format=csv for the TAJ upload file
+// @access  Private (Owner, Accountant or HR Manager)
+router.get('/business/:businessId/so1/:year/:month', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+    const period = returnPeriod(req, res, true);
+    if (!period) return;
+
+    const so1 = await generateSO1(req.business, period.year, period.month);
+    const filed = await findFiledReturn(req.business._id, 'SO1', period);
+
+    sendStatutoryReturn(req, res, so1, { filed, reportGeneratedDate: new Date() });
+  } catch (error) {
+    console.error('SO1 return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating SO1 return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/tax/business/:businessId/so1/:year/:month/file
+// @desc    Record the SO1 for a month as filed with TAJ
+// @access  Private (Owner, Accountant or HR Manager)
+router.post('/business/:businessId/so1/:year/:month/file', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+    const period = returnPeriod(req, res, true);
+    if (!period) return;
+    const submission = submissionDetails(req, res);
+    if (!submission) return;
+
+    const so1 = await generateSO1(req.business, period.year, period.month);
+    const filed = await fileReturn(so1, req.user.id, submission);
+
+    res.status(201).json({
+      success: true,
+      message: filed.isAmendment ? 'Amended SO1 recorded as filed' : 'SO1 recorded as filed',
+      data: { statutoryReturn: filed }
+    });
+  } catch (error) {
+    console.error('SO1 filing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error filing SO1 return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/tax/business/:businessId/so2/:year
+// @desc    Generate the SO2 annual reconciliation; ?format=csv for the TAJ upload file
+// @access  Private (Owner, Accountant or HR Manager)
+router.get('/business/:businessId/so2/:year', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+    const period = returnPeriod(req, res, false);
+    if (!period) return;
+
+    const so2 = await generateSO2(req.business, period.year);
+    const filed = await findFiledReturn(req.business._id, 'SO2', period);
+
+    sendStatutoryReturn(req, res, so2, { filed, reportGeneratedDate: new Date() });
+  } catch (error) {
+    console.error('SO2 return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating SO2 return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/tax/business/:businessId/so2/:year/file
+// @desc    Record the SO2 for a year as filed with TAJ
+// @access  Private (Owner, Accountant or HR Manager)
+router.post('/business/:businessId/so2/:year/file', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+    const period = returnPeriod(req, res, false);
+    if (!period) return;
+    const submission = submissionDetails(req, res);
+    if (!submission) return;
+
+    const so2 = await generateSO2(req.business, period.year);
+    const filed = await fileReturn(so2, req.user.id, submission);
+
+    res.status(201).json({
+      success: true,
+      message: filed.isAmendment ? 'Amended SO2 recorded as filed' : 'SO2 recorded as filed',
+      data: { statutoryReturn: filed }
+    });
+  } catch (error) {
+    console.error('SO2 filing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error filing SO2 return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/tax/business/:businessId/statutory-returns
+// @desc    Get filed SO1 and SO2 returns
+// @access  Private (Owner, Accountant or HR Manager)
+router.get('/business/:businessId/statutory-returns', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+    const { form, year, includeSuperseded } = req.query;
+
+    const query = { business: req.business._id };
+    if (form) query.form = form;
+    if (year) query['period.year'] = parseInt(year);
+    if (includeSuperseded !== 'true') query.status = 'filed';
+
+    const returns = await StatutoryReturn.find(query)
+      .select('-employees')
+      .populate('filedBy', 'firstName lastName email')
+      .sort({ 'period.year': -1, 'period.month': -1, submittedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { returns }
+    });
+  } catch (error) {
+    console.error('Get statutory returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving statutory returns'
+    });
+  }
+});
+
+// @route   GET /api/tax/business/:businessId/statutory-returns/:returnId
+// @desc    Get a filed return as it was filed; ?format=csv for the TAJ upload file
+// @access  Private (Owner, Accountant or HR Manager)
+router.get('/business/:businessId/statutory-returns/:returnId', auth, businessAccess, async (req, res) => {
+  try {
+    if (rejectReturnPreparer(req, res)) return;
+
+    const statutoryReturn = mongoose.isValidObjectId(req.params.returnId)
+      ? await StatutoryReturn.findOne({ _id: req.params.returnId, business: req.business._id })
+        .populate('filedBy', 'firstName lastName email')
+      : null;
+    if (!statutoryReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statutory return not found'
+      });
+    }
+
+    sendStatutoryReturn(req, res, statutoryReturn.toObject());
+  } catch (error) {
+    console.error('Get statutory return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving statutory return'
+    });
+  }
+});
+
 // @route   GET /api/tax/business/:businessId/compliance-check
 // @desc    Check tax compliance status for a business
 // @access  Private (Owner or Accountant)
@@ -475,6 +806,7 @@ router.get('/business/:businessId/compliance-check', auth, ownerOrAdminAccess, a
       nis: business.taxSettings.nisRegistered ? 'registered' : 'not_registered',
       gct: business.taxSettings.gctRegistered ? 'registered' : 'not_registered',
       educationTax: business.taxSettings.educationTaxRegistered ? 'registered' : 'not_registered',
+      nht: business.taxSettings.nhtRegistered ? 'registered' : 'not_registered',
       heartTrust: business.taxSettings.heartTrustRegistered ? 'registered' : 'not_registered'
     };
 
@@ -505,7 +837,7 @@ router.get('/business/:businessId/compliance-check', auth, ownerOrAdminAccess, a
     const outstandingLiabilities = await Payroll.aggregate([
       {
         $match: {
-          business: mongoose.Types.ObjectId(businessId),
+          business: new mongoose.Types.ObjectId(businessId),
           status: 'paid',
           'payPeriod.startDate': {
             $gte: new Date(currentYear - 1, 0, 1)
@@ -518,7 +850,11 @@ router.get('/business/:businessId/compliance-check', auth, ownerOrAdminAccess, a
           totalPAYE: { $sum: '$deductions.paye.amount' },
           totalNIS: { $sum: '$deductions.nis.contribution' },
           totalEducationTax: { $sum: '$deductions.educationTax.amount' },
-          totalHeartTrust: { $sum: '$deductions.heartTrust.amount' }
+          totalNHT: { $sum: { $add: [
+            { $ifNull: ['$deductions.nht.contribution', 0] },
+            { $ifNull: ['$employerContributions.nht', 0] }
+          ] } },
+          totalHeartTrust: { $sum: '$employerContributions.heartTrust' }
         }
       }
     ]);
@@ -527,6 +863,7 @@ router.get('/business/:businessId/compliance-check', auth, ownerOrAdminAccess, a
       totalPAYE: 0,
       totalNIS: 0,
       totalEducationTax: 0,
+      totalNHT: 0,
       totalHeartTrust: 0
     };
 
@@ -742,7 +1079,7 @@ router.post('/business/:businessId/register-tax', auth, async (req, res) => {
       });
     }
 
-    const validTaxTypes = ['paye', 'nis', 'gct', 'educationTax', 'heartTrust'];
+    const validTaxTypes = ['paye', 'nis', 'gct', 'educationTax', 'nht', 'heartTrust'];
     if (!validTaxTypes.includes(taxType)) {
       return res.status(400).json({
         success: false,
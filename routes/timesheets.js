@@ -0,0 +1,485 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Employee = require('../models/Employee');
+const Payroll = require('../models/Payroll');
+const Timesheet = require('../models/Timesheet');
+const { auth, businessAccess } = require('../middleware/auth');
+const { validateInput, timesheetRules } = require('../middleware/validation');
+const router = express.Router();
+
+// Helper function to check whether a user may manage a business's payroll
+const canManagePayroll = (business, user) => {
+  return business.owner.toString() === user.id ||
+         ['hr_manager', 'accountant', 'super_admin'].includes(user.role);
+};
+
+// Helper function to pick the entry fields a timesheet accepts
+const entryFields = (entries = []) => entries.map(entry => ({
+  date: entry.date,
+  type: entry.type,
+  clockIn: entry.clockIn || undefined,
+  clockOut: entry.clockOut || undefined,
+  breakMinutes: entry.breakMinutes,
+  hours: entry.hours,
+  publicHoliday: entry.publicHoliday,
+  notes: entry.notes
+}));
+
+// Helper function to load a timesheet and work out how the user relates to it
+const loadTimesheet = async (req, res) => {
+  const timesheet = mongoose.isValidObjectId(req.params.timesheetId)
+    ? await Timesheet.findById(req.params.timesheetId)
+    : null;
+
+  if (!timesheet) {
+    res.status(404).json({
+      success: false,
+      message: 'Timesheet not found'
+    });
+    return null;
+  }
+
+  const business = await Business.findOne({
+    _id: timesheet.business,
+    $or: [
+      { owner: req.user.id },
+      { 'employees.user': req.user.id }
+    ]
+  });
+  const employee = await Employee.findById(timesheet.employee).select('user employment.supervisor');
+
+  const access = {
+    isManager: Boolean(business) && canManagePayroll(business, req.user),
+    isEmployee: Boolean(employee) && employee.user.toString() === req.user.id,
+    isSupervisor: Boolean(employee?.employment?.supervisor) &&
+      Boolean(await Employee.exists({ _id: employee.employment.supervisor, user: req.user.id }))
+  };
+
+  if (!business || !(access.isManager || access.isEmployee || access.isSupervisor)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  req.timesheetAccess = access;
+  return timesheet;
+};
+
+// Helper function to send an error unless the user may approve or reject the timesheet
+const rejectReviewer = (req, res) => {
+  const { isManager, isEmployee, isSupervisor } = req.timesheetAccess;
+
+  if (isEmployee) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot review your own timesheet'
+    });
+    return true;
+  }
+
+  if (!isSupervisor && !isManager) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the employee\'s supervisor or a payroll manager can review this timesheet'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Helper function to send an error unless the timesheet is in the expected status
+const rejectStatus = (res, timesheet, statuses, action) => {
+  if (statuses.includes(timesheet.status)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Cannot ${action} a timesheet that is ${timesheet.status}`
+  });
+  return true;
+};
+
+// Helper function to send a mongoose validation error
+const sendValidationError = (res, error) => {
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: Object.values(error.errors).map(err => err.message)
+  });
+};
+
+// @route   GET /api/timesheets/business/:businessId
+// @desc    Get timesheets: all for payroll managers, otherwise the user's own and their reports'
+// @access  Private
+router.get('/business/:businessId', auth, businessAccess, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, employee, from, to } = req.query;
+
+    const query = { business: req.params.businessId };
+    if (status) query.status = status;
+    if (from || to) {
+      query.weekStart = {};
+      if (from) query.weekStart.$gte = Timesheet.weekStarting(from);
+      if (to) query.weekStart.$lte = new Date(to);
+    }
+
+    if (!canManagePayroll(req.business, req.user)) {
+      const ownRecords = await Employee.find({ business: req.params.businessId, user: req.user.id }).select('_id');
+      const reports = await Employee.find({
+        business: req.params.businessId,
+        'employment.supervisor': { $in: ownRecords.map(record => record._id) }
+      }).select('_id');
+      query.employee = { $in: [...ownRecords, ...reports].map(record => record._id) };
+    }
+
+    if (employee) {
+      query.employee = query.employee
+        ? { $in: query.employee.$in.filter(id => id.toString() === employee) }
+        : employee;
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId user',
+        populate: { path: 'user', select: 'firstName lastName' }
+      })
+      .sort({ weekStart: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Timesheet.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        timesheets,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get timesheets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving timesheets'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/business/:businessId
+// @desc    Start a week's timesheet for the user, or for any employee as a payroll manager
+// @access  Private
+router.post('/business/:businessId', auth, businessAccess, timesheetRules(), validateInput, async (req, res) => {
+  try {
+    const businessId = req.params.businessId;
+    const { employee: employeeId, weekStart, entries, notes } = req.body;
+    const isManager = canManagePayroll(req.business, req.user);
+
+    const employee = employeeId
+      ? await Employee.findOne({ _id: employeeId, business: businessId, isActive: true })
+      : await Employee.findOne({ business: businessId, user: req.user.id, isActive: true });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found or not active in this business'
+      });
+    }
+
+    if (!isManager && employee.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record your own timesheets'
+      });
+    }
+
+    const existing = await Timesheet.findOne({ employee: employee._id, weekStart: Timesheet.weekStarting(weekStart) }).select('_id');
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A timesheet already exists for this employee and week',
+        data: { timesheetId: existing._id }
+      });
+    }
+
+    const timesheet = await Timesheet.create({
+      business: businessId,
+      employee: employee._id,
+      weekStart,
+      overtimeThreshold: employee.employment.workSchedule?.hoursPerWeek ?? 40,
+      entries: entryFields(entries),
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timesheet created successfully',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet creation error:', error);
+
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating timesheet'
+    });
+  }
+});
+
+// @route   GET /api/timesheets/:timesheetId
+// @desc    Get a timesheet
+// @access  Private (Employee, supervisor or payroll manager)
+router.get('/:timesheetId', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    await timesheet.populate([
+      {
+        path: 'employee',
+        select: 'employeeId user employment.workSchedule',
+        populate: { path: 'user', select: 'firstName lastName' }
+      },
+      { path: 'approvedBy', select: 'firstName lastName' },
+      { path: 'payroll', select: 'payrollNumber status payrollRun' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving timesheet'
+    });
+  }
+});
+
+// @route   PUT /api/timesheets/:timesheetId
+// @desc    Replace the entries of a draft or rejected timesheet
+// @access  Private (Employee or payroll manager)
+router.put('/:timesheetId', auth, timesheetRules(true), validateInput, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (!req.timesheetAccess.isEmployee && !req.timesheetAccess.isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee or a payroll manager can edit this timesheet'
+      });
+    }
+
+    if (rejectStatus(res, timesheet, ['draft', 'rejected'], 'edit')) return;
+
+    const { entries, notes } = req.body;
+    if (entries) timesheet.entries = entryFields(entries);
+    if (notes !== undefined) timesheet.notes = notes;
+    timesheet.status = 'draft';
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Timesheet updated successfully',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet update error:', error);
+
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating timesheet'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/:timesheetId/submit
+// @desc    Submit a timesheet to the employee's supervisor for approval
+// @access  Private (Employee or payroll manager)
+router.post('/:timesheetId/submit', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (!req.timesheetAccess.isEmployee && !req.timesheetAccess.isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee or a payroll manager can submit this timesheet'
+      });
+    }
+
+    if (rejectStatus(res, timesheet, ['draft', 'rejected'], 'submit')) return;
+
+    if (timesheet.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one entry before submitting the timesheet'
+      });
+    }
+
+    await timesheet.submit(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Timesheet submitted for approval',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting timesheet'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/:timesheetId/approve
+// @desc    Approve a submitted timesheet so its hours are paid in the next run
+// @access  Private (Supervisor or payroll manager)
+router.post('/:timesheetId/approve', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (rejectReviewer(req, res)) return;
+    if (rejectStatus(res, timesheet, ['submitted'], 'approve')) return;
+
+    await timesheet.review(true, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Timesheet approved successfully',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving timesheet'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/:timesheetId/reject
+// @desc    Send a submitted timesheet back to the employee with a reason
+// @access  Private (Supervisor or payroll manager)
+router.post('/:timesheetId/reject', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (rejectReviewer(req, res)) return;
+    if (rejectStatus(res, timesheet, ['submitted'], 'reject')) return;
+
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a timesheet'
+      });
+    }
+
+    await timesheet.review(false, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Timesheet rejected',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet rejection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rejecting timesheet'
+    });
+  }
+});
+
+// @route   POST /api/timesheets/:timesheetId/reopen
+// @desc    Return an approved timesheet to draft while its hours are not yet on an approved payslip
+// @access  Private (Supervisor or payroll manager)
+router.post('/:timesheetId/reopen', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (rejectReviewer(req, res)) return;
+    if (rejectStatus(res, timesheet, ['approved'], 'reopen')) return;
+
+    if (timesheet.payroll) {
+      const payroll = await Payroll.findById(timesheet.payroll).select('payrollNumber status');
+      if (payroll && ['approved', 'paid'].includes(payroll.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `These hours were paid on payroll ${payroll.payrollNumber} and can no longer be changed`
+        });
+      }
+    }
+
+    timesheet.status = 'draft';
+    timesheet.approvedBy = undefined;
+    timesheet.approvedAt = undefined;
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Timesheet reopened; recalculate the payroll run to pick up changes',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Timesheet reopen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reopening timesheet'
+    });
+  }
+});
+
+// @route   DELETE /api/timesheets/:timesheetId
+// @desc    Delete a draft or rejected timesheet
+// @access  Private (Employee or payroll manager)
+router.delete('/:timesheetId', auth, async (req, res) => {
+  try {
+    const timesheet = await loadTimesheet(req, res);
+    if (!timesheet) return;
+
+    if (!req.timesheetAccess.isEmployee && !req.timesheetAccess.isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the employee or a payroll manager can delete this timesheet'
+      });
+    }
+
+    if (rejectStatus(res, timesheet, ['draft', 'rejected'], 'delete')) return;
+
+    await timesheet.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Timesheet deleted successfully'
+    });
+  } catch (error) {
+    console.error('Timesheet deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting timesheet'
+    });
+  }
+});
+
+module.exports = router;
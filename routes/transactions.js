@@ -1,10 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Business = require('../models/Business');
+const Account = require('../models/Account');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Contact = require('../models/Contact');
+const ledger = require('../services/ledger');
+const { sourceEntryDates } = require('../services/accountingPeriods');
+const { findContact, transactionSide } = require('../services/contacts');
+const { defaultGctTaxCode } = require('../services/taxRates');
+const { resolveReportPeriod, endOfDay } = require('../services/fiscalCalendar');
+const financialReports = require('../services/financialReports');
+const { generateAgingReport, generateCustomerStatement } = require('../services/agingReports');
 const { auth, businessAccess } = require('../middleware/auth');
 const { validateInput, transactionRules } = require('../middleware/validation');
 const router = express.Router();
 
+// Helper function to check that ledger account overrides belong to the business
+const ledgerAccountsValid = async (businessId, accountIds) => {
+  const ids = accountIds.filter(Boolean);
+  if (ids.length === 0) return true;
+  const count = await Account.countDocuments({ _id: { $in: ids }, business: businessId, isActive: true });
+  return count === new Set(ids.map(String)).size;
+};
+
 // @route   POST /api/transactions
 // @desc    Create a new transaction
 // @access  Private
@@ -21,10 +40,13 @@ router.post('/', auth, transactionRules(), validateInput, async (req, res) => {
       date,
       paymentMethod,
       reference,
+      contact: contactId,
       vendor,
       customer,
       taxInfo,
       attachments,
+      ledgerAccount,
+      contraAccount,
       notes,
       tags
     } = req.body;
@@ -45,27 +67,70 @@ router.post('/', auth, transactionRules(), validateInput, async (req, res) => {
       });
     }
 
+    if (!(await ledgerAccountsValid(businessId, [ledgerAccount, contraAccount]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger accounts must be active accounts of this business'
+      });
+    }
+
+    // A linked contact supplies the vendor or customer details and the default category
+    const side = transactionSide(type);
+    const contact = contactId ? await findContact(businessId, contactId, side) : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: `Contact must be an active ${side} of this business`
+      });
+    }
+
+    // The supplier's default account goes with its default category
+    const useContactDefaults = Boolean(contact) && side === 'vendor' && !category;
+    const transactionCategory = useContactDefaults ? contact.defaultExpenseCategory : category;
+    if (!transactionCategory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category is required'
+      });
+    }
+
+    const transactionDate = date ? new Date(date) : new Date();
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(businessId, [transactionDate]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
     // Create transaction
     const transaction = new Transaction({
       business: businessId,
       type,
-      category,
+      category: transactionCategory,
       description,
       amount,
       currency: currency || 'JMD',
       exchangeRate: exchangeRate || 1,
-      date: date ? new Date(date) : new Date(),
+      date: transactionDate,
       paymentMethod,
       reference,
-      vendor,
-      customer,
+      contact: contact?._id,
+      vendor: contact && side === 'vendor' ? { ...contact.toSnapshot(), ...vendor } : vendor,
+      customer: contact && side === 'customer' ? { ...contact.toSnapshot(), ...customer } : customer,
       taxInfo: {
         isTaxable: taxInfo?.isTaxable !== false,
-        gctRate: taxInfo?.gctRate || 0.15,
-        gctAmount: taxInfo?.gctAmount || 0,
+        // An explicit rate with no tax code is kept as entered
+        taxCode: taxInfo?.taxCode || (taxInfo?.gctRate === undefined
+          ? defaultGctTaxCode({ isTaxable: taxInfo?.isTaxable, category: transactionCategory })
+          : undefined),
+        gctRate: taxInfo?.gctRate ?? 0.15,
+        amountsIncludeGct: Boolean(taxInfo?.amountsIncludeGct),
         withholdingTax: taxInfo?.withholdingTax || {}
       },
       attachments: attachments || [],
+      ledgerAccount: ledgerAccount || (useContactDefaults ? contact.defaultExpenseAccount : undefined),
+      contraAccount,
       createdBy: req.user.id,
       notes,
       tags: tags || []
@@ -73,6 +138,14 @@ router.post('/', auth, transactionRules(), validateInput, async (req, res) => {
 
     await transaction.save();
 
+    // Post the matching journal entry; a transaction that cannot be posted is not kept
+    try {
+      await ledger.postTransaction(transaction, req.user.id);
+    } catch (postingError) {
+      await Transaction.findByIdAndDelete(transaction._id);
+      throw postingError;
+    }
+
     // Populate created by user
     await transaction.populate('createdBy', 'firstName lastName email');
 
@@ -103,6 +176,7 @@ router.get('/', auth, async (req, res) => {
       search,
       type,
       category,
+      contact,
       status,
       startDate,
       endDate,
@@ -148,10 +222,18 @@ router.get('/', auth, async (req, res) => {
         { 'vendor.name': { $regex: search, $options: 'i' } },
         { 'customer.name': { $regex: search, $options: 'i' } }
       ];
+
+      // Also find transactions linked to a matching contact, whatever name they were recorded under
+      const contacts = await Contact.find({
+        business: businessId,
+        name: { $regex: search, $options: 'i' }
+      }).select('_id');
+      if (contacts.length > 0) query.$or.push({ contact: { $in: contacts.map(item => item._id) } });
     }
 
     if (type) query.type = type;
     if (category) query.category = category;
+    if (contact) query.contact = contact;
     if (status) query.status = status;
     if (reconciled !== undefined) query.reconciled = reconciled === 'true';
 
@@ -319,14 +401,55 @@ router.put('/:transactionId', auth, validateInput, async (req, res) => {
       date,
       paymentMethod,
       reference,
+      contact: contactId,
       vendor,
       customer,
       taxInfo,
+      ledgerAccount,
+      contraAccount,
       notes,
       tags,
       status
     } = req.body;
 
+    const side = transactionSide(type || transaction.type);
+    const contact = contactId ? await findContact(transaction.business, contactId, side) : null;
+    if (contactId && !contact) {
+      return res.status(400).json({
+        success: false,
+        message: `Contact must be an active ${side} of this business`
+      });
+    }
+
+    if (!(await ledgerAccountsValid(transaction.business, [ledgerAccount, contraAccount]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger accounts must be active accounts of this business'
+      });
+    }
+
+    // Unpaid supplier invoices are recorded as bills so they go through approval and AP
+    const nextType = type || transaction.type;
+    const nextVendor = (side === 'vendor' && contact?.name) || vendor?.name || transaction.vendor?.name;
+    if (status === 'pending' && ['expense', 'asset_purchase'].includes(nextType) && nextVendor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Record unpaid supplier invoices as bills instead of pending transactions'
+      });
+    }
+
+    // Both the original and the new date must fall in open periods
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(transaction.business, [transaction.date, date]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
+    // Kept so the edit can be undone if the ledger cannot be reposted
+    const previous = transaction.toObject();
+
     // Update fields
     if (type) transaction.type = type;
     if (category) transaction.category = category;
@@ -339,13 +462,33 @@ router.put('/:transactionId', auth, validateInput, async (req, res) => {
     if (reference !== undefined) transaction.reference = reference;
     if (vendor) transaction.vendor = { ...transaction.vendor, ...vendor };
     if (customer) transaction.customer = { ...transaction.customer, ...customer };
-    if (taxInfo) transaction.taxInfo = { ...transaction.taxInfo, ...taxInfo };
+    if (contact) {
+      transaction.contact = contact._id;
+      transaction[side] = { ...contact.toSnapshot(), ...(side === 'vendor' ? vendor : customer) };
+    } else if (contactId !== undefined) {
+      transaction.contact = undefined;
+    }
+    if (taxInfo) {
+      transaction.taxInfo = { ...transaction.taxInfo, ...taxInfo };
+      if (taxInfo.gctRate !== undefined && !taxInfo.taxCode) transaction.taxInfo.taxCode = undefined;
+    }
+    if (ledgerAccount !== undefined) transaction.ledgerAccount = ledgerAccount || undefined;
+    if (contraAccount !== undefined) transaction.contraAccount = contraAccount || undefined;
     if (notes !== undefined) transaction.notes = notes;
     if (tags) transaction.tags = tags;
     if (status) transaction.status = status;
 
     await transaction.save();
 
+    // Replace the journal entry so the ledger reflects the edited amounts; if that fails,
+    // put the transaction back so it still matches the entry left posted
+    try {
+      await ledger.repostTransaction(transaction, req.user.id);
+    } catch (error) {
+      await Transaction.replaceOne({ _id: transaction._id }, previous);
+      throw error;
+    }
+
     await transaction.populate('createdBy', 'firstName lastName email');
 
     res.json({
@@ -412,7 +555,17 @@ router.delete('/:transactionId', auth, async (req, res) => {
       });
     }
 
+    const entryDates = await sourceEntryDates('transaction', transaction._id);
+    const closedPeriod = await AccountingPeriod.findClosedPeriod(transaction.business, [transaction.date, ...entryDates]);
+    if (closedPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: `Accounting period ${closedPeriod.name} is closed`
+      });
+    }
+
     await Transaction.findByIdAndDelete(req.params.transactionId);
+    await ledger.voidSourceEntries('transaction', transaction._id, req.user.id, 'Transaction deleted');
 
     res.json({
       success: true,
@@ -672,4 +825,169 @@ router.get('/business/:businessId/cash-flow', auth, businessAccess, async (req,
   }
 });
 
+// @route   GET /api/transactions/business/:businessId/trial-balance
+// @desc    Get the trial balance for a period, following the business fiscal year
+// @access  Private
+router.get('/business/:businessId/trial-balance', auth, businessAccess, async (req, res) => {
+  try {
+    const period = resolveReportPeriod(req.business, req.query);
+    const trialBalance = await financialReports.generateTrialBalance(req.business, period);
+
+    res.json({
+      success: true,
+      data: {
+        business: { name: req.business.name, trn: req.business.trn },
+        ...trialBalance
+      }
+    });
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating trial balance'
+    });
+  }
+});
+
+// @route   GET /api/transactions/business/:businessId/income-statement
+// @desc    Get the profit and loss statement with prior period and prior year comparisons
+// @access  Private
+router.get('/business/:businessId/income-statement', auth, businessAccess, async (req, res) => {
+  try {
+    const period = resolveReportPeriod(req.business, req.query);
+    const incomeStatement = await financialReports.generateIncomeStatement(req.business, period);
+
+    res.json({
+      success: true,
+      data: {
+        business: { name: req.business.name, trn: req.business.trn },
+        ...incomeStatement
+      }
+    });
+  } catch (error) {
+    console.error('Income statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating income statement'
+    });
+  }
+});
+
+// @route   GET /api/transactions/business/:businessId/balance-sheet
+// @desc    Get the balance sheet as at a date with prior period and prior year comparisons
+// @access  Private
+router.get('/business/:businessId/balance-sheet', auth, businessAccess, async (req, res) => {
+  try {
+    const { asOfDate, ...query } = req.query;
+    const period = resolveReportPeriod(req.business, {
+      ...query,
+      endDate: asOfDate || query.endDate
+    });
+    const balanceSheet = await financialReports.generateBalanceSheet(req.business, period);
+
+    res.json({
+      success: true,
+      data: {
+        business: { name: req.business.name, trn: req.business.trn },
+        period,
+        ...balanceSheet
+      }
+    });
+  } catch (error) {
+    console.error('Balance sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating balance sheet'
+    });
+  }
+});
+
+// @route   GET /api/transactions/business/:businessId/aged-receivables
+// @desc    Get outstanding invoices bucketed by days overdue, per customer and in total
+// @access  Private
+router.get('/business/:businessId/aged-receivables', auth, businessAccess, async (req, res) => {
+  try {
+    const asOf = endOfDay(req.query.asOfDate ? new Date(req.query.asOfDate) : new Date());
+    const report = await generateAgingReport(req.business, 'receivable', asOf, {
+      includeItems: req.query.detail === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        business: { name: req.business.name, trn: req.business.trn },
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Aged receivables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating aged receivables'
+    });
+  }
+});
+
+// @route   GET /api/transactions/business/:businessId/aged-payables
+// @desc    Get unpaid bills bucketed by days overdue, per supplier and in total
+// @access  Private
+router.get('/business/:businessId/aged-payables', auth, businessAccess, async (req, res) => {
+  try {
+    const asOf = endOfDay(req.query.asOfDate ? new Date(req.query.asOfDate) : new Date());
+    const report = await generateAgingReport(req.business, 'payable', asOf, {
+      includeItems: req.query.detail === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        business: { name: req.business.name, trn: req.business.trn },
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Aged payables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating aged payables'
+    });
+  }
+});
+
+// @route   GET /api/transactions/business/:businessId/customer-statement/:contactId
+// @desc    Get a customer statement of invoices, payments and open items for a period
+// @access  Private
+router.get('/business/:businessId/customer-statement/:contactId', auth, businessAccess, async (req, res) => {
+  try {
+    const contact = mongoose.isValidObjectId(req.params.contactId)
+      ? await Contact.findOne({
+        _id: req.params.contactId,
+        business: req.params.businessId,
+        type: { $in: ['customer', 'both'] }
+      })
+      : null;
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const period = resolveReportPeriod(req.business, req.query);
+    const statement = await generateCustomerStatement(req.business, contact, period);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Customer statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating customer statement'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,158 @@
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { ensureSystemAccounts, voidSourceEntries, roundCurrency } = require('./ledger');
+const { getFiscalYear, endOfDay } = require('./fiscalCalendar');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Create the twelve monthly periods of a fiscal year if they do not exist yet
+const ensureFiscalYearPeriods = async (business, fiscalYear) => {
+  const { startDate, endDate } = getFiscalYear(business, fiscalYear);
+
+  for (let index = 0; index < 12; index++) {
+    const periodStart = new Date(startDate.getFullYear(), startDate.getMonth() + index, startDate.getDate());
+    const periodEnd = index === 11
+      ? endDate
+      : endOfDay(new Date(startDate.getFullYear(), startDate.getMonth() + index + 1, startDate.getDate() - 1));
+
+    await AccountingPeriod.updateOne(
+      { business: business._id, fiscalYear, periodNumber: index + 1 },
+      {
+        $setOnInsert: {
+          name: `${MONTH_NAMES[periodStart.getMonth()]} ${periodStart.getFullYear()}`,
+          startDate: periodStart,
+          endDate: periodEnd,
+          status: 'open'
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  return AccountingPeriod.find({ business: business._id, fiscalYear }).sort({ periodNumber: 1 });
+};
+
+// Close every period of the year and roll net income into retained earnings
+const closeFiscalYear = async (business, fiscalYear, userId, reason) => {
+  const periods = await ensureFiscalYearPeriods(business, fiscalYear);
+  const finalPeriod = periods[periods.length - 1];
+
+  if (finalPeriod.yearEndClosed) {
+    throw new Error(`Fiscal year ${fiscalYear} has already been closed`);
+  }
+
+  const { startDate, endDate } = getFiscalYear(business, fiscalYear);
+  const accounts = await Account.find({ business: business._id, class: { $in: ['revenue', 'expense'] } });
+  const balances = await JournalEntry.getAccountBalances(business._id, {
+    startDate,
+    endDate,
+    excludeSourceTypes: ['period_close']
+  });
+  const balanceByAccount = new Map(balances.map(item => [item._id.toString(), item]));
+
+  // Reverse each revenue and expense balance so the accounts start the new year at zero
+  const lines = [];
+  let netIncome = 0;
+  accounts.forEach(account => {
+    const totals = balanceByAccount.get(account._id.toString());
+    const net = totals ? roundCurrency(totals.debit - totals.credit) : 0;
+    if (net === 0) return;
+
+    netIncome -= net;
+    lines.push(net > 0
+      ? { account: account._id, credit: net, description: 'Year-end close' }
+      : { account: account._id, debit: -net, description: 'Year-end close' });
+  });
+  netIncome = roundCurrency(netIncome);
+
+  let closingEntry = null;
+  if (lines.length > 0) {
+    const systemAccounts = await ensureSystemAccounts(business._id);
+    if (netIncome !== 0) {
+      lines.push(netIncome > 0
+        ? { account: systemAccounts.retained_earnings._id, credit: netIncome, description: 'Net income to retained earnings' }
+        : { account: systemAccounts.retained_earnings._id, debit: -netIncome, description: 'Net loss to retained earnings' });
+    }
+
+    closingEntry = await JournalEntry.create({
+      business: business._id,
+      date: endDate,
+      description: `Year-end close for fiscal year ${fiscalYear}`,
+      reference: `FY${fiscalYear}`,
+      source: { type: 'period_close', document: finalPeriod._id },
+      lines,
+      createdBy: userId
+    });
+  }
+
+  for (const period of periods) {
+    if (period.status !== 'closed') {
+      period.status = 'closed';
+      period.closedBy = userId;
+      period.closedDate = new Date();
+      period.history.push({ action: 'closed', user: userId, reason });
+    }
+    if (period._id.equals(finalPeriod._id)) {
+      period.yearEndClosed = true;
+      period.closingEntry = closingEntry ? closingEntry._id : undefined;
+      period.history.push({ action: 'year_end_closed', user: userId, reason });
+    }
+    await period.save();
+  }
+
+  return { periods, closingEntry, netIncome };
+};
+
+// Undo a year-end close: void the closing entry and reopen the final period
+const reopenFiscalYear = async (business, fiscalYear, userId, reason) => {
+  const finalPeriod = await AccountingPeriod.findOne({ business: business._id, fiscalYear, periodNumber: 12 });
+
+  if (!finalPeriod || !finalPeriod.yearEndClosed) {
+    throw new Error(`Fiscal year ${fiscalYear} has not been closed`);
+  }
+
+  await voidSourceEntries('period_close', finalPeriod._id, userId, reason || 'Year-end reopened');
+
+  finalPeriod.yearEndClosed = false;
+  finalPeriod.closingEntry = undefined;
+  finalPeriod.status = 'open';
+  finalPeriod.history.push({ action: 'year_end_reopened', user: userId, reason });
+  await finalPeriod.save();
+
+  return finalPeriod;
+};
+
+// Helper function for routes to send a closed-period error if any date falls in a closed
+// period; returns true once the response has been sent
+const rejectClosedPeriod = async (res, businessId, dates) => {
+  const closedPeriod = await AccountingPeriod.findClosedPeriod(businessId, dates);
+  if (closedPeriod) {
+    res.status(400).json({
+      success: false,
+      message: `Accounting period ${closedPeriod.name} is closed`
+    });
+    return true;
+  }
+  return false;
+};
+
+// Dates of the posted entries created from a source document. Voiding marks those entries
+// void in place, so every one of these dates has to be open, not just the document's own date.
+const sourceEntryDates = async (sourceType, documentId) => {
+  const entries = await JournalEntry.find({
+    'source.type': sourceType,
+    'source.document': documentId,
+    status: 'posted'
+  }).select('date');
+
+  return entries.map(entry => entry.date);
+};
+
+module.exports = {
+  ensureFiscalYearPeriods,
+  closeFiscalYear,
+  reopenFiscalYear,
+  rejectClosedPeriod,
+  sourceEntryDates
+};
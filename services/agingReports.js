@@ -0,0 +1,240 @@
+const Account = require('../models/Account');
+const Contact = require('../models/Contact');
+const Invoice = require('../models/Invoice');
+const Bill = require('../models/Bill');
+const JournalEntry = require('../models/JournalEntry');
+const { roundCurrency } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => {
+  buckets[bucket.key] = 0;
+  return buckets;
+}, { total: 0 });
+
+const bucketFor = (daysOverdue) => AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+
+// Invoices or bills (as posted to the ledger) and the settings that differ between the two
+const SIDES = {
+  receivable: {
+    model: Invoice,
+    dateField: 'issueDate',
+    numberField: 'invoiceNumber',
+    partyField: 'customer',
+    systemRole: 'accounts_receivable',
+    owed: document => document.total
+  },
+  payable: {
+    model: Bill,
+    dateField: 'billDate',
+    numberField: 'billNumber',
+    partyField: 'vendor',
+    systemRole: 'accounts_payable',
+    owed: document => document.amountPayable
+  }
+};
+
+// Posted, unvoided documents dated on or before the as-of date. Voided documents are
+// left out entirely because voiding removes their journal entries from the ledger.
+const findPostedDocuments = (side, businessId, asOf, extra = {}) => {
+  const { model, dateField } = SIDES[side];
+  return model.find({
+    business: businessId,
+    journalEntry: { $exists: true },
+    status: { $ne: 'void' },
+    [dateField]: { $lte: asOf },
+    ...extra
+  }).select('-lineItems');
+};
+
+// What was still owed on a document at the as-of date, in JMD
+const openItem = (side, document, asOf) => {
+  const { dateField, numberField, owed } = SIDES[side];
+  const rate = document.exchangeRate || 1;
+  const paid = document.payments
+    .filter(payment => payment.date <= asOf)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const outstanding = roundCurrency((owed(document) - paid) * rate);
+  const daysOverdue = Math.max(0, Math.floor((asOf - document.dueDate) / DAY_MS));
+
+  return {
+    document: document._id,
+    number: document[numberField],
+    reference: side === 'payable' ? document.vendorInvoiceNumber : document.reference,
+    date: document[dateField],
+    dueDate: document.dueDate,
+    currency: document.currency,
+    total: roundCurrency(owed(document) * rate),
+    paid: roundCurrency(paid * rate),
+    outstanding,
+    daysOverdue,
+    bucket: bucketFor(daysOverdue)
+  };
+};
+
+// Balance of the control account at the as-of date, for checking the report against the ledger
+const getControlBalance = async (side, businessId, asOf) => {
+  const account = await Account.findOne({ business: businessId, systemRole: SIDES[side].systemRole });
+  if (!account) return 0;
+
+  const totals = await JournalEntry.getAccountBalances(businessId, { endDate: asOf });
+  const line = totals.find(item => item._id.toString() === account._id.toString());
+  if (!line) return 0;
+  return roundCurrency(side === 'receivable' ? line.debit - line.credit : line.credit - line.debit);
+};
+
+// Aged receivables or payables at a date, per contact and in total. Documents not linked
+// to a contact are grouped by the name recorded on them.
+const generateAgingReport = async (business, side, asOf, { includeItems = false } = {}) => {
+  const { partyField } = SIDES[side];
+  const documents = await findPostedDocuments(side, business._id, asOf);
+
+  const groups = new Map();
+  documents.forEach(document => {
+    const item = openItem(side, document, asOf);
+    if (item.outstanding <= 0) return;
+
+    const key = document.contact
+      ? document.contact.toString()
+      : `name:${Contact.normalizeName(document[partyField].name)}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        contact: document.contact || null,
+        name: document[partyField].name,
+        ...emptyBuckets(),
+        items: []
+      });
+    }
+
+    const group = groups.get(key);
+    group[item.bucket] = roundCurrency(group[item.bucket] + item.outstanding);
+    group.total = roundCurrency(group.total + item.outstanding);
+    group.items.push(item);
+  });
+
+  // Show linked contacts under their current name
+  const contactIds = [...groups.values()].filter(group => group.contact).map(group => group.contact);
+  const contacts = await Contact.find({ _id: { $in: contactIds } }).select('name trn');
+  const contactsById = new Map(contacts.map(contact => [contact._id.toString(), contact]));
+
+  const rows = [...groups.values()]
+    .map(group => {
+      const contact = group.contact && contactsById.get(group.contact.toString());
+      const row = { ...group, name: contact ? contact.name : group.name, trn: contact?.trn };
+      if (!includeItems) delete row.items;
+      return row;
+    })
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+  const totals = rows.reduce((sum, row) => {
+    Object.keys(sum).forEach(key => { sum[key] = roundCurrency(sum[key] + row[key]); });
+    return sum;
+  }, emptyBuckets());
+
+  const ledgerBalance = await getControlBalance(side, business._id, asOf);
+
+  return {
+    asOfDate: asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    contacts: rows,
+    totals,
+    ledgerBalance,
+    // Anything posted straight to the control account by a journal entry shows up here
+    unreconciledDifference: roundCurrency(ledgerBalance - totals.total)
+  };
+};
+
+// Customer statement: opening balance, invoices and payments in the period with a running
+// balance, then the items still open at the end of the period
+const generateCustomerStatement = async (business, contact, { startDate, endDate }) => {
+  const invoices = await findPostedDocuments('receivable', business._id, endDate, { contact: contact._id });
+
+  let openingBalance = 0;
+  const activity = [];
+
+  invoices.forEach(invoice => {
+    const rate = invoice.exchangeRate || 1;
+    const amount = roundCurrency(invoice.total * rate);
+
+    if (invoice.issueDate < startDate) {
+      openingBalance += amount;
+    } else {
+      activity.push({
+        date: invoice.issueDate,
+        type: 'invoice',
+        document: invoice._id,
+        number: invoice.invoiceNumber,
+        description: `Invoice ${invoice.invoiceNumber}`,
+        dueDate: invoice.dueDate,
+        charge: amount,
+        payment: 0
+      });
+    }
+
+    invoice.payments.forEach(payment => {
+      const paid = roundCurrency(payment.amount * rate);
+      if (payment.date < startDate) {
+        openingBalance -= paid;
+      } else if (payment.date <= endDate) {
+        activity.push({
+          date: payment.date,
+          type: 'payment',
+          document: invoice._id,
+          number: invoice.invoiceNumber,
+          description: payment.reference ? `Payment received (${payment.reference})` : 'Payment received',
+          charge: 0,
+          payment: paid
+        });
+      }
+    });
+  });
+
+  openingBalance = roundCurrency(openingBalance);
+
+  let balance = openingBalance;
+  const lines = activity
+    .sort((a, b) => a.date - b.date || (a.type === 'invoice' ? -1 : 1))
+    .map(line => {
+      balance = roundCurrency(balance + line.charge - line.payment);
+      return { ...line, balance };
+    });
+
+  const openItems = invoices
+    .map(invoice => openItem('receivable', invoice, endDate))
+    .filter(item => item.outstanding > 0)
+    .sort((a, b) => a.date - b.date);
+
+  const aging = openItems.reduce((sum, item) => {
+    sum[item.bucket] = roundCurrency(sum[item.bucket] + item.outstanding);
+    sum.total = roundCurrency(sum.total + item.outstanding);
+    return sum;
+  }, emptyBuckets());
+
+  return {
+    business: { name: business.name, trn: business.trn, address: business.address },
+    customer: { contact: contact._id, name: contact.name, trn: contact.trn, address: contact.address, email: contact.email },
+    period: { startDate, endDate },
+    openingBalance,
+    totalCharges: roundCurrency(lines.reduce((sum, line) => sum + line.charge, 0)),
+    totalPayments: roundCurrency(lines.reduce((sum, line) => sum + line.payment, 0)),
+    closingBalance: balance,
+    lines,
+    openItems,
+    aging
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  generateAgingReport,
+  generateCustomerStatement
+};
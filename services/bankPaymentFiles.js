@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Fixed-width field: text is left-aligned and space-filled, numbers right-aligned and zero-filled
+const field = (value, length, numeric = false) => {
+  const text = String(value === undefined || value === null ? '' : value);
+  return numeric
+    ? text.replace(/\D/g, '').slice(-length).padStart(length, '0')
+    : text.toUpperCase().slice(0, length).padEnd(length, ' ');
+};
+
+const cents = (amount) => String(Math.round(amount * 100));
+
+const compactDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Bulk salary payment layouts. The bank templates follow the upload formats the banks give
+// business banking customers; send the bank a test file before the first live run.
+//
+// Each layout has:
+// - accountPattern / transitPattern: what a valid beneficiary account and branch transit look like
+// - originatorFields: the employer's own bank details the file needs
+// - render(items, context): the file contents
+const LAYOUTS = {
+  generic_csv: {
+    name: 'Generic CSV',
+    extension: 'csv',
+    contentType: 'text/csv',
+    accountPattern: /^\d{5,17}$/,
+    originatorFields: [],
+    render: (items, { controlTotals }) => toCsv([
+      ['Employee ID', 'Beneficiary Name', 'Bank', 'Branch Transit', 'Account Number', 'Account Type', 'Amount', 'Reference'],
+      ...items.map(item => [
+        item.employeeId,
+        item.name,
+        item.bankName,
+        item.transit,
+        item.accountNumber,
+        item.accountType,
+        item.amount.toFixed(2),
+        item.reference
+      ]),
+      ['TOTAL', controlTotals.recordCount, '', '', controlTotals.hashTotal, '', controlTotals.totalAmount.toFixed(2), '']
+    ])
+  },
+  ncb_csv: {
+    name: 'National Commercial Bank bulk payments (CSV)',
+    extension: 'csv',
+    contentType: 'text/csv',
+    accountPattern: /^\d{9,10}$/,
+    transitPattern: /^\d{5}$/,
+    originatorFields: ['companyId', 'accountNumber'],
+    render: (items, { valueDate, originator, controlTotals }) => toCsv([
+      ['H', originator.companyId, originator.accountNumber, compactDate(valueDate), controlTotals.recordCount, controlTotals.totalAmount.toFixed(2)],
+      ...items.map(item => [
+        'D',
+        item.name,
+        item.transit,
+        item.accountNumber,
+        item.accountType === 'checking' ? 'C' : 'S',
+        item.amount.toFixed(2),
+        item.reference
+      ]),
+      ['T', controlTotals.recordCount, controlTotals.totalAmount.toFixed(2), controlTotals.hashTotal]
+    ])
+  },
+  scotiabank_fixed: {
+    name: 'Scotiabank payroll (fixed width)',
+    extension: 'txt',
+    contentType: 'text/plain',
+    accountPattern: /^\d{7,12}$/,
+    transitPattern: /^\d{5}$/,
+    originatorFields: ['companyId', 'transit', 'accountNumber'],
+    // 80-character records: header, one detail per employee, trailer
+    render: (items, { valueDate, originator, controlTotals, reference }) => [
+      ('H' +
+        field(originator.companyId, 10) +
+        field(originator.transit, 5, true) +
+        field(originator.accountNumber, 12, true) +
+        field(compactDate(valueDate), 8, true) +
+        field(reference, 20)
+      ).padEnd(80, ' '),
+      ...items.map(item => (
+        'D' +
+        field(item.transit, 5, true) +
+        field(item.accountNumber, 12, true) +
+        (item.accountType === 'checking' ? 'C' : 'S') +
+        field(cents(item.amount), 13, true) +
+        field(item.name, 30) +
+        field(item.employeeId, 15)
+      ).padEnd(80, ' ')),
+      ('T' +
+        field(controlTotals.recordCount, 6, true) +
+        field(cents(controlTotals.totalAmount), 15, true) +
+        field(controlTotals.hashTotal, 15, true)
+      ).padEnd(80, ' ')
+    ].join('\r\n') + '\r\n'
+  }
+};
+
+const ORIGINATOR_LABELS = {
+  companyId: 'Company ID with the bank',
+  transit: 'Originating branch transit',
+  accountNumber: 'Originating account number'
+};
+
+const listLayouts = () => Object.entries(LAYOUTS).map(([key, layout]) => ({
+  key,
+  name: layout.name,
+  extension: layout.extension,
+  originatorFields: layout.originatorFields
+}));
+
+// What gets paid to one employee. The employee's current bank details are used so that
+// corrections made after the run was approved reach the file.
+const paymentItem = (run, payslip) => {
+  const employee = payslip.employee || {};
+  const user = employee.user || {};
+  const bank = employee.bankDetails?.accountNumber ? employee.bankDetails : (payslip.paymentInfo.bankDetails || {});
+
+  return {
+    payroll: payslip._id,
+    employee: employee._id,
+    employeeId: employee.employeeId,
+    name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+    bankName: bank.bankName || '',
+    transit: (bank.routingNumber || '').replace(/[\s-]/g, ''),
+    accountNumber: (bank.accountNumber || '').replace(/[\s-]/g, ''),
+    accountType: bank.accountType || 'savings',
+    amount: round(payslip.netPay),
+    reference: `SALARY ${run.runNumber}`
+  };
+};
+
+const itemErrors = (item, layout) => {
+  const errors = [];
+  if (!item.name) errors.push('Beneficiary name is missing');
+  if (!item.accountNumber) {
+    errors.push('Bank account number is missing');
+  } else if (!layout.accountPattern.test(item.accountNumber)) {
+    errors.push(`Bank account number ${item.accountNumber} is not valid for this layout`);
+  }
+  if (layout.transitPattern && !layout.transitPattern.test(item.transit)) {
+    errors.push(item.transit ? `Branch transit ${item.transit} is not valid` : 'Branch transit number is missing');
+  }
+  if (item.amount <= 0) errors.push('Net pay must be greater than zero');
+  return errors;
+};
+
+// Sum of the account numbers, kept to 15 digits, which banks use to check no account was altered
+const accountHashTotal = (items) => {
+  const sum = items.reduce((total, item) => total + BigInt(item.accountNumber || 0), 0n);
+  return (sum % 1000000000000000n).toString();
+};
+
+// Build a payment file for a run's payslips (employees populated with their users). Payslips
+// not paid by bank transfer are left out. When any record fails validation no file content
+// is produced; the errors say what to fix.
+const buildPaymentFile = (run, payslips, layoutKey, { valueDate, originator = {} } = {}) => {
+  const layout = LAYOUTS[layoutKey];
+  if (!layout) throw new Error(`Unknown payment file layout ${layoutKey}`);
+
+  const items = [];
+  const excluded = [];
+  const errors = [];
+
+  layout.originatorFields.forEach(key => {
+    if (!originator[key]) errors.push({ error: `${ORIGINATOR_LABELS[key]} is required for this layout` });
+  });
+
+  payslips.forEach(payslip => {
+    if (payslip.paymentInfo.paymentMethod !== 'bank_transfer') {
+      excluded.push({
+        payroll: payslip._id,
+        employeeId: payslip.employee?.employeeId,
+        reason: `Paid by ${payslip.paymentInfo.paymentMethod.replace('_', ' ')}`
+      });
+      return;
+    }
+
+    const item = paymentItem(run, payslip);
+    const problems = itemErrors(item, layout);
+    if (problems.length > 0) {
+      problems.forEach(error => errors.push({ payroll: item.payroll, employeeId: item.employeeId, error }));
+      return;
+    }
+    items.push(item);
+  });
+
+  const controlTotals = {
+    recordCount: items.length,
+    totalAmount: round(items.reduce((sum, item) => sum + item.amount, 0)),
+    hashTotal: accountHashTotal(items)
+  };
+
+  const fileDate = valueDate || run.payDate;
+  const content = errors.length === 0 && items.length > 0
+    ? layout.render(items, { valueDate: fileDate, originator, controlTotals, reference: run.runNumber })
+    : null;
+
+  return {
+    layout: layoutKey,
+    layoutName: layout.name,
+    fileName: `${run.runNumber}-${layoutKey}.${layout.extension}`,
+    contentType: layout.contentType,
+    valueDate: fileDate,
+    items,
+    excluded,
+    errors,
+    controlTotals,
+    content,
+    checksum: content ? crypto.createHash('sha256').update(content).digest('hex') : null
+  };
+};
+
+module.exports = {
+  LAYOUTS,
+  listLayouts,
+  buildPaymentFile
+};
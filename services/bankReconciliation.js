@@ -0,0 +1,282 @@
+const JournalEntry = require('../models/JournalEntry');
+const StatementEntry = require('../models/StatementEntry');
+const Transaction = require('../models/Transaction');
+const { roundCurrency } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DATE_WINDOW = 5;
+
+// Limits that keep the search for split matches small
+const MAX_GROUP_SIZE = 4;
+const MAX_GROUP_CANDIDATES = 15;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const words = (value) => String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3);
+
+const daysApart = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+
+// Signed effect of each transaction on a bank account, read from its posted journal entry
+const getBankAmounts = async (bankAccountId, transactionIds) => {
+  const entries = await JournalEntry.find({
+    'source.type': 'transaction',
+    'source.document': { $in: transactionIds },
+    status: 'posted',
+    'lines.account': bankAccountId
+  });
+
+  return entries.reduce((amounts, entry) => {
+    const amount = entry.lines
+      .filter(line => line.account.toString() === bankAccountId.toString())
+      .reduce((sum, line) => sum + line.debit - line.credit, 0);
+    const id = entry.source.document.toString();
+    amounts.set(id, roundCurrency((amounts.get(id) || 0) + amount));
+    return amounts;
+  }, new Map());
+};
+
+// Unreconciled transactions that moved money through the bank account within a date range
+const findCandidateTransactions = async (bankAccount, { startDate, endDate }) => {
+  const entries = await JournalEntry.find({
+    business: bankAccount.business,
+    'source.type': 'transaction',
+    status: 'posted',
+    'lines.account': bankAccount._id,
+    date: { $gte: startDate, $lte: endDate }
+  }).select('source.document');
+
+  const transactions = await Transaction.find({
+    _id: { $in: entries.map(entry => entry.source.document) },
+    reconciled: false,
+    status: 'completed'
+  });
+  const amounts = await getBankAmounts(bankAccount._id, transactions.map(transaction => transaction._id));
+
+  return transactions
+    .map(transaction => ({
+      transaction,
+      date: transaction.date,
+      amount: amounts.get(transaction._id.toString()) || 0
+    }))
+    .filter(candidate => candidate.amount !== 0);
+};
+
+const referenceMatches = (entry, transaction) => {
+  const haystack = `${normalize(entry.reference)}|${normalize(entry.description)}`;
+  const references = [transaction.reference, transaction.transactionNumber]
+    .map(normalize)
+    .filter(reference => reference.length >= 3);
+
+  if (references.some(reference => haystack.includes(reference))) return true;
+
+  const entryReference = normalize(entry.reference);
+  return entryReference.length >= 3 && normalize(transaction.reference).includes(entryReference);
+};
+
+const counterpartyMatches = (entry, transaction) => {
+  const names = words(transaction.vendor?.name || transaction.customer?.name);
+  if (names.length === 0) return false;
+
+  const text = new Set(words(`${entry.counterparty || ''} ${entry.description || ''}`));
+  return names.some(name => text.has(name));
+};
+
+// Score a statement line against a transaction; null when they cannot be the same movement
+const scorePair = (entry, candidate, dateWindow) => {
+  if (toCents(entry.amount) !== toCents(candidate.amount)) return null;
+
+  const days = daysApart(entry.date, candidate.date);
+  if (days > dateWindow) return null;
+
+  const reasons = ['amount'];
+  let score = 50 + Math.round(20 * (1 - days / (dateWindow + 1)));
+  if (days === 0) reasons.push('same date');
+
+  if (referenceMatches(entry, candidate.transaction)) {
+    score += 20;
+    reasons.push('reference');
+  }
+  if (counterpartyMatches(entry, candidate.transaction)) {
+    score += 10;
+    reasons.push('counterparty');
+  }
+
+  return { score, reasons };
+};
+
+// Find a combination of items whose amounts add up to the target, preferring fewer items
+const findSubset = (target, items) => {
+  const targetCents = toCents(target);
+  const pool = items.slice(0, MAX_GROUP_CANDIDATES);
+
+  for (let size = 2; size <= Math.min(MAX_GROUP_SIZE, pool.length); size++) {
+    const search = (start, chosen, total) => {
+      if (chosen.length === size) return total === targetCents ? chosen : null;
+      for (let i = start; i < pool.length; i++) {
+        const found = search(i + 1, [...chosen, pool[i]], total + toCents(pool[i].amount));
+        if (found) return found;
+      }
+      return null;
+    };
+
+    const found = search(0, [], 0);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+// Items with the same sign as the target, dated within the window, nearest first
+const groupCandidates = (target, items, dateWindow) => {
+  return items
+    .filter(item => Math.sign(item.amount) === Math.sign(target.amount) &&
+                    daysApart(item.date, target.date) <= dateWindow)
+    .sort((a, b) => daysApart(a.date, target.date) - daysApart(b.date, target.date));
+};
+
+// Propose pairings between statement lines and candidate transactions.
+// Exact one-to-one matches are taken first (best score wins), then several lines
+// adding up to one transaction, then one line covering several transactions.
+// Lines still unmatched are offered to the saved rules.
+const proposeMatches = (entries, candidates, { dateWindow = DEFAULT_DATE_WINDOW, rules = [] } = {}) => {
+  const proposals = [];
+  const usedEntries = new Set();
+  const usedTransactions = new Set();
+  const entryId = (entry) => entry._id.toString();
+  const transactionId = (candidate) => candidate.transaction._id.toString();
+
+  const pairs = [];
+  entries.forEach(entry => {
+    candidates.forEach(candidate => {
+      const result = scorePair(entry, candidate, dateWindow);
+      if (result) pairs.push({ entry, candidate, ...result });
+    });
+  });
+
+  pairs
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ entry, candidate, score, reasons }) => {
+      if (usedEntries.has(entryId(entry)) || usedTransactions.has(transactionId(candidate))) return;
+      usedEntries.add(entryId(entry));
+      usedTransactions.add(transactionId(candidate));
+      proposals.push({
+        type: 'one_to_one',
+        entries: [entry._id],
+        transactions: [candidate.transaction._id],
+        amount: entry.amount,
+        score,
+        reasons
+      });
+    });
+
+  candidates
+    .filter(candidate => !usedTransactions.has(transactionId(candidate)))
+    .forEach(candidate => {
+      const available = entries.filter(entry => !usedEntries.has(entryId(entry)));
+      const group = findSubset(candidate.amount, groupCandidates(candidate, available, dateWindow));
+      if (!group) return;
+
+      group.forEach(entry => usedEntries.add(entryId(entry)));
+      usedTransactions.add(transactionId(candidate));
+      proposals.push({
+        type: 'many_to_one',
+        entries: group.map(entry => entry._id),
+        transactions: [candidate.transaction._id],
+        amount: candidate.amount,
+        score: 40,
+        reasons: ['amounts add up']
+      });
+    });
+
+  entries
+    .filter(entry => !usedEntries.has(entryId(entry)))
+    .forEach(entry => {
+      const available = candidates.filter(candidate => !usedTransactions.has(transactionId(candidate)));
+      const group = findSubset(entry.amount, groupCandidates(entry, available, dateWindow));
+      if (!group) return;
+
+      group.forEach(candidate => usedTransactions.add(transactionId(candidate)));
+      usedEntries.add(entryId(entry));
+      proposals.push({
+        type: 'one_to_many',
+        entries: [entry._id],
+        transactions: group.map(candidate => candidate.transaction._id),
+        amount: entry.amount,
+        score: 40,
+        reasons: ['amounts add up']
+      });
+    });
+
+  const activeRules = rules.filter(rule => rule.isActive).sort((a, b) => b.priority - a.priority);
+  const ruleSuggestions = [];
+  entries
+    .filter(entry => !usedEntries.has(entryId(entry)))
+    .forEach(entry => {
+      const rule = activeRules.find(candidateRule => candidateRule.matchesEntry(entry));
+      if (rule) {
+        ruleSuggestions.push({
+          entry: entry._id,
+          rule: rule._id,
+          ruleName: rule.name,
+          category: rule.action.category,
+          amount: entry.amount
+        });
+      }
+    });
+
+  return {
+    proposals,
+    ruleSuggestions,
+    unmatchedEntries: entries.filter(entry => !usedEntries.has(entryId(entry))).map(entry => entry._id),
+    unmatchedTransactions: candidates
+      .filter(candidate => !usedTransactions.has(transactionId(candidate)))
+      .map(candidate => candidate.transaction._id)
+  };
+};
+
+// Classify a confirmed match by how many lines and transactions it pairs
+const matchType = (entryCount, transactionCount) => {
+  if (entryCount === 1 && transactionCount === 1) return 'one_to_one';
+  if (entryCount === 1) return 'one_to_many';
+  if (transactionCount === 1) return 'many_to_one';
+  return null;
+};
+
+// Statement-balance check: opening balance plus the lines cleared in the session
+// must equal the ending balance printed on the bank statement
+const summarizeSession = async (session) => {
+  const [cleared, outstandingLines] = await Promise.all([
+    StatementEntry.find({
+      reconciliationSession: session._id,
+      status: { $in: ['matched', 'reconciled'] }
+    }).select('amount'),
+    StatementEntry.countDocuments({
+      bankAccount: session.bankAccount,
+      status: 'unmatched',
+      date: { $lte: session.statementDate }
+    })
+  ]);
+
+  const clearedBalance = roundCurrency(cleared.reduce((sum, entry) => sum + entry.amount, session.openingBalance));
+
+  return {
+    openingBalance: session.openingBalance,
+    statementEndingBalance: session.statementEndingBalance,
+    clearedBalance,
+    difference: roundCurrency(session.statementEndingBalance - clearedBalance),
+    clearedLines: cleared.length,
+    unmatchedLines: outstandingLines
+  };
+};
+
+module.exports = {
+  DEFAULT_DATE_WINDOW,
+  getBankAmounts,
+  findCandidateTransactions,
+  scorePair,
+  proposeMatches,
+  matchType,
+  summarizeSession
+};
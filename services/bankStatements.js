@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const BankStatement = require('../models/BankStatement');
+const StatementEntry = require('../models/StatementEntry');
+
+const localDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Give each parsed line a fingerprint so re-importing an overlapping statement skips lines
+// already stored. The bank's own id is used when the format has one; otherwise the line's
+// content is hashed with its occurrence number so identical lines in one file stay distinct.
+const fingerprintEntries = (entries) => {
+  const occurrences = new Map();
+
+  return entries.map(entry => {
+    if (entry.externalId) {
+      return { ...entry, fingerprint: `id:${entry.externalId}` };
+    }
+
+    const key = [
+      localDateKey(entry.date),
+      entry.amount.toFixed(2),
+      (entry.description || '').toLowerCase(),
+      entry.reference || ''
+    ].join('|');
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    return {
+      ...entry,
+      fingerprint: crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex')
+    };
+  });
+};
+
+// Store a parsed statement and its new lines against a bank account
+const importStatement = async (bankAccount, parsed, { fileName, profileName }, userId) => {
+  const entries = fingerprintEntries(parsed.entries);
+
+  const existing = await StatementEntry.find({
+    bankAccount: bankAccount._id,
+    fingerprint: { $in: entries.map(entry => entry.fingerprint) }
+  }).distinct('fingerprint');
+  const existingSet = new Set(existing);
+  const newEntries = entries.filter(entry => !existingSet.has(entry.fingerprint));
+
+  if (newEntries.length === 0) {
+    return { statement: null, entries: [], duplicates: entries.length };
+  }
+
+  const statement = await BankStatement.create({
+    business: bankAccount.business,
+    bankAccount: bankAccount._id,
+    format: parsed.format,
+    fileName,
+    profile: profileName,
+    accountNumber: parsed.accountNumber,
+    currency: parsed.currency || bankAccount.currency,
+    startDate: parsed.startDate,
+    endDate: parsed.endDate,
+    openingBalance: parsed.openingBalance,
+    closingBalance: parsed.closingBalance,
+    entryCount: newEntries.length,
+    duplicateCount: entries.length - newEntries.length,
+    importedBy: userId
+  });
+
+  try {
+    const saved = await StatementEntry.insertMany(newEntries.map(entry => ({
+      ...entry,
+      business: bankAccount.business,
+      bankAccount: bankAccount._id,
+      statement: statement._id
+    })));
+
+    return { statement, entries: saved, duplicates: entries.length - newEntries.length };
+  } catch (error) {
+    await StatementEntry.deleteMany({ statement: statement._id });
+    await statement.deleteOne();
+    throw error;
+  }
+};
+
+module.exports = {
+  fingerprintEntries,
+  importStatement
+};
@@ -0,0 +1,143 @@
+const JournalEntry = require('../models/JournalEntry');
+const { defaultGctTaxCode, gctRateFor } = require('./taxRates');
+const { ensureSystemAccounts, resolvePaymentAccount, roundCurrency, voidSourceEntries } = require('./ledger');
+
+// GCT the supplier charged on a line: the rate printed on the bill when given without
+// a tax code, otherwise the rate for the line's tax code on the bill date
+const lineInputGct = (line, date) => {
+  const hasRate = line.gctRate !== undefined && line.gctRate !== null && line.gctRate !== '';
+  if (hasRate && !line.taxCode) {
+    return { taxCode: undefined, gctRate: line.isTaxable === false ? 0 : Number(line.gctRate) };
+  }
+
+  const taxCode = line.taxCode || defaultGctTaxCode({ isTaxable: line.isTaxable, category: line.category });
+  return { taxCode, gctRate: gctRateFor(taxCode, date) };
+};
+
+// Copy incoming line items with the GCT rate that applies to each on the bill date
+const applyInputGctRates = (lineItems, date) => {
+  return (lineItems || []).map(line => ({
+    description: line.description,
+    quantity: line.quantity !== undefined ? Number(line.quantity) : 1,
+    unitPrice: Number(line.unitPrice),
+    account: line.account || undefined,
+    category: line.category,
+    isTaxable: line.isTaxable !== false,
+    ...lineInputGct(line, date)
+  }));
+};
+
+// Post an approved bill: expenses and input GCT against the payable and withholding tax.
+// Input GCT is only recoverable by GCT registered businesses; for others it is part of the cost.
+const postBill = async (bill, business, userId) => {
+  const systemAccounts = await ensureSystemAccounts(bill.business);
+  const rate = bill.exchangeRate || 1;
+  const claimGct = Boolean(business.taxSettings?.gctRegistered);
+  const description = `Bill ${bill.billNumber} - ${bill.vendor.name}`;
+
+  const costByAccount = new Map();
+  bill.lineItems.forEach(line => {
+    const account = (line.account || systemAccounts.general_expense._id).toString();
+    const cost = claimGct ? line.amount : line.amount + line.gctAmount;
+    costByAccount.set(account, (costByAccount.get(account) || 0) + cost * rate);
+  });
+
+  const debits = [...costByAccount.entries()].map(([account, amount]) => ({
+    account,
+    debit: roundCurrency(amount),
+    description
+  }));
+  if (claimGct) {
+    debits.push({ account: systemAccounts.gct_input._id, debit: roundCurrency(bill.gctTotal * rate), description });
+  }
+
+  const totalDebit = roundCurrency(debits.reduce((sum, line) => sum + line.debit, 0));
+  const withholding = roundCurrency(bill.withholdingTax.amount * rate);
+
+  const entry = await JournalEntry.create({
+    business: bill.business,
+    date: bill.billDate,
+    description,
+    reference: bill.vendorInvoiceNumber || bill.billNumber,
+    source: { type: 'bill', document: bill._id },
+    lines: [
+      ...debits.filter(line => line.debit > 0),
+      { account: systemAccounts.withholding_payable._id, credit: withholding, description },
+      { account: systemAccounts.accounts_payable._id, credit: roundCurrency(totalDebit - withholding), description }
+    ].filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0),
+    createdBy: userId
+  });
+
+  bill.journalEntry = entry._id;
+  return entry;
+};
+
+// Post a payment to the supplier against the payable
+const postBillPayment = async (bill, payment, userId) => {
+  const systemAccounts = await ensureSystemAccounts(bill.business);
+  const amount = roundCurrency(payment.amount * (bill.exchangeRate || 1));
+  const description = `Payment of bill ${bill.billNumber} - ${bill.vendor.name}`;
+
+  const entry = await JournalEntry.create({
+    business: bill.business,
+    date: payment.date,
+    description,
+    reference: payment.reference || bill.billNumber,
+    source: { type: 'bill_payment', document: bill._id },
+    lines: [
+      { account: systemAccounts.accounts_payable._id, debit: amount, description },
+      {
+        account: payment.paymentAccount || resolvePaymentAccount(payment.paymentMethod, systemAccounts),
+        credit: amount,
+        description
+      }
+    ],
+    createdBy: userId
+  });
+
+  payment.journalEntry = entry._id;
+  return entry;
+};
+
+// Reverse the ledger posting of a voided bill
+const voidBillPostings = (bill, userId, reason) => {
+  return voidSourceEntries('bill', bill._id, userId, reason || 'Bill voided');
+};
+
+// Draft bill fields for an unpaid supplier transaction recorded the old way
+const billFromTransaction = (transaction) => {
+  const taxable = transaction.taxInfo?.isTaxable !== false;
+
+  return {
+    business: transaction.business,
+    contact: transaction.contact,
+    vendorInvoiceNumber: transaction.reference,
+    vendor: transaction.vendor,
+    billDate: transaction.date,
+    currency: transaction.currency,
+    exchangeRate: transaction.exchangeRate,
+    lineItems: [{
+      description: transaction.description,
+      quantity: 1,
+      unitPrice: transaction.amount,
+      account: transaction.ledgerAccount,
+      category: transaction.category,
+      isTaxable: taxable,
+      taxCode: transaction.taxInfo?.taxCode,
+      gctRate: taxable ? transaction.taxInfo.gctRate : 0
+    }],
+    withholdingTax: {
+      rate: transaction.taxInfo?.withholdingTax?.rate || 0
+    },
+    notes: transaction.notes,
+    attachments: transaction.attachments
+  };
+};
+
+module.exports = {
+  applyInputGctRates,
+  postBill,
+  postBillPayment,
+  voidBillPostings,
+  billFromTransaction
+};
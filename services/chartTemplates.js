@@ -0,0 +1,247 @@
+const Account = require('../models/Account');
+const { ensureSystemAccounts } = require('./ledger');
+
+// Jamaican standard chart shared by every business
+const BASE_ACCOUNTS = [
+  { code: '1000', name: 'Cash on Hand', class: 'asset', subtype: 'cash', systemRole: 'cash' },
+  { code: '1010', name: 'Bank - Current Account', class: 'asset', subtype: 'bank', systemRole: 'bank' },
+  { code: '1020', name: 'Bank - Savings Account', class: 'asset', subtype: 'bank' },
+  { code: '1030', name: 'Petty Cash', class: 'asset', subtype: 'cash' },
+  { code: '1090', name: 'Transfers Clearing', class: 'asset', subtype: 'current_asset', systemRole: 'transfer_clearing' },
+  { code: '1100', name: 'Accounts Receivable', class: 'asset', subtype: 'receivable', systemRole: 'accounts_receivable' },
+  { code: '1200', name: 'GCT Recoverable (Input Tax)', class: 'asset', subtype: 'current_asset', systemRole: 'gct_input' },
+  { code: '1210', name: 'Withholding Tax Receivable', class: 'asset', subtype: 'current_asset', systemRole: 'withholding_receivable' },
+  { code: '1250', name: 'Prepaid Expenses', class: 'asset', subtype: 'current_asset' },
+  { code: '1500', name: 'Property, Plant and Equipment', class: 'asset', subtype: 'fixed_asset', systemRole: 'fixed_assets' },
+  { code: '1510', name: 'Furniture and Fixtures', class: 'asset', subtype: 'fixed_asset', parentCode: '1500' },
+  { code: '1520', name: 'Motor Vehicles', class: 'asset', subtype: 'fixed_asset', parentCode: '1500' },
+  { code: '1530', name: 'Computer Equipment', class: 'asset', subtype: 'fixed_asset', parentCode: '1500' },
+  { code: '1590', name: 'Accumulated Depreciation', class: 'asset', subtype: 'fixed_asset' },
+  { code: '1990', name: 'Suspense', class: 'asset', subtype: 'current_asset', systemRole: 'suspense' },
+  { code: '2000', name: 'Accounts Payable', class: 'liability', subtype: 'payable', systemRole: 'accounts_payable' },
+  { code: '2050', name: 'Credit Card Payable', class: 'liability', subtype: 'current_liability', systemRole: 'credit_card' },
+  { code: '2100', name: 'Accrued Liabilities', class: 'liability', subtype: 'current_liability', systemRole: 'accrued_liabilities' },
+  { code: '2200', name: 'GCT Payable (Output Tax)', class: 'liability', subtype: 'current_liability', systemRole: 'gct_output' },
+  { code: '2210', name: 'Withholding Tax Payable', class: 'liability', subtype: 'current_liability', systemRole: 'withholding_payable' },
+  { code: '2300', name: 'PAYE Payable', class: 'liability', subtype: 'current_liability', systemRole: 'paye_payable' },
+  { code: '2310', name: 'NIS Payable', class: 'liability', subtype: 'current_liability', systemRole: 'nis_payable' },
+  { code: '2320', name: 'NHT Payable', class: 'liability', subtype: 'current_liability', systemRole: 'nht_payable' },
+  { code: '2330', name: 'Education Tax Payable', class: 'liability', subtype: 'current_liability', systemRole: 'education_tax_payable' },
+  { code: '2340', name: 'HEART/NSTA Trust Payable', class: 'liability', subtype: 'current_liability', systemRole: 'heart_trust_payable' },
+  { code: '2350', name: 'Pension Contributions Payable', class: 'liability', subtype: 'current_liability', systemRole: 'pension_payable' },
+  { code: '2360', name: 'Salaries Payable', class: 'liability', subtype: 'current_liability' },
+  { code: '2400', name: 'Income Tax Payable', class: 'liability', subtype: 'current_liability' },
+  { code: '2500', name: 'Loans Payable', class: 'liability', subtype: 'long_term_liability', systemRole: 'loans_payable' },
+  { code: '3900', name: 'Retained Earnings', class: 'equity', subtype: 'equity', systemRole: 'retained_earnings' },
+  { code: '4000', name: 'Sales Revenue', class: 'revenue', subtype: 'operating_revenue', systemRole: 'sales_revenue' },
+  { code: '4900', name: 'Other Income', class: 'revenue', subtype: 'other_revenue' },
+  { code: '4910', name: 'Interest Income', class: 'revenue', subtype: 'other_revenue' },
+  { code: '6000', name: 'Salaries and Wages', class: 'expense', subtype: 'operating_expense', systemRole: 'salaries_expense' },
+  { code: '6010', name: 'Employer Statutory Contributions', class: 'expense', subtype: 'operating_expense', systemRole: 'employer_contributions_expense' },
+  { code: '6100', name: 'Rent', class: 'expense', subtype: 'operating_expense' },
+  { code: '6110', name: 'Utilities', class: 'expense', subtype: 'operating_expense' },
+  { code: '6120', name: 'Telephone and Internet', class: 'expense', subtype: 'operating_expense' },
+  { code: '6200', name: 'Advertising and Promotion', class: 'expense', subtype: 'operating_expense' },
+  { code: '6300', name: 'Professional Fees', class: 'expense', subtype: 'operating_expense' },
+  { code: '6400', name: 'Repairs and Maintenance', class: 'expense', subtype: 'operating_expense' },
+  { code: '6500', name: 'Motor Vehicle Expenses', class: 'expense', subtype: 'operating_expense' },
+  { code: '6600', name: 'Insurance', class: 'expense', subtype: 'operating_expense' },
+  { code: '6700', name: 'Bank Charges', class: 'expense', subtype: 'operating_expense' },
+  { code: '6710', name: 'Interest Expense', class: 'expense', subtype: 'other_expense' },
+  { code: '6800', name: 'Depreciation', class: 'expense', subtype: 'operating_expense' },
+  { code: '6850', name: 'Office Supplies', class: 'expense', subtype: 'operating_expense' },
+  { code: '6900', name: 'General Expenses', class: 'expense', subtype: 'operating_expense', systemRole: 'general_expense' },
+  { code: '6950', name: 'Travel and Entertainment', class: 'expense', subtype: 'operating_expense' }
+];
+
+const TRADING_ACCOUNTS = [
+  { code: '1300', name: 'Inventory', class: 'asset', subtype: 'current_asset' },
+  { code: '4010', name: 'Sales Returns and Allowances', class: 'revenue', subtype: 'operating_revenue' },
+  { code: '5000', name: 'Cost of Goods Sold', class: 'expense', subtype: 'cost_of_sales' },
+  { code: '5010', name: 'Freight Inward', class: 'expense', subtype: 'cost_of_sales' },
+  { code: '5020', name: 'Customs Duties', class: 'expense', subtype: 'cost_of_sales' }
+];
+
+const SERVICE_ACCOUNTS = [
+  { code: '1120', name: 'Unbilled Fees (Work in Progress)', class: 'asset', subtype: 'current_asset' },
+  { code: '4020', name: 'Professional Fee Income', class: 'revenue', subtype: 'operating_revenue' },
+  { code: '5000', name: 'Subcontractor Costs', class: 'expense', subtype: 'cost_of_sales' }
+];
+
+// Accounts added on top of the base chart for each industry
+const INDUSTRY_ACCOUNTS = {
+  'Agriculture': [
+    { code: '1300', name: 'Produce Inventory', class: 'asset', subtype: 'current_asset' },
+    { code: '1340', name: 'Biological Assets', class: 'asset', subtype: 'fixed_asset' },
+    { code: '4020', name: 'Produce Sales', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Seeds and Fertiliser', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5010', name: 'Farm Labour', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Manufacturing': [
+    { code: '1300', name: 'Raw Materials', class: 'asset', subtype: 'current_asset' },
+    { code: '1310', name: 'Work in Progress', class: 'asset', subtype: 'current_asset' },
+    { code: '1320', name: 'Finished Goods', class: 'asset', subtype: 'current_asset' },
+    { code: '5000', name: 'Direct Materials', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5010', name: 'Direct Labour', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5020', name: 'Factory Overheads', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Construction': [
+    { code: '1130', name: 'Retentions Receivable', class: 'asset', subtype: 'receivable' },
+    { code: '1310', name: 'Contract Work in Progress', class: 'asset', subtype: 'current_asset' },
+    { code: '2150', name: 'Customer Deposits', class: 'liability', subtype: 'current_liability' },
+    { code: '4020', name: 'Contract Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Construction Materials', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5010', name: 'Subcontractors', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5020', name: 'Equipment Hire', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Retail Trade': TRADING_ACCOUNTS,
+  'Wholesale Trade': TRADING_ACCOUNTS,
+  'Transportation': [
+    { code: '4020', name: 'Freight and Fare Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Fuel', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5010', name: 'Fleet Maintenance', class: 'expense', subtype: 'cost_of_sales' },
+    { code: '5020', name: 'Licences and Permits', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Information Technology': [
+    ...SERVICE_ACCOUNTS,
+    { code: '4030', name: 'Software and Licensing Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '6130', name: 'Software Subscriptions', class: 'expense', subtype: 'operating_expense' }
+  ],
+  'Finance and Insurance': [
+    ...SERVICE_ACCOUNTS,
+    { code: '4030', name: 'Commission Income', class: 'revenue', subtype: 'operating_revenue' }
+  ],
+  'Real Estate': [
+    { code: '1540', name: 'Investment Property', class: 'asset', subtype: 'fixed_asset', parentCode: '1500' },
+    { code: '2150', name: 'Tenant Security Deposits', class: 'liability', subtype: 'current_liability' },
+    { code: '4020', name: 'Rental Income', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '6410', name: 'Property Management Fees', class: 'expense', subtype: 'operating_expense' }
+  ],
+  'Professional Services': SERVICE_ACCOUNTS,
+  'Education': [
+    { code: '4020', name: 'Tuition Fees', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '4030', name: 'Registration and Exam Fees', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Teaching Materials', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Healthcare': [
+    { code: '1300', name: 'Medical Supplies Inventory', class: 'asset', subtype: 'current_asset' },
+    { code: '4020', name: 'Patient Fees', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '4030', name: 'Insurance Claims Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Medical Supplies Used', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Hospitality': [
+    { code: '1300', name: 'Food and Beverage Inventory', class: 'asset', subtype: 'current_asset' },
+    { code: '4020', name: 'Room Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '4030', name: 'Food and Beverage Sales', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Cost of Food and Beverage', class: 'expense', subtype: 'cost_of_sales' }
+  ],
+  'Entertainment': [
+    { code: '4020', name: 'Event and Ticket Revenue', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '5000', name: 'Production Costs', class: 'expense', subtype: 'cost_of_sales' }
+  ]
+};
+
+// Equity section depends on how the business is owned
+const EQUITY_ACCOUNTS = {
+  'Sole Proprietorship': [
+    { code: '3000', name: "Owner's Capital", class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3100', name: "Owner's Drawings", class: 'equity', subtype: 'equity' }
+  ],
+  'Partnership': [
+    { code: '3000', name: "Partners' Capital", class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3100', name: "Partners' Drawings", class: 'equity', subtype: 'equity' }
+  ],
+  'Limited Liability Company': [
+    { code: '3000', name: 'Share Capital', class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3800', name: 'Dividends Declared', class: 'equity', subtype: 'equity' }
+  ],
+  'Corporation': [
+    { code: '3000', name: 'Share Capital', class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3100', name: 'Capital Reserves', class: 'equity', subtype: 'equity' },
+    { code: '3800', name: 'Dividends Declared', class: 'equity', subtype: 'equity' }
+  ],
+  'Non-Profit Organization': [
+    { code: '3000', name: 'Accumulated Fund', class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3100', name: 'Restricted Funds', class: 'equity', subtype: 'equity' }
+  ],
+  'Cooperative': [
+    { code: '3000', name: "Members' Share Capital", class: 'equity', subtype: 'equity', systemRole: 'owner_equity' },
+    { code: '3100', name: 'Statutory Reserve Fund', class: 'equity', subtype: 'equity' }
+  ],
+  'Other': [
+    { code: '3000', name: "Owner's Capital", class: 'equity', subtype: 'equity', systemRole: 'owner_equity' }
+  ]
+};
+
+// Non-profits report income as donations and grants rather than sales
+const BUSINESS_TYPE_ACCOUNTS = {
+  'Non-Profit Organization': [
+    { code: '4000', name: 'Donations', class: 'revenue', subtype: 'operating_revenue', systemRole: 'sales_revenue' },
+    { code: '4020', name: 'Grants', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '4030', name: 'Membership Dues', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '4040', name: 'Fundraising Income', class: 'revenue', subtype: 'operating_revenue' },
+    { code: '6960', name: 'Programme Expenses', class: 'expense', subtype: 'operating_expense' }
+  ]
+};
+
+// Merge the template layers by code; later layers override earlier ones
+const getTemplateAccounts = (industry, businessType) => {
+  const layers = [
+    BASE_ACCOUNTS,
+    EQUITY_ACCOUNTS[businessType] || EQUITY_ACCOUNTS.Other,
+    INDUSTRY_ACCOUNTS[industry] || [],
+    BUSINESS_TYPE_ACCOUNTS[businessType] || []
+  ];
+
+  const byCode = new Map();
+  layers.forEach(layer => {
+    layer.forEach(account => {
+      byCode.set(account.code, { ...byCode.get(account.code), ...account });
+    });
+  });
+
+  return [...byCode.values()].sort((a, b) => a.code.localeCompare(b.code));
+};
+
+// Create the template accounts a business does not have yet
+const seedChartOfAccounts = async (businessId, { industry, businessType }, userId) => {
+  const template = getTemplateAccounts(industry, businessType);
+  const existing = await Account.find({ business: businessId });
+  const existingCodes = new Set(existing.map(account => account.code));
+  const existingRoles = new Set(existing.filter(account => account.systemRole).map(account => account.systemRole));
+
+  const toCreate = template
+    .filter(account => !existingCodes.has(account.code))
+    .map(({ parentCode, systemRole, ...account }) => ({
+      ...account,
+      ...(systemRole && !existingRoles.has(systemRole) && { systemRole }),
+      business: businessId,
+      createdBy: userId
+    }));
+
+  const created = toCreate.length > 0 ? await Account.insertMany(toCreate) : [];
+
+  // Link sub-accounts to their parents once every code exists
+  const accounts = await Account.find({ business: businessId });
+  const idsByCode = new Map(accounts.map(account => [account.code, account._id]));
+  const createdCodes = new Set(created.map(account => account.code));
+
+  for (const account of template) {
+    if (!account.parentCode || !createdCodes.has(account.code) || !idsByCode.has(account.parentCode)) continue;
+    await Account.updateOne(
+      { business: businessId, code: account.code },
+      { parent: idsByCode.get(account.parentCode) }
+    );
+  }
+
+  await ensureSystemAccounts(businessId);
+
+  return created.length;
+};
+
+module.exports = {
+  INDUSTRY_ACCOUNTS,
+  EQUITY_ACCOUNTS,
+  getTemplateAccounts,
+  seedChartOfAccounts
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const Bill = require('../models/Bill');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive whole-name patterns that ignore extra spaces, for matching free-form names
+const nameMatchers = (names) => {
+  return [...new Set(names.map(name => String(name || '').trim()).filter(Boolean))]
+    .map(name => new RegExp(`^\\s*${escapeRegex(name).replace(/\s+/g, '\\s+')}\\s*$`, 'i'));
+};
+
+// Find an active contact of the business that can act on the given side (customer or vendor)
+const findContact = (businessId, contactId, side) => {
+  if (!mongoose.isValidObjectId(contactId)) return null;
+
+  return Contact.findOne({
+    _id: contactId,
+    business: businessId,
+    type: { $in: [side, 'both'] },
+    isActive: true
+  });
+};
+
+// Which side of a transaction the contact sits on
+const transactionSide = (type) => {
+  return ['income', 'asset_sale'].includes(type) ? 'customer' : 'vendor';
+};
+
+// Link records of one side (customer or vendor) to the target, by source contact or by free-form name
+const linkFilter = (businessId, sourceIds, matchers, nameField) => {
+  const conditions = [];
+  if (sourceIds.length > 0) conditions.push({ contact: { $in: sourceIds } });
+  if (matchers.length > 0) conditions.push({ contact: null, [nameField]: { $in: matchers } });
+  return conditions.length > 0 ? { business: businessId, $or: conditions } : null;
+};
+
+// Merge duplicate contacts and free-form names into the canonical contact. Historical
+// transactions are rewritten to the canonical name; issued invoices and bills keep the
+// details printed on them and are only relinked.
+const mergeContacts = async (target, sources, names) => {
+  const businessId = target.business;
+  const sourceIds = sources.map(source => source._id);
+  const matchers = nameMatchers([target.name, ...sources.map(source => source.name), ...(names || [])]);
+  const sides = new Set([target.type, ...sources.map(source => source.type)]);
+
+  // A customer merged into a supplier (or the reverse) leaves a contact that is both
+  if (sides.has('both') || (sides.has('customer') && sides.has('vendor'))) target.type = 'both';
+
+  // Fill gaps in the canonical record from the duplicates
+  ['trn', 'email', 'phone', 'address', 'defaultExpenseCategory', 'defaultExpenseAccount'].forEach(field => {
+    if (target[field]) return;
+    const source = sources.find(item => item[field]);
+    if (source) target[field] = source[field];
+  });
+  await target.save();
+
+  const result = { transactions: 0, invoices: 0, bills: 0 };
+  const snapshot = { name: target.name };
+  if (target.trn) snapshot.trn = target.trn;
+
+  for (const side of ['customer', 'vendor']) {
+    if (target.type !== 'both' && target.type !== side) continue;
+
+    const filter = linkFilter(businessId, sourceIds, matchers, `${side}.name`);
+    if (!filter) continue;
+
+    const set = { contact: target._id };
+    Object.entries(snapshot).forEach(([key, value]) => { set[`${side}.${key}`] = value; });
+
+    const transactions = await Transaction.updateMany(
+      { ...filter, [`${side}.name`]: { $exists: true } },
+      { $set: set }
+    );
+    result.transactions += transactions.modifiedCount;
+
+    const documents = side === 'customer' ? Invoice : Bill;
+    const relinked = await documents.updateMany(filter, { $set: { contact: target._id } });
+    result[side === 'customer' ? 'invoices' : 'bills'] += relinked.modifiedCount;
+  }
+
+  await Contact.updateMany(
+    { _id: { $in: sourceIds } },
+    { $set: { isActive: false, mergedInto: target._id, 'balance.receivable': 0, 'balance.payable': 0 } }
+  );
+
+  await Contact.refreshBalance(target._id);
+  return result;
+};
+
+module.exports = {
+  nameMatchers,
+  findContact,
+  transactionSide,
+  mergeContacts
+};
@@ -0,0 +1,246 @@
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { roundCurrency } = require('./ledger');
+const {
+  getFiscalYearForDate,
+  getPriorPeriod,
+  getPriorYearPeriod
+} = require('./fiscalCalendar');
+
+const COMPARISONS = ['current', 'priorPeriod', 'priorYear'];
+
+// Net debit-minus-credit per account id for a date range
+const getNetByAccount = async (businessId, range) => {
+  const totals = await JournalEntry.getAccountBalances(businessId, range);
+  return totals.reduce((map, item) => {
+    map.set(item._id.toString(), { debit: item.debit, credit: item.credit, net: item.debit - item.credit });
+    return map;
+  }, new Map());
+};
+
+// Cumulative balances up to (and including) a date
+const getBalancesAsOf = (businessId, asOf) => getNetByAccount(businessId, { endDate: asOf });
+
+// Current, prior period and prior year ranges for a report period
+const getComparisonPeriods = ({ startDate, endDate }) => ({
+  current: { startDate, endDate },
+  priorPeriod: getPriorPeriod(startDate, endDate),
+  priorYear: getPriorYearPeriod(startDate, endDate)
+});
+
+const signedAmount = (account, totals) => {
+  if (!totals) return 0;
+  return roundCurrency(account.normalBalance === 'debit' ? totals.net : -totals.net);
+};
+
+const sumLines = (lines) => COMPARISONS.reduce((totals, key) => {
+  totals[key] = roundCurrency(lines.reduce((sum, line) => sum + line[key], 0));
+  return totals;
+}, {});
+
+const combineTotals = (base, ...adjustments) => COMPARISONS.reduce((totals, key) => {
+  totals[key] = roundCurrency(adjustments.reduce((sum, [sign, values]) => sum + sign * values[key], base[key]));
+  return totals;
+}, {});
+
+// Build report lines for accounts, dropping those with nothing in any column
+const buildLines = (accounts, balancesByPeriod) => {
+  return accounts
+    .map(account => {
+      const line = { account: account._id, code: account.code, name: account.name };
+      COMPARISONS.forEach(key => {
+        line[key] = signedAmount(account, balancesByPeriod[key].get(account._id.toString()));
+      });
+      return line;
+    })
+    .filter(line => COMPARISONS.some(key => line[key] !== 0));
+};
+
+// Trial balance: opening balance, movements and closing balance per account
+const generateTrialBalance = async (business, period) => {
+  const { startDate, endDate } = period;
+  const comparisons = getComparisonPeriods(period);
+  const accounts = await Account.find({ business: business._id }).sort({ code: 1 });
+
+  const [opening, movements, priorPeriodClosing, priorYearClosing] = await Promise.all([
+    getBalancesAsOf(business._id, new Date(startDate.getTime() - 1)),
+    getNetByAccount(business._id, { startDate, endDate }),
+    getBalancesAsOf(business._id, comparisons.priorPeriod.endDate),
+    getBalancesAsOf(business._id, comparisons.priorYear.endDate)
+  ]);
+
+  const totals = { openingDebit: 0, openingCredit: 0, debit: 0, credit: 0, closingDebit: 0, closingCredit: 0 };
+
+  const lines = accounts
+    .map(account => {
+      const id = account._id.toString();
+      const openingNet = opening.get(id)?.net || 0;
+      const movement = movements.get(id) || { debit: 0, credit: 0, net: 0 };
+      const closingNet = openingNet + movement.net;
+      const priorPeriodNet = priorPeriodClosing.get(id)?.net || 0;
+      const priorYearNet = priorYearClosing.get(id)?.net || 0;
+
+      const line = {
+        account: account._id,
+        code: account.code,
+        name: account.name,
+        class: account.class,
+        openingDebit: roundCurrency(Math.max(openingNet, 0)),
+        openingCredit: roundCurrency(Math.max(-openingNet, 0)),
+        debit: roundCurrency(movement.debit),
+        credit: roundCurrency(movement.credit),
+        closingDebit: roundCurrency(Math.max(closingNet, 0)),
+        closingCredit: roundCurrency(Math.max(-closingNet, 0)),
+        priorPeriod: roundCurrency(priorPeriodNet),
+        priorYear: roundCurrency(priorYearNet)
+      };
+
+      Object.keys(totals).forEach(key => {
+        totals[key] = roundCurrency(totals[key] + line[key]);
+      });
+
+      return line;
+    })
+    .filter(line => line.openingDebit || line.openingCredit || line.debit || line.credit || line.priorPeriod || line.priorYear);
+
+  return {
+    period: comparisons.current,
+    comparisons: { priorPeriod: comparisons.priorPeriod, priorYear: comparisons.priorYear },
+    lines,
+    totals,
+    balanced: totals.closingDebit === totals.closingCredit && totals.debit === totals.credit
+  };
+};
+
+// Classify revenue and expense accounts into income statement sections
+const incomeStatementSection = (account) => {
+  if (account.class === 'revenue') {
+    return account.subtype === 'other_revenue' ? 'otherIncome' : 'revenue';
+  }
+  if (account.subtype === 'cost_of_sales') return 'costOfSales';
+  if (account.subtype === 'other_expense') return 'otherExpenses';
+  return 'operatingExpenses';
+};
+
+// Income statement for a period with prior period and prior year columns
+const generateIncomeStatement = async (business, period) => {
+  const comparisons = getComparisonPeriods(period);
+  const accounts = await Account.find({
+    business: business._id,
+    class: { $in: ['revenue', 'expense'] }
+  }).sort({ code: 1 });
+
+  // Year-end closing entries would zero out the year, so the statement ignores them
+  const balancesByPeriod = {};
+  await Promise.all(COMPARISONS.map(async key => {
+    balancesByPeriod[key] = await getNetByAccount(business._id, {
+      ...comparisons[key],
+      excludeSourceTypes: ['period_close']
+    });
+  }));
+
+  const sections = { revenue: [], costOfSales: [], operatingExpenses: [], otherIncome: [], otherExpenses: [] };
+  accounts.forEach(account => sections[incomeStatementSection(account)].push(account));
+
+  const report = {};
+  Object.keys(sections).forEach(section => {
+    const lines = buildLines(sections[section], balancesByPeriod);
+    report[section] = { lines, total: sumLines(lines) };
+  });
+
+  const grossProfit = combineTotals(report.revenue.total, [-1, report.costOfSales.total]);
+  const operatingProfit = combineTotals(grossProfit, [-1, report.operatingExpenses.total]);
+  const netIncome = combineTotals(operatingProfit, [1, report.otherIncome.total], [-1, report.otherExpenses.total]);
+
+  return {
+    period: comparisons.current,
+    comparisons: { priorPeriod: comparisons.priorPeriod, priorYear: comparisons.priorYear },
+    ...report,
+    grossProfit,
+    operatingProfit,
+    netIncome
+  };
+};
+
+// Net income (revenue less expenses) recorded within a range
+const getEarnings = async (business, range, revenueExpenseAccounts) => {
+  const balances = await getNetByAccount(business._id, range);
+  return roundCurrency(revenueExpenseAccounts.reduce((sum, account) => {
+    return sum - (balances.get(account._id.toString())?.net || 0);
+  }, 0));
+};
+
+// Balance sheet as at the end of the period, compared with the prior period and prior year ends
+const generateBalanceSheet = async (business, period) => {
+  const comparisons = getComparisonPeriods(period);
+  const accounts = await Account.find({ business: business._id }).sort({ code: 1 });
+  const revenueExpenseAccounts = accounts.filter(account => ['revenue', 'expense'].includes(account.class));
+
+  const balancesByPeriod = {};
+  const earnings = {};
+  await Promise.all(COMPARISONS.map(async key => {
+    const asOf = comparisons[key].endDate;
+    const fiscalYear = getFiscalYearForDate(business, asOf);
+    balancesByPeriod[key] = await getBalancesAsOf(business._id, asOf);
+
+    // Earnings not yet closed to retained earnings, split at the fiscal year start
+    earnings[key] = {
+      priorYears: await getEarnings(business, { endDate: new Date(fiscalYear.startDate.getTime() - 1) }, revenueExpenseAccounts),
+      currentYear: await getEarnings(business, { startDate: fiscalYear.startDate, endDate: asOf }, revenueExpenseAccounts)
+    };
+  }));
+
+  const byClass = (accountClass, filter) => accounts.filter(account => account.class === accountClass && filter(account));
+
+  const section = (sectionAccounts) => {
+    const lines = buildLines(sectionAccounts, balancesByPeriod);
+    return { lines, total: sumLines(lines) };
+  };
+
+  const assets = {
+    current: section(byClass('asset', account => account.subtype !== 'fixed_asset')),
+    nonCurrent: section(byClass('asset', account => account.subtype === 'fixed_asset'))
+  };
+  assets.total = combineTotals(assets.current.total, [1, assets.nonCurrent.total]);
+
+  const liabilities = {
+    current: section(byClass('liability', account => account.subtype !== 'long_term_liability')),
+    nonCurrent: section(byClass('liability', account => account.subtype === 'long_term_liability'))
+  };
+  liabilities.total = combineTotals(liabilities.current.total, [1, liabilities.nonCurrent.total]);
+
+  const equity = section(byClass('equity', () => true));
+  const earningsLine = (name, field) => {
+    const line = { name };
+    COMPARISONS.forEach(key => { line[key] = earnings[key][field]; });
+    return line;
+  };
+  const unclosedEarnings = [
+    earningsLine('Prior years earnings not closed', 'priorYears'),
+    earningsLine('Current year earnings', 'currentYear')
+  ].filter(line => COMPARISONS.some(key => line[key] !== 0));
+
+  equity.lines.push(...unclosedEarnings);
+  equity.total = sumLines(equity.lines);
+
+  const liabilitiesAndEquity = combineTotals(liabilities.total, [1, equity.total]);
+
+  return {
+    asOf: {
+      current: comparisons.current.endDate,
+      priorPeriod: comparisons.priorPeriod.endDate,
+      priorYear: comparisons.priorYear.endDate
+    },
+    assets,
+    liabilities,
+    equity,
+    liabilitiesAndEquity,
+    balanced: COMPARISONS.every(key => assets.total[key] === liabilitiesAndEquity[key])
+  };
+};
+
+module.exports = {
+  generateTrialBalance,
+  generateIncomeStatement,
+  generateBalanceSheet
+};
@@ -0,0 +1,126 @@
+// Fiscal year helpers driven by Business.fiscalYearEnd (only its month and day matter)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const endOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(23, 59, 59, 999);
+  return result;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+// Month and day the business closes its books, defaulting to March 31st
+const getYearEndMonthDay = (business) => {
+  const yearEnd = business && business.fiscalYearEnd ? new Date(business.fiscalYearEnd) : new Date(2000, 2, 31);
+  return { month: yearEnd.getMonth(), day: yearEnd.getDate() };
+};
+
+// Last day of the fiscal year that ends in the given calendar year
+const getFiscalYearEndDate = (business, year) => {
+  const { month, day } = getYearEndMonthDay(business);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return endOfDay(new Date(year, month, Math.min(day, daysInMonth)));
+};
+
+// Fiscal year labelled by the calendar year it ends in
+const getFiscalYear = (business, fiscalYear) => {
+  const endDate = getFiscalYearEndDate(business, fiscalYear);
+  const previousEnd = getFiscalYearEndDate(business, fiscalYear - 1);
+  return {
+    fiscalYear,
+    startDate: startOfDay(new Date(previousEnd.getTime() + 1)),
+    endDate
+  };
+};
+
+// Fiscal year containing a date
+const getFiscalYearForDate = (business, date = new Date()) => {
+  const target = new Date(date);
+  let fiscalYear = target.getFullYear();
+  if (target > getFiscalYearEndDate(business, fiscalYear)) {
+    fiscalYear += 1;
+  }
+  return getFiscalYear(business, fiscalYear);
+};
+
+const isMonthAligned = (start, end) => {
+  const dayAfterEnd = new Date(startOfDay(end).getTime() + DAY_MS);
+  return start.getDate() === 1 && dayAfterEnd.getDate() === 1;
+};
+
+const addMonths = (date, months) => {
+  return new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+};
+
+// Period of the same length immediately before the given one
+const getPriorPeriod = (startDate, endDate) => {
+  const start = startOfDay(startDate);
+  const end = endOfDay(endDate);
+
+  if (isMonthAligned(start, end)) {
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+    const priorStart = addMonths(start, -months);
+    return { startDate: priorStart, endDate: endOfDay(new Date(start.getTime() - DAY_MS)) };
+  }
+
+  const days = Math.round((startOfDay(end) - start) / DAY_MS) + 1;
+  return {
+    startDate: new Date(start.getTime() - days * DAY_MS),
+    endDate: endOfDay(new Date(start.getTime() - DAY_MS))
+  };
+};
+
+// Same dates one year earlier
+const getPriorYearPeriod = (startDate, endDate) => {
+  const start = startOfDay(startDate);
+  const end = endOfDay(endDate);
+
+  if (isMonthAligned(start, end)) {
+    return {
+      startDate: addMonths(start, -12),
+      endDate: endOfDay(new Date(end.getFullYear() - 1, end.getMonth() + 1, 0))
+    };
+  }
+
+  const priorEnd = new Date(end);
+  priorEnd.setFullYear(end.getFullYear() - 1);
+  const priorStart = new Date(start);
+  priorStart.setFullYear(start.getFullYear() - 1);
+  return { startDate: priorStart, endDate: priorEnd };
+};
+
+// Resolve a report period from query parameters, defaulting to the current fiscal year to date.
+// A start date on its own runs to today; an end date on its own starts at its fiscal year.
+const resolveReportPeriod = (business, { startDate, endDate, fiscalYear } = {}) => {
+  if (startDate && endDate) {
+    return { startDate: startOfDay(new Date(startDate)), endDate: endOfDay(new Date(endDate)) };
+  }
+
+  if (fiscalYear) {
+    const year = getFiscalYear(business, parseInt(fiscalYear));
+    return { startDate: year.startDate, endDate: year.endDate };
+  }
+
+  if (startDate) {
+    return { startDate: startOfDay(new Date(startDate)), endDate: endOfDay(new Date()) };
+  }
+
+  const asOf = endDate ? endOfDay(new Date(endDate)) : endOfDay(new Date());
+  const current = getFiscalYearForDate(business, asOf);
+  return { startDate: current.startDate, endDate: asOf };
+};
+
+module.exports = {
+  startOfDay,
+  endOfDay,
+  getFiscalYear,
+  getFiscalYearForDate,
+  getPriorPeriod,
+  getPriorYearPeriod,
+  resolveReportPeriod
+};
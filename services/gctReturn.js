@@ -0,0 +1,222 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const Bill = require('../models/Bill');
+const JournalEntry = require('../models/JournalEntry');
+const { JAMAICA_TAX_RATES } = require('./taxRates');
+const { roundCurrency } = require('./ledger');
+
+const SUPPLY_CLASSES = ['standard', 'zero_rated', 'exempt'];
+
+// Standard rated (at any positive rate), zero rated (taxable at 0%) or exempt
+const classifySupply = ({ taxCode, category, isTaxable, gctRate }) => {
+  if (taxCode === 'exempt' || taxCode === 'zero_rated') return taxCode;
+  if (taxCode) return isTaxable !== false && gctRate > 0 ? 'standard' : 'exempt';
+
+  const key = (category || '').toLowerCase();
+  if (JAMAICA_TAX_RATES.GCT.ZERO_RATED_CATEGORIES.includes(key)) return 'zero_rated';
+  if (JAMAICA_TAX_RATES.GCT.EXEMPT_CATEGORIES.includes(key) || isTaxable === false) return 'exempt';
+  return gctRate > 0 ? 'standard' : 'zero_rated';
+};
+
+const emptyTotals = () => SUPPLY_CLASSES.reduce((totals, key) => {
+  totals[key] = { value: 0, tax: 0, count: 0 };
+  return totals;
+}, {});
+
+// Add one sale or purchase line, in JMD, to the running totals
+const addLine = (totals, warnings, line, source) => {
+  const supplyClass = classifySupply(line);
+  const bucket = totals[supplyClass];
+
+  bucket.value = roundCurrency(bucket.value + line.value);
+  bucket.count += 1;
+
+  if (supplyClass === 'standard') {
+    bucket.tax = roundCurrency(bucket.tax + line.tax);
+  } else if (line.tax > 0) {
+    warnings.push(`${source} charges GCT of ${line.tax} on a ${supplyClass.replace('_', '-')} supply; it is left out of the return`);
+  }
+};
+
+// Sales and purchases recorded directly as transactions
+const addTransactions = async (business, period, sales, purchases, warnings) => {
+  const transactions = await Transaction.find({
+    business: business._id,
+    type: { $in: ['income', 'asset_sale', 'expense', 'asset_purchase'] },
+    status: 'completed',
+    date: { $gte: period.startDate, $lte: period.endDate }
+  });
+
+  transactions.forEach(transaction => {
+    const rate = transaction.exchangeRate || 1;
+    const line = {
+      taxCode: transaction.taxInfo?.taxCode,
+      category: transaction.category,
+      isTaxable: transaction.taxInfo?.isTaxable,
+      gctRate: transaction.taxInfo?.gctRate,
+      value: roundCurrency(transaction.amount * rate),
+      tax: transaction.taxInfo?.isTaxable ? roundCurrency((transaction.taxInfo.gctAmount || 0) * rate) : 0
+    };
+    const isSale = ['income', 'asset_sale'].includes(transaction.type);
+    addLine(isSale ? sales : purchases, warnings, line, `Transaction ${transaction.transactionNumber}`);
+  });
+};
+
+// Sales on issued invoices and purchases on approved bills, line by line
+const addDocuments = async (business, period, sales, purchases, warnings) => {
+  const posted = {
+    business: business._id,
+    journalEntry: { $exists: true },
+    status: { $ne: 'void' }
+  };
+
+  const invoices = await Invoice.find({ ...posted, issueDate: { $gte: period.startDate, $lte: period.endDate } });
+  invoices.forEach(invoice => {
+    const rate = invoice.exchangeRate || 1;
+    invoice.lineItems.forEach(line => {
+      addLine(sales, warnings, {
+        taxCode: line.taxCode,
+        category: line.gctCategory,
+        isTaxable: line.isTaxable,
+        gctRate: line.gctRate,
+        value: roundCurrency(line.amount * rate),
+        tax: roundCurrency(line.gctAmount * rate)
+      }, `Invoice ${invoice.invoiceNumber}`);
+    });
+  });
+
+  const bills = await Bill.find({ ...posted, billDate: { $gte: period.startDate, $lte: period.endDate } });
+  bills.forEach(bill => {
+    const rate = bill.exchangeRate || 1;
+    bill.lineItems.forEach(line => {
+      addLine(purchases, warnings, {
+        taxCode: line.taxCode,
+        category: line.category,
+        isTaxable: line.isTaxable,
+        gctRate: line.gctRate,
+        value: roundCurrency(line.amount * rate),
+        tax: roundCurrency(line.gctAmount * rate)
+      }, `Bill ${bill.billNumber}`);
+    });
+  });
+};
+
+// Movement on the GCT control accounts in the period, to check the return against the ledger
+const getLedgerGct = async (businessId, period) => {
+  const accounts = await Account.find({ business: businessId, systemRole: { $in: ['gct_output', 'gct_input'] } });
+  const totals = await JournalEntry.getAccountBalances(businessId, {
+    startDate: period.startDate,
+    endDate: period.endDate,
+    excludeSourceTypes: ['period_close']
+  });
+
+  const movement = (role) => {
+    const account = accounts.find(item => item.systemRole === role);
+    const line = account && totals.find(item => item._id.toString() === account._id.toString());
+    if (!line) return 0;
+    return roundCurrency(role === 'gct_output' ? line.credit - line.debit : line.debit - line.credit);
+  };
+
+  return { outputTax: movement('gct_output'), inputTax: movement('gct_input') };
+};
+
+// GCT return for a filing period, laid out in the order of the TAJ Form 4A:
+// supplies and output tax, purchases and input tax, then the net position
+const generateGctReturn = async (business, period) => {
+  const sales = emptyTotals();
+  const purchases = emptyTotals();
+  const warnings = [];
+
+  await addTransactions(business, period, sales, purchases, warnings);
+  await addDocuments(business, period, sales, purchases, warnings);
+
+  const registered = Boolean(business.taxSettings?.gctRegistered);
+  if (!registered) {
+    warnings.push('Business is not GCT registered; input tax cannot be claimed');
+  }
+
+  const totalSupplies = roundCurrency(sales.standard.value + sales.zero_rated.value + sales.exempt.value);
+  const totalPurchases = roundCurrency(purchases.standard.value + purchases.zero_rated.value + purchases.exempt.value);
+  const outputTax = sales.standard.tax;
+  const inputTax = registered ? purchases.standard.tax : 0;
+  const netTax = roundCurrency(outputTax - inputTax);
+
+  const lines = [
+    { line: 1, section: 'supplies', description: 'Standard rated supplies', amount: sales.standard.value },
+    { line: 2, section: 'supplies', description: 'Zero rated supplies', amount: sales.zero_rated.value },
+    { line: 3, section: 'supplies', description: 'Exempt supplies', amount: sales.exempt.value },
+    { line: 4, section: 'supplies', description: 'Total supplies (lines 1 to 3)', amount: totalSupplies },
+    { line: 5, section: 'supplies', description: 'Output tax on standard rated supplies', amount: outputTax },
+    { line: 6, section: 'purchases', description: 'Standard rated purchases', amount: purchases.standard.value },
+    { line: 7, section: 'purchases', description: 'Zero rated and exempt purchases', amount: roundCurrency(purchases.zero_rated.value + purchases.exempt.value) },
+    { line: 8, section: 'purchases', description: 'Total purchases (lines 6 and 7)', amount: totalPurchases },
+    { line: 9, section: 'purchases', description: 'Input tax claimable', amount: inputTax },
+    { line: 10, section: 'net', description: 'Net tax (line 5 less line 9)', amount: netTax }
+  ];
+
+  const ledger = await getLedgerGct(business._id, period);
+  const periodEnd = new Date(period.endDate);
+
+  return {
+    form: 'Form 4A',
+    business: {
+      name: business.name,
+      trn: business.trn,
+      gctRegistered: registered
+    },
+    period: {
+      startDate: period.startDate,
+      endDate: period.endDate
+    },
+    // Returns are due by the last day of the month after the period ends
+    dueDate: new Date(periodEnd.getFullYear(), periodEnd.getMonth() + 2, 0),
+    lines,
+    supplies: sales,
+    purchases,
+    outputTax,
+    inputTax,
+    netTax,
+    position: netTax > 0 ? 'payable' : netTax < 0 ? 'refundable' : 'nil',
+    amountPayable: Math.max(0, netTax),
+    amountRefundable: Math.max(0, roundCurrency(-netTax)),
+    ledger: {
+      ...ledger,
+      outputDifference: roundCurrency(ledger.outputTax - outputTax),
+      inputDifference: roundCurrency(ledger.inputTax - inputTax)
+    },
+    warnings
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Flatten a GCT return to CSV for filing or the accountant's working papers
+const gctReturnToCsv = (gctReturn) => {
+  const rows = [
+    ['GCT Return', gctReturn.form],
+    ['Business', gctReturn.business.name],
+    ['TRN', gctReturn.business.trn],
+    ['Period', `${formatDate(gctReturn.period.startDate)} to ${formatDate(gctReturn.period.endDate)}`],
+    ['Due date', formatDate(gctReturn.dueDate)],
+    [],
+    ['Line', 'Description', 'Amount (JMD)'],
+    ...gctReturn.lines.map(line => [line.line, line.description, line.amount.toFixed(2)]),
+    [],
+    ['', gctReturn.position === 'refundable' ? 'Amount refundable' : 'Amount payable',
+      (gctReturn.position === 'refundable' ? gctReturn.amountRefundable : gctReturn.amountPayable).toFixed(2)]
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  classifySupply,
+  generateGctReturn,
+  gctReturnToCsv
+};
@@ -0,0 +1,145 @@
+// Jamaican public holidays and business closures
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WORK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Calendar day as YYYY-MM-DD, in server local time like the rest of the date handling
+const dayKey = (date) => {
+  const value = new Date(date);
+  return [
+    value.getFullYear(),
+    String(value.getMonth() + 1).padStart(2, '0'),
+    String(value.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+// Easter Sunday (Gregorian calendar, anonymous algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+// nth weekday (0 = Sunday) of a month
+const nthWeekday = (year, month, weekday, n) => {
+  const first = new Date(year, month, 1);
+  return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+};
+
+// Holidays under the Holidays (Public General) Act. A holiday falling on a Sunday is kept on
+// the Monday after; Labour Day falling on a weekend moves to the Monday too. Movable feasts
+// follow Easter.
+const JAMAICA_HOLIDAYS = [
+  { name: "New Year's Day", date: (year) => new Date(year, 0, 1) },
+  { name: 'Ash Wednesday', date: (year) => addDays(easterSunday(year), -46), movable: true },
+  { name: 'Good Friday', date: (year) => addDays(easterSunday(year), -2), movable: true },
+  { name: 'Easter Monday', date: (year) => addDays(easterSunday(year), 1), movable: true },
+  { name: 'Labour Day', date: (year) => new Date(year, 4, 23), weekendToMonday: true },
+  { name: 'Emancipation Day', date: (year) => new Date(year, 7, 1) },
+  { name: 'Independence Day', date: (year) => new Date(year, 7, 6) },
+  { name: "National Heroes' Day", date: (year) => nthWeekday(year, 9, 1, 3), movable: true },
+  { name: 'Christmas Day', date: (year) => new Date(year, 11, 25) },
+  { name: 'Boxing Day', date: (year) => new Date(year, 11, 26) }
+];
+
+// Public holidays for a year, on the day they are observed
+const jamaicaPublicHolidays = (year) => {
+  const taken = new Set();
+
+  return JAMAICA_HOLIDAYS.map(holiday => {
+    const actual = holiday.date(year);
+    let observed = actual;
+
+    if (!holiday.movable) {
+      if (observed.getDay() === 0) observed = addDays(observed, 1);
+      if (holiday.weekendToMonday && observed.getDay() === 6) observed = addDays(observed, 2);
+      // Boxing Day after a Sunday Christmas moves on again
+      while (taken.has(dayKey(observed))) observed = addDays(observed, 1);
+    }
+    taken.add(dayKey(observed));
+
+    return {
+      date: observed,
+      name: holiday.name,
+      type: 'public',
+      holidayPay: true,
+      ...(dayKey(observed) !== dayKey(actual) && { actualDate: actual })
+    };
+  });
+};
+
+// Public holidays and the business's own closures falling between two dates, in date order.
+// Closures earn the holiday premium only when the business says so.
+const businessHolidays = (business, startDate, endDate) => {
+  const from = dayKey(startDate);
+  const to = dayKey(endDate);
+  const holidays = [];
+
+  for (let year = new Date(startDate).getFullYear(); year <= new Date(endDate).getFullYear(); year++) {
+    holidays.push(...jamaicaPublicHolidays(year));
+  }
+
+  (business?.holidayClosures || []).forEach(closure => {
+    holidays.push({
+      _id: closure._id,
+      date: new Date(closure.date),
+      name: closure.name,
+      type: 'closure',
+      holidayPay: Boolean(closure.holidayPay)
+    });
+  });
+
+  return holidays
+    .filter(holiday => dayKey(holiday.date) >= from && dayKey(holiday.date) <= to)
+    .sort((a, b) => a.date - b.date);
+};
+
+// The holiday on a date, if any; a public holiday wins over a closure on the same day
+const holidayOn = (holidays, date) => {
+  const key = dayKey(date);
+  const matches = holidays.filter(holiday => dayKey(holiday.date) === key);
+  return matches.find(holiday => holiday.type === 'public') || matches[0] || null;
+};
+
+// Days between two dates inclusive that are scheduled work days and not holidays
+const workingDaysBetween = (startDate, endDate, { holidays = [], workDays } = {}) => {
+  const days = workDays && workDays.length > 0 ? workDays : DEFAULT_WORK_DAYS;
+  const holidayKeys = new Set(holidays.map(holiday => dayKey(holiday.date)));
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const result = [];
+
+  for (let day = addDays(start, 0); day <= end; day = addDays(day, 1)) {
+    if (days.includes(WEEKDAYS[day.getDay()]) && !holidayKeys.has(dayKey(day))) result.push(day);
+  }
+
+  return result;
+};
+
+const countWorkingDays = (startDate, endDate, options) => workingDaysBetween(startDate, endDate, options).length;
+
+module.exports = {
+  DEFAULT_WORK_DAYS,
+  dayKey,
+  easterSunday,
+  jamaicaPublicHolidays,
+  businessHolidays,
+  holidayOn,
+  workingDaysBetween,
+  countWorkingDays
+};
@@ -0,0 +1,105 @@
+const JournalEntry = require('../models/JournalEntry');
+const { defaultGctTaxCode, gctRateFor } = require('./taxRates');
+const { ensureSystemAccounts, resolvePaymentAccount, roundCurrency, voidSourceEntries } = require('./ledger');
+
+// GCT tax code and rate for an invoice line on the issue date. Businesses that are not
+// GCT registered cannot charge GCT; otherwise the line's tax code (or the one its
+// category implies) sets the rate.
+const lineGct = (line, business, date) => {
+  if (!business.taxSettings?.gctRegistered) return { taxCode: undefined, gctRate: 0 };
+
+  const taxCode = line.taxCode || defaultGctTaxCode({ isTaxable: line.isTaxable, category: line.gctCategory });
+  return { taxCode, gctRate: gctRateFor(taxCode, date) };
+};
+
+// Copy incoming line items with the GCT rate that applies to each on the issue date
+const applyGctRates = (lineItems, business, date) => {
+  return (lineItems || []).map(line => ({
+    description: line.description,
+    quantity: line.quantity !== undefined ? Number(line.quantity) : 1,
+    unitPrice: Number(line.unitPrice),
+    discount: Number(line.discount) || 0,
+    account: line.account || undefined,
+    isTaxable: line.isTaxable !== false,
+    gctCategory: line.gctCategory,
+    ...lineGct(line, business, date)
+  }));
+};
+
+// Post an issued invoice: receivable against revenue per account and output GCT
+const postInvoice = async (invoice, userId) => {
+  const systemAccounts = await ensureSystemAccounts(invoice.business);
+  const rate = invoice.exchangeRate || 1;
+  const description = `Invoice ${invoice.invoiceNumber} - ${invoice.customer.name}`;
+
+  const revenueByAccount = new Map();
+  invoice.lineItems.forEach(line => {
+    const account = (line.account || systemAccounts.sales_revenue._id).toString();
+    revenueByAccount.set(account, (revenueByAccount.get(account) || 0) + line.amount * rate);
+  });
+
+  const credits = [...revenueByAccount.entries()].map(([account, amount]) => ({
+    account,
+    credit: roundCurrency(amount),
+    description
+  }));
+  const gct = roundCurrency(invoice.gctTotal * rate);
+  if (gct > 0) credits.push({ account: systemAccounts.gct_output._id, credit: gct, description });
+
+  const receivable = roundCurrency(credits.reduce((sum, line) => sum + line.credit, 0));
+
+  const entry = await JournalEntry.create({
+    business: invoice.business,
+    date: invoice.issueDate,
+    description,
+    reference: invoice.invoiceNumber,
+    source: { type: 'invoice', document: invoice._id },
+    lines: [
+      { account: systemAccounts.accounts_receivable._id, debit: receivable, description },
+      ...credits.filter(line => line.credit > 0)
+    ],
+    createdBy: userId
+  });
+
+  invoice.journalEntry = entry._id;
+  return entry;
+};
+
+// Post a customer payment against the receivable
+const postInvoicePayment = async (invoice, payment, userId) => {
+  const systemAccounts = await ensureSystemAccounts(invoice.business);
+  const amount = roundCurrency(payment.amount * (invoice.exchangeRate || 1));
+  const description = `Payment received for invoice ${invoice.invoiceNumber}`;
+
+  const entry = await JournalEntry.create({
+    business: invoice.business,
+    date: payment.date,
+    description,
+    reference: payment.reference || invoice.invoiceNumber,
+    source: { type: 'invoice_payment', document: invoice._id },
+    lines: [
+      {
+        account: payment.depositAccount || resolvePaymentAccount(payment.paymentMethod, systemAccounts),
+        debit: amount,
+        description
+      },
+      { account: systemAccounts.accounts_receivable._id, credit: amount, description }
+    ],
+    createdBy: userId
+  });
+
+  payment.journalEntry = entry._id;
+  return entry;
+};
+
+// Reverse the ledger postings of a voided invoice
+const voidInvoicePostings = (invoice, userId, reason) => {
+  return voidSourceEntries('invoice', invoice._id, userId, reason || 'Invoice voided');
+};
+
+module.exports = {
+  applyGctRates,
+  postInvoice,
+  postInvoicePayment,
+  voidInvoicePostings
+};
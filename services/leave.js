@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const { PERIODS_PER_YEAR } = require('./payrollDeductions');
+const { startOfDay, endOfDay } = require('./fiscalCalendar');
+const { businessHolidays, workingDaysBetween, countWorkingDays } = require('./holidays');
+const { roundCurrency } = require('./ledger');
+const { hourlyRate } = require('./timesheets');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundDays = (value) => Math.round((value || 0) * 100) / 100;
+
+// Accruals are kept to the half day
+const roundHalfDays = (value) => Math.round((value || 0) * 2) / 2;
+
+const DEFAULT_POLICY = {
+  accrualMethod: 'annual',
+  vacationDays: 14,
+  sickDays: 10,
+  carryOverCap: 5,
+  excludeProbation: true,
+  maternity: { weeks: 12, paidWeeks: 8, qualifyingWeeks: 52, maxPaidLeaves: 3 },
+  paternityDays: 10
+};
+
+// The business's leave policy with defaults for anything not set
+const leavePolicy = (business) => {
+  const policy = business?.leavePolicy?.toObject ? business.leavePolicy.toObject() : (business?.leavePolicy || {});
+  return {
+    ...DEFAULT_POLICY,
+    ...policy,
+    maternity: { ...DEFAULT_POLICY.maternity, ...(policy.maternity || {}) },
+    payPeriod: business?.payrollSettings?.payPeriod || 'monthly'
+  };
+};
+
+const later = (a, b) => (a > b ? a : b);
+
+const probationEnd = (employee) => {
+  const { startDate, probationPeriod } = employee.employment;
+  if (probationPeriod?.endDate) return startOfDay(probationPeriod.endDate);
+  const start = new Date(startDate);
+  return new Date(start.getFullYear(), start.getMonth() + (probationPeriod?.months || 0), start.getDate());
+};
+
+// Leave year containing a date: the calendar year, or the year from the last anniversary of
+// the start date under anniversary accrual
+const leaveYear = (employee, policy, date) => {
+  const target = new Date(date);
+
+  if (policy.accrualMethod === 'anniversary') {
+    const start = new Date(employee.employment.startDate);
+    let from = new Date(target.getFullYear(), start.getMonth(), start.getDate());
+    if (from > target) from = new Date(target.getFullYear() - 1, start.getMonth(), start.getDate());
+    return {
+      startDate: from,
+      endDate: endOfDay(new Date(from.getFullYear() + 1, start.getMonth(), start.getDate() - 1))
+    };
+  }
+
+  return {
+    startDate: new Date(target.getFullYear(), 0, 1),
+    endDate: endOfDay(new Date(target.getFullYear(), 11, 31))
+  };
+};
+
+// Days of an entitlement earned in a leave year by a date
+const accruedDays = (employee, policy, entitlement, year, asOf, excludeProbation) => {
+  const employmentStart = startOfDay(employee.employment.startDate);
+  let earningFrom = later(year.startDate, employmentStart);
+  if (excludeProbation) earningFrom = later(earningFrom, probationEnd(employee));
+  if (earningFrom > year.endDate) return 0;
+
+  const yearLength = year.endDate - year.startDate;
+
+  switch (policy.accrualMethod) {
+    case 'anniversary':
+      // Nothing in the first year of service, then the whole entitlement on each anniversary
+      return year.startDate <= employmentStart ? 0 : entitlement;
+    case 'per_pay_period': {
+      const periods = PERIODS_PER_YEAR[policy.payPeriod] || 12;
+      const elapsed = (Math.min(new Date(asOf), year.endDate) - earningFrom) / yearLength;
+      if (elapsed <= 0) return 0;
+      return roundHalfDays(entitlement * Math.min(Math.floor(elapsed * periods), periods) / periods);
+    }
+    default:
+      return roundHalfDays(entitlement * Math.min((year.endDate - earningFrom) / yearLength, 1));
+  }
+};
+
+// Days of a type of leave taken in a leave year, by request status
+const daysTaken = (employee, type, year, statuses, excludeRequest) => {
+  return roundDays(employee.leave.requests
+    .filter(request => request.type === type &&
+      statuses.includes(request.status) &&
+      request.startDate >= year.startDate &&
+      request.startDate <= year.endDate &&
+      (!excludeRequest || request._id.toString() !== excludeRequest.toString()))
+    .reduce((sum, request) => sum + (request.days || 0), 0));
+};
+
+// Paid maternity leaves already taken with this employer
+const paidMaternityLeaves = (employee, excludeRequest) => {
+  return employee.leave.requests.filter(request => request.type === 'maternity' &&
+    request.status === 'approved' &&
+    request.paidDays > 0 &&
+    (!excludeRequest || request._id.toString() !== excludeRequest.toString())).length;
+};
+
+const weeksOfService = (employee, date) => {
+  return Math.floor((startOfDay(date) - startOfDay(employee.employment.startDate)) / (7 * DAY_MS));
+};
+
+// Vacation and sick leave balances for the leave year containing a date. Unused vacation
+// from the year before carries over up to the policy's cap; sick leave does not carry over.
+const leaveBalances = (employee, business, asOf = new Date(), { excludeRequest } = {}) => {
+  const policy = leavePolicy(business);
+  const year = leaveYear(employee, policy, asOf);
+  const previousYear = leaveYear(employee, policy, new Date(year.startDate.getTime() - 1));
+
+  const unusedLastYear = accruedDays(employee, policy, policy.vacationDays, previousYear, previousYear.endDate, policy.excludeProbation) -
+    daysTaken(employee, 'vacation', previousYear, ['approved']);
+  const carriedOver = Math.min(policy.carryOverCap, Math.max(unusedLastYear, 0));
+
+  const balance = (type, accrued, carried = 0) => {
+    const used = daysTaken(employee, type, year, ['approved'], excludeRequest);
+    const pending = daysTaken(employee, type, year, ['pending'], excludeRequest);
+    return {
+      entitlement: type === 'vacation' ? policy.vacationDays : policy.sickDays,
+      accrued,
+      carriedOver: carried,
+      used,
+      pending,
+      available: roundDays(accrued + carried - used - pending)
+    };
+  };
+
+  const weeks = weeksOfService(employee, asOf);
+  const paidLeavesTaken = paidMaternityLeaves(employee, excludeRequest);
+
+  return {
+    accrualMethod: policy.accrualMethod,
+    leaveYear: year,
+    vacation: balance('vacation', accruedDays(employee, policy, policy.vacationDays, year, asOf, policy.excludeProbation), roundDays(carriedOver)),
+    sick: balance('sick', accruedDays(employee, policy, policy.sickDays, year, asOf, false)),
+    maternity: {
+      weeks: policy.maternity.weeks,
+      paidWeeks: policy.maternity.paidWeeks,
+      weeksOfService: weeks,
+      qualifies: weeks >= policy.maternity.qualifyingWeeks,
+      paidLeavesTaken,
+      paidLeavesRemaining: Math.max(policy.maternity.maxPaidLeaves - paidLeavesTaken, 0)
+    },
+    paternityDays: policy.paternityDays
+  };
+};
+
+// Copy the current leave year's figures onto the employee's stored balances
+const syncLeaveBalances = (employee, balances) => {
+  employee.leave.vacationDays.entitlement = roundDays(balances.vacation.accrued + balances.vacation.carriedOver);
+  employee.leave.vacationDays.used = balances.vacation.used;
+  employee.leave.sickDays.entitlement = balances.sick.accrued;
+  employee.leave.sickDays.used = balances.sick.used;
+};
+
+// Days a request takes: calendar days for maternity leave, otherwise the employee's working
+// days less public holidays and business closures
+const countLeaveDays = (employee, business, type, startDate, endDate) => {
+  if (type === 'maternity') {
+    return Math.round((startOfDay(endDate) - startOfDay(startDate)) / DAY_MS) + 1;
+  }
+
+  return countWorkingDays(startDate, endDate, {
+    holidays: businessHolidays(business, startDate, endDate),
+    workDays: employee.employment.workSchedule?.workDays
+  });
+};
+
+// Check a leave request against the policy and the employee's balances. Returns the days it
+// takes, how many are paid, errors that stop it and warnings for whoever approves it.
+// Pending requests count against vacation when submitting but not when approving.
+const assessLeaveRequest = (employee, business, { type, startDate, endDate, requestId, approving = false }) => {
+  const policy = leavePolicy(business);
+  const errors = [];
+  const warnings = [];
+  const days = countLeaveDays(employee, business, type, startDate, endDate);
+  let paidDays = days;
+
+  if (days <= 0) errors.push('The requested period has no working days');
+
+  const overlapping = employee.leave.requests.find(request => ['pending', 'approved'].includes(request.status) &&
+    (!requestId || request._id.toString() !== requestId.toString()) &&
+    request.startDate <= endOfDay(endDate) &&
+    request.endDate >= startOfDay(startDate));
+  if (overlapping) {
+    errors.push(`Overlaps ${overlapping.type} leave from ${overlapping.startDate.toISOString().slice(0, 10)}`);
+  }
+
+  const balances = leaveBalances(employee, business, startDate, { excludeRequest: requestId });
+
+  switch (type) {
+    case 'vacation': {
+      const available = approving
+        ? roundDays(balances.vacation.available + balances.vacation.pending)
+        : balances.vacation.available;
+      if (days > available) errors.push(`Only ${Math.max(available, 0)} vacation day(s) available`);
+      break;
+    }
+    case 'sick':
+      if (days > balances.sick.available) {
+        warnings.push(`Exceeds the sick leave entitlement by ${roundDays(days - Math.max(balances.sick.available, 0))} day(s)`);
+      }
+      break;
+    case 'maternity':
+      if (days > policy.maternity.weeks * 7) {
+        errors.push(`Maternity leave is limited to ${policy.maternity.weeks} weeks`);
+      }
+      if (!balances.maternity.qualifies) {
+        paidDays = 0;
+        warnings.push(`Fewer than ${policy.maternity.qualifyingWeeks} weeks of continuous service; the leave is unpaid`);
+      } else if (balances.maternity.paidLeavesRemaining === 0) {
+        paidDays = 0;
+        warnings.push(`Paid maternity leave has already been taken ${balances.maternity.paidLeavesTaken} time(s); the leave is unpaid`);
+      } else {
+        paidDays = Math.min(days, policy.maternity.paidWeeks * 7);
+      }
+      break;
+    case 'paternity':
+      if (days > policy.paternityDays) {
+        errors.push(`Paternity leave is limited to ${policy.paternityDays} working days`);
+      }
+      break;
+    case 'unpaid':
+      paidDays = 0;
+      break;
+    default:
+      break;
+  }
+
+  return { days, paidDays, errors, warnings, balances };
+};
+
+// A request's working days in order, each marked paid until its paid days run out. Maternity
+// leave uses up its paid days by calendar day.
+const requestWorkingDays = (employee, business, request) => {
+  const days = workingDaysBetween(request.startDate, request.endDate, {
+    holidays: businessHolidays(business, request.startDate, request.endDate),
+    workDays: employee.employment.workSchedule?.workDays
+  });
+  const paidDays = request.paidDays ?? (request.type === 'unpaid' ? 0 : days.length);
+
+  if (request.type === 'maternity') {
+    const start = startOfDay(request.startDate);
+    const paidUntil = new Date(start.getFullYear(), start.getMonth(), start.getDate() + paidDays);
+    return days.map(date => ({ date, paid: date < paidUntil }));
+  }
+
+  return days.map((date, index) => ({ date, paid: index < paidDays }));
+};
+
+const hoursPerDay = (employee) => {
+  const schedule = employee.employment.workSchedule || {};
+  return (schedule.hoursPerWeek || 40) / (schedule.workDays?.length || 5);
+};
+
+// Apply the employee's approved leave to a payslip for its pay period:
+// - unpaid days come off basic pay pro rata over the period's scheduled working days
+// - leave goes on the work record, unless timesheets already supplied the hours
+// - vacation to be paid in advance is paid in full on the payslip for the period it starts
+//   in, and the days falling in later periods come off those periods' basic pay
+// - sick leave beyond the year's entitlement is flagged for review
+// Hourly staff paid from timesheets are paid only for the hours on them, so unpaid leave
+// needs no deduction. Returns the review flags.
+const applyLeave = async (payslip, employee, business, { timesheetsApplied = false } = {}) => {
+  const Payroll = mongoose.model('Payroll');
+  const periodStart = startOfDay(payslip.payPeriod.startDate);
+  const periodEnd = endOfDay(payslip.payPeriod.endDate);
+  const payByHours = timesheetsApplied && employee.compensation.baseSalary.frequency === 'hourly';
+  const scheduledDays = countWorkingDays(periodStart, periodEnd, { workDays: employee.employment.workSchedule?.workDays });
+  const dailyRate = payByHours || scheduledDays === 0
+    ? roundCurrency(hourlyRate(employee) * hoursPerDay(employee))
+    : roundCurrency(payslip.earnings.basicSalary / scheduledDays);
+
+  const leave = {
+    vacationDays: 0,
+    sickDays: 0,
+    otherPaidDays: 0,
+    unpaidDays: 0,
+    dailyRate,
+    unpaidDeduction: 0,
+    advanceDays: 0,
+    advanceRecoveredDays: 0,
+    advanceRecovered: 0,
+    flags: []
+  };
+  let vacationAdvance = 0;
+  let employeeChanged = false;
+
+  const requests = employee.leave.requests.filter(request => request.status === 'approved' &&
+    request.startDate <= periodEnd &&
+    request.endDate >= periodStart);
+
+  for (const request of requests) {
+    const days = requestWorkingDays(employee, business, request);
+    const inPeriod = days.filter(day => day.date >= periodStart && day.date <= periodEnd);
+
+    inPeriod.forEach(day => {
+      if (!day.paid) leave.unpaidDays += 1;
+      else if (request.type === 'vacation') leave.vacationDays += 1;
+      else if (request.type === 'sick') leave.sickDays += 1;
+      else leave.otherPaidDays += 1;
+    });
+
+    if (request.type !== 'vacation' || !request.payInAdvance) continue;
+
+    const advancedOn = request.advancePay?.payroll;
+    if (advancedOn && !advancedOn.equals(payslip._id) && await Payroll.exists({ _id: advancedOn })) {
+      const recovered = inPeriod.filter(day => day.paid).length;
+      leave.advanceRecoveredDays += recovered;
+      leave.advanceRecovered += recovered * request.advancePay.dailyRate;
+    } else if (request.startDate >= periodStart) {
+      const ahead = days.filter(day => day.paid && day.date > periodEnd).length;
+      request.advancePay = ahead > 0
+        ? { payroll: payslip._id, days: ahead, dailyRate, amount: roundCurrency(ahead * dailyRate) }
+        : undefined;
+      leave.advanceDays += ahead;
+      vacationAdvance += ahead * dailyRate;
+      employeeChanged = true;
+    }
+  }
+
+  if (!payByHours) {
+    leave.unpaidDeduction = roundCurrency(Math.min(leave.unpaidDays * dailyRate, payslip.earnings.basicSalary));
+  }
+  leave.advanceRecovered = roundCurrency(leave.advanceRecovered);
+  payslip.earnings.basicSalary = roundCurrency(Math.max(payslip.earnings.basicSalary - leave.unpaidDeduction - leave.advanceRecovered, 0));
+  payslip.earnings.vacationAdvance = roundCurrency(vacationAdvance);
+
+  if (requests.length > 0 && !timesheetsApplied) {
+    const hours = hoursPerDay(employee);
+    payslip.workRecord.vacationHours = roundDays(leave.vacationDays * hours);
+    payslip.workRecord.sickHours = roundDays(leave.sickDays * hours);
+    payslip.workRecord.unpaidLeaveHours = roundDays(leave.unpaidDays * hours);
+  }
+
+  if (leave.sickDays > 0) {
+    const { sick } = leaveBalances(employee, business, periodEnd);
+    const excess = roundDays(sick.used - sick.accrued);
+    if (excess > 0) {
+      leave.flags.push(`Sick leave is ${excess} day(s) beyond the entitlement for the leave year; check whether it should be paid`);
+    }
+  }
+
+  payslip.leave = leave;
+  if (employeeChanged) await employee.save();
+
+  return leave.flags;
+};
+
+module.exports = {
+  leavePolicy,
+  leaveYear,
+  leaveBalances,
+  syncLeaveBalances,
+  countLeaveDays,
+  assessLeaveRequest,
+  applyLeave
+};
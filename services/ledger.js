@@ -0,0 +1,234 @@
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+
+// Accounts every business needs for automatic posting, keyed by system role
+const SYSTEM_ACCOUNTS = [
+  { systemRole: 'cash', code: '1000', name: 'Cash on Hand', class: 'asset', subtype: 'cash' },
+  { systemRole: 'bank', code: '1010', name: 'Bank Account', class: 'asset', subtype: 'bank' },
+  { systemRole: 'transfer_clearing', code: '1090', name: 'Transfers Clearing', class: 'asset', subtype: 'current_asset' },
+  { systemRole: 'accounts_receivable', code: '1100', name: 'Accounts Receivable', class: 'asset', subtype: 'receivable' },
+  { systemRole: 'gct_input', code: '1200', name: 'GCT Recoverable (Input Tax)', class: 'asset', subtype: 'current_asset' },
+  { systemRole: 'withholding_receivable', code: '1210', name: 'Withholding Tax Receivable', class: 'asset', subtype: 'current_asset' },
+  { systemRole: 'fixed_assets', code: '1500', name: 'Property, Plant and Equipment', class: 'asset', subtype: 'fixed_asset' },
+  { systemRole: 'suspense', code: '1990', name: 'Suspense', class: 'asset', subtype: 'current_asset' },
+  { systemRole: 'accounts_payable', code: '2000', name: 'Accounts Payable', class: 'liability', subtype: 'payable' },
+  { systemRole: 'credit_card', code: '2050', name: 'Credit Card Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'gct_output', code: '2200', name: 'GCT Payable (Output Tax)', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'withholding_payable', code: '2210', name: 'Withholding Tax Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'accrued_liabilities', code: '2100', name: 'Accrued Liabilities', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'paye_payable', code: '2300', name: 'PAYE Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'nis_payable', code: '2310', name: 'NIS Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'nht_payable', code: '2320', name: 'NHT Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'education_tax_payable', code: '2330', name: 'Education Tax Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'heart_trust_payable', code: '2340', name: 'HEART/NSTA Trust Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'pension_payable', code: '2350', name: 'Pension Contributions Payable', class: 'liability', subtype: 'current_liability' },
+  { systemRole: 'loans_payable', code: '2500', name: 'Loans Payable', class: 'liability', subtype: 'long_term_liability' },
+  { systemRole: 'owner_equity', code: '3000', name: "Owner's Capital", class: 'equity', subtype: 'equity' },
+  { systemRole: 'retained_earnings', code: '3900', name: 'Retained Earnings', class: 'equity', subtype: 'equity' },
+  { systemRole: 'sales_revenue', code: '4000', name: 'Sales Revenue', class: 'revenue', subtype: 'operating_revenue' },
+  { systemRole: 'salaries_expense', code: '6000', name: 'Salaries and Wages', class: 'expense', subtype: 'operating_expense' },
+  { systemRole: 'employer_contributions_expense', code: '6010', name: 'Employer Statutory Contributions', class: 'expense', subtype: 'operating_expense' },
+  { systemRole: 'general_expense', code: '6900', name: 'General Expenses', class: 'expense', subtype: 'operating_expense' }
+];
+
+// Account classes a transaction category may resolve to, with the fallback system account
+const TRANSACTION_ACCOUNT_RULES = {
+  income: { classes: ['revenue'], fallback: 'sales_revenue' },
+  expense: { classes: ['expense'], fallback: 'general_expense' },
+  asset_purchase: { classes: ['asset'], fallback: 'fixed_assets' },
+  asset_sale: { classes: ['asset'], fallback: 'fixed_assets' },
+  liability: { classes: ['liability'], fallback: 'loans_payable' },
+  equity: { classes: ['equity'], fallback: 'owner_equity' },
+  transfer: { classes: ['asset', 'liability'], fallback: 'transfer_clearing' },
+  adjustment: { classes: ['asset', 'liability', 'equity', 'revenue', 'expense'], fallback: 'suspense' }
+};
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Create any missing system accounts for a business and return them keyed by role
+const ensureSystemAccounts = async (businessId) => {
+  const existing = await Account.find({
+    business: businessId,
+    systemRole: { $in: SYSTEM_ACCOUNTS.map(def => def.systemRole) }
+  });
+
+  const accounts = existing.reduce((map, account) => {
+    map[account.systemRole] = account;
+    return map;
+  }, {});
+
+  for (const definition of SYSTEM_ACCOUNTS) {
+    if (accounts[definition.systemRole]) continue;
+
+    // Adopt a seeded account at the standard code before creating a new one
+    const seeded = await Account.findOne({
+      business: businessId,
+      code: definition.code,
+      class: definition.class,
+      systemRole: { $exists: false }
+    });
+    if (seeded) {
+      seeded.systemRole = definition.systemRole;
+      accounts[definition.systemRole] = await seeded.save();
+      continue;
+    }
+
+    // Step past codes the business has already used for its own accounts
+    let code = definition.code;
+    while (await Account.exists({ business: businessId, code })) {
+      code = String(Number(code) + 1);
+    }
+
+    accounts[definition.systemRole] = await Account.create({
+      ...definition,
+      code,
+      business: businessId
+    });
+  }
+
+  return accounts;
+};
+
+// Find the account matching a transaction category by name, falling back to a system account
+const resolveCategoryAccount = async (businessId, type, category, systemAccounts) => {
+  const rule = TRANSACTION_ACCOUNT_RULES[type] || TRANSACTION_ACCOUNT_RULES.adjustment;
+
+  if (category) {
+    const account = await Account.findOne({
+      business: businessId,
+      class: { $in: rule.classes },
+      isActive: true,
+      name: { $regex: `^${escapeRegex(category.trim())}$`, $options: 'i' }
+    });
+    if (account) return account._id;
+  }
+
+  return systemAccounts[rule.fallback]._id;
+};
+
+// Pick the cash-side account from the payment method
+const resolvePaymentAccount = (paymentMethod, systemAccounts) => {
+  if (paymentMethod === 'cash') return systemAccounts.cash._id;
+  if (paymentMethod === 'credit_card') return systemAccounts.credit_card._id;
+  return systemAccounts.bank._id;
+};
+
+// Build balanced journal lines for a transaction, in base currency
+const buildTransactionLines = (transaction, categoryAccount, paymentAccount, systemAccounts) => {
+  const rate = transaction.exchangeRate || 1;
+  const net = roundCurrency(transaction.amount * rate);
+  const taxable = transaction.taxInfo && transaction.taxInfo.isTaxable;
+  const gct = taxable ? roundCurrency((transaction.taxInfo.gctAmount || 0) * rate) : 0;
+  const withholding = roundCurrency((transaction.taxInfo?.withholdingTax?.amount || 0) * rate);
+  const gross = roundCurrency(net + gct);
+  const description = transaction.description;
+  const lines = [];
+
+  switch (transaction.type) {
+    case 'income':
+    case 'asset_sale':
+      lines.push({ account: paymentAccount, debit: roundCurrency(gross - withholding), description });
+      if (withholding > 0) lines.push({ account: systemAccounts.withholding_receivable._id, debit: withholding, description });
+      lines.push({ account: categoryAccount, credit: net, description });
+      if (gct > 0) lines.push({ account: systemAccounts.gct_output._id, credit: gct, description });
+      break;
+    case 'expense':
+    case 'asset_purchase':
+      lines.push({ account: categoryAccount, debit: net, description });
+      if (gct > 0) lines.push({ account: systemAccounts.gct_input._id, debit: gct, description });
+      if (withholding > 0) lines.push({ account: systemAccounts.withholding_payable._id, credit: withholding, description });
+      lines.push({ account: paymentAccount, credit: roundCurrency(gross - withholding), description });
+      break;
+    case 'liability':
+    case 'equity':
+      // GCT only applies to trading transactions, so financing is posted net
+      lines.push({ account: paymentAccount, debit: net, description });
+      lines.push({ account: categoryAccount, credit: net, description });
+      break;
+    default:
+      // Transfers and adjustments move the net amount out of the paying account
+      lines.push({ account: categoryAccount, debit: net, description });
+      lines.push({ account: paymentAccount, credit: net, description });
+  }
+
+  return lines.filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0);
+};
+
+// Post the journal entry for a completed transaction and link it back
+const postTransaction = async (transaction, userId) => {
+  if (transaction.status !== 'completed' || !(transaction.amount > 0)) {
+    return null;
+  }
+
+  const systemAccounts = await ensureSystemAccounts(transaction.business);
+  const categoryAccount = transaction.ledgerAccount ||
+    await resolveCategoryAccount(transaction.business, transaction.type, transaction.category, systemAccounts);
+  const paymentAccount = transaction.contraAccount ||
+    (transaction.type === 'adjustment'
+      ? systemAccounts.suspense._id
+      : resolvePaymentAccount(transaction.paymentMethod, systemAccounts));
+
+  const entry = await JournalEntry.create({
+    business: transaction.business,
+    date: transaction.date,
+    description: transaction.description,
+    reference: transaction.transactionNumber,
+    source: { type: 'transaction', document: transaction._id },
+    lines: buildTransactionLines(transaction, categoryAccount, paymentAccount, systemAccounts),
+    createdBy: userId || transaction.createdBy
+  });
+
+  await transaction.constructor.updateOne({ _id: transaction._id }, { journalEntry: entry._id });
+  transaction.journalEntry = entry._id;
+
+  return entry;
+};
+
+// Void every posted entry created from a source document
+const voidSourceEntries = async (sourceType, documentId, userId, reason) => {
+  const entries = await JournalEntry.find({
+    'source.type': sourceType,
+    'source.document': documentId,
+    status: 'posted'
+  });
+
+  for (const entry of entries) {
+    await entry.void(userId, reason);
+  }
+
+  return entries.length;
+};
+
+// Replace the posted entry for a transaction after it has been edited. The new entry is
+// posted before the old ones are voided, so a failed post leaves the ledger untouched.
+const repostTransaction = async (transaction, userId) => {
+  const previousEntries = await JournalEntry.find({
+    'source.type': 'transaction',
+    'source.document': transaction._id,
+    status: 'posted'
+  });
+
+  const entry = await postTransaction(transaction, userId);
+  for (const previous of previousEntries) {
+    await previous.void(userId, 'Transaction updated');
+  }
+
+  if (!entry) {
+    transaction.journalEntry = undefined;
+    await transaction.constructor.updateOne({ _id: transaction._id }, { $unset: { journalEntry: 1 } });
+  }
+  return entry;
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  roundCurrency,
+  ensureSystemAccounts,
+  resolvePaymentAccount,
+  buildTransactionLines,
+  postTransaction,
+  repostTransaction,
+  voidSourceEntries
+};
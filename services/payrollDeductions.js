@@ -0,0 +1,180 @@
+// Pay periods in a year for each payroll frequency
+const PERIODS_PER_YEAR = {
+  weekly: 52,
+  'bi-weekly': 26,
+  monthly: 12
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Annual rates scaled down to one pay period: thresholds, ceilings and PAYE brackets
+const periodRates = (rates, periodsPerYear) => ({
+  personalAllowance: rates.paye.personalAllowance / periodsPerYear,
+  brackets: rates.paye.brackets.map(({ min, max, rate }) => ({
+    min: min / periodsPerYear,
+    max: max === Infinity ? Infinity : max / periodsPerYear,
+    rate
+  })),
+  nisCeiling: rates.nis.maxAnnualIncome / periodsPerYear,
+  educationTaxThreshold: (rates.educationTax.threshold || 0) / periodsPerYear
+});
+
+// PAYE on one period's chargeable income, bracket by bracket; returns the tax and the top rate reached
+const periodPaye = (chargeableIncome, brackets) => {
+  let tax = 0;
+  let marginalRate = 0;
+
+  for (const bracket of brackets) {
+    if (chargeableIncome > bracket.min) {
+      tax += (Math.min(chargeableIncome, bracket.max) - bracket.min) * bracket.rate;
+      marginalRate = bracket.rate;
+    }
+  }
+
+  return { tax, marginalRate };
+};
+
+// Statutory deductions and employer contributions for one pay period.
+//
+// - Pension: approved contributions come off income before PAYE and Education Tax
+// - NIS: employee and employer rates on gross pay up to the period's share of the annual ceiling
+// - Education Tax: employee and employer rates on statutory income (gross less NIS and pension)
+//   above the period threshold
+// - NHT: employee and employer rates on gross pay, with no ceiling and no effect on PAYE
+// - HEART Trust/NTA: employer only, on gross pay
+// - PAYE: on statutory income above the period's share of the personal allowance, using
+//   brackets scaled to the period
+//
+// `rates` has the shape returned by getPayrollTaxRates.
+const calculateStatutoryDeductions = ({ grossEarnings, periodType, rates, pension = {} }) => {
+  const periodsPerYear = PERIODS_PER_YEAR[periodType];
+  if (!periodsPerYear) throw new Error(`Unknown pay period type ${periodType}`);
+
+  const period = periodRates(rates, periodsPerYear);
+  const gross = round(grossEarnings);
+
+  const pensionEmployee = round(gross * (pension.employeeRate || 0));
+  const pensionEmployer = round(gross * (pension.employerRate || 0));
+
+  const nisBase = round(Math.min(gross, period.nisCeiling));
+  const nisEmployee = round(nisBase * rates.nis.employeeRate);
+  const nisEmployer = round(nisBase * rates.nis.employerRate);
+
+  const statutoryIncome = Math.max(0, round(gross - nisEmployee - pensionEmployee));
+
+  const educationTaxBase = Math.max(0, round(statutoryIncome - period.educationTaxThreshold));
+  const educationTaxEmployee = round(educationTaxBase * rates.educationTax.employeeRate);
+  const educationTaxEmployer = round(educationTaxBase * rates.educationTax.employerRate);
+
+  const nht = rates.nht || { employeeRate: 0, employerRate: 0 };
+  const nhtEmployee = round(gross * nht.employeeRate);
+  const nhtEmployer = round(gross * nht.employerRate);
+
+  const heartTrustEmployer = round(gross * rates.heartTrust.employerRate);
+
+  const chargeableIncome = Math.max(0, round(statutoryIncome - period.personalAllowance));
+  const paye = periodPaye(chargeableIncome, period.brackets);
+
+  const lines = [
+    {
+      code: 'paye',
+      description: 'PAYE income tax',
+      base: chargeableIncome,
+      rate: paye.marginalRate,
+      employeeAmount: round(paye.tax),
+      employerAmount: 0
+    },
+    {
+      code: 'nis',
+      description: 'National Insurance Scheme',
+      base: nisBase,
+      rate: rates.nis.employeeRate,
+      employerRate: rates.nis.employerRate,
+      employeeAmount: nisEmployee,
+      employerAmount: nisEmployer
+    },
+    {
+      code: 'education_tax',
+      description: 'Education Tax',
+      base: educationTaxBase,
+      rate: rates.educationTax.employeeRate,
+      employerRate: rates.educationTax.employerRate,
+      employeeAmount: educationTaxEmployee,
+      employerAmount: educationTaxEmployer
+    },
+    {
+      code: 'nht',
+      description: 'National Housing Trust',
+      base: gross,
+      rate: nht.employeeRate,
+      employerRate: nht.employerRate,
+      employeeAmount: nhtEmployee,
+      employerAmount: nhtEmployer
+    },
+    {
+      code: 'heart_trust',
+      description: 'HEART Trust/NTA',
+      base: gross,
+      rate: 0,
+      employerRate: rates.heartTrust.employerRate,
+      employeeAmount: 0,
+      employerAmount: heartTrustEmployer
+    },
+    {
+      code: 'pension',
+      description: 'Approved pension',
+      base: gross,
+      rate: pension.employeeRate || 0,
+      employerRate: pension.employerRate || 0,
+      employeeAmount: pensionEmployee,
+      employerAmount: pensionEmployer
+    }
+  ];
+
+  return {
+    periodsPerYear,
+    grossEarnings: gross,
+    statutoryIncome,
+    chargeableIncome,
+    lines,
+    employeeTotal: round(lines.reduce((sum, line) => sum + line.employeeAmount, 0)),
+    employerTotal: round(lines.reduce((sum, line) => sum + line.employerAmount, 0))
+  };
+};
+
+// Which pay period of the tax year (the calendar year) a pay date falls in, from 1
+const taxPeriodNumber = (payDate, periodType) => {
+  const date = new Date(payDate);
+  if (periodType === 'monthly') return date.getMonth() + 1;
+
+  const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 1)) / (24 * 60 * 60 * 1000)) + 1;
+  const days = periodType === 'weekly' ? 7 : 14;
+  return Math.min(PERIODS_PER_YEAR[periodType], Math.ceil(dayOfYear / days));
+};
+
+// Cumulative PAYE: tax on taxable income for the year so far, against the allowance and
+// brackets for the periods elapsed, less PAYE already deducted this year. Over-deductions
+// are not refunded in the period; they reduce the PAYE due in later periods.
+const calculateCumulativePaye = ({ ytdTaxableIncome, ytdPayeDeducted, periodNumber, periodsPerYear, rates }) => {
+  const fraction = Math.min(periodNumber, periodsPerYear) / periodsPerYear;
+  const chargeableIncome = Math.max(0, round(ytdTaxableIncome - rates.paye.personalAllowance * fraction));
+  const brackets = rates.paye.brackets.map(({ min, max, rate }) => ({
+    min: min * fraction,
+    max: max === Infinity ? Infinity : max * fraction,
+    rate
+  }));
+
+  const cumulativeTax = round(periodPaye(chargeableIncome, brackets).tax);
+  return {
+    chargeableIncome,
+    cumulativeTax,
+    amount: Math.max(0, round(cumulativeTax - ytdPayeDeducted))
+  };
+};
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  calculateStatutoryDeductions,
+  taxPeriodNumber,
+  calculateCumulativePaye
+};
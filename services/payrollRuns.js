@@ -0,0 +1,343 @@
+const Payroll = require('../models/Payroll');
+const PayrollRun = require('../models/PayrollRun');
+const Employee = require('../models/Employee');
+const Business = require('../models/Business');
+const JournalEntry = require('../models/JournalEntry');
+const BankPaymentFile = require('../models/BankPaymentFile');
+const { PERIODS_PER_YEAR } = require('./payrollDeductions');
+const { ensureSystemAccounts, resolvePaymentAccount, roundCurrency } = require('./ledger');
+const { buildPaymentFile } = require('./bankPaymentFiles');
+const { startOfDay, endOfDay } = require('./fiscalCalendar');
+const { countWorkingDays, dayKey } = require('./holidays');
+const { applyTimesheets, linkTimesheets } = require('./timesheets');
+const { applyLeave } = require('./leave');
+
+// Basic pay for the period, converting the salary from whatever frequency it is quoted at
+const periodSalary = (employee, periodType) => {
+  const { amount, frequency } = employee.compensation.baseSalary;
+  if (frequency === periodType) return amount;
+  return roundCurrency(employee.calculateAnnualGrossSalary() / PERIODS_PER_YEAR[periodType]);
+};
+
+// Cut a leaver's basic pay in their final period to the working days up to their last day,
+// at the payslip's daily rate. Hourly staff paid from timesheets need no cut: their hours stop
+// on the last day. Returns review flags.
+const applyFinalPeriod = (payslip, employee, { timesheetsApplied = false } = {}) => {
+  const { endDate, workSchedule } = employee.employment;
+  const periodEnd = endOfDay(payslip.payPeriod.endDate);
+  if (employee.isActive || !endDate || endDate >= periodEnd) return [];
+
+  const lastDay = startOfDay(endDate);
+  const scheduledDays = countWorkingDays(payslip.payPeriod.startDate, periodEnd, { workDays: workSchedule?.workDays });
+  const daysAfter = countWorkingDays(
+    new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1),
+    periodEnd,
+    { workDays: workSchedule?.workDays }
+  );
+  const worked = Math.max(scheduledDays - daysAfter, 0);
+
+  if (!(timesheetsApplied && employee.compensation.baseSalary.frequency === 'hourly')) {
+    const cut = roundCurrency(Math.min(daysAfter * (payslip.leave?.dailyRate || 0), payslip.earnings.basicSalary));
+    payslip.earnings.basicSalary = roundCurrency(payslip.earnings.basicSalary - cut);
+  }
+
+  return [`Final pay: employment ended ${dayKey(lastDay)}; basic pay covers ${worked} of ${scheduledDays} working days`];
+};
+
+// Payslip fields for an employee in a run
+const payslipFields = (run, employee, userId) => ({
+  business: run.business,
+  employee: employee._id,
+  payrollRun: run._id,
+  payPeriod: {
+    startDate: run.payPeriod.startDate,
+    endDate: run.payPeriod.endDate,
+    type: run.payPeriod.type
+  },
+  earnings: {
+    basicSalary: periodSalary(employee, run.payPeriod.type),
+    allowances: employee.compensation.allowances || []
+  },
+  paymentInfo: {
+    payDate: run.payDate,
+    paymentMethod: 'bank_transfer',
+    bankDetails: employee.bankDetails || {}
+  },
+  jamaicaTaxCalculation: {
+    payeMethod: run.payeMethod
+  },
+  createdBy: userId,
+  status: 'calculated'
+});
+
+// The run's payslips with their employees
+const findRunPayslips = (run) => {
+  return Payroll.find({ payrollRun: run._id })
+    .populate('employee', 'employeeId personalInfo bankDetails')
+    .sort({ createdAt: 1 });
+};
+
+// (Re)calculate a draft or calculated run from the business's active employees. Existing
+// payslips pick up current salaries, allowances and tax rates and keep amounts entered on
+// them (bonuses, other deductions). Employees who left are paid up to their last day in the
+// period it falls in and dropped from runs for later periods. Salary and position changes
+// effective by the end of the period apply to the whole period. Hours and overtime come
+// from approved timesheets where the employee has any for the period, and approved leave
+// adjusts basic pay and the work record. Payslips needing a look before approval (sick leave
+// beyond entitlement, final pay) are listed in the run's review flags.
+const calculateRun = async (run, userId) => {
+  const business = await Business.findById(run.business).select('payrollSettings leavePolicy holidayClosures');
+  const payrollSettings = business?.payrollSettings || {};
+  const employees = await Employee.find({
+    business: run.business,
+    $or: [
+      { isActive: true },
+      { 'employment.endDate': { $gte: startOfDay(run.payPeriod.startDate) } }
+    ]
+  });
+  const existing = await Payroll.find({ payrollRun: run._id });
+  const byEmployee = new Map(existing.map(payslip => [payslip.employee.toString(), payslip]));
+  const exceptions = [];
+  const reviewFlags = [];
+  const flag = (employee, messages) => messages.forEach(message => {
+    reviewFlags.push({ employee: employee._id, employeeId: employee.employeeId, message });
+  });
+
+  // Hours, leave and final pay on top of the salary; returns the timesheets applied
+  const adjustPayslip = async (payslip, employee) => {
+    const timesheets = await applyTimesheets(payslip, employee, payrollSettings);
+    const options = { timesheetsApplied: timesheets.length > 0 };
+    flag(employee, await applyLeave(payslip, employee, business, options));
+    flag(employee, applyFinalPeriod(payslip, employee, options));
+    return timesheets;
+  };
+
+  for (const employee of employees) {
+    try {
+      if (employee.applyDueChanges(endOfDay(run.payPeriod.endDate))) await employee.save();
+
+      const payslip = byEmployee.get(employee._id.toString());
+      byEmployee.delete(employee._id.toString());
+
+      if (payslip) {
+        const fields = payslipFields(run, employee, userId);
+        payslip.earnings.basicSalary = fields.earnings.basicSalary;
+        payslip.earnings.allowances = fields.earnings.allowances;
+        payslip.payPeriod = fields.payPeriod;
+        payslip.paymentInfo.payDate = run.payDate;
+        payslip.jamaicaTaxCalculation.payeMethod = run.payeMethod;
+        payslip.status = 'calculated';
+        const timesheets = await adjustPayslip(payslip, employee);
+        await payslip.save();
+        await linkTimesheets(payslip._id, timesheets);
+        continue;
+      }
+
+      // A payslip entered outside any run for the same period is left alone
+      const loose = await Payroll.exists({
+        business: run.business,
+        employee: employee._id,
+        payrollRun: { $ne: run._id },
+        'payPeriod.startDate': run.payPeriod.startDate,
+        'payPeriod.endDate': run.payPeriod.endDate
+      });
+      if (loose) {
+        exceptions.push({ employee: employee._id, employeeId: employee.employeeId, error: 'Payroll already exists for this period' });
+        continue;
+      }
+
+      const created = new Payroll(payslipFields(run, employee, userId));
+      const timesheets = await adjustPayslip(created, employee);
+      await created.save();
+      await linkTimesheets(created._id, timesheets);
+    } catch (error) {
+      exceptions.push({ employee: employee._id, employeeId: employee.employeeId, error: error.message });
+    }
+  }
+
+  // Employees who left before the period
+  for (const payslip of byEmployee.values()) {
+    await Payroll.findByIdAndDelete(payslip._id);
+    await linkTimesheets(payslip._id, []);
+  }
+
+  const payslips = await findRunPayslips(run);
+  run.summarize(payslips);
+  run.exceptions = exceptions;
+  run.reviewFlags = reviewFlags;
+  run.status = 'calculated';
+  run.calculatedAt = new Date();
+  await run.save();
+
+  return { payslips, exceptions };
+};
+
+// Re-total a run after one of its payslips has been edited or removed
+const refreshRunTotals = async (runId) => {
+  const run = await PayrollRun.findById(runId);
+  if (!run) return null;
+
+  run.summarize(await findRunPayslips(run));
+  return run.save();
+};
+
+// Approve every payslip in the run and lock the approved figures
+const approveRun = async (run, userId, comments) => {
+  const payslips = await findRunPayslips(run);
+  for (const payslip of payslips) {
+    await payslip.approve(userId, comments);
+  }
+
+  run.lockSnapshot(payslips);
+  run.approvals.push({ approver: userId, approvedDate: new Date(), comments });
+  run.status = 'approved';
+  await run.save();
+
+  return payslips;
+};
+
+// Mark every payslip in the run as paid
+const payRun = async (run, userId) => {
+  const payslips = await findRunPayslips(run);
+  for (const payslip of payslips) {
+    await payslip.markAsPaid(userId);
+  }
+
+  run.summarize(payslips);
+  run.status = 'paid';
+  run.paidBy = userId;
+  run.paidDate = new Date();
+  await run.save();
+
+  return payslips;
+};
+
+// Build a bank payment file for the run without storing it
+const previewPaymentFile = async (run, layout, options) => {
+  const payslips = await Payroll.find({ payrollRun: run._id })
+    .populate({
+      path: 'employee',
+      select: 'employeeId bankDetails user',
+      populate: { path: 'user', select: 'firstName lastName' }
+    })
+    .sort({ createdAt: 1 });
+
+  return buildPaymentFile(run, payslips, layout, options);
+};
+
+// Generate and store a bank payment file for the run. Nothing is stored while any record
+// fails validation; earlier unconfirmed files are superseded.
+const createPaymentFile = async (run, userId, layout, options) => {
+  const result = await previewPaymentFile(run, layout, options);
+  if (!result.content) return { result, file: null };
+
+  await BankPaymentFile.updateMany(
+    { payrollRun: run._id, status: 'generated' },
+    { status: 'superseded' }
+  );
+
+  const file = await BankPaymentFile.create({
+    business: run.business,
+    payrollRun: run._id,
+    layout: result.layout,
+    fileName: result.fileName,
+    contentType: result.contentType,
+    content: result.content,
+    checksum: result.checksum,
+    valueDate: result.valueDate,
+    controlTotals: result.controlTotals,
+    records: result.items,
+    excluded: result.excluded,
+    generatedBy: userId
+  });
+
+  return { result, file };
+};
+
+// Record that the bank accepted a payment file, then mark the whole run paid
+const confirmPaymentFile = async (run, file, userId, bankReference) => {
+  file.status = 'confirmed';
+  file.confirmedBy = userId;
+  file.confirmedAt = new Date();
+  if (bankReference) file.bankReference = bankReference;
+  await file.save();
+
+  return payRun(run, userId);
+};
+
+// Post a paid run to the ledger: gross pay and employer contributions as expenses, net pay
+// out of the bank (or cash), and the withholdings and contributions as liabilities
+const postRun = async (run, userId) => {
+  const systemAccounts = await ensureSystemAccounts(run.business);
+  const payslips = await findRunPayslips(run);
+  const totals = run.summarize(payslips);
+  const description = `Payroll ${run.runNumber}`;
+
+  const netPayByAccount = new Map();
+  payslips.forEach(payslip => {
+    const account = resolvePaymentAccount(
+      payslip.paymentInfo.paymentMethod === 'cash' ? 'cash' : 'bank_transfer',
+      systemAccounts
+    ).toString();
+    netPayByAccount.set(account, roundCurrency((netPayByAccount.get(account) || 0) + payslip.netPay));
+  });
+
+  const lines = [
+    { account: systemAccounts.salaries_expense._id, debit: totals.grossEarnings, description },
+    { account: systemAccounts.employer_contributions_expense._id, debit: totals.employerTotal, description },
+    { account: systemAccounts.paye_payable._id, credit: totals.paye, description },
+    { account: systemAccounts.nis_payable._id, credit: roundCurrency(totals.nis + totals.employerNis), description },
+    {
+      account: systemAccounts.education_tax_payable._id,
+      credit: roundCurrency(totals.educationTax + totals.employerEducationTax),
+      description
+    },
+    { account: systemAccounts.nht_payable._id, credit: roundCurrency(totals.nht + totals.employerNht), description },
+    { account: systemAccounts.heart_trust_payable._id, credit: totals.heartTrust, description },
+    { account: systemAccounts.pension_payable._id, credit: roundCurrency(totals.pension + totals.employerPension), description },
+    { account: systemAccounts.accrued_liabilities._id, credit: totals.otherDeductions, description: `${description} - other deductions` },
+    ...[...netPayByAccount.entries()].map(([account, amount]) => ({
+      account,
+      credit: amount,
+      description: `${description} - net pay`
+    }))
+  ].filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0);
+
+  // Payslips are rounded one by one; any cent left over goes to net pay
+  const difference = roundCurrency(
+    lines.reduce((sum, line) => sum + (line.debit || 0) - (line.credit || 0), 0)
+  );
+  const netPayLine = lines.find(line => line.description === `${description} - net pay`);
+  if (difference !== 0 && netPayLine) netPayLine.credit = roundCurrency(netPayLine.credit + difference);
+
+  const entry = await JournalEntry.create({
+    business: run.business,
+    date: run.payDate,
+    description,
+    reference: run.runNumber,
+    source: { type: 'payroll_run', document: run._id },
+    lines,
+    createdBy: userId
+  });
+
+  run.journalEntry = entry._id;
+  run.status = 'posted';
+  run.postedBy = userId;
+  run.postedDate = new Date();
+  await run.save();
+
+  return entry;
+};
+
+module.exports = {
+  periodSalary,
+  findRunPayslips,
+  calculateRun,
+  refreshRunTotals,
+  approveRun,
+  payRun,
+  previewPaymentFile,
+  createPaymentFile,
+  confirmPaymentFile,
+  postRun
+};
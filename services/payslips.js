@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Business = require('../models/Business');
+const Employee = require('../models/Employee');
+const PayslipFile = require('../models/PayslipFile');
+
+// Payrolls that may be issued as payslips
+const PAYSLIP_STATUSES = ['approved', 'paid'];
+
+const LEFT = 50;
+const RIGHT = 545;
+const AMOUNT_WIDTH = 120;
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '';
+
+// Only the last three digits of TRN and NIS numbers are printed
+const maskNumber = (value) => value ? `******${String(value).slice(-3)}` : '';
+
+const titleCase = (value) => String(value || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Section heading with a rule under it
+const heading = (doc, text) => {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).text(text, LEFT, doc.y);
+  doc.moveTo(LEFT, doc.y + 2).lineTo(RIGHT, doc.y + 2).lineWidth(0.5).stroke();
+  doc.moveDown(0.4);
+};
+
+// A label and an amount on one line
+const row = (doc, label, amount, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(label, LEFT, y, { width: RIGHT - LEFT - AMOUNT_WIDTH });
+  doc.text(formatMoney(amount), RIGHT - AMOUNT_WIDTH, y, { width: AMOUNT_WIDTH, align: 'right' });
+  doc.moveDown(0.2);
+};
+
+const earningsRows = (payroll) => {
+  const { earnings } = payroll;
+  const leave = payroll.leave || {};
+  // Basic pay is shown before leave comes off it
+  const rows = [['Basic salary', earnings.basicSalary + (leave.unpaidDeduction || 0) + (leave.advanceRecovered || 0)]];
+
+  if (leave.unpaidDeduction) {
+    rows.push([`Unpaid leave (${leave.unpaidDays} days)`, -leave.unpaidDeduction]);
+  }
+  if (leave.advanceRecovered) {
+    rows.push([`Vacation paid in advance (${leave.advanceRecoveredDays} days)`, -leave.advanceRecovered]);
+  }
+  if (earnings.vacationAdvance) {
+    rows.push([`Vacation pay in advance (${leave.advanceDays} days)`, earnings.vacationAdvance]);
+  }
+
+  if (earnings.overtime?.amount) {
+    rows.push([`Overtime (${earnings.overtime.hours} hrs @ ${formatMoney(earnings.overtime.rate)})`, earnings.overtime.amount]);
+  }
+  if (earnings.holidayPay?.amount) {
+    rows.push([`Public holiday (${earnings.holidayPay.hours} hrs @ ${formatMoney(earnings.holidayPay.rate)})`, earnings.holidayPay.amount]);
+  }
+  (earnings.allowances || []).forEach(allowance => {
+    const label = allowance.description || `${titleCase(allowance.type)} allowance`;
+    rows.push([allowance.taxable === false ? `${label} (non-taxable)` : label, allowance.amount]);
+  });
+  if (earnings.bonus) rows.push(['Bonus', earnings.bonus]);
+  if (earnings.commission) rows.push(['Commission', earnings.commission]);
+  if (earnings.backPay) rows.push(['Back pay', earnings.backPay]);
+
+  return rows;
+};
+
+const deductionRows = (payroll) => {
+  const { deductions } = payroll;
+  const rows = [
+    ['PAYE income tax', deductions.paye.amount],
+    ['National Insurance Scheme (NIS)', deductions.nis.contribution],
+    ['Education Tax', deductions.educationTax.amount],
+    ['National Housing Trust (NHT)', deductions.nht?.contribution || 0]
+  ];
+
+  if (deductions.pension.employeeContribution) {
+    rows.push(['Approved pension', deductions.pension.employeeContribution]);
+  }
+  (deductions.otherDeductions || []).forEach(deduction => {
+    rows.push([deduction.description || titleCase(deduction.type), deduction.amount]);
+  });
+
+  return rows;
+};
+
+// Render a payslip to a PDF buffer. `employee` has its user populated and `ytd` has the
+// shape returned by Payroll#getYtdTotals. With a password the file is encrypted and cannot
+// be opened without it.
+const renderPayslip = ({ payroll, business, employee, ytd, password }) => {
+  return new Promise((resolve, reject) => {
+    const options = {
+      size: 'A4',
+      margin: LEFT,
+      info: {
+        Title: `Payslip ${payroll.payrollNumber}`,
+        Author: business.name
+      }
+    };
+    if (password) {
+      Object.assign(options, {
+        pdfVersion: '1.7ext3',
+        userPassword: password,
+        ownerPassword: crypto.randomBytes(16).toString('hex'),
+        permissions: { printing: 'highResolution' }
+      });
+    }
+
+    const doc = new PDFDocument(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Business and payslip header
+    const address = business.address
+      ? [business.address.street, business.address.city, business.address.parish].filter(Boolean).join(', ')
+      : '';
+    doc.font('Helvetica-Bold').fontSize(16).text(business.name, LEFT, LEFT);
+    doc.font('Helvetica').fontSize(9);
+    if (address) doc.text(address);
+    doc.text(`TRN: ${business.trn}`);
+    const headerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('PAYSLIP', LEFT, LEFT, { width: RIGHT - LEFT, align: 'right' });
+    doc.font('Helvetica').fontSize(9).text(payroll.payrollNumber || '', { width: RIGHT - LEFT, align: 'right' });
+    doc.text(
+      `Period: ${formatDate(payroll.payPeriod.startDate)} - ${formatDate(payroll.payPeriod.endDate)}`,
+      { width: RIGHT - LEFT, align: 'right' }
+    );
+    doc.text(`Pay date: ${formatDate(payroll.paymentInfo.payDate)}`, { width: RIGHT - LEFT, align: 'right' });
+    doc.y = Math.max(doc.y, headerBottom);
+
+    // Employee
+    const user = employee.user || {};
+    heading(doc, 'Employee');
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`${user.firstName || ''} ${user.lastName || ''}`.trim() || employee.employeeId);
+    doc.text(`Employee ID: ${employee.employeeId}`);
+    if (employee.employment) {
+      doc.text(`${employee.employment.position} - ${employee.employment.department}`);
+    }
+    doc.text(`TRN: ${maskNumber(employee.taxInfo?.trn)}    NIS: ${maskNumber(employee.taxInfo?.nis)}`);
+
+    heading(doc, 'Earnings');
+    earningsRows(payroll).forEach(([label, amount]) => row(doc, label, amount));
+    row(doc, 'Gross earnings', payroll.earnings.grossEarnings, { bold: true });
+
+    heading(doc, 'Deductions');
+    deductionRows(payroll).forEach(([label, amount]) => row(doc, label, amount));
+    row(doc, 'Total deductions', payroll.deductions.totalDeductions, { bold: true });
+
+    doc.moveDown(0.6);
+    row(doc, 'NET PAY', payroll.netPay, { bold: true });
+
+    const employer = payroll.employerContributions || {};
+    if (employer.total) {
+      heading(doc, 'Employer contributions');
+      row(doc, 'NIS', employer.nis);
+      row(doc, 'Education Tax', employer.educationTax);
+      row(doc, 'NHT', employer.nht);
+      row(doc, 'HEART Trust/NTA', employer.heartTrust);
+      if (employer.pension) row(doc, 'Pension', employer.pension);
+    }
+
+    if (ytd) {
+      heading(doc, `Year to date (${ytd.taxYear})`);
+      row(doc, 'Gross earnings', ytd.grossEarnings);
+      row(doc, 'Taxable income', ytd.taxableIncome);
+      row(doc, 'PAYE', ytd.paye);
+      row(doc, 'NIS', ytd.nis);
+      row(doc, 'Education Tax', ytd.educationTax);
+      row(doc, 'NHT', ytd.nht);
+      row(doc, 'Pension', ytd.pension);
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      `Generated ${formatDate(new Date())}. This payslip is confidential to the employee named above.`,
+      LEFT,
+      doc.y,
+      { width: RIGHT - LEFT, align: 'center' }
+    );
+
+    doc.end();
+  });
+};
+
+// Render a payroll's payslip and store it, replacing any earlier file. The file is protected
+// with `password`, or with the employee's TRN when `protectWithTrn` is set.
+const generatePayslip = async (payroll, userId, { password, protectWithTrn } = {}) => {
+  const business = await Business.findById(payroll.populated('business') || payroll.business);
+  const employee = await Employee.findById(payroll.populated('employee') || payroll.employee)
+    .populate('user', 'firstName lastName');
+  const ytd = await payroll.getYtdTotals();
+
+  const filePassword = password || (protectWithTrn ? employee.taxInfo.trn : undefined);
+  const data = await renderPayslip({ payroll, business, employee, ytd, password: filePassword });
+  const period = new Date(payroll.payPeriod.endDate).toISOString().slice(0, 10);
+
+  return PayslipFile.findOneAndUpdate(
+    { payroll: payroll._id },
+    {
+      business: business._id,
+      employee: employee._id,
+      fileName: `payslip-${employee.employeeId}-${period}.pdf`,
+      contentType: 'application/pdf',
+      size: data.length,
+      data,
+      passwordProtected: Boolean(filePassword),
+      generatedBy: userId,
+      generatedAt: new Date(),
+      downloadCount: 0,
+      lastDownloadedAt: null
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// The stored file with its contents, counting the download
+const downloadPayslip = async (payrollId) => {
+  return PayslipFile.findOneAndUpdate(
+    { payroll: payrollId },
+    { $inc: { downloadCount: 1 }, lastDownloadedAt: new Date() },
+    { new: true }
+  ).select('+data');
+};
+
+module.exports = {
+  PAYSLIP_STATUSES,
+  renderPayslip,
+  generatePayslip,
+  downloadPayslip
+};
@@ -0,0 +1,451 @@
+const { roundCurrency } = require('./ledger');
+
+// Built-in CSV column mappings for the export formats of local banks.
+// A business can save its own profile if its bank's layout differs.
+const BANK_PROFILES = {
+  ncb: {
+    name: 'NCB Online Banking',
+    bankName: 'National Commercial Bank Jamaica',
+    delimiter: ',',
+    hasHeaderRow: true,
+    skipRows: 0,
+    dateFormat: 'DD/MM/YYYY',
+    columns: {
+      date: 'Transaction Date',
+      description: 'Description',
+      reference: 'Reference',
+      debit: 'Debit',
+      credit: 'Credit',
+      balance: 'Balance'
+    },
+    amountSign: 'credit_positive'
+  },
+  scotiabank_jm: {
+    name: 'Scotiabank Jamaica',
+    bankName: 'The Bank of Nova Scotia Jamaica',
+    delimiter: ',',
+    hasHeaderRow: true,
+    skipRows: 0,
+    dateFormat: 'DD-MMM-YYYY',
+    columns: {
+      date: 'Date',
+      description: 'Description',
+      reference: 'Reference Number',
+      debit: 'Withdrawals',
+      credit: 'Deposits',
+      balance: 'Balance'
+    },
+    amountSign: 'credit_positive'
+  },
+  jn_bank: {
+    name: 'JN Bank',
+    bankName: 'JN Bank',
+    delimiter: ',',
+    hasHeaderRow: true,
+    skipRows: 0,
+    dateFormat: 'DD/MM/YYYY',
+    columns: {
+      date: 'Date',
+      description: 'Narrative',
+      reference: 'Cheque/Ref No',
+      debit: 'Debit',
+      credit: 'Credit',
+      balance: 'Running Balance'
+    },
+    amountSign: 'credit_positive'
+  },
+  generic: {
+    name: 'Generic CSV',
+    delimiter: ',',
+    hasHeaderRow: true,
+    skipRows: 0,
+    dateFormat: 'YYYY-MM-DD',
+    columns: {
+      date: 'Date',
+      description: 'Description',
+      reference: 'Reference',
+      counterparty: 'Payee',
+      amount: 'Amount',
+      balance: 'Balance'
+    },
+    amountSign: 'credit_positive'
+  }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;|&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Parse a date string in one of the profile date formats into a local date
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let day;
+  let month;
+  let year;
+
+  if (format === 'YYYYMMDD') {
+    const match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    [year, month, day] = [parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])];
+  } else {
+    // A T splits off a time only when digits follow, so month names like OCT survive
+    const parts = text.split(/[/\-\s.]+|T(?=\d)/);
+    format.split(/[/\-.]/).forEach((token, index) => {
+      const part = parts[index] || '';
+      if (token === 'DD') day = parseInt(part);
+      if (token === 'MM') month = parseInt(part) - 1;
+      if (token === 'MMM') month = MONTHS.indexOf(part.slice(0, 3).toLowerCase());
+      if (token === 'YYYY') year = parseInt(part);
+      if (token === 'YY') year = 2000 + parseInt(part);
+    });
+  }
+
+  if ([day, month, year].some(part => part === undefined || isNaN(part)) || month < 0 || month > 11) {
+    return null;
+  }
+
+  const date = new Date(year, month, day);
+  return date.getDate() === day ? date : null;
+};
+
+// Parse an amount such as "1,250.00", "(500.00)", "-75" or "300.00 DR"
+const parseAmount = (value) => {
+  let text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  const suffix = text.match(/\s*(DR|CR)$/i);
+  if (suffix) {
+    negative = suffix[1].toUpperCase() === 'DR';
+    text = text.slice(0, suffix.index);
+  }
+
+  text = text.replace(/[^0-9.-]/g, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return roundCurrency(negative ? -amount : amount);
+};
+
+// Split CSV text into rows of fields, honouring quoted fields
+const parseCsvRows = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+};
+
+// Work out opening and closing balances and the date range from parsed entries
+const summarizeEntries = (entries) => {
+  const dates = entries.map(entry => entry.date.getTime());
+  const withBalance = entries.filter(entry => entry.balance !== undefined && entry.balance !== null);
+  const summary = {
+    startDate: dates.length ? new Date(Math.min(...dates)) : undefined,
+    endDate: dates.length ? new Date(Math.max(...dates)) : undefined
+  };
+
+  if (withBalance.length > 0) {
+    const first = withBalance[0];
+    summary.openingBalance = roundCurrency(first.balance - first.amount);
+    summary.closingBalance = withBalance[withBalance.length - 1].balance;
+  }
+
+  return summary;
+};
+
+const parseCsvStatement = (text, profile) => {
+  const rows = parseCsvRows(text, profile.delimiter || ',').slice(profile.skipRows || 0);
+  if (rows.length === 0) throw new Error('The statement file is empty');
+
+  const header = profile.hasHeaderRow ? rows.shift().map(name => name.toLowerCase()) : [];
+  const columnIndex = (key) => {
+    const column = profile.columns[key];
+    if (column === undefined || column === null || column === '') return -1;
+    if (/^\d+$/.test(String(column))) return parseInt(column);
+
+    const index = header.indexOf(String(column).toLowerCase());
+    if (index === -1) throw new Error(`Column "${column}" was not found in the statement header`);
+    return index;
+  };
+
+  const columns = {};
+  ['date', 'description', 'reference', 'counterparty', 'amount', 'debit', 'credit', 'balance'].forEach(key => {
+    columns[key] = columnIndex(key);
+  });
+
+  const value = (row, key) => (columns[key] === -1 ? undefined : row[columns[key]]);
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1 + (profile.skipRows || 0) + (profile.hasHeaderRow ? 1 : 0);
+
+    const date = parseDate(value(row, 'date'), profile.dateFormat);
+    if (!date) throw new Error(`Row ${rowNumber}: invalid date "${value(row, 'date') || ''}"`);
+
+    let amount;
+    if (columns.amount !== -1) {
+      amount = parseAmount(value(row, 'amount'));
+      if (amount !== null && profile.amountSign === 'debit_positive') amount = -amount;
+    } else {
+      const credit = Math.abs(parseAmount(value(row, 'credit')) || 0);
+      const debit = Math.abs(parseAmount(value(row, 'debit')) || 0);
+      amount = roundCurrency(credit - debit);
+    }
+    if (amount === null) throw new Error(`Row ${rowNumber}: invalid amount`);
+    if (amount === 0) return;
+
+    const balance = columns.balance === -1 ? undefined : parseAmount(value(row, 'balance'));
+
+    entries.push({
+      date,
+      amount,
+      description: value(row, 'description') || '',
+      reference: value(row, 'reference') || undefined,
+      counterparty: value(row, 'counterparty') || undefined,
+      balance: balance === null ? undefined : balance
+    });
+  });
+
+  // Exports listing the newest line first are put back into date order
+  if (entries.length > 1 && entries[0].date > entries[entries.length - 1].date) {
+    entries.reverse();
+  }
+
+  return {
+    format: 'csv',
+    entries,
+    ...summarizeEntries(entries)
+  };
+};
+
+// OFX 1.x is SGML where closing tags are optional, so fields are read up to the next tag
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match && match[1].trim() !== '' ? decodeEntities(match[1].trim()) : undefined;
+};
+
+const parseOfxStatement = (text) => {
+  const blocks = [...text.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi)].map(match => match[1]);
+  if (blocks.length === 0 && !/<BANKTRANLIST>/i.test(text)) {
+    throw new Error('No statement transactions found in the OFX file');
+  }
+
+  const entries = blocks.map((block, index) => {
+    const date = parseDate(ofxValue(block, 'DTPOSTED'), 'YYYYMMDD');
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+    if (!date || amount === null) throw new Error(`Transaction ${index + 1}: invalid date or amount`);
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return {
+      date,
+      valueDate: parseDate(ofxValue(block, 'DTUSER'), 'YYYYMMDD') || undefined,
+      amount,
+      description: memo || name || ofxValue(block, 'TRNTYPE') || '',
+      reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM'),
+      counterparty: name,
+      externalId: ofxValue(block, 'FITID')
+    };
+  }).filter(entry => entry.amount !== 0);
+
+  const ledgerBalance = text.match(/<LEDGERBAL>([\s\S]*?)(?:<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>|<\/CCSTMTRS>)/i);
+  const closingBalance = ledgerBalance ? parseAmount(ofxValue(ledgerBalance[1], 'BALAMT')) : null;
+  const summary = summarizeEntries(entries);
+
+  return {
+    format: 'ofx',
+    accountNumber: ofxValue(text, 'ACCTID'),
+    currency: ofxValue(text, 'CURDEF'),
+    entries,
+    startDate: parseDate(ofxValue(text, 'DTSTART'), 'YYYYMMDD') || summary.startDate,
+    endDate: parseDate(ofxValue(text, 'DTEND'), 'YYYYMMDD') || summary.endDate,
+    closingBalance: closingBalance === null ? undefined : closingBalance,
+    openingBalance: closingBalance === null
+      ? undefined
+      : roundCurrency(entries.reduce((balance, entry) => balance - entry.amount, closingBalance))
+  };
+};
+
+// Minimal XML helpers for CAMT.053; namespace prefixes are stripped before use.
+// xmlBlocks returns the contents of each outermost <tag>, allowing the same tag to nest (<Id><Othr><Id>)
+const xmlBlocks = (xml, tag) => {
+  const blocks = [];
+  let depth = 0;
+  let start;
+
+  for (const match of xml.matchAll(new RegExp(`<(/?)${tag}(?:\\s[^>]*)?>`, 'g'))) {
+    if (!match[1]) {
+      if (depth === 0) start = match.index + match[0].length;
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+      if (depth === 0) blocks.push(xml.slice(start, match.index));
+    }
+  }
+
+  return blocks;
+};
+
+const xmlValue = (xml, path) => {
+  const value = path.split('/').reduce((scope, tag) => (scope === undefined ? undefined : xmlBlocks(scope, tag)[0]), xml);
+  return value === undefined || /</.test(value) ? undefined : decodeEntities(value.trim());
+};
+
+// Dates are either <Dt> or <DtTm>, or a date-time element itself as in <FrToDt>
+const camtDate = (xml, path) => {
+  const value = xmlValue(xml, `${path}/Dt`) || xmlValue(xml, `${path}/DtTm`) || xmlValue(xml, path);
+  return value ? parseDate(value.slice(0, 10), 'YYYY-MM-DD') : null;
+};
+
+// Signed amount of a CAMT element holding <Amt> and <CdtDbtInd>
+const camtAmount = (xml) => {
+  const amount = parseAmount(xmlValue(xml, 'Amt'));
+  if (amount === null) return null;
+  return xmlValue(xml, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+};
+
+const parseCamtStatement = (text) => {
+  const xml = text.replace(/<(\/?)[\w.-]+:/g, '<$1');
+  const statements = xmlBlocks(xml, 'Stmt');
+  if (statements.length === 0) throw new Error('No <Stmt> element found in the CAMT.053 file');
+
+  const balances = {};
+  const entries = [];
+
+  statements.forEach(statement => {
+    xmlBlocks(statement, 'Bal').forEach(balance => {
+      const code = xmlValue(balance, 'Tp/CdOrPrtry/Cd');
+      if (code === 'OPBD' && balances.opening === undefined) balances.opening = camtAmount(balance);
+      if (code === 'CLBD') balances.closing = camtAmount(balance);
+    });
+
+    xmlBlocks(statement, 'Ntry').forEach((entry, index) => {
+      const status = xmlBlocks(entry, 'Sts')[0] || '';
+      if (/PDNG|INFO/.test(status)) return;
+
+      const date = camtDate(entry, 'BookgDt');
+      const amount = camtAmount(entry);
+      if (!date || amount === null) throw new Error(`Entry ${index + 1}: invalid booking date or amount`);
+
+      // The counterparty is the debtor of money in and the creditor of money out
+      const parties = xmlBlocks(entry, 'RltdPties')[0] || '';
+      const party = xmlBlocks(parties, amount > 0 ? 'Dbtr' : 'Cdtr')[0] || '';
+      const counterparty = xmlValue(party, 'Nm') || xmlValue(party, 'Pty/Nm');
+
+      const endToEndId = xmlValue(entry, 'NtryDtls/TxDtls/Refs/EndToEndId');
+      const remittance = xmlBlocks(xmlBlocks(entry, 'RmtInf')[0] || '', 'Ustrd').map(line => decodeEntities(line.trim()));
+
+      entries.push({
+        date,
+        valueDate: camtDate(entry, 'ValDt') || undefined,
+        amount,
+        description: remittance.join(' ') ||
+                     xmlValue(entry, 'AddtlNtryInf') ||
+                     xmlValue(entry, 'NtryDtls/TxDtls/AddtlTxInf') ||
+                     counterparty || '',
+        reference: xmlValue(entry, 'NtryRef') || (endToEndId !== 'NOTPROVIDED' ? endToEndId : undefined),
+        counterparty,
+        externalId: xmlValue(entry, 'AcctSvcrRef')
+      });
+    });
+  });
+
+  const first = statements[0];
+  const currencyMatch = first.match(/<Acct>[\s\S]*?<Ccy>([A-Z]{3})<\/Ccy>/) || first.match(/<Amt[^>]*Ccy="([A-Z]{3})"/);
+  const summary = summarizeEntries(entries);
+
+  return {
+    format: 'camt053',
+    accountNumber: xmlValue(first, 'Acct/Id/IBAN') || xmlValue(first, 'Acct/Id/Othr/Id'),
+    currency: currencyMatch ? currencyMatch[1] : undefined,
+    entries,
+    startDate: camtDate(first, 'FrToDt/FrDtTm') || summary.startDate,
+    endDate: camtDate(statements[statements.length - 1], 'FrToDt/ToDtTm') || summary.endDate,
+    openingBalance: balances.opening === null ? undefined : balances.opening,
+    closingBalance: balances.closing === null ? undefined : balances.closing
+  };
+};
+
+// Guess the statement format from the file name and contents
+const detectFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (['ofx', 'qfx'].includes(extension) || /<OFX>/i.test(text)) return 'ofx';
+  if (/camt\.053|<(\w+:)?BkToCstmrStmt/.test(text)) return 'camt053';
+  if (['csv', 'txt'].includes(extension)) return 'csv';
+  return null;
+};
+
+// Parse an uploaded statement into a common shape:
+// { format, accountNumber, currency, startDate, endDate, openingBalance, closingBalance, entries }
+const parseStatement = (buffer, { fileName, format, profile } = {}) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const statementFormat = format || detectFormat(fileName, text);
+
+  if (statementFormat === 'ofx') return parseOfxStatement(text);
+  if (statementFormat === 'camt053') return parseCamtStatement(text);
+  if (statementFormat === 'csv') {
+    if (!profile) throw new Error('A column-mapping profile is required for CSV statements');
+    return parseCsvStatement(text, profile);
+  }
+
+  throw new Error('Unrecognised statement format; upload a CSV, OFX/QFX or CAMT.053 file');
+};
+
+module.exports = {
+  BANK_PROFILES,
+  parseDate,
+  parseAmount,
+  detectFormat,
+  parseStatement
+};
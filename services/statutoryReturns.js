@@ -0,0 +1,274 @@
+const Payroll = require('../models/Payroll');
+const StatutoryReturn = require('../models/StatutoryReturn');
+const { roundCurrency } = require('./ledger');
+const { endOfDay } = require('./fiscalCalendar');
+
+// Amounts reported per employee on the SO1 and SO2, in return order
+const AMOUNT_FIELDS = [
+  'grossEmoluments',
+  'taxableEmoluments',
+  'paye',
+  'nisEmployee',
+  'nisEmployer',
+  'nhtEmployee',
+  'nhtEmployer',
+  'educationTaxEmployee',
+  'educationTaxEmployer',
+  'heartTrust',
+  'pension'
+];
+
+const emptyAmounts = () => AMOUNT_FIELDS.reduce((amounts, key) => {
+  amounts[key] = 0;
+  return amounts;
+}, {});
+
+// What one payslip contributes to the returns
+const payslipAmounts = (payroll) => ({
+  grossEmoluments: payroll.earnings.grossEarnings,
+  taxableEmoluments: payroll.deductions.paye.statutoryIncome,
+  paye: payroll.deductions.paye.amount,
+  nisEmployee: payroll.deductions.nis.contribution,
+  nisEmployer: payroll.employerContributions?.nis || 0,
+  nhtEmployee: payroll.deductions.nht?.contribution || 0,
+  nhtEmployer: payroll.employerContributions?.nht || 0,
+  educationTaxEmployee: payroll.deductions.educationTax.amount,
+  educationTaxEmployer: payroll.employerContributions?.educationTax || 0,
+  heartTrust: payroll.employerContributions?.heartTrust || 0,
+  pension: payroll.deductions.pension.employeeContribution
+});
+
+const addAmounts = (target, amounts) => {
+  AMOUNT_FIELDS.forEach(key => {
+    target[key] = roundCurrency(target[key] + (amounts[key] || 0));
+  });
+};
+
+const validNumber = (value) => /^\d{9}$/.test(value || '');
+
+// Approved and paid payslips with a pay date in the period, one row per employee
+const collectEmployees = async (business, startDate, endDate, warnings) => {
+  const payrolls = await Payroll.find({
+    business: business._id,
+    'paymentInfo.payDate': { $gte: startDate, $lte: endDate },
+    status: { $in: ['approved', 'paid'] }
+  })
+    .populate({
+      path: 'employee',
+      select: 'employeeId taxInfo employment user',
+      populate: { path: 'user', select: 'firstName lastName' }
+    })
+    .sort({ 'paymentInfo.payDate': 1 });
+
+  const pending = await Payroll.countDocuments({
+    business: business._id,
+    'paymentInfo.payDate': { $gte: startDate, $lte: endDate },
+    status: { $in: ['draft', 'calculated'] }
+  });
+  if (pending > 0) {
+    warnings.push(`${pending} payroll(s) in the period are not approved and are left out`);
+  }
+
+  const rows = new Map();
+  payrolls.forEach(payroll => {
+    const employee = payroll.employee;
+    if (!employee) {
+      warnings.push(`Payroll ${payroll.payrollNumber} has no employee record and is left out`);
+      return;
+    }
+    const key = employee._id.toString();
+
+    if (!rows.has(key)) {
+      if (!validNumber(employee.taxInfo?.trn)) warnings.push(`Employee ${employee.employeeId} has no valid TRN`);
+      if (!validNumber(employee.taxInfo?.nis)) warnings.push(`Employee ${employee.employeeId} has no valid NIS number`);
+
+      rows.set(key, {
+        employee: employee._id,
+        employeeId: employee.employeeId,
+        trn: employee.taxInfo?.trn,
+        nis: employee.taxInfo?.nis,
+        firstName: employee.user?.firstName,
+        lastName: employee.user?.lastName,
+        startDate: employee.employment?.startDate,
+        endDate: employee.employment?.endDate,
+        ...emptyAmounts()
+      });
+    }
+
+    addAmounts(rows.get(key), payslipAmounts(payroll));
+  });
+
+  return [...rows.values()];
+};
+
+const employerDetails = (business, warnings) => {
+  if (!validNumber(business.trn)) warnings.push('Business has no valid TRN');
+  if (!validNumber(business.nis)) warnings.push('Business has no employer NIS number');
+
+  return { name: business.name, trn: business.trn, nis: business.nis };
+};
+
+const totalsOf = (employees) => {
+  const totals = emptyAmounts();
+  employees.forEach(row => addAmounts(totals, row));
+  return totals;
+};
+
+// SO1: the month's PAYE, NIS, NHT, Education Tax and HEART remittance, due on the 14th of
+// the following month
+const generateSO1 = async (business, year, month) => {
+  const warnings = [];
+  const startDate = new Date(year, month - 1, 1);
+  const endDate = endOfDay(new Date(year, month, 0));
+
+  const employer = employerDetails(business, warnings);
+  const employees = await collectEmployees(business, startDate, endDate, warnings);
+
+  return {
+    business: business._id,
+    form: 'SO1',
+    period: { year, month, startDate, endDate },
+    dueDate: new Date(year, month, 14),
+    employer,
+    employees,
+    employeeCount: employees.length,
+    totals: totalsOf(employees),
+    warnings
+  };
+};
+
+// SO2: each employee's emoluments and deductions for the year, reconciled with the SO1s
+// filed for it. Due on 31 March of the following year.
+const generateSO2 = async (business, year) => {
+  const warnings = [];
+  const startDate = new Date(year, 0, 1);
+  const endDate = endOfDay(new Date(year, 11, 31));
+
+  const employer = employerDetails(business, warnings);
+  const employees = await collectEmployees(business, startDate, endDate, warnings);
+  const totals = totalsOf(employees);
+
+  const filings = await StatutoryReturn.find({
+    business: business._id,
+    form: 'SO1',
+    'period.year': year,
+    status: 'filed'
+  });
+
+  const filedMonthly = emptyAmounts();
+  filings.forEach(filing => addAmounts(filedMonthly, filing.totals));
+
+  const filedMonths = new Set(filings.map(filing => filing.period.month));
+  const paidMonths = await Payroll.distinct('paymentInfo.payDate', {
+    business: business._id,
+    'paymentInfo.payDate': { $gte: startDate, $lte: endDate },
+    status: { $in: ['approved', 'paid'] }
+  });
+  [...new Set(paidMonths.map(date => new Date(date).getMonth() + 1))]
+    .filter(month => !filedMonths.has(month))
+    .sort((a, b) => a - b)
+    .forEach(month => warnings.push(`No SO1 has been filed for ${year}-${String(month).padStart(2, '0')}`));
+
+  const reconciliation = AMOUNT_FIELDS.map(field => ({
+    field,
+    annual: totals[field],
+    filedMonthly: filedMonthly[field],
+    difference: roundCurrency(totals[field] - filedMonthly[field])
+  }));
+
+  return {
+    business: business._id,
+    form: 'SO2',
+    period: { year, startDate, endDate },
+    dueDate: new Date(year + 1, 2, 31),
+    employer,
+    employees,
+    employeeCount: employees.length,
+    totals,
+    reconciliation,
+    warnings
+  };
+};
+
+// Store a generated return as filed; an earlier filing for the same period is superseded
+const fileReturn = async (generated, userId, { submittedAt, submissionReference } = {}) => {
+  const query = {
+    business: generated.business,
+    form: generated.form,
+    'period.year': generated.period.year,
+    status: 'filed'
+  };
+  if (generated.period.month) query['period.month'] = generated.period.month;
+
+  const previous = await StatutoryReturn.updateMany(query, { status: 'superseded' });
+
+  return StatutoryReturn.create({
+    ...generated,
+    isAmendment: previous.modifiedCount > 0,
+    submittedAt: submittedAt || new Date(),
+    submissionReference,
+    filedBy: userId
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : '';
+
+const money = (value) => (value || 0).toFixed(2);
+
+// Employee rows in the column order of the TAJ employer upload templates. The employer's
+// TRN and the period are entered on the portal, not in the file.
+const so1ToCsv = (so1) => {
+  const rows = [
+    ['Employee TRN', 'Employee NIS', 'Last Name', 'First Name', 'Gross Emoluments',
+      'NIS Employee', 'NIS Employer', 'NHT Employee', 'NHT Employer',
+      'Education Tax Employee', 'Education Tax Employer', 'HEART Employer', 'PAYE Income Tax'],
+    ...so1.employees.map(row => [
+      row.trn, row.nis, row.lastName, row.firstName, money(row.grossEmoluments),
+      money(row.nisEmployee), money(row.nisEmployer), money(row.nhtEmployee), money(row.nhtEmployer),
+      money(row.educationTaxEmployee), money(row.educationTaxEmployer), money(row.heartTrust), money(row.paye)
+    ])
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+const so2ToCsv = (so2) => {
+  const rows = [
+    ['Employee TRN', 'Employee NIS', 'Last Name', 'First Name', 'Start Date', 'End Date',
+      'Gross Emoluments', 'Approved Pension', 'Taxable Emoluments', 'PAYE Income Tax',
+      'NIS Employee', 'NIS Employer', 'NHT Employee', 'NHT Employer',
+      'Education Tax Employee', 'Education Tax Employer', 'HEART Employer'],
+    ...so2.employees.map(row => [
+      row.trn, row.nis, row.lastName, row.firstName, formatDate(row.startDate), formatDate(row.endDate),
+      money(row.grossEmoluments), money(row.pension), money(row.taxableEmoluments), money(row.paye),
+      money(row.nisEmployee), money(row.nisEmployer), money(row.nhtEmployee), money(row.nhtEmployer),
+      money(row.educationTaxEmployee), money(row.educationTaxEmployer), money(row.heartTrust)
+    ])
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+const statutoryReturnToCsv = (statutoryReturn) => {
+  return statutoryReturn.form === 'SO2' ? so2ToCsv(statutoryReturn) : so1ToCsv(statutoryReturn);
+};
+
+const csvFileName = (statutoryReturn) => {
+  const { year, month } = statutoryReturn.period;
+  const period = month ? `${year}-${String(month).padStart(2, '0')}` : `${year}`;
+  return `${statutoryReturn.form.toLowerCase()}-${statutoryReturn.employer.trn}-${period}.csv`;
+};
+
+module.exports = {
+  AMOUNT_FIELDS,
+  generateSO1,
+  generateSO2,
+  fileReturn,
+  statutoryReturnToCsv,
+  csvFileName
+};
@@ -0,0 +1,181 @@
+const TaxRateSet = require('../models/TaxRateSet');
+
+// Jamaica Tax Constants for 2024. Payroll rates are maintained as effective-dated
+// TaxRateSet records; these are only used for dates no rate set covers.
+const JAMAICA_TAX_RATES = {
+  PAYE: {
+    PERSONAL_ALLOWANCE: 1500000, // JMD 1.5M
+    // Applied to income above the personal allowance: 25% up to JMD 6M of income, 30% above
+    BRACKETS: [
+      { min: 0, max: 4500000, rate: 0.25 },
+      { min: 4500000, max: Infinity, rate: 0.30 }
+    ]
+  },
+  NIS: {
+    RATE: 0.03, // 3%
+    EMPLOYER_RATE: 0.03, // 3%
+    MAX_ANNUAL_INCOME: 1000000 // JMD 1M
+  },
+  EDUCATION_TAX: {
+    RATE: 0.025, // 2.5%
+    EMPLOYER_RATE: 0.035, // 3.5%
+    THRESHOLD: 500000 // JMD 500k
+  },
+  NHT: {
+    RATE: 0.02, // 2%
+    EMPLOYER_RATE: 0.03 // 3%
+  },
+  HEART_TRUST: {
+    EMPLOYER_RATE: 0.03 // 3%, paid by the employer only
+  },
+  GCT: {
+    STANDARD_RATE: 0.15, // 15%
+    EXEMPT_CATEGORIES: ['education', 'healthcare', 'agriculture'],
+    // Taxable at 0%: no output tax is charged but input tax can still be claimed
+    ZERO_RATED_CATEGORIES: ['export', 'basic_food'],
+    // Rates per tax code with their history; an entry applies from its effectiveFrom date
+    // (null for the earliest known rate) until the next entry takes over
+    TAX_CODES: {
+      standard: {
+        name: 'Standard rate',
+        history: [{ effectiveFrom: null, rate: 0.15 }]
+      },
+      tourism: {
+        name: 'Tourism activities',
+        history: [{ effectiveFrom: null, rate: 0.10 }]
+      },
+      telecom: {
+        name: 'Telephone services and calling cards',
+        history: [{ effectiveFrom: null, rate: 0.25 }]
+      },
+      zero_rated: {
+        name: 'Zero rated',
+        history: [{ effectiveFrom: null, rate: 0 }]
+      },
+      exempt: {
+        name: 'Exempt',
+        exempt: true,
+        history: [{ effectiveFrom: null, rate: 0 }]
+      }
+    }
+  }
+};
+
+const GCT_TAX_CODES = Object.keys(JAMAICA_TAX_RATES.GCT.TAX_CODES);
+
+// GCT rate for a tax code on a date, taken from the code's rate history
+const gctRateFor = (taxCode, date = new Date()) => {
+  const code = JAMAICA_TAX_RATES.GCT.TAX_CODES[taxCode];
+  if (!code) throw new Error(`Unknown GCT tax code ${taxCode}`);
+
+  const when = new Date(date);
+  const applicable = code.history
+    .filter(entry => !entry.effectiveFrom || new Date(entry.effectiveFrom) <= when)
+    .sort((a, b) => new Date(b.effectiveFrom || 0) - new Date(a.effectiveFrom || 0));
+
+  return applicable.length > 0 ? applicable[0].rate : code.history[0].rate;
+};
+
+// Tax code for a line that does not name one: untaxed lines and exempt or zero rated
+// categories get their own codes, everything else the standard rate
+const defaultGctTaxCode = ({ isTaxable, category } = {}) => {
+  const key = (category || '').toLowerCase();
+  if (isTaxable === false || JAMAICA_TAX_RATES.GCT.EXEMPT_CATEGORIES.includes(key)) return 'exempt';
+  if (JAMAICA_TAX_RATES.GCT.ZERO_RATED_CATEGORIES.includes(key)) return 'zero_rated';
+  return 'standard';
+};
+
+// Split an amount into net and GCT; inclusive amounts already contain the tax
+const splitGct = (amount, rate, inclusive) => {
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  if (inclusive) {
+    const gct = round(amount * rate / (1 + rate));
+    return { net: round(amount - gct), gct, gross: round(amount) };
+  }
+
+  const gct = round(amount * rate);
+  return { net: round(amount), gct, gross: round(amount + gct) };
+};
+
+// Payroll rates in the shape stored on a TaxRateSet, built from the constants above
+const defaultPayrollRates = () => ({
+  rateSet: null,
+  name: 'Built-in rates',
+  effectiveFrom: null,
+  effectiveTo: null,
+  paye: {
+    personalAllowance: JAMAICA_TAX_RATES.PAYE.PERSONAL_ALLOWANCE,
+    brackets: JAMAICA_TAX_RATES.PAYE.BRACKETS.map(bracket => ({ ...bracket }))
+  },
+  nis: {
+    employeeRate: JAMAICA_TAX_RATES.NIS.RATE,
+    employerRate: JAMAICA_TAX_RATES.NIS.EMPLOYER_RATE,
+    maxAnnualIncome: JAMAICA_TAX_RATES.NIS.MAX_ANNUAL_INCOME
+  },
+  educationTax: {
+    employeeRate: JAMAICA_TAX_RATES.EDUCATION_TAX.RATE,
+    employerRate: JAMAICA_TAX_RATES.EDUCATION_TAX.EMPLOYER_RATE,
+    threshold: JAMAICA_TAX_RATES.EDUCATION_TAX.THRESHOLD
+  },
+  nht: {
+    employeeRate: JAMAICA_TAX_RATES.NHT.RATE,
+    employerRate: JAMAICA_TAX_RATES.NHT.EMPLOYER_RATE
+  },
+  heartTrust: {
+    employerRate: JAMAICA_TAX_RATES.HEART_TRUST.EMPLOYER_RATE
+  }
+});
+
+// Payroll tax rates in force on a date: the TaxRateSet covering it, or the built-in
+// rates when none does. The top PAYE bracket is open-ended (max Infinity).
+const getPayrollTaxRates = async (date = new Date()) => {
+  const rateSet = await TaxRateSet.findForDate(date);
+  if (!rateSet) return defaultPayrollRates();
+
+  const { nis, educationTax, nht, heartTrust } = rateSet.toObject();
+  return {
+    rateSet: rateSet._id,
+    name: rateSet.name,
+    effectiveFrom: rateSet.effectiveFrom,
+    effectiveTo: rateSet.effectiveTo,
+    paye: {
+      personalAllowance: rateSet.paye.personalAllowance,
+      brackets: rateSet.paye.brackets.map(({ min, max, rate }) => ({
+        min,
+        max: max === null || max === undefined ? Infinity : max,
+        rate
+      }))
+    },
+    nis,
+    educationTax,
+    nht,
+    heartTrust
+  };
+};
+
+// Annual PAYE on income above the personal allowance, bracket by bracket
+const calculateAnnualPaye = (taxableIncome, brackets) => {
+  let tax = 0;
+  const breakdown = [];
+
+  for (const bracket of brackets) {
+    if (taxableIncome > bracket.min) {
+      const taxableAtBracket = Math.min(taxableIncome, bracket.max) - bracket.min;
+      const taxAtBracket = taxableAtBracket * bracket.rate;
+      tax += taxAtBracket;
+      breakdown.push({ bracket, taxableAmount: taxableAtBracket, tax: taxAtBracket });
+    }
+  }
+
+  return { tax, breakdown };
+};
+
+module.exports = {
+  JAMAICA_TAX_RATES,
+  getPayrollTaxRates,
+  calculateAnnualPaye,
+  GCT_TAX_CODES,
+  gctRateFor,
+  defaultGctTaxCode,
+  splitGct
+};
@@ -0,0 +1,94 @@
+const Timesheet = require('../models/Timesheet');
+const { roundCurrency } = require('./ledger');
+const { endOfDay } = require('./fiscalCalendar');
+
+// Pay for one hour: the quoted rate for hourly staff, otherwise the annual salary spread over
+// the scheduled hours
+const hourlyRate = (employee) => {
+  const { amount, frequency } = employee.compensation.baseSalary;
+  if (frequency === 'hourly') return amount;
+
+  const hoursPerYear = (employee.employment.workSchedule?.hoursPerWeek || 40) * 52;
+  return roundCurrency(employee.calculateAnnualGrossSalary() / hoursPerYear);
+};
+
+// Payslip earnings and work record from a period's approved hours. Salaried staff keep their
+// basic salary; hourly staff are paid for the regular and paid leave hours on their
+// timesheets. Overtime is paid only to employees eligible for it. Public holiday hours are
+// paid at the full holiday rate to hourly staff, while salaried staff, whose salary already
+// pays for the day, get only the premium above their ordinary rate.
+const timesheetEarnings = (employee, totals, payrollSettings = {}) => {
+  const rate = hourlyRate(employee);
+  const isHourly = employee.compensation.baseSalary.frequency === 'hourly';
+  const holidayMultiplier = payrollSettings.publicHolidayRate || 2;
+  const overtimeRate = roundCurrency(rate * (payrollSettings.overtimeRate || 1.5));
+  const holidayRate = roundCurrency(rate * (isHourly ? holidayMultiplier : Math.max(holidayMultiplier - 1, 0)));
+  const overtimeHours = employee.compensation.overtimeEligible === false ? 0 : totals.overtimeHours;
+
+  const earnings = {
+    overtime: {
+      hours: overtimeHours,
+      rate: overtimeHours > 0 ? overtimeRate : 0,
+      amount: roundCurrency(overtimeHours * overtimeRate)
+    },
+    holidayPay: {
+      hours: totals.holidayHours,
+      rate: totals.holidayHours > 0 ? holidayRate : 0,
+      amount: roundCurrency(totals.holidayHours * holidayRate)
+    }
+  };
+
+  if (isHourly) {
+    earnings.basicSalary = roundCurrency((totals.regularHours + totals.sickHours + totals.vacationHours) * rate);
+  }
+
+  return {
+    earnings,
+    workRecord: {
+      regularHours: totals.regularHours,
+      overtimeHours: totals.overtimeHours,
+      holidayHours: totals.holidayHours,
+      sickHours: totals.sickHours,
+      vacationHours: totals.vacationHours,
+      unpaidLeaveHours: totals.unpaidLeaveHours
+    }
+  };
+};
+
+// Fill a payslip from the employee's approved timesheets for its period and link them to it.
+// A payslip with no approved timesheets keeps the hours and overtime entered on it.
+const applyTimesheets = async (payslip, employee, payrollSettings) => {
+  const { timesheets, totals } = await Timesheet.approvedHours(
+    employee._id,
+    payslip.payPeriod.startDate,
+    endOfDay(payslip.payPeriod.endDate)
+  );
+
+  if (timesheets.length > 0) {
+    const { earnings, workRecord } = timesheetEarnings(employee, totals, payrollSettings);
+    if (earnings.basicSalary !== undefined) payslip.earnings.basicSalary = earnings.basicSalary;
+    payslip.earnings.overtime = earnings.overtime;
+    payslip.earnings.holidayPay = earnings.holidayPay;
+    payslip.workRecord = workRecord;
+  }
+
+  return timesheets;
+};
+
+// Point the timesheets at the payslip that paid them, releasing any it no longer covers
+const linkTimesheets = async (payrollId, timesheetIds) => {
+  await Timesheet.updateMany(
+    { payroll: payrollId, _id: { $nin: timesheetIds } },
+    { $unset: { payroll: 1 } }
+  );
+  if (timesheetIds.length > 0) {
+    await Timesheet.updateMany({ _id: { $in: timesheetIds } }, { payroll: payrollId });
+  }
+};
+
+module.exports = {
+  hourlyRate,
+  timesheetEarnings,
+  applyTimesheets,
+  linkTimesheets
+};
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { resolveReportPeriod, startOfDay, endOfDay } = require('./services/fiscalCalendar');
+
+// Fiscal year ending 31 March, the default for Jamaican businesses
+const business = { fiscalYearEnd: new Date(2000, 2, 31) };
+
+const sameDay = (date, expected) => {
+  assert.deepStrictEqual(
+    [date.getFullYear(), date.getMonth(), date.getDate()],
+    [expected.getFullYear(), expected.getMonth(), expected.getDate()]
+  );
+};
+
+// Check report periods resolved from the query parameters the report routes accept
+function testResolveReportPeriod() {
+  const both = resolveReportPeriod(business, { startDate: '2024-05-01', endDate: '2024-05-31' });
+  assert.strictEqual(both.startDate.getTime(), startOfDay(new Date('2024-05-01')).getTime());
+  assert.strictEqual(both.endDate.getTime(), endOfDay(new Date('2024-05-31')).getTime());
+
+  // A start date on its own runs to the end of today
+  const fromStart = resolveReportPeriod(business, { startDate: '2024-05-01' });
+  assert.strictEqual(fromStart.startDate.getTime(), startOfDay(new Date('2024-05-01')).getTime());
+  assert.strictEqual(fromStart.endDate.getTime(), endOfDay(new Date()).getTime());
+
+  const year = resolveReportPeriod(business, { fiscalYear: '2025' });
+  sameDay(year.startDate, new Date(2024, 3, 1));
+  sameDay(year.endDate, new Date(2025, 2, 31));
+
+  // An end date on its own starts at the beginning of its fiscal year
+  const toEnd = resolveReportPeriod(business, { endDate: '2024-08-15' });
+  sameDay(toEnd.startDate, new Date(2024, 3, 1));
+  sameDay(toEnd.endDate, new Date(2024, 7, 15));
+
+  const current = resolveReportPeriod(business);
+  assert.strictEqual(current.endDate.getTime(), endOfDay(new Date()).getTime());
+  assert.ok(current.startDate <= current.endDate);
+
+  console.log('✅ Report period checks passed');
+}
+
+try {
+  testResolveReportPeriod();
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Report period check failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Payroll = require('./models/Payroll');
+const PayrollRun = require('./models/PayrollRun');
+const PayrollYtd = require('./models/PayrollYtd');
+const TaxRateSet = require('./models/TaxRateSet');
+
+// Runs without a database: payrolls live in memory and the year-to-date aggregate is answered
+// from them, so the checks cover which payrolls count and when figures are recalculated.
+let stored = [];
+
+const valueAt = (doc, path) => doc.get(path);
+
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+
+  const value = valueAt(doc, key);
+  const comparable = (item) => (item instanceof Date ? item.getTime() : String(item));
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in': return operand.includes(value);
+        case '$ne': return comparable(value) !== comparable(operand);
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return comparable(value) === comparable(condition);
+});
+
+Payroll.aggregate = async (pipeline) => {
+  const found = stored.filter(doc => matches(doc, pipeline[0].$match));
+  if (found.length === 0) return [];
+  const sum = (path) => found.reduce((total, doc) => total + (valueAt(doc, path) || 0), 0);
+  return [{
+    grossEarnings: sum('earnings.grossEarnings'),
+    taxableIncome: sum('deductions.paye.statutoryIncome'),
+    paye: sum('deductions.paye.amount'),
+    nis: sum('deductions.nis.contribution'),
+    educationTax: sum('deductions.educationTax.amount'),
+    nht: sum('deductions.nht.contribution'),
+    pension: sum('deductions.pension.employeeContribution'),
+    payrollCount: found.length
+  }];
+};
+Payroll.countDocuments = async () => stored.length;
+Payroll.collection.insertOne = async () => ({ acknowledged: true });
+Payroll.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+PayrollYtd.findOneAndUpdate = async () => null;
+TaxRateSet.findForDate = async () => null;
+
+const business = new mongoose.Types.ObjectId();
+const employee = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// A monthly payroll for the employee, saved (and so calculated) with the given status
+const savePayroll = async (month, basicSalary, status) => {
+  const payroll = new Payroll({
+    business,
+    employee,
+    payPeriod: { startDate: new Date(2024, month, 1), endDate: new Date(2024, month + 1, 0), type: 'monthly' },
+    earnings: { basicSalary, grossEarnings: 0 },
+    deductions: { totalDeductions: 0 },
+    netPay: 0,
+    paymentInfo: { payDate: new Date(2024, month + 1, 0) },
+    jamaicaTaxCalculation: { payeMethod: 'cumulative' },
+    createdBy: userId,
+    status: 'calculated'
+  });
+  await payroll.save();
+  if (status !== 'calculated') payroll.status = status;
+  return payroll;
+};
+
+const figures = (payroll) => ({
+  grossEarnings: payroll.earnings.grossEarnings,
+  paye: payroll.deductions.paye.amount,
+  totalDeductions: payroll.deductions.totalDeductions,
+  netPay: payroll.netPay
+});
+
+// Draft and calculated payrolls do not count towards cumulative PAYE or year-to-date totals
+async function testPriorDraftIgnored() {
+  stored = [await savePayroll(0, 300000, 'approved')];
+  const withoutDraft = await savePayroll(1, 300000, 'calculated');
+
+  stored.push(await savePayroll(0, 900000, 'draft'));
+  stored.push(await savePayroll(0, 900000, 'calculated'));
+  const withDraft = await savePayroll(1, 300000, 'calculated');
+
+  assert.deepStrictEqual(figures(withDraft), figures(withoutDraft));
+  const ytd = await withDraft.getYtdTotals();
+  assert.strictEqual(ytd.payrollCount, 2);
+  assert.strictEqual(ytd.grossEarnings, 600000);
+
+  console.log('✅ Prior draft payrolls leave cumulative PAYE and YTD totals alone');
+}
+
+// Approving and paying keep the figures worked out at calculation, matching the run snapshot
+async function testPaidMatchesApprovedSnapshot() {
+  stored = [await savePayroll(0, 300000, 'approved')];
+  const payslip = await savePayroll(1, 300000, 'calculated');
+
+  await payslip.approve(userId);
+  const run = new PayrollRun({ business, payPeriod: payslip.payPeriod });
+  run.lockSnapshot([payslip]);
+  const approved = run.snapshot.payslips[0];
+
+  // Another payroll approved for an earlier month changes what priorYtd now returns
+  stored.push(await savePayroll(0, 800000, 'approved'));
+  await payslip.markAsPaid(userId);
+
+  assert.strictEqual(payslip.status, 'paid');
+  assert.strictEqual(payslip.deductions.paye.amount, approved.paye);
+  assert.strictEqual(payslip.deductions.totalDeductions, approved.totalDeductions);
+  assert.strictEqual(payslip.netPay, approved.netPay);
+
+  console.log('✅ Paid payroll figures match the approved snapshot');
+}
+
+(async () => {
+  try {
+    await testPriorDraftIgnored();
+    await testPaidMatchesApprovedSnapshot();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Payroll year-to-date check failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { parseDate } = require('./services/statementParsers');
+
+// Check statement date parsing against the formats the bank profiles use
+function testParseDate() {
+  const sameDay = (date, year, month, day) => {
+    assert.ok(date, 'expected a date');
+    assert.deepStrictEqual([date.getFullYear(), date.getMonth(), date.getDate()], [year, month, day]);
+  };
+
+  sameDay(parseDate('15/10/2024', 'DD/MM/YYYY'), 2024, 9, 15);
+  sameDay(parseDate('2024-10-15', 'YYYY-MM-DD'), 2024, 9, 15);
+  sameDay(parseDate('2024-10-15T08:30:00', 'YYYY-MM-DD'), 2024, 9, 15);
+  sameDay(parseDate('20241015120000', 'YYYYMMDD'), 2024, 9, 15);
+
+  // Month names as banks export them, in any case; OCT and SEPT contain a T
+  sameDay(parseDate('15-Oct-2024', 'DD-MMM-YYYY'), 2024, 9, 15);
+  sameDay(parseDate('15-OCT-2024', 'DD-MMM-YYYY'), 2024, 9, 15);
+  sameDay(parseDate('03-SEPT-2024', 'DD-MMM-YYYY'), 2024, 8, 3);
+  sameDay(parseDate('31-AUG-2024', 'DD-MMM-YYYY'), 2024, 7, 31);
+
+  assert.strictEqual(parseDate('31-FEB-2024', 'DD-MMM-YYYY'), null);
+  assert.strictEqual(parseDate('', 'DD/MM/YYYY'), null);
+
+  console.log('✅ Statement date parsing checks passed');
+}
+
+try {
+  testParseDate();
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Statement date parsing check failed:', error.message);
+  process.exit(1);
+}